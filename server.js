@@ -3,6 +3,7 @@
 const crypto = require("crypto");
 const express = require("express");
 const fs = require("fs");
+const http = require("http");
 const os = require("os");
 const path = require("path");
 const { execFile, spawn } = require("child_process");
@@ -10,9 +11,20 @@ const { execFile, spawn } = require("child_process");
 const APP_NAME = "StreamDeck Remote";
 const PUBLIC_DIR = path.join(__dirname, "public");
 const IS_PKG = Boolean(process.pkg);
-const TILE_TYPES = new Set(["action", "app", "folder", "url", "protocol"]);
+const TILE_TYPES = new Set(["action", "app", "folder", "url", "protocol", "macro", "toggle", "webhook", "keys", "command"]);
+const MACRO_STEP_TYPES = new Set(["tile", "action", "delay", "waitProcess", "volume", "mute"]);
 const ICON_MODES = new Set(["auto", "emoji", "image"]);
+const TOGGLE_STATE_SOURCES = new Set(["process", "audioMuted", "addonEnabled", "curseforge"]);
+const TOGGLE_STATE_LABELS = Object.freeze({ on: "an", off: "aus", unknown: "unbekannt" });
+const TILE_FACE_SOURCES = new Set(["cpu", "ram", "volume", "addonCount", "spotify"]);
+const TILE_FACE_ADDON_CACHE_MS = 10000;
 const TILE_SHOW_IF = new Set(["", "wowRunning", "wowNotRunning"]);
+const SHOW_IF_CONDITION_TYPES = new Set([
+  "wowRunning", "wowNotRunning", "process", "time", "weekday", "pathExists", "audioSession", "all", "any", "not"
+]);
+const SHOW_IF_MAX_DEPTH = 4;
+const SHOW_IF_MAX_CONDITIONS = 16;
+const SHOW_IF_FACT_CACHE_MS = 5000;
 const NAMED_ACTIONS = new Set([
   "terminal",
   "powershell",
@@ -23,6 +35,8 @@ const NAMED_ACTIONS = new Set([
   "curseforge",
   "curseforgeManager",
   "performanceOverlay",
+  "processManager",
+  "obsPanel",
   "wowStart",
   "openWorkspace",
   "vscode",
@@ -30,8 +44,102 @@ const NAMED_ACTIONS = new Set([
   "wowTBC",
   "openWowAddons",
   "openWowLogs",
-  "openWowWtf"
+  "openWowWtf",
+  "windowFocus",
+  "windowMinimize",
+  "windowMaximize",
+  "windowClose",
+  "windowMoveMonitor",
+  "obsScene",
+  "obsStreamStart",
+  "obsStreamStop",
+  "obsStreamToggle",
+  "obsRecordStart",
+  "obsRecordStop",
+  "obsRecordToggle",
+  "obsInputMute",
+  "obsSourceVisibility",
+  "soundboardPlay",
+  "soundboardStopAll"
+]);
+const WINDOW_ACTION_OPS = Object.freeze({
+  windowFocus: "focus",
+  windowMinimize: "minimize",
+  windowMaximize: "maximize",
+  windowClose: "close",
+  windowMoveMonitor: "move"
+});
+const WINDOW_MAX_MONITOR = 16;
+const OBS_ACTION_REQUESTS = Object.freeze({
+  obsScene: "SetCurrentProgramScene",
+  obsStreamStart: "StartStream",
+  obsStreamStop: "StopStream",
+  obsStreamToggle: "ToggleStream",
+  obsRecordStart: "StartRecord",
+  obsRecordStop: "StopRecord",
+  obsRecordToggle: "ToggleRecord",
+  obsInputMute: "SetInputMute",
+  obsSourceVisibility: "SetSceneItemEnabled"
+});
+const OBS_SWITCH_STATES = new Set(["on", "off", "toggle"]);
+const OBS_NAME_MAX_CHARS = 256;
+const OBS_HOST_RE = /^[A-Za-z0-9.:-]{1,253}$/;
+const OBS_DEFAULT_PORT = 4455;
+const OBS_RPC_VERSION = 1;
+// obs-websocket EventSubscription bits: Scenes | Inputs | Outputs | SceneItems.
+const OBS_EVENT_SUBSCRIPTIONS = (1 << 2) | (1 << 3) | (1 << 6) | (1 << 7);
+const OBS_LIVE_EVENTS = new Set([
+  "CurrentProgramSceneChanged", "SceneListChanged", "StreamStateChanged", "RecordStateChanged",
+  "InputMuteStateChanged", "InputCreated", "InputRemoved", "InputNameChanged", "SceneItemEnableStateChanged"
 ]);
+const OBS_CONNECT_TIMEOUT_MS = 3000;
+const OBS_REQUEST_TIMEOUT_MS = 5000;
+const OBS_RETRY_MS = 5000;
+const SOUNDBOARD_CLIP_TYPES = Object.freeze({
+  "audio/mpeg": ".mp3",
+  "audio/mp3": ".mp3",
+  "audio/wav": ".wav",
+  "audio/x-wav": ".wav",
+  "audio/wave": ".wav",
+  "audio/mp4": ".m4a",
+  "audio/x-m4a": ".m4a",
+  "audio/aac": ".aac",
+  "audio/flac": ".flac",
+  "audio/x-flac": ".flac",
+  "audio/x-ms-wma": ".wma"
+});
+const SOUNDBOARD_CLIP_ID_RE = /^clip_[a-f0-9]{12}$/;
+const SOUNDBOARD_CLIP_MAX_BYTES = 4 * 1024 * 1024;
+const SOUNDBOARD_MAX_CLIPS = 200;
+const SOUNDBOARD_MAX_PLAYING = 8;
+const SOUNDBOARD_NAME_MAX_CHARS = 120;
+const SOUNDBOARD_DEVICE_MAX_CHARS = 512;
+const SOUNDBOARD_START_TIMEOUT_MS = 12000;
+const SOUNDBOARD_LIBRARY_MAX_BYTES = 64 * 1024 * 1024;
+const SOUNDBOARD_MAX_DURATION_MS = 60 * 60 * 1000;
+const SOUNDBOARD_MAX_FADE_MS = 10000;
+const SOUNDBOARD_MIN_GAIN_DB = -30;
+const SOUNDBOARD_MAX_GAIN_DB = 0;
+const SOUNDBOARD_BANK_ID_RE = /^[a-z0-9][a-z0-9_-]{0,15}$/;
+const SOUNDBOARD_MAX_BANKS = 8;
+const SOUNDBOARD_PADS_PER_BANK = 8;
+const SOUNDBOARD_BANK_LABEL_MAX_CHARS = 32;
+const SOUNDBOARD_PAD_LABEL_MAX_CHARS = 28;
+// Imports may carry the whole clip library as base64 (64 MB of audio grows to ~86 MB).
+const SETTINGS_IMPORT_MAX_BODY = "96mb";
+const PROFILE_ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+const PROFILE_MAX_COUNT = 24;
+const PROFILE_MAX_PAGES = 16;
+const API_TOKEN_SCOPES = ["run", "audio", "settings", "admin"];
+const API_TOKEN_MAX_COUNT = 32;
+const API_TOKEN_PREFIX = "sdt_";
+const PAIRING_CODE_TTL_MS = 5 * 60 * 1000;
+const PAIRING_CODE_LENGTH = 8;
+const PAIRING_CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const PAIRING_MAX_PENDING = 8;
+const PAIRING_MAX_FAILED_ATTEMPTS = 20;
+const PAIRING_DEFAULT_SCOPES = ["run", "audio"];
+const TILE_MAX_ORDER = 9999;
 const MAX_PATH_LEN = 2048;
 const MAX_ICON_DATA_URL_LEN = 2_000_000;
 const APP_FILE_EXTENSIONS = new Set([".exe", ".lnk", ".bat", ".cmd", ".com"]);
@@ -54,8 +162,117 @@ const API_RECENT_ERRORS_LIMIT = 40;
 const RUN_ANALYTICS_RECENT_LIMIT = 240;
 const RUN_ANALYTICS_TOP_LIMIT = 16;
 const RUN_ANALYTICS_ENTRY_LIMIT = 400;
+const RUN_EVENT_SOURCES = new Set(["tile", "action", "macro", "schedule", "rule"]);
+const MACRO_MAX_STEPS = 32;
+const MACRO_MAX_DEPTH = 4;
+const MACRO_MAX_ACTIVE_RUNS = 8;
+const MACRO_MAX_DELAY_MS = 120000;
+const MACRO_DEFAULT_WAIT_TIMEOUT_MS = 30000;
+const MACRO_WAIT_POLL_MS = 1000;
+const MACRO_RECENT_RUNS_LIMIT = 30;
+const WEBHOOK_METHODS = new Set(["GET", "POST", "PUT", "PATCH", "DELETE"]);
+const WEBHOOK_HEADER_NAME_RE = /^[A-Za-z0-9!#$%&'*+.^_`|~-]{1,64}$/;
+const WEBHOOK_MAX_HEADERS = 16;
+const WEBHOOK_MAX_BODY_CHARS = 16 * 1024;
+const WEBHOOK_DEFAULT_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_TIMEOUT_MS = 30000;
+const WEBHOOK_MAX_RESPONSE_BYTES = 64 * 1024;
+const WEBHOOK_RESPONSE_PREVIEW_CHARS = 2000;
+const TILE_RUN_RESULT_KEYS = Object.freeze(["webhook", "keys", "command", "launch", "window", "obs", "sound"]);
+const COMMAND_DEFAULT_TIMEOUT_MS = 30000;
+const COMMAND_MAX_TIMEOUT_MS = 300000;
+const COMMAND_MAX_BUFFER_BYTES = 1024 * 1024;
+const COMMAND_OUTPUT_CHARS = 16 * 1024;
+const COMMAND_HISTORY_OUTPUT_CHARS = 1000;
+const TILE_PARAM_TYPES = new Set(["text", "number", "choice", "path"]);
+const TILE_PARAM_NAME_RE = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+const TILE_PARAM_TILE_TYPES = new Set(["app", "folder", "url", "protocol", "command", "webhook", "keys"]);
+const TILE_MAX_PARAMS = 8;
+const TILE_PARAM_MAX_OPTIONS = 50;
+const TILE_PARAM_MAX_TEXT_CHARS = 500;
+const APP_LAUNCH_WINDOW_STATES = new Set(["normal", "minimized", "maximized"]);
+const APP_LAUNCH_IF_RUNNING = new Set(["start", "focus", "restart"]);
+const APP_LAUNCH_ENV_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const APP_LAUNCH_MAX_ENV = 16;
+const APP_LAUNCH_RESTART_WAIT_MS = 5000;
+const APP_LAUNCH_ACTION_LABELS = Object.freeze({ start: "gestartet", focus: "Fenster nach vorne geholt", restart: "neu gestartet" });
+// Core Windows processes (image names without .exe, lower case); killing any of them crashes or logs off the session.
+const PROCESS_PROTECTED_NAMES = new Set([
+  "idle", "system", "secure system", "registry", "memory compression",
+  "smss", "csrss", "wininit", "winlogon", "services", "lsass", "lsaiso",
+  "svchost", "dwm", "fontdrvhost", "sihost", "audiodg", "msmpeng"
+]);
+const PROCESS_PRIORITIES = Object.freeze({
+  idle: "Idle",
+  belowNormal: "BelowNormal",
+  normal: "Normal",
+  aboveNormal: "AboveNormal",
+  high: "High"
+});
+const PROCESS_OP_LABELS = Object.freeze({ kill: "Beenden", restart: "Neustart", priority: "Prioritaet setzen" });
+const PROCESS_CONFIRM_OPS = new Set(["kill", "restart"]);
+const PROCESS_CONFIRM_TTL_MS = 30 * 1000;
+const PROCESS_CONFIRM_MAX_PENDING = 32;
+const PROCESS_EXIT_WAIT_MS = 5000;
+const VARIABLE_NAME_RE = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+const VARIABLE_MAX_COUNT = 64;
+const VARIABLE_MAX_VALUE_CHARS = 1024;
+const TEMPLATE_CLIPBOARD_MAX_CHARS = 4000;
+const TEMPLATE_BUILTINS = ["date", "time", "datetime", "env.NAME", "clipboard"];
+// {{env.NAME}} never resolves names that look like credentials (OPENAI_API_KEY, STREAMDECK_AI_API_KEY, ...).
+const TEMPLATE_ENV_SECRET_RE = /KEY|TOKEN|SECRET|PASS|CREDENTIAL|AUTH|COOKIE|SESSION/i;
+const KEYS_MAX_STEPS = 32;
+const KEYS_MAX_COMBO_KEYS = 5;
+const KEYS_MAX_TEXT_CHARS = 500;
+const KEYS_MAX_DELAY_MS = 10000;
+const KEYS_MAX_HOLD_MS = 5000;
+const KEY_MODIFIERS = Object.freeze({ ctrl: { name: "Ctrl", vk: 0x11 }, shift: { name: "Shift", vk: 0x10 }, alt: { name: "Alt", vk: 0x12 }, win: { name: "Win", vk: 0x5b } });
+const KEY_NAME_ALIASES = Object.freeze({
+  control: "ctrl", strg: "ctrl", option: "alt", altgr: "alt", meta: "win", cmd: "win", windows: "win", super: "win",
+  return: "enter", escape: "esc", del: "delete", entf: "delete", ins: "insert", einfg: "insert",
+  pgup: "pageup", pgdn: "pagedown", arrowup: "up", arrowdown: "down", arrowleft: "left", arrowright: "right",
+  spacebar: "space", leertaste: "space", print: "printscreen", prtsc: "printscreen", playpause: "mediaplaypause"
+});
+// Virtual-key codes for the non-modifier keys a combo may press, keyed by display name.
+const KEY_CODES = Object.freeze({
+  ...Object.fromEntries(Array.from({ length: 26 }, (_, i) => [String.fromCharCode(65 + i), 0x41 + i])),
+  ...Object.fromEntries(Array.from({ length: 10 }, (_, i) => [String(i), 0x30 + i])),
+  ...Object.fromEntries(Array.from({ length: 10 }, (_, i) => [`Num${i}`, 0x60 + i])),
+  ...Object.fromEntries(Array.from({ length: 24 }, (_, i) => [`F${i + 1}`, 0x70 + i])),
+  Enter: 0x0d, Tab: 0x09, Esc: 0x1b, Space: 0x20, Backspace: 0x08, Delete: 0x2e, Insert: 0x2d,
+  Home: 0x24, End: 0x23, PageUp: 0x21, PageDown: 0x22, Left: 0x25, Up: 0x26, Right: 0x27, Down: 0x28,
+  PrintScreen: 0x2c, Pause: 0x13, CapsLock: 0x14, NumLock: 0x90, ScrollLock: 0x91,
+  NumMultiply: 0x6a, NumAdd: 0x6b, NumSubtract: 0x6d, NumDecimal: 0x6e, NumDivide: 0x6f,
+  MediaPlayPause: 0xb3, MediaNext: 0xb0, MediaPrev: 0xb1, MediaStop: 0xb2,
+  VolumeMute: 0xad, VolumeDown: 0xae, VolumeUp: 0xaf
+});
+const KEY_LOOKUP = new Map([
+  ...Object.values(KEY_MODIFIERS).map((x) => [x.name.toLowerCase(), x]),
+  ...Object.entries(KEY_CODES).map(([name, vk]) => [name.toLowerCase(), { name, vk }])
+]);
+const TILE_STATE_POLL_MS = 2000;
+const TILE_STATE_RUN_REFRESH_MS = 700;
+const SCHEDULE_MAX_COUNT = 64;
+const SCHEDULE_MAX_TIMES = 24;
+const SCHEDULE_TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const SCHEDULE_LOOKAHEAD_DAYS = 366;
+const CRON_FIELDS = Object.freeze([
+  { name: "Minute", min: 0, max: 59 },
+  { name: "Stunde", min: 0, max: 23 },
+  { name: "Tag", min: 1, max: 31 },
+  { name: "Monat", min: 1, max: 12 },
+  { name: "Wochentag", min: 0, max: 7 }
+]);
+const RULE_MAX_COUNT = 64;
+const RULE_TRIGGER_TYPES = new Set(["processStart", "processStop", "wowStart", "wowStop", "audioSession", "cpuAbove"]);
+const RULE_POLL_MS = 3000;
+const RULE_HISTORY_LIMIT = 50;
+const RULE_DEFAULT_COOLDOWN_SEC = 30;
+const RULE_MAX_COOLDOWN_SEC = 86400;
+const RULE_MAX_CPU_SUSTAIN_SEC = 600;
 const DRY_RUN = isTruthyEnv(process.env.STREAMDECK_DRY_RUN);
 const DISABLE_AUTODETECT = isTruthyEnv(process.env.STREAMDECK_DISABLE_AUTODETECT);
+const PAIR_ON_START = process.argv.includes("--pair") || isTruthyEnv(process.env.STREAMDECK_PAIR_ON_START);
 const DEFAULT_AI_MODEL = "gpt-4o-mini";
 const API_FEATURES_BASE = Object.freeze({
   logsRecent: true,
@@ -72,7 +289,27 @@ const API_FEATURES_BASE = Object.freeze({
   diagnostics: true,
   runHistory: true,
   tileRecommendations: true,
+  tileOrdering: true,
   liveStream: true,
+  wsControl: true,
+  macroTiles: true,
+  profileManagement: true,
+  scopedTokens: true,
+  devicePairing: true,
+  schedules: true,
+  rules: true,
+  toggleTiles: true,
+  tileFaces: true,
+  webhookTiles: true,
+  keysTiles: true,
+  commandTiles: true,
+  tileParams: true,
+  templateVariables: true,
+  appLaunchOptions: true,
+  windowActions: true,
+  processManager: true,
+  obsControl: true,
+  soundboardPlayback: true,
   dryRun: DRY_RUN,
   launcherAutodetect: !DISABLE_AUTODETECT
 });
@@ -81,6 +318,8 @@ const aiRuntimeState = {
   model: DEFAULT_AI_MODEL,
   source: "none"
 };
+const showIfFactCache = { paths: new Map(), audio: null };
+const tileFaceCache = { addons: null, addonsTs: 0 };
 const clientTilesCache = {
   ts: 0,
   revision: 0,
@@ -111,6 +350,47 @@ const liveStreamState = {
   clients: new Set(),
   nextId: 1
 };
+const wsControlState = {
+  clients: new Set(),
+  nextId: 1
+};
+const configSyncState = {
+  revision: 0,
+  tiles: null,
+  order: [],
+  profilesJson: "",
+  timer: null,
+  pending: null
+};
+const macroRunState = {
+  active: new Map(),
+  recent: [],
+  nextId: 1
+};
+const scheduleState = {
+  timer: null,
+  lastMinute: new Map(),
+  lastRun: new Map(),
+  compiled: new Map()
+};
+const ruleEngineState = {
+  timer: null,
+  running: false,
+  processes: new Map(),
+  wowRunning: null,
+  audioKeys: null,
+  cpuAboveSince: new Map(),
+  cpuFired: new Set(),
+  lastFiredAt: new Map(),
+  history: [],
+  nextId: 1
+};
+const tileStateState = {
+  timer: null,
+  dueAt: 0,
+  polling: false,
+  states: new Map()
+};
 
 function isTruthyEnv(value) {
   return /^(1|true|yes|on)$/i.test(String(value || "").trim());
@@ -134,11 +414,14 @@ function printCliHelp() {
       `${APP_NAME} v${APP_VERSION}`,
       "",
       "Usage:",
-      "  node server.js [--help] [--version]",
+      "  node server.js [--help] [--version] [--pair]",
+      "",
+      "  --pair                   Print a one-time device pairing code + QR code after start",
       "",
       "Environment variables:",
       "  STREAMDECK_CONFIG_PATH   Optional absolute/relative path to config JSON",
       "  STREAMDECK_DRY_RUN=1     Skip external process starts and only log run requests",
+      "  STREAMDECK_PAIR_ON_START=1  Same as --pair",
       "  STREAMDECK_LOG_LEVEL     ERROR | WARN | INFO | DEBUG"
     ].join("\n") + "\n"
   );
@@ -275,12 +558,14 @@ function clearClientTilesCache() {
   clientTilesCache.ts = 0;
   clientTilesCache.revision = 0;
   clientTilesCache.wowRunning = false;
+  clientTilesCache.visibilityKey = "";
   clientTilesCache.payload = null;
 }
 
 function bumpConfigRevision() {
   configRevision += 1;
   clearClientTilesCache();
+  scheduleConfigBroadcast();
 }
 
 function pushBounded(list, item, maxItems) {
@@ -486,7 +771,7 @@ function ensureRunAggregateEntry(map, key, fallback = {}) {
 function recordRunEvent(event = {}) {
   const nowIso = new Date().toISOString();
   const ok = event.ok !== false;
-  const source = event.source === "action" ? "action" : "tile";
+  const source = RUN_EVENT_SOURCES.has(event.source) ? event.source : "tile";
   const tileId = safeTrim(event.tileId || "", 96);
   const action = safeTrim(event.action || "", 96);
   const profile = safeTrim(event.profile || "", 64);
@@ -494,6 +779,11 @@ function recordRunEvent(event = {}) {
   const type = safeTrim(event.type || "", 32);
   const label = safeTrim(event.label || tileId || action || source, 120);
   const errorText = event.error ? safeTrim(String(event.error), 240) : "";
+  const macroRunId = safeTrim(event.macroRunId || "", 40);
+  const tokenName = safeTrim(event.tokenName || "", 64);
+  const scheduleId = safeTrim(event.scheduleId || "", 64);
+  const ruleId = safeTrim(event.ruleId || "", 64);
+  const output = event.output && typeof event.output === "object" ? event.output : null;
   const hour = new Date().getHours();
 
   runAnalyticsState.total += 1;
@@ -557,7 +847,12 @@ function recordRunEvent(event = {}) {
     profile,
     page,
     type,
-    error: ok ? "" : errorText
+    tokenName,
+    error: ok ? "" : errorText,
+    ...(macroRunId ? { macroRunId, step: Number.isInteger(event.step) ? event.step : 0 } : {}),
+    ...(scheduleId ? { scheduleId } : {}),
+    ...(ruleId ? { ruleId } : {}),
+    ...(output ? { output } : {})
   }, RUN_ANALYTICS_RECENT_LIMIT);
 }
 
@@ -614,10 +909,10 @@ function getRunAnalyticsSnapshot(recentLimit = 40) {
   };
 }
 
-function scoreTileRecommendation(tile, wowRunning, nowTs, currentHour, profileFilter, pageFilter) {
+function scoreTileRecommendation(tile, facts, nowTs, currentHour, profileFilter, pageFilter) {
   const tileId = safeTrim(tile?.id || "", 96);
   if (!tileId) return null;
-  if (!tileIsVisible(tile, wowRunning)) return null;
+  if (!tileIsVisible(tile, facts)) return null;
   if (profileFilter && tile.profile !== profileFilter) return null;
   if (pageFilter && tile.page !== pageFilter) return null;
 
@@ -665,13 +960,14 @@ function getTileRecommendations(options = {}) {
   const limit = Math.max(1, Math.min(50, Number(options.limit) || 10));
   const nowTs = Date.now();
   const currentHour = new Date(nowTs).getHours();
-  const wowRunning = options.wowRunning === true;
+  const facts = options.facts || { wowRunning: options.wowRunning === true };
   const profileFilter = safeTrim(options.profile || "", 64);
   const pageFilter = safeTrim(options.page || "", 64);
 
   const rows = [];
   for (const tile of config.tiles || []) {
-    const scored = scoreTileRecommendation(tile, wowRunning, nowTs, currentHour, profileFilter, pageFilter);
+    if (!authAllowsProfile(options.auth, tile.profile)) continue;
+    const scored = scoreTileRecommendation(tile, facts, nowTs, currentHour, profileFilter, pageFilter);
     if (!scored) continue;
     rows.push(scored);
   }
@@ -734,7 +1030,11 @@ function getRuntimeDiagnostics(options = {}) {
       }
     },
     liveStreams: {
-      activeClients: liveStreamState.clients.size
+      activeClients: liveStreamState.clients.size,
+      wsClients: wsControlState.clients.size
+    },
+    macros: {
+      activeRuns: macroRunState.active.size
     },
     runtime: {
       startedAt: new Date(apiMetricsState.startedAt).toISOString()
@@ -765,19 +1065,21 @@ function parseCommandArgs(rawInput) {
   return out.filter(Boolean);
 }
 
-function splitLaunchTargetInput(rawInput) {
+// Targets that already went through resolveTemplate pass `expand: false`, so caller values in them are not expanded again.
+function splitLaunchTargetInput(rawInput, { expand = true } = {}) {
   const raw = safeTrim(rawInput, MAX_PATH_LEN);
   if (!raw) return { command: "", args: [] };
+  const expandPath = expand ? expandEnv : (value) => value;
 
   const direct = unquoteWrapped(raw);
-  const expandedDirect = expandEnv(direct);
+  const expandedDirect = expandPath(direct);
   if (fileExists(expandedDirect) && isAppLaunchFilePath(expandedDirect)) {
     return { command: expandedDirect, args: [] };
   }
 
   const tokenized = parseCommandArgs(raw);
   if (tokenized.length > 1) {
-    const tokenCommand = expandEnv(unquoteWrapped(tokenized[0]));
+    const tokenCommand = expandPath(unquoteWrapped(tokenized[0]));
     if (fileExists(tokenCommand) && isAppLaunchFilePath(tokenCommand)) {
       return { command: tokenCommand, args: tokenized.slice(1) };
     }
@@ -786,7 +1088,7 @@ function splitLaunchTargetInput(rawInput) {
   const pathWithArgsMatch = raw.match(/^(.+\.(?:exe|lnk|bat|cmd|com))(?:\s+(.+))?$/i);
   if (pathWithArgsMatch) {
     return {
-      command: expandEnv(unquoteWrapped(pathWithArgsMatch[1])),
+      command: expandPath(unquoteWrapped(pathWithArgsMatch[1])),
       args: parseCommandArgs(pathWithArgsMatch[2] || "")
     };
   }
@@ -1122,12 +1424,61 @@ function getByPath(obj, dottedPath) {
   return cur;
 }
 
+function pad2(value) {
+  return String(value).padStart(2, "0");
+}
+
+// Built-ins first (`{{date}}`, `{{env.NAME}}`, `{{var.name}}`), everything else is a dotted path into the scope.
+// `{{clipboard}}` is only filled when runTile read the clipboard up front (see tileUsesClipboard).
+function lookupTemplateValue(scope, key) {
+  const now = new Date();
+  if (key === "date") return `${now.getFullYear()}-${pad2(now.getMonth() + 1)}-${pad2(now.getDate())}`;
+  if (key === "time") return `${pad2(now.getHours())}-${pad2(now.getMinutes())}-${pad2(now.getSeconds())}`;
+  if (key === "datetime") return `${lookupTemplateValue(scope, "date")}_${lookupTemplateValue(scope, "time")}`;
+  if (key.startsWith("env.")) {
+    const name = key.slice(4);
+    return TEMPLATE_ENV_SECRET_RE.test(name) ? "" : process.env[name] || "";
+  }
+  if (key.startsWith("var.")) {
+    const name = key.slice(4);
+    return Object.prototype.hasOwnProperty.call(scope?.variables || {}, name) ? scope.variables[name] : "";
+  }
+  return getByPath(scope, key);
+}
+
+// Parameter and clipboard values come from the caller and are inserted literally, so `%NAME%` in them never
+// reaches expandEnv; config values, variables and the text around the templates are expanded as before.
+function templateValueText(scope, key) {
+  const got = lookupTemplateValue(scope, key);
+  if (typeof got !== "string") return "";
+  return key === "clipboard" || key.startsWith("param.") ? got : expandEnv(got);
+}
+
 function resolveTemplate(value, config) {
   if (typeof value !== "string") return "";
-  const m = value.match(/^\{\{(.+)\}\}$/);
-  if (!m) return expandEnv(value);
-  const got = getByPath(config, m[1].trim());
-  return typeof got === "string" ? expandEnv(got) : "";
+  const m = value.match(/^\{\{([^{}]+)\}\}$/);
+  if (m) return templateValueText(config, m[1].trim());
+  if (!hasTemplateSyntax(value)) return expandEnv(value);
+  // Templates inside a longer text (e.g. `https://x/search?q={{param.q}}`) are replaced in place.
+  return value
+    .split(/(\{\{[^{}]+\}\})/)
+    .map((part, idx) => (idx % 2 ? templateValueText(config, part.slice(2, -2).trim()) : expandEnv(part)))
+    .join("");
+}
+
+function unresolvedTemplateKeys(value, scope = config) {
+  return [...String(value || "").matchAll(/\{\{([^{}]+)\}\}/g)]
+    .map((match) => match[1].trim())
+    .filter((key) => {
+      const got = lookupTemplateValue(scope, key);
+      return typeof got !== "string" || !got;
+    });
+}
+
+// Saved templates must resolve right away; only run-time values (parameters, clipboard) may stay open.
+function assertTemplateResolvable(value, tile, label) {
+  const missing = unresolvedTemplateKeys(value).filter((key) => key !== "clipboard" && !(tile?.params && key.startsWith("param.")));
+  if (missing.length) throw new Error(`${label}: Template nicht aufloesbar: {{${missing[0]}}}`);
 }
 
 function hasTemplateSyntax(value) {
@@ -1135,6 +1486,48 @@ function hasTemplateSyntax(value) {
   return text.includes("{{") && text.includes("}}");
 }
 
+// Inline variant of resolveTemplate: every `{{path}}` inside the text is replaced, the rest stays as is.
+function renderTemplateText(value, scope = config) {
+  return String(value ?? "").replace(/\{\{[^{}]+\}\}/g, (match) => resolveTemplate(match, scope));
+}
+
+function renderTemplateValue(value, scope = config) {
+  if (typeof value === "string") return renderTemplateText(value, scope);
+  if (Array.isArray(value)) return value.map((item) => renderTemplateValue(item, scope));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplateValue(item, scope)]));
+  }
+  return value;
+}
+
+// Run-time parameters are visible to templates as `{{param.<name>}}`, the clipboard read by runTile as
+// `{{clipboard}}`; URL targets get both percent-encoded.
+function tileTemplateScope(context = {}, urlEncode = false) {
+  const { params, clipboard } = context || {};
+  if (!params && typeof clipboard !== "string") return config;
+  const encode = (value) => (urlEncode ? encodeURIComponent(value) : value);
+  const scope = { ...config };
+  if (params) scope.param = Object.fromEntries(Object.entries(params).map(([name, value]) => [name, encode(value)]));
+  if (typeof clipboard === "string") scope.clipboard = encode(clipboard);
+  return scope;
+}
+
+function tileUsesClipboard(tile) {
+  return /\{\{\s*clipboard\s*\}\}/.test(JSON.stringify([tile?.target, tile?.args, tile?.startIn, tile?.webhook, tile?.keys]));
+}
+
+async function readClipboardText() {
+  if (process.platform !== "win32") return "";
+  try {
+    const script = "[Console]::OutputEncoding = [System.Text.Encoding]::UTF8; $t = Get-Clipboard -Raw; if ($t) { [Console]::Out.Write($t) }";
+    const text = await runPowerShell(script, [], 5000, { sta: true });
+    return text.slice(0, TEMPLATE_CLIPBOARD_MAX_CHARS);
+  } catch (error) {
+    logger.warn("clipboard read failed", { error: String(error?.message || error) });
+    return "";
+  }
+}
+
 function getDefaultProfiles() {
   return [
     { id: "work", label: "Work", pages: [{ id: "main", label: "Main" }, { id: "dev", label: "Dev" }] },
@@ -1158,12 +1551,14 @@ function getDefaultTiles() {
     { id: "wowLogs", profile: "wow", page: "addons", label: "Logs", subtitle: "Ordner oeffnen", type: "folder", target: "{{wow.folders.logs}}", iconMode: "emoji", icon: "📝", showIf: "wowRunning", builtin: true },
     { id: "wowWtf", profile: "wow", page: "addons", label: "WTF", subtitle: "Ordner oeffnen", type: "folder", target: "{{wow.folders.wtf}}", iconMode: "emoji", icon: "⚙️", showIf: "wowRunning", builtin: true },
     { id: "gamingPerfOverlay", profile: "gaming", page: "overlay", label: "Leistungs-Overlay", subtitle: "CPU | RAM | Netz live", type: "action", action: "performanceOverlay", iconMode: "emoji", icon: "📊", builtin: true },
+    { id: "gamingProcessManager", profile: "gaming", page: "overlay", label: "Prozesse", subtitle: "Beenden | Neustart | Prioritaet", type: "action", action: "processManager", iconMode: "emoji", icon: "🧮", builtin: true },
     { id: "gamingWowNavigator", profile: "gaming", page: "addons", label: "WoW Navigator", subtitle: "KI Quest-Hilfe", type: "action", action: "wowNavigator", iconMode: "emoji", icon: "🧭", builtin: true },
     { id: "gamingCurseForgeManager", profile: "gaming", page: "addons", label: "CurseForge Manager", subtitle: "AddOns verwalten", type: "action", action: "curseforgeManager", iconMode: "emoji", icon: "🧩", builtin: true },
     { id: "gamingCurseForgeApp", profile: "gaming", page: "addons", label: "CurseForge App", subtitle: "Client starten", type: "action", action: "curseforge", iconMode: "emoji", icon: "🔥", builtin: true },
     { id: "discord", profile: "streaming", page: "social", label: "Discord", subtitle: "Protocol", type: "protocol", target: "discord://", iconMode: "emoji", icon: "💬", builtin: true },
     { id: "obs", profile: "streaming", page: "main", label: "OBS Studio", subtitle: "Streaming", type: "app", launcherKey: "obs", iconMode: "auto", icon: "🎬", builtin: true },
-    { id: "streamingSoundboard", profile: "streaming", page: "main", label: "Live Soundboard", subtitle: "App-Audio + Spotify", type: "action", action: "streamingSoundboard", iconMode: "emoji", icon: "🎚️", builtin: true }
+    { id: "streamingSoundboard", profile: "streaming", page: "main", label: "Live Soundboard", subtitle: "App-Audio + Spotify", type: "action", action: "streamingSoundboard", iconMode: "emoji", icon: "🎚️", builtin: true },
+    { id: "streamingObsPanel", profile: "streaming", page: "main", label: "OBS Steuerung", subtitle: "Szenen | Stream | Audio", type: "action", action: "obsPanel", iconMode: "emoji", icon: "🎥", builtin: true }
   ];
 }
 
@@ -1244,9 +1639,15 @@ function createDefaultConfig(oldConfig = {}) {
         ? safeTrim(oldConfig.ai.openAiApiKey, 256)
         : ""
     },
+    obs: normalizeObsSettings(oldConfig.obs),
+    soundboard: normalizeSoundboardSettings(oldConfig.soundboard),
     launchers: getDefaultLaunchers(oldConfig),
     profiles: getDefaultProfiles(),
-    tiles: getDefaultTiles()
+    tiles: getDefaultTiles(),
+    apiTokens: [],
+    schedules: [],
+    rules: [],
+    variables: {}
   };
 }
 
@@ -1289,6 +1690,668 @@ function normalizeProfiles(input) {
 
   return out;
 }
+
+function isBuiltinProfile(profileId) {
+  return getDefaultProfiles().some((p) => p.id === profileId);
+}
+
+function isBuiltinPage(profileId, pageId) {
+  const def = getDefaultProfiles().find((p) => p.id === profileId);
+  return Boolean(def && def.pages.some((x) => x.id === pageId));
+}
+
+function makeProfileEntryId(label, takenIds) {
+  const base = String(label || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 24) || "p";
+  let id = base;
+  for (let n = 2; takenIds.has(id); n += 1) id = `${base}-${n}`;
+  return id;
+}
+
+function reorderById(list, order) {
+  const ids = safeArray(order, 64, 64);
+  const byId = new Map(list.map((x) => [x.id, x]));
+  const unknown = ids.find((id) => !byId.has(id));
+  if (unknown) throw new Error(`unbekannte id: ${unknown}`);
+  const head = uniq(ids).map((id) => byId.get(id));
+  const rest = list.filter((x) => !head.includes(x));
+  return [...head, ...rest];
+}
+
+function buildProfilesView() {
+  const counts = new Map();
+  for (const tile of config.tiles) {
+    const key = `${tile.profile}/${tile.page || "main"}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return config.profiles.map((p) => ({
+    id: p.id,
+    label: p.label,
+    builtin: isBuiltinProfile(p.id),
+    pages: p.pages.map((x) => ({
+      id: x.id,
+      label: x.label,
+      builtin: isBuiltinPage(p.id, x.id),
+      tileCount: counts.get(`${p.id}/${x.id}`) || 0
+    }))
+  }));
+}
+
+function resolveTileMoveTarget(raw, excluded = {}) {
+  if (!raw || typeof raw !== "object") return null;
+  const profileId = safeTrim(raw.profile, 64);
+  const pageId = safeTrim(raw.page || "main", 64);
+  const profile = config.profiles.find((p) => p.id === profileId);
+  if (!profile || !profile.pages.some((x) => x.id === pageId)) throw new Error("Zielseite fuer Tiles nicht gefunden");
+  if (profileId === excluded.profile && (!excluded.page || pageId === excluded.page)) {
+    throw new Error("Zielseite darf nicht geloescht werden");
+  }
+  return { profile: profileId, page: pageId };
+}
+
+// Checks every affected tile before moving any, so a rejected move leaves the config untouched.
+function moveTilesOff(match, target) {
+  const tiles = config.tiles.filter(match);
+  if (tiles.some((tile) => tile.builtin)) throw new Error("builtin tiles koennen nicht verschoben werden");
+  for (const tile of tiles) {
+    tile.profile = target.profile;
+    tile.page = target.page;
+    delete tile.order;
+  }
+  return tiles.length;
+}
+
+function normalizeMacroStep(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const type = safeTrim(raw.type, 24);
+  if (!MACRO_STEP_TYPES.has(type)) return null;
+  const step = { type };
+  if (raw.continueOnError === true) step.continueOnError = true;
+
+  if (type === "tile") {
+    step.tileId = safeTrim(raw.tileId, 96);
+    return step.tileId ? step : null;
+  }
+  if (type === "action") {
+    step.action = safeTrim(raw.action, 64);
+    if (!NAMED_ACTIONS.has(step.action)) return null;
+    const url = normalizeHttpUrl(raw.url || "");
+    if (url) step.url = url;
+    if (WINDOW_ACTION_OPS[step.action]) {
+      const target = normalizeWindowTarget(raw, step.action);
+      if (!target) return null;
+      Object.assign(step, target);
+    }
+    if (OBS_ACTION_REQUESTS[step.action]) {
+      const target = normalizeObsTarget(raw, step.action);
+      if (!target) return null;
+      Object.assign(step, target);
+    }
+    if (step.action === "soundboardPlay") {
+      const target = normalizeSoundTarget(raw);
+      if (!target) return null;
+      Object.assign(step, target);
+    }
+    return step;
+  }
+  if (type === "delay") {
+    const ms = Number(raw.ms);
+    if (!Number.isFinite(ms) || ms < 0) return null;
+    step.ms = Math.min(MACRO_MAX_DELAY_MS, Math.trunc(ms));
+    return step;
+  }
+  if (type === "waitProcess") {
+    step.processName = safeTrim(raw.processName, 120);
+    if (!step.processName || /[\\/]/.test(step.processName)) return null;
+    const timeoutMs = Number(raw.timeoutMs);
+    step.timeoutMs = Number.isFinite(timeoutMs) && timeoutMs > 0
+      ? Math.min(MACRO_MAX_DELAY_MS, Math.trunc(timeoutMs))
+      : MACRO_DEFAULT_WAIT_TIMEOUT_MS;
+    return step;
+  }
+
+  const processName = safeTrim(raw.processName, 120);
+  const sessionKey = typeof raw.sessionKey === "string" && !/[\r\n]/.test(raw.sessionKey)
+    ? safeTrim(raw.sessionKey, 360)
+    : "";
+  if (!processName && !sessionKey) return null;
+  if (processName) step.processName = processName;
+  if (sessionKey) step.sessionKey = sessionKey;
+  if (type === "volume") {
+    const volumePercent = Number(raw.volumePercent);
+    if (!Number.isFinite(volumePercent)) return null;
+    step.volumePercent = Math.max(0, Math.min(100, Math.round(volumePercent * 10) / 10));
+    return step;
+  }
+  step.muted = raw.muted === true || String(raw.muted || "").toLowerCase() === "true";
+  return step;
+}
+
+function normalizeMacroSteps(input) {
+  if (!Array.isArray(input)) return [];
+  const out = [];
+  for (const raw of input) {
+    if (out.length >= MACRO_MAX_STEPS) break;
+    const step = normalizeMacroStep(raw);
+    if (step) out.push(step);
+  }
+  return out;
+}
+
+function parseCronField(raw, def) {
+  const values = new Set();
+  for (const part of String(raw || "").split(",")) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part.trim());
+    if (!m) throw new Error(`cron ${def.name} ungueltig: ${part}`);
+    const step = m[4] ? Number(m[4]) : 1;
+    let from = m[1] === "*" ? def.min : Number(m[2]);
+    let to = m[1] === "*" ? def.max : (m[3] !== undefined ? Number(m[3]) : (m[4] ? def.max : from));
+    if (!step || from < def.min || to > def.max || from > to) throw new Error(`cron ${def.name} ausserhalb ${def.min}-${def.max}: ${part}`);
+    for (; from <= to; from += step) values.add(from);
+  }
+  return values;
+}
+
+// Standard 5-field cron (minute hour day month weekday); day and weekday match with OR when both are restricted.
+function parseCronExpression(expr) {
+  const fields = String(expr || "").trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error("cron braucht 5 Felder (Minute Stunde Tag Monat Wochentag)");
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*"
+  };
+}
+
+function normalizeScheduleTimes(input) {
+  const list = Array.isArray(input) ? input : String(input || "").split(/[,;\s]+/);
+  const out = [];
+  for (const raw of list) {
+    const m = SCHEDULE_TIME_RE.exec(String(raw || "").trim());
+    if (!m) continue;
+    out.push(`${m[1].padStart(2, "0")}:${m[2]}`);
+  }
+  return uniq(out).sort().slice(0, SCHEDULE_MAX_TIMES);
+}
+
+function normalizeSchedule(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const id = safeTrim(raw.id, 64);
+  const label = safeTrim(raw.label, 80);
+  if (!id || !label) return null;
+  const schedule = { id, label, enabled: raw.enabled !== false };
+
+  const cron = safeTrim(raw.cron, 120).replace(/\s+/g, " ");
+  if (cron) {
+    try {
+      parseCronExpression(cron);
+    } catch {
+      return null;
+    }
+    schedule.cron = cron;
+  } else {
+    schedule.times = normalizeScheduleTimes(raw.times);
+    if (!schedule.times.length) return null;
+    const days = Array.isArray(raw.days) ? raw.days.map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6) : [];
+    schedule.days = uniq(days).sort((a, b) => a - b);
+  }
+
+  const tileId = safeTrim(raw.tileId, 96);
+  if (tileId) {
+    schedule.tileId = tileId;
+  } else {
+    schedule.steps = normalizeMacroSteps(raw.steps);
+    if (!schedule.steps.length) return null;
+  }
+  return schedule;
+}
+
+function normalizeSchedules(input) {
+  if (!Array.isArray(input)) return [];
+  const out = [];
+  const seen = new Set();
+  for (const raw of input) {
+    const schedule = normalizeSchedule(raw);
+    if (!schedule || seen.has(schedule.id)) continue;
+    seen.add(schedule.id);
+    out.push(schedule);
+    if (out.length >= SCHEDULE_MAX_COUNT) break;
+  }
+  return out;
+}
+
+function normalizeVariables(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return {};
+  const out = {};
+  for (const [name, value] of Object.entries(input)) {
+    if (!VARIABLE_NAME_RE.test(name) || typeof value !== "string") continue;
+    out[name] = value.slice(0, VARIABLE_MAX_VALUE_CHARS);
+    if (Object.keys(out).length >= VARIABLE_MAX_COUNT) break;
+  }
+  return out;
+}
+
+function normalizeRuleTrigger(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const type = safeTrim(raw.type, 24);
+  if (!RULE_TRIGGER_TYPES.has(type)) return null;
+  const trigger = { type };
+  if (type === "processStart" || type === "processStop" || type === "audioSession") {
+    const processName = safeTrim(raw.processName, 120);
+    if (processName && /[\\/]/.test(processName)) return null;
+    if (!processName && type !== "audioSession") return null;
+    if (processName) trigger.processName = processName;
+  }
+  if (type === "cpuAbove") {
+    const threshold = Number(raw.threshold);
+    if (!Number.isFinite(threshold) || threshold < 1 || threshold > 100) return null;
+    trigger.threshold = Math.round(threshold);
+    const forSec = Number(raw.forSec);
+    trigger.forSec = Number.isFinite(forSec) && forSec > 0 ? Math.min(RULE_MAX_CPU_SUSTAIN_SEC, Math.trunc(forSec)) : 0;
+  }
+  return trigger;
+}
+
+// Rule actions are macro steps plus `profile`, which switches the active profile on connected clients.
+function normalizeRuleAction(raw) {
+  if (raw && typeof raw === "object" && raw.type === "profile") {
+    const profile = safeTrim(raw.profile, 32);
+    if (!profile) return null;
+    const page = safeTrim(raw.page, 32);
+    return page ? { type: "profile", profile, page } : { type: "profile", profile };
+  }
+  return normalizeMacroStep(raw);
+}
+
+function normalizeRule(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const id = safeTrim(raw.id, 64);
+  const label = safeTrim(raw.label, 80);
+  const trigger = normalizeRuleTrigger(raw.trigger);
+  if (!id || !label || !trigger) return null;
+  const actions = (Array.isArray(raw.actions) ? raw.actions : [])
+    .slice(0, MACRO_MAX_STEPS)
+    .map(normalizeRuleAction)
+    .filter(Boolean);
+  if (!actions.length) return null;
+  const cooldownSec = Number(raw.cooldownSec);
+  return {
+    id,
+    label,
+    enabled: raw.enabled !== false,
+    trigger,
+    actions,
+    cooldownSec: Number.isFinite(cooldownSec) && cooldownSec >= 0
+      ? Math.min(RULE_MAX_COOLDOWN_SEC, Math.trunc(cooldownSec))
+      : RULE_DEFAULT_COOLDOWN_SEC
+  };
+}
+
+function normalizeRules(input) {
+  if (!Array.isArray(input)) return [];
+  const out = [];
+  const seen = new Set();
+  for (const raw of input) {
+    const rule = normalizeRule(raw);
+    if (!rule || seen.has(rule.id)) continue;
+    seen.add(rule.id);
+    out.push(rule);
+    if (out.length >= RULE_MAX_COUNT) break;
+  }
+  return out;
+}
+
+function normalizeShowIfCondition(raw, depth = 0) {
+  if (typeof raw === "string") {
+    const legacy = safeTrim(raw, 24);
+    return legacy && TILE_SHOW_IF.has(legacy) ? { type: legacy } : null;
+  }
+  if (!raw || typeof raw !== "object" || depth > SHOW_IF_MAX_DEPTH) return null;
+  const type = safeTrim(raw.type, 24);
+  if (!SHOW_IF_CONDITION_TYPES.has(type)) return null;
+
+  if (type === "wowRunning" || type === "wowNotRunning") return { type };
+  if (type === "process") {
+    const name = safeTrim(raw.name, 120);
+    if (!name || /[\\/]/.test(name)) return null;
+    return { type, name, running: raw.running !== false };
+  }
+  if (type === "time") {
+    const from = normalizeScheduleTimes([raw.from])[0];
+    const to = normalizeScheduleTimes([raw.to])[0];
+    return from && to ? { type, from, to } : null;
+  }
+  if (type === "weekday") {
+    const days = Array.isArray(raw.days) ? raw.days.map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6) : [];
+    return days.length ? { type, days: uniq(days).sort((a, b) => a - b) } : null;
+  }
+  if (type === "pathExists") {
+    const target = String(raw.path || "").trim();
+    if (!target || target.includes("\0") || target.length > MAX_PATH_LEN) return null;
+    return { type, path: target, exists: raw.exists !== false };
+  }
+  if (type === "audioSession") {
+    const name = safeTrim(raw.name, 120);
+    return name ? { type, name, present: raw.present !== false } : null;
+  }
+  if (type === "not") {
+    const condition = normalizeShowIfCondition(raw.condition, depth + 1);
+    return condition ? { type, condition } : null;
+  }
+  const conditions = (Array.isArray(raw.conditions) ? raw.conditions : [])
+    .slice(0, SHOW_IF_MAX_CONDITIONS)
+    .map((x) => normalizeShowIfCondition(x, depth + 1))
+    .filter(Boolean);
+  return conditions.length ? { type, conditions } : null;
+}
+
+// Legacy string values stay strings; everything else is a condition tree.
+function normalizeShowIf(raw) {
+  if (raw === undefined || raw === null || raw === "") return "";
+  if (typeof raw === "string") {
+    const legacy = safeTrim(raw, 24);
+    return TILE_SHOW_IF.has(legacy) ? legacy : "";
+  }
+  return normalizeShowIfCondition(raw) || "";
+}
+
+function normalizeToggleSide(raw) {
+  const side = raw && typeof raw === "object" ? raw : {};
+  return {
+    label: safeTrim(side.label, 80),
+    subtitle: safeTrim(side.subtitle, 140),
+    icon: safeTrim(side.icon, 12),
+    steps: normalizeMacroSteps(side.steps)
+  };
+}
+
+// `name` is the process image, audio session or addon folder; CurseForge needs none.
+// Process toggles have no built-in flip, so at least one side must carry steps.
+function normalizeToggle(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const source = safeTrim(raw.source, 24);
+  if (!TOGGLE_STATE_SOURCES.has(source)) return null;
+  const toggle = { source, on: normalizeToggleSide(raw.on), off: normalizeToggleSide(raw.off) };
+  if (source !== "curseforge") {
+    let name = safeTrim(raw.name, 120);
+    if (source === "addonEnabled") name = name.replace(/\.disabled$/i, "");
+    if (!name || /[\\/\0]/.test(name) || name === "." || name === "..") return null;
+    toggle.name = name;
+  }
+  if (source === "process" && !toggle.on.steps.length && !toggle.off.steps.length) return null;
+  return toggle;
+}
+
+// Live value shown instead of the subtitle; `format` may place the value via `{value}`.
+function normalizeTileFace(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const source = safeTrim(raw.source, 24);
+  if (!TILE_FACE_SOURCES.has(source)) return null;
+  const face = { source };
+  if (source === "volume") {
+    const name = safeTrim(raw.name, 120);
+    if (!name) return null;
+    face.name = name;
+  }
+  const format = safeTrim(raw.format, 60);
+  if (format) face.format = format;
+  return face;
+}
+
+// The URL lives in `target`; method, headers, JSON body and timeout in `webhook`.
+function normalizeWebhook(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const method = safeTrim(src.method || "POST", 8).toUpperCase();
+  if (!WEBHOOK_METHODS.has(method)) return null;
+  const timeoutMs = Number(src.timeoutMs);
+  const webhook = {
+    method,
+    headers: {},
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0
+      ? Math.max(1000, Math.min(WEBHOOK_MAX_TIMEOUT_MS, Math.trunc(timeoutMs)))
+      : WEBHOOK_DEFAULT_TIMEOUT_MS
+  };
+  const headers = src.headers && typeof src.headers === "object" && !Array.isArray(src.headers) ? src.headers : {};
+  const entries = Object.entries(headers);
+  if (entries.length > WEBHOOK_MAX_HEADERS) return null;
+  for (const [name, value] of entries) {
+    if (!WEBHOOK_HEADER_NAME_RE.test(name) || typeof value !== "string" || /[\r\n\0]/.test(value) || value.length > 1024) return null;
+    webhook.headers[name] = value;
+  }
+  if (src.body !== undefined && src.body !== null && src.body !== "") {
+    if (method === "GET") return null;
+    const json = JSON.stringify(src.body);
+    if (!json || json.length > WEBHOOK_MAX_BODY_CHARS) return null;
+    webhook.body = JSON.parse(json);
+  }
+  return webhook;
+}
+
+// Targets starting with a template are only checked at run time, once the template is resolved.
+function isWebhookTargetValid(target) {
+  const text = String(target || "").trim();
+  if (text.startsWith("{{")) return true;
+  return /^https?:\/\//i.test(text) && Boolean(normalizeHttpUrl(text.replace(/\{\{[^{}]+\}\}/g, "x")));
+}
+
+function lookupKey(name) {
+  const lower = String(name || "").trim().toLowerCase().replace(/\s+/g, "");
+  return KEY_LOOKUP.get(KEY_NAME_ALIASES[lower] || lower) || null;
+}
+
+// Combos are stored as "Ctrl+Shift+F1": modifiers first in fixed order, at most one other key.
+function normalizeKeyCombo(value) {
+  const parts = String(value || "").split("+").map((x) => x.trim()).filter(Boolean);
+  if (!parts.length || parts.length > KEYS_MAX_COMBO_KEYS) return "";
+  const mods = new Set();
+  let key = "";
+  for (const part of parts) {
+    const found = lookupKey(part);
+    if (!found) return "";
+    if (Object.values(KEY_MODIFIERS).includes(found)) {
+      mods.add(found.name);
+      continue;
+    }
+    if (key) return "";
+    key = found.name;
+  }
+  const ordered = Object.values(KEY_MODIFIERS).map((x) => x.name).filter((x) => mods.has(x));
+  if (key) ordered.push(key);
+  return ordered.join("+");
+}
+
+function keyComboCodes(combo) {
+  return combo.split("+").map((part) => lookupKey(part).vk);
+}
+
+function normalizeKeysStep(raw) {
+  if (typeof raw === "string") raw = { combo: raw };
+  if (!raw || typeof raw !== "object") return null;
+  if (raw.combo !== undefined) {
+    const combo = normalizeKeyCombo(raw.combo);
+    if (!combo) return null;
+    const step = { combo };
+    const holdMs = Number(raw.holdMs);
+    if (Number.isFinite(holdMs) && holdMs > 0) step.holdMs = Math.min(KEYS_MAX_HOLD_MS, Math.trunc(holdMs));
+    return step;
+  }
+  if (raw.text !== undefined) {
+    const text = typeof raw.text === "string" ? raw.text : "";
+    if (!text || text.length > KEYS_MAX_TEXT_CHARS || text.includes("\0")) return null;
+    return { text };
+  }
+  if (raw.delayMs !== undefined) {
+    const delayMs = Number(raw.delayMs);
+    if (!Number.isFinite(delayMs) || delayMs < 0) return null;
+    return { delayMs: Math.min(KEYS_MAX_DELAY_MS, Math.trunc(delayMs)) };
+  }
+  return null;
+}
+
+// `sequence` holds combo, text and delay steps; `process` optionally names the window to focus first.
+function normalizeKeys(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const list = Array.isArray(raw.sequence) ? raw.sequence : [];
+  if (!list.length || list.length > KEYS_MAX_STEPS) return null;
+  const sequence = [];
+  for (const item of list) {
+    const step = normalizeKeysStep(item);
+    if (!step) return null;
+    sequence.push(step);
+  }
+  if (!sequence.some((step) => step.delayMs === undefined)) return null;
+  const keys = { sequence };
+  const processName = safeTrim(raw.process, 120).replace(/\.exe$/i, "");
+  if (processName) keys.process = processName;
+  return keys;
+}
+
+// Typed text is only described by its length so it never ends up in logs or run history.
+function describeKeysStep(step) {
+  if (step.combo) return step.holdMs ? `${step.combo} (${step.holdMs} ms)` : step.combo;
+  if (step.text !== undefined) return `Text (${step.text.length} Zeichen)`;
+  return `Warten ${step.delayMs} ms`;
+}
+
+function normalizeTileParam(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const name = safeTrim(raw.name, 32);
+  const type = safeTrim(raw.type || "text", 16);
+  if (!TILE_PARAM_NAME_RE.test(name) || !TILE_PARAM_TYPES.has(type)) return null;
+  const param = { name, label: safeTrim(raw.label, 60) || name, type, required: raw.required !== false };
+  if (type === "choice") {
+    param.options = safeArray(raw.options, 200, TILE_PARAM_MAX_OPTIONS);
+    if (!param.options.length || Array.isArray(raw.options) && raw.options.length > TILE_PARAM_MAX_OPTIONS) return null;
+  }
+  if (type === "number") {
+    for (const key of ["min", "max"]) {
+      if (raw[key] === undefined || raw[key] === null || raw[key] === "") continue;
+      const num = Number(raw[key]);
+      if (!Number.isFinite(num)) return null;
+      param[key] = num;
+    }
+    if (param.min !== undefined && param.max !== undefined && param.min > param.max) return null;
+  }
+  if (type === "path") param.pathKind = raw.pathKind === "folder" ? "folder" : "file";
+  if (raw.default !== undefined && raw.default !== null && raw.default !== "") {
+    try {
+      param.default = checkTileParamValue(param, raw.default, false);
+    } catch {
+      return null;
+    }
+  }
+  return param;
+}
+
+// Returns [] when no params are declared and null when the list is invalid.
+function normalizeTileParams(raw) {
+  if (raw === undefined || raw === null || raw === "") return [];
+  if (!Array.isArray(raw) || raw.length > TILE_MAX_PARAMS) return null;
+  const params = [];
+  for (const item of raw) {
+    const param = normalizeTileParam(item);
+    if (!param || params.some((x) => x.name === param.name)) return null;
+    params.push(param);
+  }
+  return params;
+}
+
+// Paths are only checked when a value is supplied for a run, not for saved defaults.
+function checkTileParamValue(param, value, checkPath = true) {
+  const text = typeof value === "number" ? String(value) : typeof value === "string" ? value.trim() : "";
+  if (!text || /[\0\r\n]/.test(text)) throw new Error(`Parameter ${param.label} ungueltig`);
+  if (param.type === "number") {
+    const num = Number(text);
+    if (!Number.isFinite(num)) throw new Error(`Parameter ${param.label} ist keine Zahl`);
+    if ((param.min !== undefined && num < param.min) || (param.max !== undefined && num > param.max)) {
+      throw new Error(`Parameter ${param.label} ausserhalb von ${param.min ?? "-"}..${param.max ?? "-"}`);
+    }
+    return String(num);
+  }
+  if (param.type === "choice") {
+    if (!param.options.includes(text)) throw new Error(`Parameter ${param.label}: Auswahl ungueltig`);
+    return text;
+  }
+  if (param.type === "path") {
+    if (text.length > MAX_PATH_LEN) throw new Error(`Parameter ${param.label} ungueltig`);
+    const expanded = expandEnv(text);
+    const exists = param.pathKind === "folder" ? dirExists(expanded) : fileExists(expanded);
+    if (checkPath && !exists) throw new Error(`Parameter ${param.label}: Pfad nicht gefunden: ${expanded}`);
+    return checkPath ? expanded : text;
+  }
+  if (text.length > TILE_PARAM_MAX_TEXT_CHARS) throw new Error(`Parameter ${param.label} zu lang (max ${TILE_PARAM_MAX_TEXT_CHARS})`);
+  return text;
+}
+
+// Values for one run: supplied value, then default; a missing required value is a 400.
+function resolveTileParams(tile, raw) {
+  if (!Array.isArray(tile.params) || !tile.params.length) return null;
+  const src = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const values = {};
+  try {
+    for (const param of tile.params) {
+      const given = src[param.name];
+      const supplied = given !== undefined && given !== null && String(given).trim() !== "";
+      if (supplied) values[param.name] = checkTileParamValue(param, given);
+      else if (param.default !== undefined) values[param.name] = checkTileParamValue(param, param.default);
+      else if (param.required) throw new Error(`Parameter ${param.label} fehlt`);
+      else values[param.name] = "";
+    }
+  } catch (error) {
+    throw Object.assign(error, { status: 400 });
+  }
+  return values;
+}
+
+// The command itself lives in `target`, arguments in `args` and the working directory in `startIn`.
+function normalizeCommand(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const timeoutMs = Number(src.timeoutMs);
+  return {
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0
+      ? Math.max(1000, Math.min(COMMAND_MAX_TIMEOUT_MS, Math.trunc(timeoutMs)))
+      : COMMAND_DEFAULT_TIMEOUT_MS
+  };
+}
+
+// Start options of app tiles. Invalid input gives null; all-default options are dropped by the callers.
+function normalizeAppLaunch(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+  if (raw.window !== undefined && !APP_LAUNCH_WINDOW_STATES.has(raw.window)) return null;
+  if (raw.ifRunning !== undefined && !APP_LAUNCH_IF_RUNNING.has(raw.ifRunning)) return null;
+  const launch = {
+    admin: raw.admin === true,
+    window: APP_LAUNCH_WINDOW_STATES.has(raw.window) ? raw.window : "normal",
+    ifRunning: APP_LAUNCH_IF_RUNNING.has(raw.ifRunning) ? raw.ifRunning : "start",
+    env: {}
+  };
+  const env = raw.env && typeof raw.env === "object" && !Array.isArray(raw.env) ? raw.env : {};
+  const entries = Object.entries(env);
+  if (entries.length > APP_LAUNCH_MAX_ENV) return null;
+  for (const [name, value] of entries) {
+    if (!APP_LAUNCH_ENV_NAME_RE.test(name) || typeof value !== "string" || /[\r\n\0]/.test(value) || value.length > 1024) return null;
+    launch.env[name] = value;
+  }
+  const processName = safeTrim(raw.process, 120).replace(/\.exe$/i, "");
+  if (/[\\/]/.test(processName)) return null;
+  if (processName) launch.process = processName;
+  return launch;
+}
+
+function isAppLaunchDefault(launch) {
+  return !launch.admin && launch.window === "normal" && launch.ifRunning === "start" && !Object.keys(launch.env).length;
+}
+
 function normalizeTile(raw) {
   if (!raw || typeof raw !== "object") return null;
   const id = safeTrim(raw.id, 64);
@@ -1307,7 +2370,7 @@ function normalizeTile(raw) {
     subtitle: safeTrim(raw.subtitle, 140),
     type,
     builtin: Boolean(raw.builtin),
-    showIf: TILE_SHOW_IF.has(safeTrim(raw.showIf, 24)) ? safeTrim(raw.showIf, 24) : "",
+    showIf: normalizeShowIf(raw.showIf),
     iconMode: ICON_MODES.has(raw.iconMode) ? raw.iconMode : "emoji",
     icon: safeTrim(raw.icon, 12),
     iconData: typeof raw.iconData === "string" && raw.iconData.length <= MAX_ICON_DATA_URL_LEN ? raw.iconData : ""
@@ -1326,10 +2389,41 @@ function normalizeTile(raw) {
     tile.startIn = startIn;
   }
   if (typeof raw.action === "string" && raw.action.trim()) tile.action = safeTrim(raw.action, 64);
+  if (tile.type === "macro") tile.steps = normalizeMacroSteps(raw.steps);
+  if (tile.type === "toggle") tile.toggle = normalizeToggle(raw.toggle);
+  if (tile.type === "webhook") tile.webhook = normalizeWebhook(raw.webhook);
+  if (tile.type === "keys") tile.keys = normalizeKeys(raw.keys);
+  if (tile.type === "command") tile.command = normalizeCommand(raw.command);
+  if (tile.type === "action" && WINDOW_ACTION_OPS[tile.action]) {
+    const target = normalizeWindowTarget(raw.window, tile.action);
+    if (!target) return null;
+    tile.window = target;
+  }
+  if (tile.type === "action" && obsActionHasTarget(tile.action)) {
+    const target = normalizeObsTarget(raw.obs, tile.action);
+    if (!target) return null;
+    tile.obs = target;
+  }
+  if (tile.type === "action" && tile.action === "soundboardPlay") {
+    const target = normalizeSoundTarget(raw.sound);
+    if (!target) return null;
+    tile.sound = target;
+  }
+  const launch = tile.type === "app" ? normalizeAppLaunch(raw.launch) : null;
+  if (launch && !isAppLaunchDefault(launch)) tile.launch = launch;
+  const params = TILE_PARAM_TILE_TYPES.has(tile.type) ? normalizeTileParams(raw.params) : null;
+  if (params && params.length) tile.params = params;
+  const face = normalizeTileFace(raw.face);
+  if (face) tile.face = face;
+  if (Number.isInteger(raw.order) && raw.order >= 0 && raw.order <= TILE_MAX_ORDER) tile.order = raw.order;
 
   if (tile.type === "action" && (!tile.action || !NAMED_ACTIONS.has(tile.action))) return null;
+  if (tile.type === "macro" && !tile.steps.length) return null;
+  if (tile.type === "toggle" && !tile.toggle) return null;
+  if (tile.type === "webhook" && (!tile.webhook || !isWebhookTargetValid(tile.target))) return null;
+  if (tile.type === "keys" && !tile.keys) return null;
   if (tile.type === "app" && !tile.target && !tile.launcherKey) return null;
-  if ((tile.type === "folder" || tile.type === "url" || tile.type === "protocol") && !tile.target) return null;
+  if ((tile.type === "folder" || tile.type === "url" || tile.type === "protocol" || tile.type === "command") && !tile.target) return null;
   if (tile.type === "url" && !normalizeHttpUrl(tile.target)) return null;
   if (tile.type === "protocol" && !normalizeProtocolTarget(tile.target)) return null;
 
@@ -1437,6 +2531,12 @@ function mergeWithDefaults(raw) {
 
   out.profiles = normalizeProfiles(cfg.profiles);
   out.tiles = ensureBuiltinTiles(cfg.tiles);
+  out.apiTokens = normalizeApiTokens(cfg.apiTokens);
+  out.schedules = normalizeSchedules(cfg.schedules);
+  out.rules = normalizeRules(cfg.rules);
+  out.variables = normalizeVariables(cfg.variables);
+  out.obs = normalizeObsSettings(cfg.obs);
+  out.soundboard = normalizeSoundboardSettings(cfg.soundboard);
   if (!DISABLE_AUTODETECT) autodetectLaunchers(out);
   return out;
 }
@@ -1465,6 +2565,7 @@ function resolveConfigPath() {
 }
 
 const CONFIG_PATH = resolveConfigPath();
+const SOUNDBOARD_DIR = path.join(path.dirname(CONFIG_PATH), "soundboard");
 
 const loggerState = {
   enabled: true,
@@ -1792,9 +2893,9 @@ function resolveCurseForgeExecutablePath() {
   return "";
 }
 
-function resolveTileTarget(tile) {
+function resolveTileTarget(tile, scope = config) {
   if (tile.launcherKey) return resolveLauncherPath(tile.launcherKey);
-  if (typeof tile.target === "string") return unquoteWrapped(resolveTemplate(tile.target, config));
+  if (typeof tile.target === "string") return unquoteWrapped(resolveTemplate(tile.target, scope));
   return "";
 }
 
@@ -1819,6 +2920,10 @@ function safeWorkspaceDir() {
 function runNamedAction(name, payload = {}) {
   const action = String(name || "").trim();
   if (!action) throw new Error("Action fehlt");
+  if (WINDOW_ACTION_OPS[action]) return runWindowAction(action, payload);
+  if (OBS_ACTION_REQUESTS[action]) return runObsAction(action, payload);
+  if (action === "soundboardPlay") return playSoundboardClip(payload, "action");
+  if (action === "soundboardStopAll") return stopSoundboardPlayback();
 
   if (action === "terminal") {
     startViaCmd("wt.exe");
@@ -1863,6 +2968,14 @@ function runNamedAction(name, payload = {}) {
     startViaCmd(`http://localhost:${config.port}/StreamDeck.html?profile=gaming&page=main&panel=performanceOverlay`);
     return;
   }
+  if (action === "processManager") {
+    startViaCmd(`http://localhost:${config.port}/StreamDeck.html?profile=gaming&page=main&panel=processManager`);
+    return;
+  }
+  if (action === "obsPanel") {
+    startViaCmd(`http://localhost:${config.port}/StreamDeck.html?profile=streaming&page=main&panel=obsPanel`);
+    return;
+  }
   if (action === "wowStart") {
     const wowExe = assertFilePath(resolveLauncherPath("wow"), "WoW Launcher");
     startViaCmd(wowExe);
@@ -1878,33 +2991,58 @@ function runNamedAction(name, payload = {}) {
   throw new Error(`Unbekannte Action: ${action}`);
 }
 
-function runTile(tile, payload = {}) {
+async function runTile(tile, payload = {}, context = {}) {
   if (!tile || typeof tile !== "object") throw new Error("Tile fehlt");
+  const params = resolveTileParams(tile, payload?.params);
+  if (params) context = { ...context, params };
+  if (tileUsesClipboard(tile)) context = { ...context, clipboard: await readClipboardText() };
+  const scope = tileTemplateScope(context);
+
+  if (tile.type === "macro") {
+    return startMacroRun(tile, context);
+  }
+
+  if (tile.type === "toggle") {
+    return startMacroRun({
+      id: `toggle:${tile.id}`,
+      label: tile.label,
+      profile: tile.profile,
+      page: tile.page,
+      steps: [{ type: "tile", tileId: tile.id }]
+    }, context);
+  }
 
   if (tile.type === "action") {
     if (!tile.action) throw new Error("Tile Action fehlt");
+    if (WINDOW_ACTION_OPS[tile.action]) return { window: await runWindowAction(tile.action, { ...payload, ...tile.window }) };
+    if (OBS_ACTION_REQUESTS[tile.action]) return { obs: await runObsAction(tile.action, { ...payload, ...tile.obs }) };
+    if (tile.action === "soundboardPlay") return { sound: await playSoundboardClip(tile.sound, `tile:${tile.id}`) };
     runNamedAction(tile.action, payload);
     return;
   }
 
   if (tile.type === "app") {
-    const split = splitLaunchTargetInput(resolveTileTarget(tile));
+    const split = splitLaunchTargetInput(resolveTileTarget(tile, scope), { expand: false });
     let resolvedTarget = split.command;
-    const rawArgs = [
+    // Args split off the target are already resolved; only the tile's own args still hold templates.
+    const args = [
       ...split.args,
-      ...(Array.isArray(tile.args) ? tile.args.map((x) => String(x)) : [])
-    ];
-    const args = rawArgs.map((x) => String(resolveTemplate(String(x), config))).filter(Boolean);
+      ...(Array.isArray(tile.args) ? tile.args.map((x) => String(resolveTemplate(String(x), scope))) : [])
+    ].filter(Boolean);
 
     if (!fileExists(resolvedTarget)) {
       const fromResolver = resolveProgramPath(resolvedTarget);
       if (fromResolver) resolvedTarget = fromResolver;
     }
     const target = assertFilePath(resolvedTarget, `Programm ${tile.label || tile.id}`);
-    const cwd = tile.startIn ? resolveTemplate(tile.startIn, config) : "";
+    const cwd = tile.startIn ? resolveTemplate(tile.startIn, scope) : "";
     const ext = path.extname(target).toLowerCase();
+    const viaCmd = ext === ".lnk" || ext === ".bat" || ext === ".cmd" || ext === ".com";
+    // Parameter and clipboard values end up in these args, and these targets are started through cmd.exe.
+    if (viaCmd) assertCmdSafeArgs(args, ".lnk/.bat/.cmd/.com");
+    if (tile.launch) return { launch: await runAppLaunch(tile, target, args, cwd, context) };
 
-    if (ext === ".lnk" || ext === ".bat" || ext === ".cmd" || ext === ".com") {
+    if (viaCmd) {
       startViaCmd(target, args, cwd);
     } else {
       spawnDetached(target, args, cwd ? { cwd } : {});
@@ -1912,21 +3050,33 @@ function runTile(tile, payload = {}) {
     return;
   }
 
+  if (tile.type === "webhook") {
+    return runWebhookTile(tile, context).then((webhook) => ({ webhook }));
+  }
+
+  if (tile.type === "keys") {
+    return runKeysTile(tile, context).then((keys) => ({ keys }));
+  }
+
+  if (tile.type === "command") {
+    return runCommandTile(tile, context).then((command) => ({ command }));
+  }
+
   if (tile.type === "folder") {
-    const folder = assertFolderPath(resolveTileTarget(tile), `Ordner ${tile.label || tile.id}`);
+    const folder = assertFolderPath(resolveTileTarget(tile, scope), `Ordner ${tile.label || tile.id}`);
     startViaCmd("explorer.exe", [folder]);
     return;
   }
 
   if (tile.type === "url") {
-    const url = normalizeHttpUrl(resolveTileTarget(tile));
+    const url = normalizeHttpUrl(resolveTileTarget(tile, tileTemplateScope(context, true)));
     if (!url) throw new Error("ungueltige URL");
     startViaCmd(url);
     return;
   }
 
   if (tile.type === "protocol") {
-    const protocol = normalizeProtocolTarget(resolveTileTarget(tile));
+    const protocol = normalizeProtocolTarget(resolveTileTarget(tile, tileTemplateScope(context, true)));
     if (!protocol) throw new Error("ungueltiges Protocol");
     startViaCmd(protocol);
     return;
@@ -1935,917 +3085,2239 @@ function runTile(tile, payload = {}) {
   throw new Error(`Tile Typ nicht unterstuetzt: ${tile.type}`);
 }
 
-function runLegacyAction(action, payload = {}) {
-  if (action === "vscode") {
-    const tile = config.tiles.find((x) => x.id === "vscode");
-    if (!tile) throw new Error("vscode tile fehlt");
-    runTile(tile, payload);
-    return;
-  }
-  if (action === "wowClassic" || action === "wowTBC") {
-    const tile = config.tiles.find((x) => x.id === "wowLauncher");
-    if (!tile) throw new Error("wow launcher tile fehlt");
-    runTile(tile, payload);
-    return;
+async function readLimitedResponseText(response, maxBytes) {
+  const reader = response.body ? response.body.getReader() : null;
+  const chunks = [];
+  let bytes = 0;
+  let truncated = false;
+  if (!reader) return { text: "", bytes, truncated };
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (bytes + value.length > maxBytes) {
+      chunks.push(Buffer.from(value.subarray(0, maxBytes - bytes)));
+      bytes = maxBytes;
+      truncated = true;
+      await reader.cancel().catch(() => {});
+      break;
+    }
+    chunks.push(Buffer.from(value));
+    bytes += value.length;
   }
-  if (action === "openWowAddons") {
-    startViaCmd("explorer.exe", [assertFolderPath(config.wow.folders.addons, "WoW Addons")]);
-    return;
-  }
-  if (action === "openWowLogs") {
-    startViaCmd("explorer.exe", [assertFolderPath(config.wow.folders.logs, "WoW Logs")]);
-    return;
-  }
-  if (action === "openWowWtf") {
-    startViaCmd("explorer.exe", [assertFolderPath(config.wow.folders.wtf, "WoW WTF")]);
-    return;
-  }
-  runNamedAction(action, payload);
+  return { text: Buffer.concat(chunks).toString("utf8"), bytes, truncated };
 }
 
-async function runPowerShell(script, args = [], timeoutMs = 10000, options = {}) {
-  const cmdArgs = ["-NoProfile", "-ExecutionPolicy", "Bypass"];
-  if (options && options.sta === true) cmdArgs.push("-Sta");
-  cmdArgs.push("-Command", script, ...args);
-  try {
-    const result = await execFileAsync("powershell.exe", cmdArgs, { windowsHide: true, timeout: timeoutMs });
-    return result.stdout.trim();
-  } catch (error) {
-    const details = [
-      error?.message ? String(error.message) : "",
-      error?.stderr ? String(error.stderr) : "",
-      error?.stdout ? String(error.stdout) : ""
-    ]
-      .filter(Boolean)
-      .join(" | ");
-    throw new Error(safeTrim(details || "powershell execution failed", 1200));
-  }
+// Tile types that finish with a result (webhook, keys) return `{ <type>: view }` instead of a macro run.
+function tileRunResult(ran) {
+  if (!ran || typeof ran !== "object") return null;
+  const key = TILE_RUN_RESULT_KEYS.find((x) => ran[x]);
+  return key ? { [key]: ran[key] } : null;
 }
 
-function parseJsonPayload(text) {
-  const raw = String(text || "").trim();
-  if (!raw) throw new Error("Leere JSON-Antwort");
-  try {
-    return JSON.parse(raw);
-  } catch {
-    // Continue with fallback extraction.
-  }
-
-  const firstObject = raw.indexOf("{");
-  const lastObject = raw.lastIndexOf("}");
-  if (firstObject >= 0 && lastObject > firstObject) {
-    const fragment = raw.slice(firstObject, lastObject + 1);
-    try {
-      return JSON.parse(fragment);
-    } catch {
-      // ignore and continue
-    }
-  }
-
-  const firstArray = raw.indexOf("[");
-  const lastArray = raw.lastIndexOf("]");
-  if (firstArray >= 0 && lastArray > firstArray) {
-    const fragment = raw.slice(firstArray, lastArray + 1);
-    return JSON.parse(fragment);
-  }
-  throw new Error(`JSON konnte nicht gelesen werden: ${safeTrim(raw, 260)}`);
+function describeTileRunResult(label, ran) {
+  if (ran?.webhook) return `${label}: ${ran.webhook.dryRun ? "dry-run" : `HTTP ${ran.webhook.status}`}`;
+  if (ran?.keys) return `${label}: ${ran.keys.dryRun ? "dry-run" : ran.keys.steps.join(", ")}`;
+  if (ran?.command) return `${label}: ${ran.command.dryRun ? "dry-run" : `Exit ${ran.command.exitCode}`}`;
+  if (ran?.window) return `${label}: ${ran.window.dryRun ? "dry-run" : `${ran.window.windows} Fenster`}`;
+  if (ran?.obs) return `${label}: ${describeObsResult(ran.obs)}`;
+  if (ran?.sound) return `${label}: ${describeSoundResult(ran.sound)}`;
+  if (ran?.launch) return `${label}: ${APP_LAUNCH_ACTION_LABELS[ran.launch.action]}${ran.launch.dryRun ? " (dry-run)" : ""}`;
+  return label;
 }
 
-async function runPowerShellJson(script, args = [], timeoutMs = 12000, options = {}) {
-  const output = await runPowerShell(script, args, timeoutMs, options);
-  return parseJsonPayload(output);
+// Run history keeps only the tail of each stream; the full (limited) output goes to the caller.
+function commandHistoryOutput(view) {
+  if (!view || view.dryRun) return null;
+  return {
+    exitCode: view.exitCode,
+    timedOut: view.timedOut,
+    durationMs: view.durationMs,
+    stdout: view.stdout.slice(-COMMAND_HISTORY_OUTPUT_CHARS),
+    stderr: view.stderr.slice(-COMMAND_HISTORY_OUTPUT_CHARS)
+  };
 }
 
-const AUDIO_MIXER_BRIDGE_CSHARP = String.raw`
-using System;
-using System.Collections.Generic;
-using System.Diagnostics;
-using System.Runtime.InteropServices;
-
-namespace StreamDeckAudio {
-  public enum EDataFlow { eRender = 0, eCapture = 1, eAll = 2 }
-  public enum ERole { eConsole = 0, eMultimedia = 1, eCommunications = 2 }
-  public enum AudioSessionState { Inactive = 0, Active = 1, Expired = 2 }
-
-  [Guid("A95664D2-9614-4F35-A746-DE8DB63617E6"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
-  interface IMMDeviceEnumerator {
-    int NotImpl1();
-    int GetDefaultAudioEndpoint(EDataFlow dataFlow, ERole role, out IMMDevice ppDevice);
-  }
+function webhookError(message, view) {
+  return Object.assign(new Error(message), { status: 502, webhook: view });
+}
+
+// The timeout covers connect and body; responses beyond the size limit are cut off, not failed.
+async function runWebhookTile(tile, context = {}) {
+  const { webhook } = tile;
+  const scope = tileTemplateScope(context);
+  const target = renderTemplateText(tile.target, tileTemplateScope(context, true));
+  const url = normalizeHttpUrl(target);
+  if (!url || !/^https?:\/\//i.test(target.trim())) throw new Error("Webhook URL ungueltig");
+  const headers = {};
+  for (const [name, value] of Object.entries(webhook.headers || {})) headers[name] = renderTemplateText(value, scope);
+  let body;
+  if (webhook.body !== undefined) {
+    body = JSON.stringify(renderTemplateValue(webhook.body, scope));
+    if (!Object.keys(headers).some((name) => name.toLowerCase() === "content-type")) headers["Content-Type"] = "application/json";
+  }
+  const host = new URL(url).host;
+  const view = {
+    method: webhook.method,
+    url,
+    status: 0,
+    ok: false,
+    durationMs: 0,
+    bytes: 0,
+    truncated: false,
+    body: ""
+  };
+  const logMeta = { requestId: context.requestId || "", tileId: tile.id, method: webhook.method, host };
 
-  [Guid("D666063F-1587-4E43-81F1-B948E807363F"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
-  interface IMMDevice {
-    int Activate(ref Guid iid, int dwClsCtx, IntPtr pActivationParams, [MarshalAs(UnmanagedType.IUnknown)] out object ppInterface);
+  if (DRY_RUN) {
+    logger.info("dry-run webhook skipped", { ...logMeta, headers: Object.keys(headers), bodyBytes: body ? Buffer.byteLength(body) : 0 });
+    return { ...view, ok: true, dryRun: true };
   }
 
-  [Guid("77AA99A0-1BD6-484F-8BC7-2C654C9A9B6F"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
-  interface IAudioSessionManager2 {
-    int NotImpl1();
-    int NotImpl2();
-    int GetSessionEnumerator(out IAudioSessionEnumerator SessionEnum);
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), webhook.timeoutMs);
+  try {
+    const response = await fetch(url, { method: webhook.method, headers, body, signal: controller.signal });
+    view.status = response.status;
+    view.ok = response.ok;
+    const read = await readLimitedResponseText(response, WEBHOOK_MAX_RESPONSE_BYTES);
+    view.bytes = read.bytes;
+    view.truncated = read.truncated;
+    view.body = read.text.slice(0, WEBHOOK_RESPONSE_PREVIEW_CHARS);
+  } catch (error) {
+    view.durationMs = Date.now() - startedAt;
+    const message = controller.signal.aborted
+      ? `Webhook Timeout nach ${webhook.timeoutMs} ms`
+      : `Webhook fehlgeschlagen: ${safeTrim(String(error?.cause?.message || error?.message || error), 200)}`;
+    logger.warn("webhook failed", { ...logMeta, error: message });
+    throw webhookError(message, view);
+  } finally {
+    clearTimeout(timer);
   }
-
-  [Guid("E2F5BB11-0570-40CA-ACDD-3AA01277DEE8"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
-  interface IAudioSessionEnumerator {
-    int GetCount(out int SessionCount);
-    int GetSession(int SessionCount, out IAudioSessionControl Session);
+  view.durationMs = Date.now() - startedAt;
+  if (!view.ok) {
+    logger.warn("webhook failed", { ...logMeta, status: view.status });
+    throw webhookError(`Webhook antwortete mit HTTP ${view.status}`, view);
   }
+  logger.info("webhook sent", { ...logMeta, status: view.status, durationMs: view.durationMs, bytes: view.bytes });
+  return view;
+}
 
-  [Guid("F4B1A599-7266-4319-A8CA-E70ACB11E8CD"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
-  interface IAudioSessionControl {
-    int GetState(out AudioSessionState pRetVal);
-    int GetDisplayName([MarshalAs(UnmanagedType.LPWStr)] out string pRetVal);
-    int SetDisplayName([MarshalAs(UnmanagedType.LPWStr)] string Value, ref Guid EventContext);
-    int GetIconPath([MarshalAs(UnmanagedType.LPWStr)] out string pRetVal);
-    int SetIconPath([MarshalAs(UnmanagedType.LPWStr)] string Value, ref Guid EventContext);
-    int GetGroupingParam(out Guid pRetVal);
-    int SetGroupingParam(ref Guid Override, ref Guid EventContext);
-    int RegisterAudioSessionNotification(IntPtr NewNotifications);
-    int UnregisterAudioSessionNotification(IntPtr NewNotifications);
-  }
+const KEYS_BRIDGE_CSHARP = String.raw`
+using System;
+using System.Diagnostics;
+using System.Runtime.InteropServices;
+using System.Threading;
 
-  [Guid("bfb7ff88-7239-4fc9-8fa2-07c950be9c6d"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
-  interface IAudioSessionControl2 {
-    int GetState(out AudioSessionState pRetVal);
-    int GetDisplayName([MarshalAs(UnmanagedType.LPWStr)] out string pRetVal);
-    int SetDisplayName([MarshalAs(UnmanagedType.LPWStr)] string Value, ref Guid EventContext);
-    int GetIconPath([MarshalAs(UnmanagedType.LPWStr)] out string pRetVal);
-    int SetIconPath([MarshalAs(UnmanagedType.LPWStr)] string Value, ref Guid EventContext);
-    int GetGroupingParam(out Guid pRetVal);
-    int SetGroupingParam(ref Guid Override, ref Guid EventContext);
-    int RegisterAudioSessionNotification(IntPtr NewNotifications);
-    int UnregisterAudioSessionNotification(IntPtr NewNotifications);
-    int GetSessionIdentifier([MarshalAs(UnmanagedType.LPWStr)] out string pRetVal);
-    int GetSessionInstanceIdentifier([MarshalAs(UnmanagedType.LPWStr)] out string pRetVal);
-    int GetProcessId(out uint pRetVal);
-    int IsSystemSoundsSession();
-    int SetDuckingPreference(bool optOut);
-  }
+namespace StreamDeckKeys {
+  public static class KeyBridge {
+    const uint INPUT_KEYBOARD = 1;
+    const uint KEYEVENTF_EXTENDEDKEY = 0x0001;
+    const uint KEYEVENTF_KEYUP = 0x0002;
+    const uint KEYEVENTF_UNICODE = 0x0004;
+    const int SW_RESTORE = 9;
 
-  [Guid("87CE5498-68D6-44E5-9215-6DA47EF883D8"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
-  interface ISimpleAudioVolume {
-    int SetMasterVolume(float fLevel, ref Guid EventContext);
-    int GetMasterVolume(out float pfLevel);
-    int SetMute(bool bMute, ref Guid EventContext);
-    int GetMute(out bool pbMute);
-  }
+    [StructLayout(LayoutKind.Sequential)]
+    struct MOUSEINPUT { public int dx; public int dy; public uint mouseData; public uint dwFlags; public uint time; public IntPtr dwExtraInfo; }
 
-  [ComImport, Guid("BCDE0395-E52F-467C-8E3D-C4579291692E")]
-  class MMDeviceEnumeratorComObject { }
+    [StructLayout(LayoutKind.Sequential)]
+    struct KEYBDINPUT { public ushort wVk; public ushort wScan; public uint dwFlags; public uint time; public IntPtr dwExtraInfo; }
 
-  public sealed class SessionSnapshot {
-    public int Pid { get; set; }
-    public string ProcessName { get; set; }
-    public string DisplayName { get; set; }
-    public string SessionIdentifier { get; set; }
-    public string SessionInstanceIdentifier { get; set; }
-    public string SessionKey { get; set; }
-    public string State { get; set; }
-    public double VolumePercent { get; set; }
-    public bool Muted { get; set; }
-    public bool HasWindow { get; set; }
-  }
+    [StructLayout(LayoutKind.Explicit)]
+    struct InputUnion { [FieldOffset(0)] public MOUSEINPUT mi; [FieldOffset(0)] public KEYBDINPUT ki; }
 
-  public static class CoreAudioBridge {
-    const int CLSCTX_ALL = 23;
-    const uint WM_APPCOMMAND = 0x0319;
-    const int APPCOMMAND_MEDIA_PLAY_PAUSE = 14;
-    const byte VK_MEDIA_PLAY_PAUSE = 0xB3;
-    const int KEYEVENTF_KEYUP = 0x0002;
+    [StructLayout(LayoutKind.Sequential)]
+    struct INPUT { public uint type; public InputUnion u; }
 
     [DllImport("user32.dll", SetLastError = true)]
-    static extern bool PostMessage(IntPtr hWnd, uint msg, IntPtr wParam, IntPtr lParam);
+    static extern uint SendInput(uint nInputs, INPUT[] pInputs, int cbSize);
 
     [DllImport("user32.dll")]
-    static extern void keybd_event(byte bVk, byte bScan, int dwFlags, int dwExtraInfo);
+    static extern bool SetForegroundWindow(IntPtr hWnd);
 
-    static IAudioSessionEnumerator CreateSessionEnumerator(ERole role) {
-      IMMDeviceEnumerator deviceEnumerator = new MMDeviceEnumeratorComObject() as IMMDeviceEnumerator;
-      if (deviceEnumerator == null) throw new InvalidOperationException("IMMDeviceEnumerator unavailable");
+    [DllImport("user32.dll")]
+    static extern bool ShowWindow(IntPtr hWnd, int nCmdShow);
 
-      IMMDevice device;
-      Marshal.ThrowExceptionForHR(deviceEnumerator.GetDefaultAudioEndpoint(EDataFlow.eRender, role, out device));
-      if (device == null) throw new InvalidOperationException("Default audio endpoint unavailable");
+    [DllImport("user32.dll")]
+    static extern bool IsIconic(IntPtr hWnd);
 
-      object managerObj;
-      Guid iid = typeof(IAudioSessionManager2).GUID;
-      Marshal.ThrowExceptionForHR(device.Activate(ref iid, CLSCTX_ALL, IntPtr.Zero, out managerObj));
-      IAudioSessionManager2 manager = managerObj as IAudioSessionManager2;
-      if (manager == null) throw new InvalidOperationException("IAudioSessionManager2 unavailable");
+    static bool IsExtended(int vk) {
+      return (vk >= 0x21 && vk <= 0x28) || vk == 0x2C || vk == 0x2D || vk == 0x2E || vk == 0x5B || vk == 0x6F || vk == 0x90;
+    }
 
-      IAudioSessionEnumerator enumerator;
-      Marshal.ThrowExceptionForHR(manager.GetSessionEnumerator(out enumerator));
-      return enumerator;
+    static void Send(ushort vk, ushort scan, uint flags) {
+      INPUT[] inputs = new INPUT[1];
+      inputs[0].type = INPUT_KEYBOARD;
+      inputs[0].u.ki = new KEYBDINPUT { wVk = vk, wScan = scan, dwFlags = flags };
+      SendInput(1, inputs, Marshal.SizeOf(typeof(INPUT)));
     }
 
-    static string GuessProcessNameFromIdentifier(string sessionIdentifier) {
-      if (string.IsNullOrWhiteSpace(sessionIdentifier)) return "";
-      string raw = sessionIdentifier.Trim();
-      int exeIndex = raw.IndexOf(".exe", StringComparison.OrdinalIgnoreCase);
-      if (exeIndex <= 0) return "";
+    static void Key(int vk, bool up) {
+      uint flags = up ? KEYEVENTF_KEYUP : 0;
+      if (IsExtended(vk)) flags |= KEYEVENTF_EXTENDEDKEY;
+      Send((ushort)vk, 0, flags);
+    }
 
-      int startBackslash = raw.LastIndexOf('\\', exeIndex);
-      int startSlash = raw.LastIndexOf('/', exeIndex);
-      int start = Math.Max(startBackslash, startSlash) + 1;
-      int length = (exeIndex + 4) - start;
-      if (start < 0 || length <= 0 || start + length > raw.Length) return "";
+    public static void Combo(int[] vks, int holdMs) {
+      foreach (int vk in vks) Key(vk, false);
+      Thread.Sleep(Math.Max(30, holdMs));
+      for (int i = vks.Length - 1; i >= 0; i--) Key(vks[i], true);
+    }
 
-      string fileName = raw.Substring(start, length);
-      if (fileName.EndsWith(".exe", StringComparison.OrdinalIgnoreCase)) {
-        fileName = fileName.Substring(0, fileName.Length - 4);
+    public static void Text(string text) {
+      foreach (char ch in text) {
+        if (ch == '\r') continue;
+        if (ch == '\n') {
+          Key(0x0D, false);
+          Key(0x0D, true);
+        } else {
+          Send(0, ch, KEYEVENTF_UNICODE);
+          Send(0, ch, KEYEVENTF_UNICODE | KEYEVENTF_KEYUP);
+        }
+        Thread.Sleep(5);
       }
-      return fileName.Trim();
     }
 
-    static string BuildSessionKey(int pid, string sessionIdentifier, string sessionInstanceIdentifier, string processName, int fallbackIndex) {
-      if (!string.IsNullOrWhiteSpace(sessionInstanceIdentifier)) return "inst::" + sessionInstanceIdentifier.Trim();
-      if (!string.IsNullOrWhiteSpace(sessionIdentifier)) return "sess::" + sessionIdentifier.Trim();
-
-      string proc = processName ?? "";
-      return string.Format("pid::{0}:{1}:{2}", pid, proc.Trim().ToLowerInvariant(), fallbackIndex);
+    public static bool Focus(string processName, out string message) {
+      foreach (Process process in Process.GetProcessesByName(processName)) {
+        IntPtr handle = process.MainWindowHandle;
+        if (handle == IntPtr.Zero) continue;
+        if (IsIconic(handle)) ShowWindow(handle, SW_RESTORE);
+        // A synthetic Alt press lifts the foreground lock for processes without focus.
+        Key(0x12, false);
+        Key(0x12, true);
+        if (SetForegroundWindow(handle)) {
+          message = "OK";
+          return true;
+        }
+      }
+      message = "Kein Fenster fuer Prozess " + processName + " gefunden";
+      return false;
     }
+  }
+}
+`;
+const KEYS_BRIDGE_CSHARP_B64 = Buffer.from(KEYS_BRIDGE_CSHARP, "utf8").toString("base64");
 
-    static bool SessionMatchesTarget(
-      int currentPid,
-      string currentSessionIdentifier,
-      string currentSessionInstanceIdentifier,
-      string currentProcessName,
-      int fallbackIndex,
-      int targetPid,
-      string targetSessionKey
-    ) {
-      string target = targetSessionKey ?? "";
-      if (!string.IsNullOrWhiteSpace(target)) {
-        string key = BuildSessionKey(currentPid, currentSessionIdentifier, currentSessionInstanceIdentifier, currentProcessName, fallbackIndex);
-        if (string.Equals(key, target, StringComparison.OrdinalIgnoreCase)) return true;
-        if (!string.IsNullOrWhiteSpace(currentSessionIdentifier)
-          && string.Equals(currentSessionIdentifier, target, StringComparison.OrdinalIgnoreCase)) return true;
-        if (!string.IsNullOrWhiteSpace(currentSessionInstanceIdentifier)
-          && string.Equals(currentSessionInstanceIdentifier, target, StringComparison.OrdinalIgnoreCase)) return true;
-        return false;
-      }
+function keysPowerShellScript(payload) {
+  const payloadB64 = Buffer.from(JSON.stringify(payload), "utf8").toString("base64");
+  return `
+$ErrorActionPreference = 'Stop'
 
-      return targetPid > 0 && currentPid == targetPid;
-    }
+if (-not ("StreamDeckKeys.KeyBridge" -as [type])) {
+  $code = [System.Text.Encoding]::UTF8.GetString([System.Convert]::FromBase64String('${KEYS_BRIDGE_CSHARP_B64}'))
+  Add-Type -Language CSharp -TypeDefinition $code
+}
 
-    public static List<SessionSnapshot> ListSessions() {
-      List<SessionSnapshot> result = new List<SessionSnapshot>();
-      HashSet<string> seen = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
-      ERole[] roles = new ERole[] { ERole.eMultimedia, ERole.eConsole, ERole.eCommunications };
+$payload = [System.Text.Encoding]::UTF8.GetString([System.Convert]::FromBase64String('${payloadB64}')) | ConvertFrom-Json
 
-      for (int roleIndex = 0; roleIndex < roles.Length; roleIndex++) {
-        IAudioSessionEnumerator enumerator = null;
-        try {
-          enumerator = CreateSessionEnumerator(roles[roleIndex]);
-        } catch {
-          continue;
-        }
+if ([string]$payload.process) {
+  $msg = ''
+  $focused = [StreamDeckKeys.KeyBridge]::Focus([string]$payload.process, [ref]$msg)
+  if (-not $focused) {
+    [pscustomobject]@{ ok = $false; message = [string]$msg } | ConvertTo-Json -Compress
+    exit 0
+  }
+  Start-Sleep -Milliseconds 150
+}
 
-        int count = 0;
-        Marshal.ThrowExceptionForHR(enumerator.GetCount(out count));
+foreach ($step in @($payload.sequence)) {
+  if ($step.kind -eq 'combo') {
+    [StreamDeckKeys.KeyBridge]::Combo([int[]]@($step.vks), [int]$step.holdMs)
+  } elseif ($step.kind -eq 'text') {
+    [StreamDeckKeys.KeyBridge]::Text([string]$step.text)
+  } else {
+    Start-Sleep -Milliseconds ([int]$step.delayMs)
+  }
+}
 
-        for (int i = 0; i < count; i++) {
-          IAudioSessionControl control;
-          Marshal.ThrowExceptionForHR(enumerator.GetSession(i, out control));
-          if (control == null) continue;
+[pscustomobject]@{ ok = $true; message = 'OK'; steps = @($payload.sequence).Count } | ConvertTo-Json -Compress
+`;
+}
 
-          IAudioSessionControl2 control2 = control as IAudioSessionControl2;
-          ISimpleAudioVolume volume = control as ISimpleAudioVolume;
-          if (control2 == null || volume == null) continue;
+// Text steps may use {{...}} templates; combos are sent via SendInput to the foreground window.
+async function runKeysTile(tile, context = {}) {
+  const { keys } = tile;
+  const scope = tileTemplateScope(context);
+  const sequence = keys.sequence.map((step) => (step.text !== undefined ? { text: renderTemplateText(step.text, scope) } : step));
+  const view = { process: keys.process || "", steps: sequence.map(describeKeysStep) };
+  const logMeta = { requestId: context.requestId || "", tileId: tile.id, process: view.process, sequence: view.steps.join(", ") };
 
-          AudioSessionState state = AudioSessionState.Inactive;
-          try { control.GetState(out state); } catch { }
-
-          uint pidRaw = 0;
-          try { control2.GetProcessId(out pidRaw); } catch { }
-          int pid = unchecked((int)pidRaw);
-
-          string displayName = "";
-          try { control.GetDisplayName(out displayName); } catch { displayName = ""; }
-
-          string sessionIdentifier = "";
-          try { control2.GetSessionIdentifier(out sessionIdentifier); } catch { sessionIdentifier = ""; }
-
-          string sessionInstanceIdentifier = "";
-          try { control2.GetSessionInstanceIdentifier(out sessionInstanceIdentifier); } catch { sessionInstanceIdentifier = ""; }
-
-          float volumeRaw = 0f;
-          try { volume.GetMasterVolume(out volumeRaw); } catch { }
-          bool muted = false;
-          try { volume.GetMute(out muted); } catch { }
-
-          string processName = "";
-          bool hasWindow = false;
-          if (pid > 0) {
-            try {
-              Process process = Process.GetProcessById(pid);
-              processName = process.ProcessName ?? "";
-              hasWindow = process.MainWindowHandle != IntPtr.Zero;
-            } catch {
-              processName = "";
-            }
-          }
-          if (string.IsNullOrWhiteSpace(processName)) {
-            processName = GuessProcessNameFromIdentifier(sessionIdentifier);
-          }
-          if (string.IsNullOrWhiteSpace(processName) && pid == 0) {
-            processName = "System";
-          }
+  if (DRY_RUN) {
+    logger.info("dry-run keys skipped", logMeta);
+    return { ...view, dryRun: true };
+  }
+  if (process.platform !== "win32") throw new Error("Tastendruck ist nur unter Windows verfuegbar.");
 
-          string dedupeKey = !string.IsNullOrWhiteSpace(sessionInstanceIdentifier)
-            ? "inst::" + sessionInstanceIdentifier.Trim()
-            : !string.IsNullOrWhiteSpace(sessionIdentifier)
-              ? "sess::" + sessionIdentifier.Trim()
-              : string.Format("pid::{0}:{1}:{2}", pid, (processName ?? "").Trim().ToLowerInvariant(), i);
-          if (!seen.Add(dedupeKey)) continue;
+  const payload = {
+    process: keys.process || "",
+    sequence: sequence.map((step) => {
+      if (step.combo) return { kind: "combo", vks: keyComboCodes(step.combo), holdMs: step.holdMs || 0 };
+      if (step.text !== undefined) return { kind: "text", text: step.text };
+      return { kind: "delay", delayMs: step.delayMs };
+    })
+  };
+  const busyMs = sequence.reduce((sum, step) => sum + (step.delayMs || 0) + (step.holdMs || 0) + (step.text ? step.text.length * 10 : 0), 0);
+  const parsed = await runPowerShellJson(keysPowerShellScript(payload), [], 15000 + busyMs);
+  if (!parsed || parsed.ok !== true) {
+    logger.warn("keys failed", { ...logMeta, error: parsed?.message || "" });
+    throw new Error(parsed?.message || "Tastendruck fehlgeschlagen");
+  }
+  logger.info("keys sent", logMeta);
+  return view;
+}
 
-          int fallbackIndex = roleIndex * 10000 + i;
-          result.Add(new SessionSnapshot {
-            Pid = pid,
-            ProcessName = processName ?? "",
-            DisplayName = displayName ?? "",
-            SessionIdentifier = sessionIdentifier ?? "",
-            SessionInstanceIdentifier = sessionInstanceIdentifier ?? "",
-            SessionKey = BuildSessionKey(pid, sessionIdentifier, sessionInstanceIdentifier, processName, fallbackIndex),
-            State = state.ToString(),
-            VolumePercent = Math.Round(Math.Max(0.0, Math.Min(1.0, volumeRaw)) * 100.0, 1),
-            Muted = muted,
-            HasWindow = hasWindow
-          });
-        }
-      }
+const WINDOW_BRIDGE_CSHARP = String.raw`
+using System;
+using System.Collections.Generic;
+using System.Diagnostics;
+using System.Runtime.InteropServices;
+using System.Text;
 
-      return result;
+namespace StreamDeckWindows {
+  public class WindowEntry {
+    public long Handle { get; set; }
+    public int Pid { get; set; }
+    public string ProcessName { get; set; }
+    public string Title { get; set; }
+    public string State { get; set; }
+    public int Monitor { get; set; }
+  }
+
+  public class MonitorEntry {
+    public int Index { get; set; }
+    public bool Primary { get; set; }
+    public int X { get; set; }
+    public int Y { get; set; }
+    public int Width { get; set; }
+    public int Height { get; set; }
+  }
+
+  public static class WindowBridge {
+    delegate bool EnumWindowsProc(IntPtr hWnd, IntPtr lParam);
+    delegate bool MonitorEnumProc(IntPtr hMonitor, IntPtr hdc, IntPtr lprcMonitor, IntPtr data);
+
+    [StructLayout(LayoutKind.Sequential)]
+    struct RECT { public int Left; public int Top; public int Right; public int Bottom; }
+
+    [StructLayout(LayoutKind.Sequential)]
+    struct MONITORINFO { public int cbSize; public RECT rcMonitor; public RECT rcWork; public uint dwFlags; }
+
+    const int SW_MAXIMIZE = 3;
+    const int SW_MINIMIZE = 6;
+    const int SW_RESTORE = 9;
+    const uint GW_OWNER = 4;
+    const uint WM_CLOSE = 0x0010;
+    const uint MONITOR_DEFAULTTONEAREST = 2;
+    const uint MONITORINFOF_PRIMARY = 1;
+    const uint SWP_NOZORDER = 0x0004;
+    const uint SWP_NOACTIVATE = 0x0010;
+    const uint KEYEVENTF_KEYUP = 0x0002;
+
+    [DllImport("user32.dll")] static extern bool EnumWindows(EnumWindowsProc callback, IntPtr lParam);
+    [DllImport("user32.dll")] static extern bool IsWindowVisible(IntPtr hWnd);
+    [DllImport("user32.dll")] static extern IntPtr GetWindow(IntPtr hWnd, uint cmd);
+    [DllImport("user32.dll", CharSet = CharSet.Unicode)] static extern int GetWindowText(IntPtr hWnd, StringBuilder text, int max);
+    [DllImport("user32.dll")] static extern int GetWindowTextLength(IntPtr hWnd);
+    [DllImport("user32.dll")] static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint pid);
+    [DllImport("user32.dll")] static extern bool IsIconic(IntPtr hWnd);
+    [DllImport("user32.dll")] static extern bool IsZoomed(IntPtr hWnd);
+    [DllImport("user32.dll")] static extern bool ShowWindow(IntPtr hWnd, int cmd);
+    [DllImport("user32.dll")] static extern bool SetForegroundWindow(IntPtr hWnd);
+    [DllImport("user32.dll")] static extern bool PostMessage(IntPtr hWnd, uint msg, IntPtr wParam, IntPtr lParam);
+    [DllImport("user32.dll")] static extern bool GetWindowRect(IntPtr hWnd, out RECT rect);
+    [DllImport("user32.dll")] static extern bool SetWindowPos(IntPtr hWnd, IntPtr after, int x, int y, int cx, int cy, uint flags);
+    [DllImport("user32.dll")] static extern bool EnumDisplayMonitors(IntPtr hdc, IntPtr clip, MonitorEnumProc callback, IntPtr data);
+    [DllImport("user32.dll")] static extern bool GetMonitorInfo(IntPtr hMonitor, ref MONITORINFO info);
+    [DllImport("user32.dll")] static extern IntPtr MonitorFromWindow(IntPtr hWnd, uint flags);
+    [DllImport("user32.dll")] static extern void keybd_event(byte vk, byte scan, uint flags, UIntPtr extra);
+
+    // Monitor 1 is the primary display, the others follow from left to right.
+    static List<KeyValuePair<IntPtr, MONITORINFO>> SortedMonitors() {
+      var list = new List<KeyValuePair<IntPtr, MONITORINFO>>();
+      EnumDisplayMonitors(IntPtr.Zero, IntPtr.Zero, (hMonitor, hdc, rect, data) => {
+        var info = new MONITORINFO { cbSize = Marshal.SizeOf(typeof(MONITORINFO)) };
+        if (GetMonitorInfo(hMonitor, ref info)) list.Add(new KeyValuePair<IntPtr, MONITORINFO>(hMonitor, info));
+        return true;
+      }, IntPtr.Zero);
+      list.Sort((a, b) => {
+        bool pa = (a.Value.dwFlags & MONITORINFOF_PRIMARY) != 0;
+        bool pb = (b.Value.dwFlags & MONITORINFOF_PRIMARY) != 0;
+        if (pa != pb) return pa ? -1 : 1;
+        int byX = a.Value.rcMonitor.Left.CompareTo(b.Value.rcMonitor.Left);
+        return byX != 0 ? byX : a.Value.rcMonitor.Top.CompareTo(b.Value.rcMonitor.Top);
+      });
+      return list;
     }
 
-    public static bool SetVolume(int pid, string sessionKey, float level, out string message) {
-      message = "";
-      if (pid <= 0 && string.IsNullOrWhiteSpace(sessionKey)) {
-        message = "pid oder sessionKey fehlt";
-        return false;
+    public static MonitorEntry[] Monitors() {
+      var result = new List<MonitorEntry>();
+      var sorted = SortedMonitors();
+      for (int i = 0; i < sorted.Count; i++) {
+        RECT r = sorted[i].Value.rcMonitor;
+        result.Add(new MonitorEntry {
+          Index = i + 1,
+          Primary = (sorted[i].Value.dwFlags & MONITORINFOF_PRIMARY) != 0,
+          X = r.Left, Y = r.Top, Width = r.Right - r.Left, Height = r.Bottom - r.Top
+        });
       }
+      return result.ToArray();
+    }
 
-      float clamped = Math.Max(0f, Math.Min(1f, level));
-      Guid context = Guid.Empty;
-      int changed = 0;
-      ERole[] roles = new ERole[] { ERole.eMultimedia, ERole.eConsole, ERole.eCommunications };
-
-      for (int roleIndex = 0; roleIndex < roles.Length; roleIndex++) {
-        IAudioSessionEnumerator enumerator = null;
-        try {
-          enumerator = CreateSessionEnumerator(roles[roleIndex]);
-        } catch {
-          continue;
+    // Visible, titled top-level windows without owner, in z-order (front first).
+    static List<WindowEntry> Collect(string processName) {
+      var names = new Dictionary<uint, string>();
+      var sorted = SortedMonitors();
+      var result = new List<WindowEntry>();
+      EnumWindows((hWnd, lParam) => {
+        if (!IsWindowVisible(hWnd) || GetWindow(hWnd, GW_OWNER) != IntPtr.Zero) return true;
+        int length = GetWindowTextLength(hWnd);
+        if (length <= 0) return true;
+        uint pid;
+        GetWindowThreadProcessId(hWnd, out pid);
+        string name;
+        if (!names.TryGetValue(pid, out name)) {
+          try { name = Process.GetProcessById((int)pid).ProcessName; } catch { name = ""; }
+          names[pid] = name;
         }
+        if (!String.IsNullOrEmpty(processName) && !String.Equals(name, processName, StringComparison.OrdinalIgnoreCase)) return true;
+        var title = new StringBuilder(length + 1);
+        GetWindowText(hWnd, title, title.Capacity);
+        IntPtr monitor = MonitorFromWindow(hWnd, MONITOR_DEFAULTTONEAREST);
+        int monitorIndex = sorted.FindIndex(m => m.Key == monitor) + 1;
+        result.Add(new WindowEntry {
+          Handle = hWnd.ToInt64(),
+          Pid = (int)pid,
+          ProcessName = name,
+          Title = title.ToString(),
+          State = IsIconic(hWnd) ? "minimized" : IsZoomed(hWnd) ? "maximized" : "normal",
+          Monitor = monitorIndex
+        });
+        return true;
+      }, IntPtr.Zero);
+      return result;
+    }
 
-        int count = 0;
-        Marshal.ThrowExceptionForHR(enumerator.GetCount(out count));
+    public static WindowEntry[] List(string processName) {
+      return Collect(processName).ToArray();
+    }
 
-        for (int i = 0; i < count; i++) {
-          IAudioSessionControl control;
-          Marshal.ThrowExceptionForHR(enumerator.GetSession(i, out control));
-          if (control == null) continue;
+    static void MoveToMonitor(IntPtr hWnd, MONITORINFO target) {
+      bool wasMaximized = IsZoomed(hWnd);
+      if (wasMaximized || IsIconic(hWnd)) ShowWindow(hWnd, SW_RESTORE);
+      RECT rect;
+      if (!GetWindowRect(hWnd, out rect)) return;
+      var current = new MONITORINFO { cbSize = Marshal.SizeOf(typeof(MONITORINFO)) };
+      GetMonitorInfo(MonitorFromWindow(hWnd, MONITOR_DEFAULTTONEAREST), ref current);
+      RECT work = target.rcWork;
+      int width = Math.Min(rect.Right - rect.Left, work.Right - work.Left);
+      int height = Math.Min(rect.Bottom - rect.Top, work.Bottom - work.Top);
+      // Keep the offset inside the work area, clamped so the window stays fully visible.
+      int x = Math.Max(work.Left, Math.Min(work.Left + rect.Left - current.rcWork.Left, work.Right - width));
+      int y = Math.Max(work.Top, Math.Min(work.Top + rect.Top - current.rcWork.Top, work.Bottom - height));
+      SetWindowPos(hWnd, IntPtr.Zero, x, y, width, height, SWP_NOZORDER | SWP_NOACTIVATE);
+      if (wasMaximized) ShowWindow(hWnd, SW_MAXIMIZE);
+    }
 
-          IAudioSessionControl2 control2 = control as IAudioSessionControl2;
-          ISimpleAudioVolume volume = control as ISimpleAudioVolume;
-          if (control2 == null || volume == null) continue;
+    public static int Apply(string processName, string op, int monitor, out string message) {
+      var windows = Collect(processName);
+      if (windows.Count == 0) {
+        message = "Kein Fenster fuer Prozess " + processName + " gefunden";
+        return 0;
+      }
+      var sorted = SortedMonitors();
+      if (op == "move" && (monitor < 1 || monitor > sorted.Count)) {
+        message = "Monitor " + monitor + " nicht vorhanden (" + sorted.Count + " Monitor(e))";
+        return 0;
+      }
+      if (op == "focus") {
+        IntPtr hWnd = new IntPtr(windows[0].Handle);
+        if (IsIconic(hWnd)) ShowWindow(hWnd, SW_RESTORE);
+        // A synthetic Alt press lifts the foreground lock for processes without focus.
+        keybd_event(0x12, 0, 0, UIntPtr.Zero);
+        keybd_event(0x12, 0, KEYEVENTF_KEYUP, UIntPtr.Zero);
+        SetForegroundWindow(hWnd);
+        message = "OK";
+        return 1;
+      }
+      foreach (var entry in windows) {
+        IntPtr hWnd = new IntPtr(entry.Handle);
+        if (op == "minimize") ShowWindow(hWnd, SW_MINIMIZE);
+        else if (op == "maximize") ShowWindow(hWnd, SW_MAXIMIZE);
+        else if (op == "close") PostMessage(hWnd, WM_CLOSE, IntPtr.Zero, IntPtr.Zero);
+        else if (op == "move") MoveToMonitor(hWnd, sorted[monitor - 1].Value);
+      }
+      message = "OK";
+      return windows.Count;
+    }
+  }
+}
+`;
+const WINDOW_BRIDGE_CSHARP_B64 = Buffer.from(WINDOW_BRIDGE_CSHARP, "utf8").toString("base64");
 
-          uint pidRaw = 0;
-          try { control2.GetProcessId(out pidRaw); } catch { }
-          int currentPid = unchecked((int)pidRaw);
+function windowsPowerShellScript(payload) {
+  const payloadB64 = Buffer.from(JSON.stringify(payload), "utf8").toString("base64");
+  return `
+$ErrorActionPreference = 'Stop'
 
-          string sessionIdentifier = "";
-          try { control2.GetSessionIdentifier(out sessionIdentifier); } catch { sessionIdentifier = ""; }
+if (-not ("StreamDeckWindows.WindowBridge" -as [type])) {
+  $code = [System.Text.Encoding]::UTF8.GetString([System.Convert]::FromBase64String('${WINDOW_BRIDGE_CSHARP_B64}'))
+  Add-Type -Language CSharp -TypeDefinition $code
+}
 
-          string sessionInstanceIdentifier = "";
-          try { control2.GetSessionInstanceIdentifier(out sessionInstanceIdentifier); } catch { sessionInstanceIdentifier = ""; }
+$payload = [System.Text.Encoding]::UTF8.GetString([System.Convert]::FromBase64String('${payloadB64}')) | ConvertFrom-Json
 
-          string processName = "";
-          if (currentPid > 0) {
-            try {
-              Process process = Process.GetProcessById(currentPid);
-              processName = process.ProcessName ?? "";
-            } catch {
-              processName = "";
-            }
-          }
-          if (string.IsNullOrWhiteSpace(processName)) {
-            processName = GuessProcessNameFromIdentifier(sessionIdentifier);
-          }
+if ($payload.op -eq 'list') {
+  [pscustomobject]@{
+    ok = $true
+    windows = @([StreamDeckWindows.WindowBridge]::List([string]$payload.process))
+    monitors = @([StreamDeckWindows.WindowBridge]::Monitors())
+  } | ConvertTo-Json -Compress -Depth 4
+  exit 0
+}
 
-          int fallbackIndex = roleIndex * 10000 + i;
-          if (!SessionMatchesTarget(currentPid, sessionIdentifier, sessionInstanceIdentifier, processName, fallbackIndex, pid, sessionKey)) continue;
+$msg = ''
+$count = [StreamDeckWindows.WindowBridge]::Apply([string]$payload.process, [string]$payload.op, [int]$payload.monitor, [ref]$msg)
+[pscustomobject]@{ ok = ($count -gt 0); count = $count; message = [string]$msg } | ConvertTo-Json -Compress
+`;
+}
 
-          volume.SetMasterVolume(clamped, ref context);
-          changed++;
-        }
-      }
+// Window actions target a process by image name (without .exe); moving needs a monitor number.
+function normalizeWindowTarget(raw, action) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const processName = safeTrim(src.processName, 120).replace(/\.exe$/i, "");
+  if (!processName || /[\\/]/.test(processName)) return null;
+  const target = { processName };
+  if (action === "windowMoveMonitor") {
+    const monitor = Number(src.monitor);
+    if (!Number.isInteger(monitor) || monitor < 1 || monitor > WINDOW_MAX_MONITOR) return null;
+    target.monitor = monitor;
+  }
+  return target;
+}
 
-      if (changed <= 0) {
-        message = "Keine Session fuer Ziel gefunden";
-        return false;
-      }
-      message = "OK";
-      return true;
-    }
+function normalizeWindowEntry(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  return {
+    handle: Number(raw.Handle) || 0,
+    pid: Number(raw.Pid) || 0,
+    processName: safeTrim(raw.ProcessName, 120),
+    title: safeTrim(raw.Title, 240),
+    state: ["normal", "minimized", "maximized"].includes(raw.State) ? raw.State : "normal",
+    monitor: Number(raw.Monitor) || 0
+  };
+}
 
-    public static bool SetMute(int pid, string sessionKey, bool mute, out string message) {
-      message = "";
-      if (pid <= 0 && string.IsNullOrWhiteSpace(sessionKey)) {
-        message = "pid oder sessionKey fehlt";
-        return false;
-      }
+async function listWindows(processName = "") {
+  if (process.platform !== "win32") return { available: false, platform: process.platform, windows: [], monitors: [] };
+  const parsed = await runPowerShellJson(windowsPowerShellScript({ op: "list", process: processName }), [], 15000);
+  const windows = (Array.isArray(parsed?.windows) ? parsed.windows : []).map(normalizeWindowEntry).filter(Boolean);
+  const monitors = (Array.isArray(parsed?.monitors) ? parsed.monitors : []).map((m) => ({
+    index: Number(m?.Index) || 0,
+    primary: m?.Primary === true,
+    x: Number(m?.X) || 0,
+    y: Number(m?.Y) || 0,
+    width: Number(m?.Width) || 0,
+    height: Number(m?.Height) || 0
+  }));
+  return { available: true, platform: process.platform, windows, monitors };
+}
 
-      Guid context = Guid.Empty;
-      int changed = 0;
-      ERole[] roles = new ERole[] { ERole.eMultimedia, ERole.eConsole, ERole.eCommunications };
+async function runWindowAction(action, payload = {}) {
+  const op = WINDOW_ACTION_OPS[action];
+  if (!op) throw new Error(`Unbekannte Action: ${action}`);
+  const target = normalizeWindowTarget(payload, action);
+  if (!target) {
+    const message = action === "windowMoveMonitor" ? "Prozess oder Monitor fuer Fenster-Aktion fehlt" : "Prozess fuer Fenster-Aktion fehlt";
+    throw Object.assign(new Error(message), { status: 400 });
+  }
+  const view = { action, ...target };
 
-      for (int roleIndex = 0; roleIndex < roles.Length; roleIndex++) {
-        IAudioSessionEnumerator enumerator = null;
-        try {
-          enumerator = CreateSessionEnumerator(roles[roleIndex]);
-        } catch {
-          continue;
-        }
+  if (DRY_RUN) {
+    logger.info("dry-run window action skipped", view);
+    return { ...view, windows: 0, dryRun: true };
+  }
+  if (process.platform !== "win32") throw new Error("Fenster-Aktionen sind nur unter Windows verfuegbar.");
+
+  const parsed = await runPowerShellJson(windowsPowerShellScript({ op, process: target.processName, monitor: target.monitor || 0 }), [], 15000);
+  if (!parsed || parsed.ok !== true) {
+    logger.warn("window action failed", { ...view, error: parsed?.message || "" });
+    throw new Error(parsed?.message || "Fenster-Aktion fehlgeschlagen");
+  }
+  logger.info("window action done", { ...view, windows: parsed.count });
+  return { ...view, windows: Number(parsed.count) || 0 };
+}
+
+function commandError(message, view) {
+  return Object.assign(new Error(message), { command: view });
+}
+
+function limitCommandOutput(text) {
+  const value = String(text || "");
+  if (value.length <= COMMAND_OUTPUT_CHARS) return { text: value, truncated: false };
+  return { text: value.slice(-COMMAND_OUTPUT_CHARS), truncated: true };
+}
+
+// cmd.exe re-parses its command line, so shell operators in arguments would run extra commands.
+function assertCmdSafeArgs(args, kinds) {
+  if (args.some((arg) => /[&|<>^"\r\n]/.test(arg))) {
+    throw Object.assign(new Error(`Argumente fuer ${kinds} duerfen & | < > ^ " nicht enthalten`), { status: 400 });
+  }
+}
+
+// Batch files run through cmd.exe and .ps1 scripts through PowerShell; everything else via execFile (no shell).
+function commandInvocation(file, args) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === ".bat" || ext === ".cmd") {
+    assertCmdSafeArgs(args, ".bat/.cmd");
+    return { bin: "cmd.exe", binArgs: ["/d", "/s", "/c", file, ...args] };
+  }
+  if (ext === ".ps1") return { bin: "powershell.exe", binArgs: ["-NoProfile", "-ExecutionPolicy", "Bypass", "-File", file, ...args] };
+  return { bin: file, binArgs: args };
+}
+
+// Output beyond the limit keeps its tail (where errors usually are); a run past the buffer cap is aborted.
+async function runCommandTile(tile, context = {}) {
+  const scope = tileTemplateScope(context);
+  const split = splitLaunchTargetInput(resolveTileTarget(tile, scope), { expand: false });
+  let file = split.command;
+  if (!file) throw new Error("Befehl fehlt");
+  if (/[\\/]/.test(file)) assertFilePath(file, "Befehl");
+  else file = findCommandOnPath(file) || file;
+  const args = [
+    ...split.args,
+    ...(Array.isArray(tile.args) ? tile.args.map((x) => String(resolveTemplate(String(x), scope))) : [])
+  ].filter(Boolean);
+  const cwd = tile.startIn ? assertFolderPath(resolveTemplate(tile.startIn, scope), "Arbeitsordner") : safeWorkspaceDir();
+  const { timeoutMs } = tile.command || normalizeCommand(null);
+  const view = {
+    file,
+    args,
+    cwd,
+    exitCode: null,
+    timedOut: false,
+    durationMs: 0,
+    stdout: "",
+    stderr: "",
+    truncated: false
+  };
+  const logMeta = { requestId: context.requestId || "", tileId: tile.id, file, args, cwd };
 
-        int count = 0;
-        Marshal.ThrowExceptionForHR(enumerator.GetCount(out count));
+  if (DRY_RUN) {
+    logger.info("dry-run command skipped", logMeta);
+    return { ...view, dryRun: true };
+  }
 
-        for (int i = 0; i < count; i++) {
-          IAudioSessionControl control;
-          Marshal.ThrowExceptionForHR(enumerator.GetSession(i, out control));
-          if (control == null) continue;
+  const { bin, binArgs } = commandInvocation(file, args);
+  const startedAt = Date.now();
+  let failure = "";
+  try {
+    const result = await execFileAsync(bin, binArgs, {
+      cwd,
+      timeout: timeoutMs,
+      maxBuffer: COMMAND_MAX_BUFFER_BYTES,
+      windowsHide: true
+    });
+    view.exitCode = 0;
+    view.stdout = result.stdout;
+    view.stderr = result.stderr;
+  } catch (error) {
+    view.stdout = String(error?.stdout || "");
+    view.stderr = String(error?.stderr || "");
+    if (error?.code === "ENOENT") {
+      failure = `Befehl nicht gefunden: ${file}`;
+    } else if (error?.code === "ERR_CHILD_PROCESS_STDIO_MAXBUFFER") {
+      view.truncated = true;
+      failure = "Befehl abgebrochen: Ausgabe zu gross";
+    } else if (error?.killed) {
+      view.timedOut = true;
+      failure = `Befehl Timeout nach ${timeoutMs} ms`;
+    } else if (Number.isInteger(error?.code)) {
+      view.exitCode = error.code;
+      failure = `Befehl beendet mit Exit-Code ${view.exitCode}`;
+    } else {
+      failure = `Befehl fehlgeschlagen: ${safeTrim(String(error?.message || error), 200)}`;
+    }
+  }
+  view.durationMs = Date.now() - startedAt;
+  const stdout = limitCommandOutput(view.stdout);
+  const stderr = limitCommandOutput(view.stderr);
+  view.stdout = stdout.text;
+  view.stderr = stderr.text;
+  view.truncated = view.truncated || stdout.truncated || stderr.truncated;
+  if (failure) {
+    logger.warn("command failed", { ...logMeta, exitCode: view.exitCode, timedOut: view.timedOut, error: failure });
+    throw commandError(failure, view);
+  }
+  logger.info("command finished", { ...logMeta, durationMs: view.durationMs, bytes: view.stdout.length + view.stderr.length });
+  return view;
+}
 
-          IAudioSessionControl2 control2 = control as IAudioSessionControl2;
-          ISimpleAudioVolume volume = control as ISimpleAudioVolume;
-          if (control2 == null || volume == null) continue;
+// Start-Process takes one argument line; quoting follows CommandLineToArgvW (backslashes only escape quotes).
+function quoteWindowsArg(arg) {
+  const text = String(arg);
+  if (text && !/[\s"]/.test(text)) return text;
+  return `"${text.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\+)$/, "$1$1")}"`;
+}
 
-          uint pidRaw = 0;
-          try { control2.GetProcessId(out pidRaw); } catch { }
-          int currentPid = unchecked((int)pidRaw);
+function appLaunchPowerShellScript(payload) {
+  const payloadB64 = Buffer.from(JSON.stringify(payload), "utf8").toString("base64");
+  return `
+$ErrorActionPreference = 'Stop'
+$payload = [System.Text.Encoding]::UTF8.GetString([System.Convert]::FromBase64String('${payloadB64}')) | ConvertFrom-Json
 
-          string sessionIdentifier = "";
-          try { control2.GetSessionIdentifier(out sessionIdentifier); } catch { sessionIdentifier = ""; }
+foreach ($entry in @($payload.env)) {
+  if (-not $entry) { continue }
+  [System.Environment]::SetEnvironmentVariable([string]$entry.name, [string]$entry.value, 'Process')
+}
 
-          string sessionInstanceIdentifier = "";
-          try { control2.GetSessionInstanceIdentifier(out sessionInstanceIdentifier); } catch { sessionInstanceIdentifier = ""; }
+$start = @{ FilePath = [string]$payload.target; WindowStyle = [string]$payload.windowStyle }
+if ([string]$payload.argumentLine) { $start.ArgumentList = [string]$payload.argumentLine }
+if ([string]$payload.cwd) { $start.WorkingDirectory = [string]$payload.cwd }
+if ($payload.admin) { $start.Verb = 'RunAs' }
 
-          string processName = "";
-          if (currentPid > 0) {
-            try {
-              Process process = Process.GetProcessById(currentPid);
-              processName = process.ProcessName ?? "";
-            } catch {
-              processName = "";
-            }
-          }
-          if (string.IsNullOrWhiteSpace(processName)) {
-            processName = GuessProcessNameFromIdentifier(sessionIdentifier);
-          }
+try {
+  Start-Process @start
+  [pscustomobject]@{ ok = $true; message = 'OK' } | ConvertTo-Json -Compress
+} catch {
+  [pscustomobject]@{ ok = $false; message = [string]$_.Exception.Message } | ConvertTo-Json -Compress
+}
+`;
+}
 
-          int fallbackIndex = roleIndex * 10000 + i;
-          if (!SessionMatchesTarget(currentPid, sessionIdentifier, sessionInstanceIdentifier, processName, fallbackIndex, pid, sessionKey)) continue;
+// "focus" and "restart" only apply while the process runs; otherwise the tile starts the app with its options.
+async function runAppLaunch(tile, target, args, cwd, context = {}) {
+  const { launch } = tile;
+  const scope = tileTemplateScope(context);
+  const env = Object.fromEntries(Object.entries(launch.env).map(([name, value]) => [name, resolveTemplate(value, scope)]));
+  const processName = launch.process || (path.extname(target).toLowerCase() === ".exe" ? path.basename(target, path.extname(target)) : "");
+  if (launch.ifRunning !== "start" && !processName) throw new Error("Prozessname fuer Fokus/Neustart fehlt");
+  const imageName = processName ? `${processName}.exe` : "";
+  const running = launch.ifRunning !== "start" ? await isProcessRunning(imageName, { useCache: false }) : false;
+  const view = {
+    action: running ? launch.ifRunning : "start",
+    process: processName,
+    running,
+    target,
+    args,
+    cwd,
+    admin: launch.admin,
+    window: launch.window,
+    env: Object.keys(env)
+  };
+  const logMeta = { requestId: context.requestId || "", tileId: tile.id, action: view.action, target, process: processName, admin: launch.admin, window: launch.window, env: view.env };
 
-          volume.SetMute(mute, ref context);
-          changed++;
-        }
-      }
+  if (DRY_RUN) {
+    logger.info("dry-run launch skipped", logMeta);
+    return { ...view, dryRun: true };
+  }
+  if (process.platform !== "win32") throw new Error("Startoptionen sind nur unter Windows verfuegbar.");
 
-      if (changed <= 0) {
-        message = "Keine Session fuer Ziel gefunden";
-        return false;
-      }
-      message = "OK";
-      return true;
+  if (view.action === "focus") {
+    const focused = await runPowerShellJson(keysPowerShellScript({ process: processName, sequence: [] }), [], 15000);
+    if (focused?.ok === true) {
+      logger.info("launch focused existing window", logMeta);
+      return view;
     }
+    // Tray apps have no main window; starting them again usually makes them show it.
+    view.action = "start";
+  }
+  if (view.action === "restart") {
+    await taskkillImage(imageName);
+    await waitForProcessExit(imageName, APP_LAUNCH_RESTART_WAIT_MS);
+  }
 
-    public static bool SendPlayPause(int pid, out string message) {
-      message = "";
-      IntPtr targetWindow = IntPtr.Zero;
+  const payload = {
+    target,
+    argumentLine: args.map(quoteWindowsArg).join(" "),
+    cwd: cwd && dirExists(cwd) ? cwd : "",
+    windowStyle: { normal: "Normal", minimized: "Minimized", maximized: "Maximized" }[launch.window],
+    admin: launch.admin,
+    env: Object.entries(env).map(([name, value]) => ({ name, value }))
+  };
+  // An elevated start waits for the UAC prompt on the host, hence the longer timeout.
+  const parsed = await runPowerShellJson(appLaunchPowerShellScript(payload), [], launch.admin ? 120000 : 20000);
+  if (imageName) clearProcessStatusCache([imageName]);
+  if (!parsed || parsed.ok !== true) {
+    logger.warn("launch failed", { ...logMeta, action: view.action, error: parsed?.message || "" });
+    throw new Error(`Start fehlgeschlagen: ${parsed?.message || "unbekannter Fehler"}`);
+  }
+  logger.info("launch started", { ...logMeta, action: view.action });
+  return view;
+}
 
-      if (pid > 0) {
-        try {
-          Process process = Process.GetProcessById(pid);
-          targetWindow = process.MainWindowHandle;
-        } catch { }
-      }
-
-      if (targetWindow != IntPtr.Zero) {
-        IntPtr lParam = new IntPtr(APPCOMMAND_MEDIA_PLAY_PAUSE << 16);
-        bool posted = PostMessage(targetWindow, WM_APPCOMMAND, targetWindow, lParam);
-        if (posted) {
-          message = "APPCOMMAND gesendet";
-          return true;
-        }
-      }
-
-      // Fallback to global media key (active media session)
-      keybd_event(VK_MEDIA_PLAY_PAUSE, 0, 0, 0);
-      keybd_event(VK_MEDIA_PLAY_PAUSE, 0, KEYEVENTF_KEYUP, 0);
-      message = "Globales Media Play/Pause gesendet";
-      return true;
-    }
+function runLegacyAction(action, payload = {}) {
+  if (action === "vscode") {
+    const tile = config.tiles.find((x) => x.id === "vscode");
+    if (!tile) throw new Error("vscode tile fehlt");
+    return runTile(tile, payload);
   }
-}
-`;
-const AUDIO_MIXER_BRIDGE_CSHARP_B64 = Buffer.from(AUDIO_MIXER_BRIDGE_CSHARP, "utf8").toString("base64");
-
-function toPowerShellNumberLiteral(value, fallback = 0) {
-  const num = Number(value);
-  if (!Number.isFinite(num)) return String(fallback);
-  return String(num).replace(",", ".");
+  if (action === "wowClassic" || action === "wowTBC") {
+    const tile = config.tiles.find((x) => x.id === "wowLauncher");
+    if (!tile) throw new Error("wow launcher tile fehlt");
+    return runTile(tile, payload);
+  }
+  if (action === "openWowAddons") {
+    startViaCmd("explorer.exe", [assertFolderPath(config.wow.folders.addons, "WoW Addons")]);
+    return;
+  }
+  if (action === "openWowLogs") {
+    startViaCmd("explorer.exe", [assertFolderPath(config.wow.folders.logs, "WoW Logs")]);
+    return;
+  }
+  if (action === "openWowWtf") {
+    startViaCmd("explorer.exe", [assertFolderPath(config.wow.folders.wtf, "WoW WTF")]);
+    return;
+  }
+  return runNamedAction(action, payload);
 }
 
-function audioMixerPowerShellScript(action = "snapshot", targetPid = 0, value = 0, flag = "", sessionKey = "") {
-  const actionLit = toPowerShellSingleQuoted(String(action || ""));
-  const targetPidLit = String(Number.isFinite(Number(targetPid)) ? Math.max(0, Math.trunc(Number(targetPid))) : 0);
-  const valueLit = toPowerShellNumberLiteral(value, 0);
-  const flagLit = toPowerShellSingleQuoted(String(flag || ""));
-  const sessionKeyLit = toPowerShellSingleQuoted(String(sessionKey || ""));
-  return `
-$ErrorActionPreference = 'Stop'
-Set-StrictMode -Version Latest
-
-if (-not ("StreamDeckAudio.CoreAudioBridge" -as [type])) {
-  $code = [System.Text.Encoding]::UTF8.GetString([System.Convert]::FromBase64String('${AUDIO_MIXER_BRIDGE_CSHARP_B64}'))
-  Add-Type -Language CSharp -TypeDefinition $code
+function describeMacroStep(step) {
+  if (!step || typeof step !== "object") return "";
+  if (step.type === "tile") return `tile ${step.tileId}`;
+  if (step.type === "action") {
+    const target = step.processName || step.clipId || [step.scene, step.source || step.input].filter(Boolean).join("/");
+    return target ? `action ${step.action} ${target}` : `action ${step.action}`;
+  }
+  if (step.type === "delay") return `delay ${step.ms} ms`;
+  if (step.type === "waitProcess") return `warten auf ${step.processName}`;
+  const target = step.processName || step.sessionKey || "";
+  if (step.type === "volume") return `volume ${target} ${step.volumePercent}%`;
+  if (step.type === "mute") return `${step.muted ? "mute" : "unmute"} ${target}`;
+  return step.type;
 }
 
-$action = ${actionLit}
-$targetPid = [int]${targetPidLit}
-$value = [double]${valueLit}
-$flag = ${flagLit}
-$sessionKey = [string]${sessionKeyLit}
-
-if ($action -eq 'snapshot') {
-  $sessions = @([StreamDeckAudio.CoreAudioBridge]::ListSessions())
-  $spotify = $sessions | Where-Object { [string]$_.ProcessName -match '(?i)spotify' } | Select-Object -First 1
-  [pscustomobject]@{
-    ok = $true
-    sessions = $sessions
-    spotify = $spotify
-  } | ConvertTo-Json -Depth 8 -Compress
-  exit 0
+function macroRunView(run) {
+  return {
+    id: run.id,
+    tileId: run.tileId,
+    label: run.label,
+    profile: run.profile,
+    status: run.status,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    stepCount: run.stepCount,
+    currentStep: run.currentStep,
+    error: run.error || "",
+    results: run.results.slice()
+  };
 }
 
-if ($action -eq 'setVolume') {
-  $msg = ''
-  $ok = [StreamDeckAudio.CoreAudioBridge]::SetVolume($targetPid, [string]$sessionKey, [float]([Math]::Max(0, [Math]::Min(100, $value)) / 100.0), [ref]$msg)
-  [pscustomobject]@{
-    ok = [bool]$ok
-    message = [string]$msg
-    pid = $targetPid
-    sessionKey = [string]$sessionKey
-    volumePercent = [Math]::Round([Math]::Max(0, [Math]::Min(100, $value)), 1)
-  } | ConvertTo-Json -Depth 8 -Compress
-  exit 0
+function waitForMacroDelay(run, ms) {
+  return new Promise((resolve) => {
+    if (run.aborted || ms <= 0) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(() => {
+      run.wake = null;
+      resolve();
+    }, ms);
+    run.wake = () => {
+      clearTimeout(timer);
+      run.wake = null;
+      resolve();
+    };
+  });
 }
 
-if ($action -eq 'setMute') {
-  $mute = $false
-  if ([string]$flag -match '^(1|true|yes|on)$') { $mute = $true }
-  $msg = ''
-  $ok = [StreamDeckAudio.CoreAudioBridge]::SetMute($targetPid, [string]$sessionKey, [bool]$mute, [ref]$msg)
-  [pscustomobject]@{
-    ok = [bool]$ok
-    message = [string]$msg
-    pid = $targetPid
-    sessionKey = [string]$sessionKey
-    muted = [bool]$mute
-  } | ConvertTo-Json -Depth 8 -Compress
-  exit 0
+function audioSessionMatchesName(session, name) {
+  const wanted = String(name || "").trim().toLowerCase().replace(/\.exe$/, "");
+  return String(session.processName || "").toLowerCase() === wanted
+    || String(session.displayName || "").toLowerCase() === wanted;
 }
 
-if ($action -eq 'playPause') {
-  $msg = ''
-  $ok = [StreamDeckAudio.CoreAudioBridge]::SendPlayPause($targetPid, [ref]$msg)
-  [pscustomobject]@{
-    ok = [bool]$ok
-    message = [string]$msg
-    pid = $targetPid
-  } | ConvertTo-Json -Depth 8 -Compress
-  exit 0
+async function resolveMacroAudioTargets(step) {
+  if (step.sessionKey) return [{ pid: 0, sessionKey: step.sessionKey }];
+  const snapshot = await readAudioMixerSnapshot({ useCache: false });
+  if (!snapshot.available) throw new Error(snapshot.error || "Audio-Mixer nicht verfuegbar");
+  const matches = snapshot.sessions.filter((session) => audioSessionMatchesName(session, step.processName));
+  if (!matches.length) throw new Error(`Audio-Session nicht gefunden: ${step.processName}`);
+  return matches.map((session) => ({ pid: session.pid, sessionKey: session.sessionKey }));
 }
 
-throw "unknown audio action: $action"
-`;
-}
+async function executeMacroStep(run, step, stack) {
+  if (step.type === "tile") {
+    const target = config.tiles.find((x) => x.id === step.tileId);
+    if (!target) throw new Error(`Tile nicht gefunden: ${step.tileId}`);
+    // A macro must not reach tiles the token that started it could not run itself.
+    if (!authAllowsProfile(run.auth, target.profile)) {
+      throw Object.assign(new Error(`forbidden: Profil nicht erlaubt (${target.id})`), { status: 403 });
+    }
+    if (target.type === "macro") {
+      if (stack.includes(target.id)) throw new Error(`Makro-Zyklus erkannt: ${target.id}`);
+      if (stack.length >= MACRO_MAX_DEPTH) throw new Error("Makro-Verschachtelung zu tief");
+      await runMacroSteps(run, target, [...stack, target.id]);
+      return `${target.label} (${target.steps.length} Schritte)`;
+    }
+    if (target.type === "toggle") {
+      if (stack.includes(target.id)) throw new Error(`Makro-Zyklus erkannt: ${target.id}`);
+      if (stack.length >= MACRO_MAX_DEPTH) throw new Error("Makro-Verschachtelung zu tief");
+      return runToggleTile(run, target, [...stack, target.id]);
+    }
+    const ran = await runTile(target, {}, { requestId: run.requestId, tokenName: run.tokenName, auth: run.auth });
+    return describeTileRunResult(target.label, ran);
+  }
 
-function normalizeAudioSession(raw) {
-  if (!raw || typeof raw !== "object") return null;
-  const pid = Number(raw.Pid ?? raw.pid ?? 0);
-  const processName = safeTrim(raw.ProcessName ?? raw.processName ?? "", 120);
-  const displayName = safeTrim(raw.DisplayName ?? raw.displayName ?? "", 160);
-  const sessionIdentifier = safeTrim(raw.SessionIdentifier ?? raw.sessionIdentifier ?? "", 260);
-  const sessionInstanceIdentifier = safeTrim(raw.SessionInstanceIdentifier ?? raw.sessionInstanceIdentifier ?? "", 260);
-  const sessionKey = safeTrim(raw.SessionKey ?? raw.sessionKey ?? "", 360);
-  const state = safeTrim(raw.State ?? raw.state ?? "", 40);
-  const muted = Boolean(raw.Muted ?? raw.muted);
-  const hasWindow = Boolean(raw.HasWindow ?? raw.hasWindow);
-  const volumePercentRaw = Number(raw.VolumePercent ?? raw.volumePercent ?? 0);
-  const volumePercent = Number.isFinite(volumePercentRaw)
-    ? Math.max(0, Math.min(100, Math.round(volumePercentRaw * 10) / 10))
-    : 0;
-  if (!Number.isFinite(pid) || pid < 0) return null;
-  if (!pid && !processName && !displayName && !sessionKey && !sessionIdentifier && !sessionInstanceIdentifier) return null;
-  const normalizedSessionKey = sessionKey || sessionInstanceIdentifier || sessionIdentifier || "";
-  return {
-    pid: Math.trunc(pid),
-    processName,
-    displayName,
-    sessionIdentifier,
-    sessionInstanceIdentifier,
-    sessionKey: normalizedSessionKey,
-    state,
-    volumePercent,
-    muted,
-    hasWindow
-  };
-}
+  if (step.type === "action") {
+    if (WINDOW_ACTION_OPS[step.action]) {
+      const done = await runWindowAction(step.action, step);
+      return `${step.action} ${done.processName}${done.dryRun ? " (dry-run)" : `: ${done.windows} Fenster`}`;
+    }
+    if (OBS_ACTION_REQUESTS[step.action]) return `${step.action}: ${describeObsResult(await runObsAction(step.action, step))}`;
+    if (step.action === "soundboardPlay") return `${step.action}: ${describeSoundResult(await playSoundboardClip(step, "macro"))}`;
+    if (step.action === "soundboardStopAll") return `${step.action}: ${stopSoundboardPlayback().length} gestoppt`;
+    runNamedAction(step.action, step.url ? { url: step.url } : {});
+    return step.action;
+  }
 
-const AUDIO_MIXER_CACHE_MS = 1200;
-const audioMixerCache = { ts: 0, payload: null };
+  if (step.type === "delay") {
+    await waitForMacroDelay(run, step.ms);
+    return `${step.ms} ms`;
+  }
 
-function clearAudioMixerCache() {
-  audioMixerCache.ts = 0;
-  audioMixerCache.payload = null;
-}
+  if (step.type === "waitProcess") {
+    const imageName = path.extname(step.processName) ? step.processName : `${step.processName}.exe`;
+    if (DRY_RUN) {
+      logger.info("dry-run macro wait skipped", { runId: run.id, processName: imageName });
+      return "dry-run";
+    }
+    const deadline = Date.now() + step.timeoutMs;
+    while (!run.aborted) {
+      if (await isProcessRunning(imageName, { useCache: false })) return `${imageName} laeuft`;
+      if (Date.now() >= deadline) throw new Error(`Timeout: ${imageName} laeuft nicht`);
+      await waitForMacroDelay(run, Math.min(MACRO_WAIT_POLL_MS, Math.max(0, deadline - Date.now())));
+    }
+    return "abgebrochen";
+  }
 
-async function readAudioMixerSnapshot(options = {}) {
-  const useCache = options.useCache !== false;
-  const now = Date.now();
-  if (useCache && audioMixerCache.payload && now - audioMixerCache.ts < AUDIO_MIXER_CACHE_MS) {
-    return audioMixerCache.payload;
+  if (step.type === "volume" || step.type === "mute") {
+    if (DRY_RUN) {
+      logger.info("dry-run macro audio step skipped", { runId: run.id, step: describeMacroStep(step) });
+      return "dry-run";
+    }
+    const targets = await resolveMacroAudioTargets(step);
+    for (const target of targets) {
+      if (step.type === "volume") await setAudioSessionVolume(target.pid, step.volumePercent, target.sessionKey);
+      else await setAudioSessionMute(target.pid, step.muted, target.sessionKey);
+    }
+    return `${targets.length} Session(s)`;
   }
 
-  if (process.platform !== "win32") {
-    const fallback = {
-      available: false,
-      platform: process.platform,
-      sessions: [],
-      spotify: null
+  throw new Error(`Makro-Schritt nicht unterstuetzt: ${step.type}`);
+}
+
+async function runMacroSteps(run, tile, stack) {
+  const steps = Array.isArray(tile.steps) ? tile.steps : [];
+  for (let i = 0; i < steps.length; i += 1) {
+    if (run.aborted) return;
+    const step = steps[i];
+    const startedAt = Date.now();
+    const result = {
+      macroTileId: tile.id,
+      index: i + 1,
+      type: step.type,
+      label: describeMacroStep(step),
+      ok: true,
+      detail: "",
+      error: "",
+      durationMs: 0
     };
-    audioMixerCache.ts = now;
-    audioMixerCache.payload = fallback;
-    return fallback;
+    run.currentStep = run.results.length + 1;
+    try {
+      result.detail = safeTrim(await executeMacroStep(run, step, stack), 160);
+    } catch (error) {
+      result.ok = false;
+      result.error = safeTrim(String(error?.message || error), 240);
+    }
+    result.durationMs = Date.now() - startedAt;
+    run.results.push(result);
+    recordRunEvent({
+      source: "macro",
+      requestId: run.requestId,
+      tokenName: run.tokenName,
+      macroRunId: run.id,
+      step: run.results.length,
+      tileId: step.type === "tile" ? step.tileId : "",
+      action: step.type === "action" ? step.action : "",
+      label: `${tile.label} #${i + 1}: ${result.label}`,
+      profile: tile.profile,
+      page: tile.page,
+      type: step.type,
+      ok: result.ok,
+      error: result.error
+    });
+    if (!result.ok && !step.continueOnError) {
+      throw new Error(`Schritt ${i + 1} (${result.label}) fehlgeschlagen: ${result.error}`);
+    }
   }
+}
 
-  let parsed = null;
+async function executeMacroRun(run, tile) {
   try {
-    parsed = await runPowerShellJson(audioMixerPowerShellScript("snapshot", 0, 0, ""), [], 25000);
+    await runMacroSteps(run, tile, [tile.id]);
+    run.status = run.aborted ? "aborted" : (run.results.some((x) => !x.ok) ? "partial" : "done");
   } catch (error) {
-    const degraded = {
-      available: false,
-      platform: process.platform,
-      sessions: [],
-      spotify: null,
-      error: safeTrim(error?.message || String(error), 240)
-    };
-    audioMixerCache.ts = now;
-    audioMixerCache.payload = degraded;
-    return degraded;
+    run.status = run.aborted ? "aborted" : "failed";
+    run.error = safeTrim(String(error?.message || error), 240);
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    run.wake = null;
+    macroRunState.active.delete(run.id);
+    pushBounded(macroRunState.recent, macroRunView(run), MACRO_RECENT_RUNS_LIMIT);
+    const logMeta = { runId: run.id, tileId: run.tileId, status: run.status, steps: run.results.length, error: run.error || "" };
+    if (run.status === "failed") logger.warn("macro run failed", logMeta);
+    else logger.info("macro run finished", logMeta);
   }
+}
 
-  const list = Array.isArray(parsed?.sessions)
-    ? parsed.sessions.map(normalizeAudioSession).filter(Boolean)
-    : [];
-  list.sort((a, b) => {
-    const byName = String(a.processName || a.displayName).localeCompare(String(b.processName || b.displayName), "de", { sensitivity: "base" });
-    if (byName !== 0) return byName;
-    return a.pid - b.pid;
-  });
+function findActiveMacroRun(tileId) {
+  for (const active of macroRunState.active.values()) {
+    if (active.tileId === tileId) return active;
+  }
+  return null;
+}
 
-  const spotify = list.find((x) => /spotify/i.test(`${x.processName} ${x.displayName}`)) || null;
-  const payload = {
-    available: true,
-    platform: process.platform,
-    sessions: list,
-    spotify: spotify
-      ? {
-          pid: spotify.pid,
-          sessionKey: spotify.sessionKey || spotify.sessionInstanceIdentifier || spotify.sessionIdentifier || "",
-          processName: spotify.processName,
-          displayName: spotify.displayName,
-          muted: spotify.muted,
-          volumePercent: spotify.volumePercent
-        }
-      : null
-  };
+function toggleProcessImage(name) {
+  return path.extname(name) ? name : `${name}.exe`;
+}
 
-  audioMixerCache.ts = now;
-  audioMixerCache.payload = payload;
-  return payload;
+async function resolveToggleState(toggle, audio) {
+  try {
+    if (toggle.source === "process") return (await isProcessRunning(toggleProcessImage(toggle.name))) ? "on" : "off";
+    if (toggle.source === "curseforge") return (await detectRunningProcessName(CURSEFORGE_PROCESS_NAMES)) ? "on" : "off";
+    if (toggle.source === "audioMuted") {
+      if (!audio || !audio.available) return "unknown";
+      const sessions = audio.sessions.filter((session) => audioSessionMatchesName(session, toggle.name));
+      if (!sessions.length) return "unknown";
+      return sessions.every((session) => session.muted) ? "on" : "off";
+    }
+    if (toggle.source === "addonEnabled") {
+      const baseDir = wowAddonsBaseDir();
+      if (dirExists(path.join(baseDir, toggle.name))) return "on";
+      if (dirExists(path.join(baseDir, `${toggle.name}.disabled`))) return "off";
+    }
+  } catch {
+    // missing addon folder or mixer errors leave the state unknown
+  }
+  return "unknown";
 }
 
-function sanitizeOptionalPid(value) {
-  const pid = Number(value);
-  if (!Number.isFinite(pid) || pid <= 0 || pid > 2_147_483_647) return 0;
-  return Math.trunc(pid);
+async function resolveToggleStates(tiles) {
+  const states = new Map();
+  const toggles = (tiles || []).filter((tile) => tile.type === "toggle" && tile.toggle);
+  if (!toggles.length) return states;
+  const audio = toggles.some((tile) => tile.toggle.source === "audioMuted")
+    ? await readAudioMixerSnapshot().catch(() => null)
+    : null;
+  await Promise.all(toggles.map(async (tile) => {
+    states.set(tile.id, await resolveToggleState(tile.toggle, audio));
+  }));
+  return states;
 }
 
-function sanitizeAudioSessionKey(value) {
-  if (typeof value !== "string") return "";
-  const key = safeTrim(value, 360);
-  if (!key) return "";
-  if (/[\r\n]/.test(key)) throw new Error("ungueltiger sessionKey");
-  return key;
+// Label, subtitle and icon of the current side; empty side fields fall back to the tile itself.
+// Always complete, so a tileState event can replace the face without the client knowing the other side.
+function toggleTileFace(tile, state) {
+  const side = state === "on" ? tile.toggle.on : (state === "off" ? tile.toggle.off : null);
+  const sideIcon = side?.icon || "";
+  return {
+    id: tile.id,
+    toggleSource: tile.toggle.source,
+    toggleState: state,
+    label: side?.label || tile.label,
+    subtitle: side?.subtitle || tile.subtitle || "",
+    iconMode: sideIcon ? "emoji" : (tile.iconMode || "emoji"),
+    icon: sideIcon || tile.icon || defaultTileEmoji(tile.type),
+    iconData: !sideIcon && tile.iconMode === "image" ? (tile.iconData || "") : ""
+  };
 }
 
-function sanitizeAudioSessionTarget(body = {}) {
-  const pid = sanitizeOptionalPid(body?.pid);
-  const sessionKey = sanitizeAudioSessionKey(body?.sessionKey);
-  if (!pid && !sessionKey) throw new Error("ungueltiges Session-Ziel");
-  return { pid, sessionKey };
-}
-
-function sanitizeVolumePercent(value) {
-  const num = Number(value);
-  if (!Number.isFinite(num)) throw new Error("ungueltige Lautstaerke");
-  return Math.max(0, Math.min(100, Math.round(num * 10) / 10));
-}
-
-async function setAudioSessionVolume(pid, volumePercent, sessionKey = "") {
-  if (process.platform !== "win32") throw new Error("Audio-Mixer ist nur unter Windows verfuegbar.");
-  const parsed = await runPowerShellJson(
-    audioMixerPowerShellScript("setVolume", pid || 0, volumePercent, "", sessionKey),
-    [],
-    20000
-  );
-  if (!parsed || parsed.ok !== true) throw new Error(parsed?.message || "Lautstaerke konnte nicht gesetzt werden");
-  clearAudioMixerCache();
-  return parsed;
-}
-
-async function setAudioSessionMute(pid, muted, sessionKey = "") {
-  if (process.platform !== "win32") throw new Error("Audio-Mixer ist nur unter Windows verfuegbar.");
-  const parsed = await runPowerShellJson(
-    audioMixerPowerShellScript("setMute", pid || 0, 0, muted ? "true" : "false", sessionKey),
-    [],
-    20000
-  );
-  if (!parsed || parsed.ok !== true) throw new Error(parsed?.message || "Mute konnte nicht gesetzt werden");
-  clearAudioMixerCache();
-  return parsed;
+async function runToggleDefault(tile, state) {
+  const { toggle } = tile;
+  if (toggle.source === "curseforge") {
+    if (state === "on") {
+      await stopCurseForgeProcesses();
+      return "CurseForge gestoppt";
+    }
+    startCurseForgeProcess();
+    return "CurseForge gestartet";
+  }
+  if (toggle.source === "process") throw new Error(`Keine Aktion fuer Zustand ${TOGGLE_STATE_LABELS[state]}`);
+  if (DRY_RUN) {
+    logger.info("dry-run toggle skipped", { tileId: tile.id, source: toggle.source, name: toggle.name, state });
+    return "dry-run";
+  }
+  if (toggle.source === "audioMuted") {
+    const targets = await resolveMacroAudioTargets({ processName: toggle.name });
+    for (const target of targets) await setAudioSessionMute(target.pid, state !== "on", target.sessionKey);
+    return `${state === "on" ? "unmute" : "mute"} ${targets.length} Session(s)`;
+  }
+  const result = toggleWowAddonState(state === "on" ? toggle.name : `${toggle.name}.disabled`, state !== "on");
+  return `${result.fromKey} -> ${result.toKey}`;
+}
+
+// Runs the steps of the side the tile is currently on; without steps the source is flipped directly.
+async function runToggleTile(run, tile, stack) {
+  const { toggle } = tile;
+  if (toggle.source === "process") clearProcessStatusCache([toggleProcessImage(toggle.name)]);
+  if (toggle.source === "curseforge") clearProcessStatusCache(CURSEFORGE_PROCESS_NAMES);
+  const state = (await resolveToggleStates([tile])).get(tile.id) || "unknown";
+  if (state === "unknown") throw new Error(`Toggle Zustand unbekannt: ${tile.label}`);
+  const side = state === "on" ? toggle.on : toggle.off;
+  try {
+    if (side.steps.length) {
+      await runMacroSteps(run, { ...tile, steps: side.steps }, stack);
+      return `${TOGGLE_STATE_LABELS[state]}: ${side.steps.length} Schritte`;
+    }
+    return `${TOGGLE_STATE_LABELS[state]}: ${await runToggleDefault(tile, state)}`;
+  } finally {
+    if (toggle.source === "process") clearProcessStatusCache([toggleProcessImage(toggle.name)]);
+    scheduleTileStatePoll(TILE_STATE_RUN_REFRESH_MS);
+  }
+}
+
+function startMacroRun(tile, context = {}) {
+  if (!Array.isArray(tile.steps) || !tile.steps.length) throw new Error("Makro hat keine Schritte");
+  if (findActiveMacroRun(tile.id)) throw new Error(`Makro laeuft bereits: ${tile.label || tile.id}`);
+  if (macroRunState.active.size >= MACRO_MAX_ACTIVE_RUNS) throw new Error("Zu viele laufende Makros");
+
+  const run = {
+    id: `m${macroRunState.nextId++}`,
+    tileId: tile.id,
+    label: safeTrim(tile.label || tile.id, 120),
+    profile: safeTrim(tile.profile || "", 64),
+    requestId: safeTrim(context.requestId || "", 40),
+    tokenName: safeTrim(context.tokenName || "", 64),
+    auth: context.auth || null,
+    status: "running",
+    aborted: false,
+    startedAt: new Date().toISOString(),
+    finishedAt: "",
+    stepCount: tile.steps.length,
+    currentStep: 0,
+    error: "",
+    results: [],
+    wake: null
+  };
+  macroRunState.active.set(run.id, run);
+  logger.info("macro run started", { runId: run.id, tileId: run.tileId, steps: run.stepCount, dryRun: DRY_RUN });
+  executeMacroRun(run, tile);
+  return macroRunView(run);
 }
 
-async function sendAudioSessionPlayPause(pid) {
-  if (process.platform !== "win32") throw new Error("Audio-Mixer ist nur unter Windows verfuegbar.");
-  const parsed = await runPowerShellJson(
-    audioMixerPowerShellScript("playPause", pid || 0, 0, ""),
-    [],
-    15000
-  );
-  if (!parsed || parsed.ok !== true) throw new Error(parsed?.message || "Play/Pause fehlgeschlagen");
-  return parsed;
+function abortMacroRuns(filter = {}) {
+  const runId = safeTrim(filter.runId || "", 40);
+  const tileId = safeTrim(filter.tileId || "", 96);
+  const aborted = [];
+  for (const run of macroRunState.active.values()) {
+    if (runId && run.id !== runId) continue;
+    if (tileId && run.tileId !== tileId) continue;
+    if (run.aborted) continue;
+    if (filter.auth && !authAllowsProfile(filter.auth, run.profile)) continue;
+    run.aborted = true;
+    if (typeof run.wake === "function") run.wake();
+    aborted.push(run.id);
+  }
+  return aborted;
 }
 
-function openSpotifyApp() {
-  startViaCmd("spotify:");
+async function runPowerShell(script, args = [], timeoutMs = 10000, options = {}) {
+  const cmdArgs = ["-NoProfile", "-ExecutionPolicy", "Bypass"];
+  if (options && options.sta === true) cmdArgs.push("-Sta");
+  cmdArgs.push("-Command", script, ...args);
+  try {
+    const result = await execFileAsync("powershell.exe", cmdArgs, { windowsHide: true, timeout: timeoutMs });
+    return result.stdout.trim();
+  } catch (error) {
+    const details = [
+      error?.message ? String(error.message) : "",
+      error?.stderr ? String(error.stderr) : "",
+      error?.stdout ? String(error.stdout) : ""
+    ]
+      .filter(Boolean)
+      .join(" | ");
+    throw new Error(safeTrim(details || "powershell execution failed", 1200));
+  }
 }
 
-const processStatusCache = new Map();
-async function isProcessRunning(imageName, options = {}) {
-  const name = String(imageName || "").trim();
-  if (!name) return false;
-
-  const useCache = options.useCache !== false;
-  const key = name.toLowerCase();
-  const now = Date.now();
-  if (useCache && processStatusCache.has(key)) {
-    const cached = processStatusCache.get(key);
-    if (cached && now - cached.ts < PROCESS_STATUS_CACHE_MS) return Boolean(cached.value);
+function parseJsonPayload(text) {
+  const raw = String(text || "").trim();
+  if (!raw) throw new Error("Leere JSON-Antwort");
+  try {
+    return JSON.parse(raw);
+  } catch {
+    // Continue with fallback extraction.
   }
 
-  let running = false;
-  if (process.platform === "win32") {
+  const firstObject = raw.indexOf("{");
+  const lastObject = raw.lastIndexOf("}");
+  if (firstObject >= 0 && lastObject > firstObject) {
+    const fragment = raw.slice(firstObject, lastObject + 1);
     try {
-      const { stdout } = await execFileAsync("tasklist", ["/FI", `IMAGENAME eq ${name}`], {
-        windowsHide: true,
-        timeout: 5000
-      });
-      const out = stdout.toLowerCase();
-      running = !out.includes("no tasks are running") && out.includes(key);
+      return JSON.parse(fragment);
     } catch {
-      running = false;
+      // ignore and continue
     }
   }
 
-  processStatusCache.set(key, { ts: now, value: running });
-  if (processStatusCache.size > 64) {
-    const cutoff = now - PROCESS_STATUS_CACHE_MS * 2;
-    for (const [cacheKey, value] of processStatusCache.entries()) {
-      if (!value || value.ts < cutoff) processStatusCache.delete(cacheKey);
-    }
+  const firstArray = raw.indexOf("[");
+  const lastArray = raw.lastIndexOf("]");
+  if (firstArray >= 0 && lastArray > firstArray) {
+    const fragment = raw.slice(firstArray, lastArray + 1);
+    return JSON.parse(fragment);
   }
-  return running;
+  throw new Error(`JSON konnte nicht gelesen werden: ${safeTrim(raw, 260)}`);
 }
 
-function clearProcessStatusCache(processNames = []) {
-  if (!Array.isArray(processNames)) return;
-  for (const name of processNames) {
-    const key = String(name || "").trim().toLowerCase();
-    if (key) processStatusCache.delete(key);
-  }
+async function runPowerShellJson(script, args = [], timeoutMs = 12000, options = {}) {
+  const output = await runPowerShell(script, args, timeoutMs, options);
+  return parseJsonPayload(output);
 }
 
-async function detectRunningProcessName(processNames, options = {}) {
-  const names = Array.isArray(processNames) ? processNames.map((x) => String(x || "").trim()).filter(Boolean) : [];
-  for (const name of names) {
-    if (await isProcessRunning(name, options)) return name;
-  }
-  return "";
-}
+const AUDIO_MIXER_BRIDGE_CSHARP = String.raw`
+using System;
+using System.Collections.Generic;
+using System.Diagnostics;
+using System.Runtime.InteropServices;
 
-async function getCurseForgeStatus(options = {}) {
-  const processName = await detectRunningProcessName(CURSEFORGE_PROCESS_NAMES, options);
-  const configuredPath = resolveLauncherPath("curseforge");
-  const executablePath = resolveCurseForgeExecutablePath();
-  return {
-    configuredPath,
-    executablePath,
-    installed: Boolean(executablePath),
-    running: Boolean(processName),
-    processName: processName || ""
-  };
-}
+namespace StreamDeckAudio {
+  public enum EDataFlow { eRender = 0, eCapture = 1, eAll = 2 }
+  public enum ERole { eConsole = 0, eMultimedia = 1, eCommunications = 2 }
+  public enum AudioSessionState { Inactive = 0, Active = 1, Expired = 2 }
 
-function startCurseForgeProcess() {
-  const executablePath = resolveCurseForgeExecutablePath();
-  if (!executablePath) {
-    throw new Error("CurseForge.exe nicht gefunden. Bitte in Einstellungen -> Launcher den CurseForge-Pfad setzen.");
+  [Guid("A95664D2-9614-4F35-A746-DE8DB63617E6"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+  interface IMMDeviceEnumerator {
+    int NotImpl1();
+    int GetDefaultAudioEndpoint(EDataFlow dataFlow, ERole role, out IMMDevice ppDevice);
   }
-  startViaCmd(executablePath);
-  clearProcessStatusCache(CURSEFORGE_PROCESS_NAMES);
-  return executablePath;
-}
-
-function taskkillNotRunning(output) {
-  const text = String(output || "").toLowerCase();
-  return text.includes("not found")
-    || text.includes("no tasks are running")
-    || text.includes("keine tasks")
-    || text.includes("konnte nicht gefunden werden")
-    || text.includes("wurde nicht gefunden")
-    || text.includes("keine laufende instanz");
-}
-
-async function stopCurseForgeProcesses() {
-  const attempted = [...CURSEFORGE_PROCESS_NAMES];
-  const stopped = [];
-  const skipped = [];
 
-  if (process.platform !== "win32") {
-    throw new Error("CurseForge Prozesssteuerung ist nur unter Windows verfuegbar.");
+  [Guid("D666063F-1587-4E43-81F1-B948E807363F"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+  interface IMMDevice {
+    int Activate(ref Guid iid, int dwClsCtx, IntPtr pActivationParams, [MarshalAs(UnmanagedType.IUnknown)] out object ppInterface);
   }
 
-  if (DRY_RUN) {
-    logger.info("dry-run curseforge stop skipped", { attempted });
-    clearProcessStatusCache(CURSEFORGE_PROCESS_NAMES);
-    return { attempted, stopped, skipped: attempted, dryRun: true };
+  [Guid("77AA99A0-1BD6-484F-8BC7-2C654C9A9B6F"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+  interface IAudioSessionManager2 {
+    int NotImpl1();
+    int NotImpl2();
+    int GetSessionEnumerator(out IAudioSessionEnumerator SessionEnum);
   }
 
-  for (const imageName of attempted) {
-    try {
-      await execFileAsync("taskkill", ["/IM", imageName, "/T", "/F"], { windowsHide: true, timeout: 10000 });
-      stopped.push(imageName);
-    } catch (error) {
-      const details = `${String(error?.stdout || "")} ${String(error?.stderr || "")}`;
-      if (taskkillNotRunning(details)) {
-        skipped.push(imageName);
-        continue;
-      }
-      throw new Error(`taskkill ${imageName} fehlgeschlagen: ${safeTrim(details.trim(), 260)}`);
-    }
+  [Guid("E2F5BB11-0570-40CA-ACDD-3AA01277DEE8"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+  interface IAudioSessionEnumerator {
+    int GetCount(out int SessionCount);
+    int GetSession(int SessionCount, out IAudioSessionControl Session);
   }
 
-  clearProcessStatusCache(CURSEFORGE_PROCESS_NAMES);
-  return { attempted, stopped, skipped, dryRun: false };
-}
-
-const systemMetricsState = {
-  cpuSample: null,
-  network: {
-    ts: 0,
-    rxTotalBytes: 0,
-    txTotalBytes: 0,
-    rxBytesPerSec: 0,
-    txBytesPerSec: 0,
-    source: process.platform === "win32" ? "netstat" : "unsupported"
+  [Guid("F4B1A599-7266-4319-A8CA-E70ACB11E8CD"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+  interface IAudioSessionControl {
+    int GetState(out AudioSessionState pRetVal);
+    int GetDisplayName([MarshalAs(UnmanagedType.LPWStr)] out string pRetVal);
+    int SetDisplayName([MarshalAs(UnmanagedType.LPWStr)] string Value, ref Guid EventContext);
+    int GetIconPath([MarshalAs(UnmanagedType.LPWStr)] out string pRetVal);
+    int SetIconPath([MarshalAs(UnmanagedType.LPWStr)] string Value, ref Guid EventContext);
+    int GetGroupingParam(out Guid pRetVal);
+    int SetGroupingParam(ref Guid Override, ref Guid EventContext);
+    int RegisterAudioSessionNotification(IntPtr NewNotifications);
+    int UnregisterAudioSessionNotification(IntPtr NewNotifications);
   }
-};
 
-function readCpuSample() {
-  const cpus = os.cpus();
-  let idle = 0;
-  let total = 0;
-  for (const cpu of cpus) {
-    const times = cpu && cpu.times ? cpu.times : {};
-    const cpuTotal = (times.user || 0) + (times.nice || 0) + (times.sys || 0) + (times.idle || 0) + (times.irq || 0);
-    total += cpuTotal;
-    idle += (times.idle || 0);
+  [Guid("bfb7ff88-7239-4fc9-8fa2-07c950be9c6d"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+  interface IAudioSessionControl2 {
+    int GetState(out AudioSessionState pRetVal);
+    int GetDisplayName([MarshalAs(UnmanagedType.LPWStr)] out string pRetVal);
+    int SetDisplayName([MarshalAs(UnmanagedType.LPWStr)] string Value, ref Guid EventContext);
+    int GetIconPath([MarshalAs(UnmanagedType.LPWStr)] out string pRetVal);
+    int SetIconPath([MarshalAs(UnmanagedType.LPWStr)] string Value, ref Guid EventContext);
+    int GetGroupingParam(out Guid pRetVal);
+    int SetGroupingParam(ref Guid Override, ref Guid EventContext);
+    int RegisterAudioSessionNotification(IntPtr NewNotifications);
+    int UnregisterAudioSessionNotification(IntPtr NewNotifications);
+    int GetSessionIdentifier([MarshalAs(UnmanagedType.LPWStr)] out string pRetVal);
+    int GetSessionInstanceIdentifier([MarshalAs(UnmanagedType.LPWStr)] out string pRetVal);
+    int GetProcessId(out uint pRetVal);
+    int IsSystemSoundsSession();
+    int SetDuckingPreference(bool optOut);
   }
-  return { idle, total, cores: cpus.length || 1 };
-}
+
+  [Guid("87CE5498-68D6-44E5-9215-6DA47EF883D8"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+  interface ISimpleAudioVolume {
+    int SetMasterVolume(float fLevel, ref Guid EventContext);
+    int GetMasterVolume(out float pfLevel);
+    int SetMute(bool bMute, ref Guid EventContext);
+    int GetMute(out bool pbMute);
+  }
+
+  [ComImport, Guid("BCDE0395-E52F-467C-8E3D-C4579291692E")]
+  class MMDeviceEnumeratorComObject { }
+
+  public sealed class SessionSnapshot {
+    public int Pid { get; set; }
+    public string ProcessName { get; set; }
+    public string DisplayName { get; set; }
+    public string SessionIdentifier { get; set; }
+    public string SessionInstanceIdentifier { get; set; }
+    public string SessionKey { get; set; }
+    public string State { get; set; }
+    public double VolumePercent { get; set; }
+    public bool Muted { get; set; }
+    public bool HasWindow { get; set; }
+  }
+
+  public static class CoreAudioBridge {
+    const int CLSCTX_ALL = 23;
+    const uint WM_APPCOMMAND = 0x0319;
+    const int APPCOMMAND_MEDIA_PLAY_PAUSE = 14;
+    const byte VK_MEDIA_PLAY_PAUSE = 0xB3;
+    const int KEYEVENTF_KEYUP = 0x0002;
+
+    [DllImport("user32.dll", SetLastError = true)]
+    static extern bool PostMessage(IntPtr hWnd, uint msg, IntPtr wParam, IntPtr lParam);
+
+    [DllImport("user32.dll")]
+    static extern void keybd_event(byte bVk, byte bScan, int dwFlags, int dwExtraInfo);
+
+    static IAudioSessionEnumerator CreateSessionEnumerator(ERole role) {
+      IMMDeviceEnumerator deviceEnumerator = new MMDeviceEnumeratorComObject() as IMMDeviceEnumerator;
+      if (deviceEnumerator == null) throw new InvalidOperationException("IMMDeviceEnumerator unavailable");
+
+      IMMDevice device;
+      Marshal.ThrowExceptionForHR(deviceEnumerator.GetDefaultAudioEndpoint(EDataFlow.eRender, role, out device));
+      if (device == null) throw new InvalidOperationException("Default audio endpoint unavailable");
+
+      object managerObj;
+      Guid iid = typeof(IAudioSessionManager2).GUID;
+      Marshal.ThrowExceptionForHR(device.Activate(ref iid, CLSCTX_ALL, IntPtr.Zero, out managerObj));
+      IAudioSessionManager2 manager = managerObj as IAudioSessionManager2;
+      if (manager == null) throw new InvalidOperationException("IAudioSessionManager2 unavailable");
+
+      IAudioSessionEnumerator enumerator;
+      Marshal.ThrowExceptionForHR(manager.GetSessionEnumerator(out enumerator));
+      return enumerator;
+    }
+
+    static string GuessProcessNameFromIdentifier(string sessionIdentifier) {
+      if (string.IsNullOrWhiteSpace(sessionIdentifier)) return "";
+      string raw = sessionIdentifier.Trim();
+      int exeIndex = raw.IndexOf(".exe", StringComparison.OrdinalIgnoreCase);
+      if (exeIndex <= 0) return "";
+
+      int startBackslash = raw.LastIndexOf('\\', exeIndex);
+      int startSlash = raw.LastIndexOf('/', exeIndex);
+      int start = Math.Max(startBackslash, startSlash) + 1;
+      int length = (exeIndex + 4) - start;
+      if (start < 0 || length <= 0 || start + length > raw.Length) return "";
+
+      string fileName = raw.Substring(start, length);
+      if (fileName.EndsWith(".exe", StringComparison.OrdinalIgnoreCase)) {
+        fileName = fileName.Substring(0, fileName.Length - 4);
+      }
+      return fileName.Trim();
+    }
+
+    static string BuildSessionKey(int pid, string sessionIdentifier, string sessionInstanceIdentifier, string processName, int fallbackIndex) {
+      if (!string.IsNullOrWhiteSpace(sessionInstanceIdentifier)) return "inst::" + sessionInstanceIdentifier.Trim();
+      if (!string.IsNullOrWhiteSpace(sessionIdentifier)) return "sess::" + sessionIdentifier.Trim();
+
+      string proc = processName ?? "";
+      return string.Format("pid::{0}:{1}:{2}", pid, proc.Trim().ToLowerInvariant(), fallbackIndex);
+    }
+
+    static bool SessionMatchesTarget(
+      int currentPid,
+      string currentSessionIdentifier,
+      string currentSessionInstanceIdentifier,
+      string currentProcessName,
+      int fallbackIndex,
+      int targetPid,
+      string targetSessionKey
+    ) {
+      string target = targetSessionKey ?? "";
+      if (!string.IsNullOrWhiteSpace(target)) {
+        string key = BuildSessionKey(currentPid, currentSessionIdentifier, currentSessionInstanceIdentifier, currentProcessName, fallbackIndex);
+        if (string.Equals(key, target, StringComparison.OrdinalIgnoreCase)) return true;
+        if (!string.IsNullOrWhiteSpace(currentSessionIdentifier)
+          && string.Equals(currentSessionIdentifier, target, StringComparison.OrdinalIgnoreCase)) return true;
+        if (!string.IsNullOrWhiteSpace(currentSessionInstanceIdentifier)
+          && string.Equals(currentSessionInstanceIdentifier, target, StringComparison.OrdinalIgnoreCase)) return true;
+        return false;
+      }
+
+      return targetPid > 0 && currentPid == targetPid;
+    }
+
+    public static List<SessionSnapshot> ListSessions() {
+      List<SessionSnapshot> result = new List<SessionSnapshot>();
+      HashSet<string> seen = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+      ERole[] roles = new ERole[] { ERole.eMultimedia, ERole.eConsole, ERole.eCommunications };
+
+      for (int roleIndex = 0; roleIndex < roles.Length; roleIndex++) {
+        IAudioSessionEnumerator enumerator = null;
+        try {
+          enumerator = CreateSessionEnumerator(roles[roleIndex]);
+        } catch {
+          continue;
+        }
+
+        int count = 0;
+        Marshal.ThrowExceptionForHR(enumerator.GetCount(out count));
+
+        for (int i = 0; i < count; i++) {
+          IAudioSessionControl control;
+          Marshal.ThrowExceptionForHR(enumerator.GetSession(i, out control));
+          if (control == null) continue;
+
+          IAudioSessionControl2 control2 = control as IAudioSessionControl2;
+          ISimpleAudioVolume volume = control as ISimpleAudioVolume;
+          if (control2 == null || volume == null) continue;
+
+          AudioSessionState state = AudioSessionState.Inactive;
+          try { control.GetState(out state); } catch { }
+
+          uint pidRaw = 0;
+          try { control2.GetProcessId(out pidRaw); } catch { }
+          int pid = unchecked((int)pidRaw);
+
+          string displayName = "";
+          try { control.GetDisplayName(out displayName); } catch { displayName = ""; }
+
+          string sessionIdentifier = "";
+          try { control2.GetSessionIdentifier(out sessionIdentifier); } catch { sessionIdentifier = ""; }
+
+          string sessionInstanceIdentifier = "";
+          try { control2.GetSessionInstanceIdentifier(out sessionInstanceIdentifier); } catch { sessionInstanceIdentifier = ""; }
+
+          float volumeRaw = 0f;
+          try { volume.GetMasterVolume(out volumeRaw); } catch { }
+          bool muted = false;
+          try { volume.GetMute(out muted); } catch { }
+
+          string processName = "";
+          bool hasWindow = false;
+          if (pid > 0) {
+            try {
+              Process process = Process.GetProcessById(pid);
+              processName = process.ProcessName ?? "";
+              hasWindow = process.MainWindowHandle != IntPtr.Zero;
+            } catch {
+              processName = "";
+            }
+          }
+          if (string.IsNullOrWhiteSpace(processName)) {
+            processName = GuessProcessNameFromIdentifier(sessionIdentifier);
+          }
+          if (string.IsNullOrWhiteSpace(processName) && pid == 0) {
+            processName = "System";
+          }
+
+          string dedupeKey = !string.IsNullOrWhiteSpace(sessionInstanceIdentifier)
+            ? "inst::" + sessionInstanceIdentifier.Trim()
+            : !string.IsNullOrWhiteSpace(sessionIdentifier)
+              ? "sess::" + sessionIdentifier.Trim()
+              : string.Format("pid::{0}:{1}:{2}", pid, (processName ?? "").Trim().ToLowerInvariant(), i);
+          if (!seen.Add(dedupeKey)) continue;
+
+          int fallbackIndex = roleIndex * 10000 + i;
+          result.Add(new SessionSnapshot {
+            Pid = pid,
+            ProcessName = processName ?? "",
+            DisplayName = displayName ?? "",
+            SessionIdentifier = sessionIdentifier ?? "",
+            SessionInstanceIdentifier = sessionInstanceIdentifier ?? "",
+            SessionKey = BuildSessionKey(pid, sessionIdentifier, sessionInstanceIdentifier, processName, fallbackIndex),
+            State = state.ToString(),
+            VolumePercent = Math.Round(Math.Max(0.0, Math.Min(1.0, volumeRaw)) * 100.0, 1),
+            Muted = muted,
+            HasWindow = hasWindow
+          });
+        }
+      }
+
+      return result;
+    }
+
+    public static bool SetVolume(int pid, string sessionKey, float level, out string message) {
+      message = "";
+      if (pid <= 0 && string.IsNullOrWhiteSpace(sessionKey)) {
+        message = "pid oder sessionKey fehlt";
+        return false;
+      }
+
+      float clamped = Math.Max(0f, Math.Min(1f, level));
+      Guid context = Guid.Empty;
+      int changed = 0;
+      ERole[] roles = new ERole[] { ERole.eMultimedia, ERole.eConsole, ERole.eCommunications };
+
+      for (int roleIndex = 0; roleIndex < roles.Length; roleIndex++) {
+        IAudioSessionEnumerator enumerator = null;
+        try {
+          enumerator = CreateSessionEnumerator(roles[roleIndex]);
+        } catch {
+          continue;
+        }
+
+        int count = 0;
+        Marshal.ThrowExceptionForHR(enumerator.GetCount(out count));
+
+        for (int i = 0; i < count; i++) {
+          IAudioSessionControl control;
+          Marshal.ThrowExceptionForHR(enumerator.GetSession(i, out control));
+          if (control == null) continue;
+
+          IAudioSessionControl2 control2 = control as IAudioSessionControl2;
+          ISimpleAudioVolume volume = control as ISimpleAudioVolume;
+          if (control2 == null || volume == null) continue;
+
+          uint pidRaw = 0;
+          try { control2.GetProcessId(out pidRaw); } catch { }
+          int currentPid = unchecked((int)pidRaw);
+
+          string sessionIdentifier = "";
+          try { control2.GetSessionIdentifier(out sessionIdentifier); } catch { sessionIdentifier = ""; }
+
+          string sessionInstanceIdentifier = "";
+          try { control2.GetSessionInstanceIdentifier(out sessionInstanceIdentifier); } catch { sessionInstanceIdentifier = ""; }
+
+          string processName = "";
+          if (currentPid > 0) {
+            try {
+              Process process = Process.GetProcessById(currentPid);
+              processName = process.ProcessName ?? "";
+            } catch {
+              processName = "";
+            }
+          }
+          if (string.IsNullOrWhiteSpace(processName)) {
+            processName = GuessProcessNameFromIdentifier(sessionIdentifier);
+          }
+
+          int fallbackIndex = roleIndex * 10000 + i;
+          if (!SessionMatchesTarget(currentPid, sessionIdentifier, sessionInstanceIdentifier, processName, fallbackIndex, pid, sessionKey)) continue;
+
+          volume.SetMasterVolume(clamped, ref context);
+          changed++;
+        }
+      }
+
+      if (changed <= 0) {
+        message = "Keine Session fuer Ziel gefunden";
+        return false;
+      }
+      message = "OK";
+      return true;
+    }
+
+    public static bool SetMute(int pid, string sessionKey, bool mute, out string message) {
+      message = "";
+      if (pid <= 0 && string.IsNullOrWhiteSpace(sessionKey)) {
+        message = "pid oder sessionKey fehlt";
+        return false;
+      }
+
+      Guid context = Guid.Empty;
+      int changed = 0;
+      ERole[] roles = new ERole[] { ERole.eMultimedia, ERole.eConsole, ERole.eCommunications };
+
+      for (int roleIndex = 0; roleIndex < roles.Length; roleIndex++) {
+        IAudioSessionEnumerator enumerator = null;
+        try {
+          enumerator = CreateSessionEnumerator(roles[roleIndex]);
+        } catch {
+          continue;
+        }
+
+        int count = 0;
+        Marshal.ThrowExceptionForHR(enumerator.GetCount(out count));
+
+        for (int i = 0; i < count; i++) {
+          IAudioSessionControl control;
+          Marshal.ThrowExceptionForHR(enumerator.GetSession(i, out control));
+          if (control == null) continue;
+
+          IAudioSessionControl2 control2 = control as IAudioSessionControl2;
+          ISimpleAudioVolume volume = control as ISimpleAudioVolume;
+          if (control2 == null || volume == null) continue;
+
+          uint pidRaw = 0;
+          try { control2.GetProcessId(out pidRaw); } catch { }
+          int currentPid = unchecked((int)pidRaw);
+
+          string sessionIdentifier = "";
+          try { control2.GetSessionIdentifier(out sessionIdentifier); } catch { sessionIdentifier = ""; }
+
+          string sessionInstanceIdentifier = "";
+          try { control2.GetSessionInstanceIdentifier(out sessionInstanceIdentifier); } catch { sessionInstanceIdentifier = ""; }
+
+          string processName = "";
+          if (currentPid > 0) {
+            try {
+              Process process = Process.GetProcessById(currentPid);
+              processName = process.ProcessName ?? "";
+            } catch {
+              processName = "";
+            }
+          }
+          if (string.IsNullOrWhiteSpace(processName)) {
+            processName = GuessProcessNameFromIdentifier(sessionIdentifier);
+          }
+
+          int fallbackIndex = roleIndex * 10000 + i;
+          if (!SessionMatchesTarget(currentPid, sessionIdentifier, sessionInstanceIdentifier, processName, fallbackIndex, pid, sessionKey)) continue;
+
+          volume.SetMute(mute, ref context);
+          changed++;
+        }
+      }
+
+      if (changed <= 0) {
+        message = "Keine Session fuer Ziel gefunden";
+        return false;
+      }
+      message = "OK";
+      return true;
+    }
+
+    public static bool SendPlayPause(int pid, out string message) {
+      message = "";
+      IntPtr targetWindow = IntPtr.Zero;
+
+      if (pid > 0) {
+        try {
+          Process process = Process.GetProcessById(pid);
+          targetWindow = process.MainWindowHandle;
+        } catch { }
+      }
+
+      if (targetWindow != IntPtr.Zero) {
+        IntPtr lParam = new IntPtr(APPCOMMAND_MEDIA_PLAY_PAUSE << 16);
+        bool posted = PostMessage(targetWindow, WM_APPCOMMAND, targetWindow, lParam);
+        if (posted) {
+          message = "APPCOMMAND gesendet";
+          return true;
+        }
+      }
+
+      // Fallback to global media key (active media session)
+      keybd_event(VK_MEDIA_PLAY_PAUSE, 0, 0, 0);
+      keybd_event(VK_MEDIA_PLAY_PAUSE, 0, KEYEVENTF_KEYUP, 0);
+      message = "Globales Media Play/Pause gesendet";
+      return true;
+    }
+  }
+}
+`;
+const AUDIO_MIXER_BRIDGE_CSHARP_B64 = Buffer.from(AUDIO_MIXER_BRIDGE_CSHARP, "utf8").toString("base64");
+
+function toPowerShellNumberLiteral(value, fallback = 0) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return String(fallback);
+  return String(num).replace(",", ".");
+}
+
+function audioMixerPowerShellScript(action = "snapshot", targetPid = 0, value = 0, flag = "", sessionKey = "") {
+  const actionLit = toPowerShellSingleQuoted(String(action || ""));
+  const targetPidLit = String(Number.isFinite(Number(targetPid)) ? Math.max(0, Math.trunc(Number(targetPid))) : 0);
+  const valueLit = toPowerShellNumberLiteral(value, 0);
+  const flagLit = toPowerShellSingleQuoted(String(flag || ""));
+  const sessionKeyLit = toPowerShellSingleQuoted(String(sessionKey || ""));
+  return `
+$ErrorActionPreference = 'Stop'
+Set-StrictMode -Version Latest
+
+if (-not ("StreamDeckAudio.CoreAudioBridge" -as [type])) {
+  $code = [System.Text.Encoding]::UTF8.GetString([System.Convert]::FromBase64String('${AUDIO_MIXER_BRIDGE_CSHARP_B64}'))
+  Add-Type -Language CSharp -TypeDefinition $code
+}
+
+$action = ${actionLit}
+$targetPid = [int]${targetPidLit}
+$value = [double]${valueLit}
+$flag = ${flagLit}
+$sessionKey = [string]${sessionKeyLit}
+
+if ($action -eq 'snapshot') {
+  $sessions = @([StreamDeckAudio.CoreAudioBridge]::ListSessions())
+  $spotify = $sessions | Where-Object { [string]$_.ProcessName -match '(?i)spotify' } | Select-Object -First 1
+  [pscustomobject]@{
+    ok = $true
+    sessions = $sessions
+    spotify = $spotify
+  } | ConvertTo-Json -Depth 8 -Compress
+  exit 0
+}
+
+if ($action -eq 'setVolume') {
+  $msg = ''
+  $ok = [StreamDeckAudio.CoreAudioBridge]::SetVolume($targetPid, [string]$sessionKey, [float]([Math]::Max(0, [Math]::Min(100, $value)) / 100.0), [ref]$msg)
+  [pscustomobject]@{
+    ok = [bool]$ok
+    message = [string]$msg
+    pid = $targetPid
+    sessionKey = [string]$sessionKey
+    volumePercent = [Math]::Round([Math]::Max(0, [Math]::Min(100, $value)), 1)
+  } | ConvertTo-Json -Depth 8 -Compress
+  exit 0
+}
+
+if ($action -eq 'setMute') {
+  $mute = $false
+  if ([string]$flag -match '^(1|true|yes|on)$') { $mute = $true }
+  $msg = ''
+  $ok = [StreamDeckAudio.CoreAudioBridge]::SetMute($targetPid, [string]$sessionKey, [bool]$mute, [ref]$msg)
+  [pscustomobject]@{
+    ok = [bool]$ok
+    message = [string]$msg
+    pid = $targetPid
+    sessionKey = [string]$sessionKey
+    muted = [bool]$mute
+  } | ConvertTo-Json -Depth 8 -Compress
+  exit 0
+}
+
+if ($action -eq 'playPause') {
+  $msg = ''
+  $ok = [StreamDeckAudio.CoreAudioBridge]::SendPlayPause($targetPid, [ref]$msg)
+  [pscustomobject]@{
+    ok = [bool]$ok
+    message = [string]$msg
+    pid = $targetPid
+  } | ConvertTo-Json -Depth 8 -Compress
+  exit 0
+}
+
+throw "unknown audio action: $action"
+`;
+}
+
+function normalizeAudioSession(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const pid = Number(raw.Pid ?? raw.pid ?? 0);
+  const processName = safeTrim(raw.ProcessName ?? raw.processName ?? "", 120);
+  const displayName = safeTrim(raw.DisplayName ?? raw.displayName ?? "", 160);
+  const sessionIdentifier = safeTrim(raw.SessionIdentifier ?? raw.sessionIdentifier ?? "", 260);
+  const sessionInstanceIdentifier = safeTrim(raw.SessionInstanceIdentifier ?? raw.sessionInstanceIdentifier ?? "", 260);
+  const sessionKey = safeTrim(raw.SessionKey ?? raw.sessionKey ?? "", 360);
+  const state = safeTrim(raw.State ?? raw.state ?? "", 40);
+  const muted = Boolean(raw.Muted ?? raw.muted);
+  const hasWindow = Boolean(raw.HasWindow ?? raw.hasWindow);
+  const volumePercentRaw = Number(raw.VolumePercent ?? raw.volumePercent ?? 0);
+  const volumePercent = Number.isFinite(volumePercentRaw)
+    ? Math.max(0, Math.min(100, Math.round(volumePercentRaw * 10) / 10))
+    : 0;
+  if (!Number.isFinite(pid) || pid < 0) return null;
+  if (!pid && !processName && !displayName && !sessionKey && !sessionIdentifier && !sessionInstanceIdentifier) return null;
+  const normalizedSessionKey = sessionKey || sessionInstanceIdentifier || sessionIdentifier || "";
+  return {
+    pid: Math.trunc(pid),
+    processName,
+    displayName,
+    sessionIdentifier,
+    sessionInstanceIdentifier,
+    sessionKey: normalizedSessionKey,
+    state,
+    volumePercent,
+    muted,
+    hasWindow
+  };
+}
+
+const AUDIO_MIXER_CACHE_MS = 1200;
+const audioMixerCache = { ts: 0, payload: null };
+
+function clearAudioMixerCache() {
+  audioMixerCache.ts = 0;
+  audioMixerCache.payload = null;
+}
+
+async function readAudioMixerSnapshot(options = {}) {
+  const useCache = options.useCache !== false;
+  const now = Date.now();
+  if (useCache && audioMixerCache.payload && now - audioMixerCache.ts < AUDIO_MIXER_CACHE_MS) {
+    return audioMixerCache.payload;
+  }
+
+  if (process.platform !== "win32") {
+    const fallback = {
+      available: false,
+      platform: process.platform,
+      sessions: [],
+      spotify: null
+    };
+    audioMixerCache.ts = now;
+    audioMixerCache.payload = fallback;
+    return fallback;
+  }
+
+  let parsed = null;
+  try {
+    parsed = await runPowerShellJson(audioMixerPowerShellScript("snapshot", 0, 0, ""), [], 25000);
+  } catch (error) {
+    const degraded = {
+      available: false,
+      platform: process.platform,
+      sessions: [],
+      spotify: null,
+      error: safeTrim(error?.message || String(error), 240)
+    };
+    audioMixerCache.ts = now;
+    audioMixerCache.payload = degraded;
+    return degraded;
+  }
+
+  const list = Array.isArray(parsed?.sessions)
+    ? parsed.sessions.map(normalizeAudioSession).filter(Boolean)
+    : [];
+  list.sort((a, b) => {
+    const byName = String(a.processName || a.displayName).localeCompare(String(b.processName || b.displayName), "de", { sensitivity: "base" });
+    if (byName !== 0) return byName;
+    return a.pid - b.pid;
+  });
+
+  const spotify = list.find((x) => /spotify/i.test(`${x.processName} ${x.displayName}`)) || null;
+  const payload = {
+    available: true,
+    platform: process.platform,
+    sessions: list,
+    spotify: spotify
+      ? {
+          pid: spotify.pid,
+          sessionKey: spotify.sessionKey || spotify.sessionInstanceIdentifier || spotify.sessionIdentifier || "",
+          processName: spotify.processName,
+          displayName: spotify.displayName,
+          muted: spotify.muted,
+          volumePercent: spotify.volumePercent
+        }
+      : null
+  };
+
+  audioMixerCache.ts = now;
+  audioMixerCache.payload = payload;
+  return payload;
+}
+
+function sanitizeOptionalPid(value) {
+  const pid = Number(value);
+  if (!Number.isFinite(pid) || pid <= 0 || pid > 2_147_483_647) return 0;
+  return Math.trunc(pid);
+}
+
+function sanitizeAudioSessionKey(value) {
+  if (typeof value !== "string") return "";
+  const key = safeTrim(value, 360);
+  if (!key) return "";
+  if (/[\r\n]/.test(key)) throw new Error("ungueltiger sessionKey");
+  return key;
+}
+
+function sanitizeAudioSessionTarget(body = {}) {
+  const pid = sanitizeOptionalPid(body?.pid);
+  const sessionKey = sanitizeAudioSessionKey(body?.sessionKey);
+  if (!pid && !sessionKey) throw new Error("ungueltiges Session-Ziel");
+  return { pid, sessionKey };
+}
+
+function sanitizeVolumePercent(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) throw new Error("ungueltige Lautstaerke");
+  return Math.max(0, Math.min(100, Math.round(num * 10) / 10));
+}
+
+async function setAudioSessionVolume(pid, volumePercent, sessionKey = "") {
+  if (process.platform !== "win32") throw new Error("Audio-Mixer ist nur unter Windows verfuegbar.");
+  const parsed = await runPowerShellJson(
+    audioMixerPowerShellScript("setVolume", pid || 0, volumePercent, "", sessionKey),
+    [],
+    20000
+  );
+  if (!parsed || parsed.ok !== true) throw new Error(parsed?.message || "Lautstaerke konnte nicht gesetzt werden");
+  clearAudioMixerCache();
+  return parsed;
+}
+
+async function setAudioSessionMute(pid, muted, sessionKey = "") {
+  if (process.platform !== "win32") throw new Error("Audio-Mixer ist nur unter Windows verfuegbar.");
+  const parsed = await runPowerShellJson(
+    audioMixerPowerShellScript("setMute", pid || 0, 0, muted ? "true" : "false", sessionKey),
+    [],
+    20000
+  );
+  if (!parsed || parsed.ok !== true) throw new Error(parsed?.message || "Mute konnte nicht gesetzt werden");
+  clearAudioMixerCache();
+  return parsed;
+}
+
+async function sendAudioSessionPlayPause(pid) {
+  if (process.platform !== "win32") throw new Error("Audio-Mixer ist nur unter Windows verfuegbar.");
+  const parsed = await runPowerShellJson(
+    audioMixerPowerShellScript("playPause", pid || 0, 0, ""),
+    [],
+    15000
+  );
+  if (!parsed || parsed.ok !== true) throw new Error(parsed?.message || "Play/Pause fehlgeschlagen");
+  return parsed;
+}
+
+function openSpotifyApp() {
+  startViaCmd("spotify:");
+}
+
+const processStatusCache = new Map();
+async function isProcessRunning(imageName, options = {}) {
+  const name = String(imageName || "").trim();
+  if (!name) return false;
+
+  const useCache = options.useCache !== false;
+  const key = name.toLowerCase();
+  const now = Date.now();
+  if (useCache && processStatusCache.has(key)) {
+    const cached = processStatusCache.get(key);
+    if (cached && now - cached.ts < PROCESS_STATUS_CACHE_MS) return Boolean(cached.value);
+  }
+
+  let running = false;
+  if (process.platform === "win32") {
+    try {
+      const { stdout } = await execFileAsync("tasklist", ["/FI", `IMAGENAME eq ${name}`], {
+        windowsHide: true,
+        timeout: 5000
+      });
+      const out = stdout.toLowerCase();
+      running = !out.includes("no tasks are running") && out.includes(key);
+    } catch {
+      running = false;
+    }
+  }
+
+  processStatusCache.set(key, { ts: now, value: running });
+  if (processStatusCache.size > 64) {
+    const cutoff = now - PROCESS_STATUS_CACHE_MS * 2;
+    for (const [cacheKey, value] of processStatusCache.entries()) {
+      if (!value || value.ts < cutoff) processStatusCache.delete(cacheKey);
+    }
+  }
+  return running;
+}
+
+function clearProcessStatusCache(processNames = []) {
+  if (!Array.isArray(processNames)) return;
+  for (const name of processNames) {
+    const key = String(name || "").trim().toLowerCase();
+    if (key) processStatusCache.delete(key);
+  }
+}
+
+async function detectRunningProcessName(processNames, options = {}) {
+  const names = Array.isArray(processNames) ? processNames.map((x) => String(x || "").trim()).filter(Boolean) : [];
+  for (const name of names) {
+    if (await isProcessRunning(name, options)) return name;
+  }
+  return "";
+}
+
+async function getCurseForgeStatus(options = {}) {
+  const processName = await detectRunningProcessName(CURSEFORGE_PROCESS_NAMES, options);
+  const configuredPath = resolveLauncherPath("curseforge");
+  const executablePath = resolveCurseForgeExecutablePath();
+  return {
+    configuredPath,
+    executablePath,
+    installed: Boolean(executablePath),
+    running: Boolean(processName),
+    processName: processName || ""
+  };
+}
+
+function startCurseForgeProcess() {
+  const executablePath = resolveCurseForgeExecutablePath();
+  if (!executablePath) {
+    throw new Error("CurseForge.exe nicht gefunden. Bitte in Einstellungen -> Launcher den CurseForge-Pfad setzen.");
+  }
+  startViaCmd(executablePath);
+  clearProcessStatusCache(CURSEFORGE_PROCESS_NAMES);
+  return executablePath;
+}
+
+function taskkillNotRunning(output) {
+  const text = String(output || "").toLowerCase();
+  return text.includes("not found")
+    || text.includes("no tasks are running")
+    || text.includes("keine tasks")
+    || text.includes("konnte nicht gefunden werden")
+    || text.includes("wurde nicht gefunden")
+    || text.includes("keine laufende instanz");
+}
+
+// Resolves false when no process with that image name was running.
+async function taskkillImage(imageName) {
+  try {
+    await execFileAsync("taskkill", ["/IM", imageName, "/T", "/F"], { windowsHide: true, timeout: 10000 });
+    return true;
+  } catch (error) {
+    const details = `${String(error?.stdout || "")} ${String(error?.stderr || "")}`;
+    if (taskkillNotRunning(details)) return false;
+    throw new Error(`taskkill ${imageName} fehlgeschlagen: ${safeTrim(details.trim(), 260)}`);
+  }
+}
+
+async function waitForProcessExit(imageName, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (await isProcessRunning(imageName, { useCache: false })) {
+    if (Date.now() >= deadline) throw new Error(`${imageName} wurde nicht rechtzeitig beendet`);
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+}
+
+async function stopCurseForgeProcesses() {
+  const attempted = [...CURSEFORGE_PROCESS_NAMES];
+  const stopped = [];
+  const skipped = [];
+
+  if (process.platform !== "win32") {
+    throw new Error("CurseForge Prozesssteuerung ist nur unter Windows verfuegbar.");
+  }
+
+  if (DRY_RUN) {
+    logger.info("dry-run curseforge stop skipped", { attempted });
+    clearProcessStatusCache(CURSEFORGE_PROCESS_NAMES);
+    return { attempted, stopped, skipped: attempted, dryRun: true };
+  }
+
+  for (const imageName of attempted) {
+    if (await taskkillImage(imageName)) stopped.push(imageName);
+    else skipped.push(imageName);
+  }
+
+  clearProcessStatusCache(CURSEFORGE_PROCESS_NAMES);
+  return { attempted, stopped, skipped, dryRun: false };
+}
+
+function processesPowerShellScript(payload) {
+  const payloadB64 = Buffer.from(JSON.stringify(payload), "utf8").toString("base64");
+  return `
+$ErrorActionPreference = 'Stop'
+$payload = [System.Text.Encoding]::UTF8.GetString([System.Convert]::FromBase64String('${payloadB64}')) | ConvertFrom-Json
+
+function Get-ProcessEntry([System.Diagnostics.Process]$p) {
+  $cpu = 0.0
+  $priority = ''
+  $path = ''
+  try { $cpu = $p.TotalProcessorTime.TotalSeconds } catch {}
+  try { $priority = [string]$p.PriorityClass } catch {}
+  try { $path = [string]$p.Path } catch {}
+  [pscustomobject]@{
+    Pid = $p.Id
+    Name = $p.ProcessName
+    CpuSeconds = $cpu
+    WorkingSet = $p.WorkingSet64
+    Priority = $priority
+    Title = [string]$p.MainWindowTitle
+    Path = $path
+  }
+}
+
+if ($payload.op -eq 'list') {
+  [pscustomobject]@{ ok = $true; processes = @(Get-Process | ForEach-Object { Get-ProcessEntry $_ }) } | ConvertTo-Json -Compress -Depth 3
+  exit 0
+}
+
+$p = Get-Process -Id ([int]$payload.pid) -ErrorAction SilentlyContinue
+if (-not $p) {
+  [pscustomobject]@{ ok = $false; notFound = $true; message = 'Prozess nicht gefunden' } | ConvertTo-Json -Compress
+  exit 0
+}
+if ($p.ProcessName -ne [string]$payload.name) {
+  [pscustomobject]@{ ok = $false; changed = $true; message = ('PID gehoert inzwischen zu ' + $p.ProcessName) } | ConvertTo-Json -Compress
+  exit 0
+}
+
+try {
+  $newPid = 0
+  switch ([string]$payload.op) {
+    'priority' {
+      $p.PriorityClass = [System.Diagnostics.ProcessPriorityClass][string]$payload.priority
+    }
+    'kill' {
+      Stop-Process -Id $p.Id -Force
+      if (-not $p.WaitForExit([int]$payload.waitMs)) { throw 'Prozess wurde nicht rechtzeitig beendet' }
+    }
+    'restart' {
+      $info = Get-CimInstance Win32_Process -Filter ('ProcessId = ' + $p.Id)
+      $exe = [string]$info.ExecutablePath
+      if (-not $exe) { throw 'Programmpfad des Prozesses unbekannt' }
+      $line = ([string]$info.CommandLine).Trim()
+      $argLine = ''
+      if ($line.StartsWith('"')) {
+        $end = $line.IndexOf('"', 1)
+        if ($end -gt 0) { $argLine = $line.Substring($end + 1).Trim() }
+      } else {
+        $space = $line.IndexOf(' ')
+        if ($space -gt 0) { $argLine = $line.Substring($space + 1).Trim() }
+      }
+      Stop-Process -Id $p.Id -Force
+      if (-not $p.WaitForExit([int]$payload.waitMs)) { throw 'Prozess wurde nicht rechtzeitig beendet' }
+      $start = @{ FilePath = $exe; WorkingDirectory = (Split-Path -Parent $exe); PassThru = $true }
+      if ($argLine) { $start.ArgumentList = $argLine }
+      $newPid = (Start-Process @start).Id
+    }
+  }
+  [pscustomobject]@{ ok = $true; newPid = $newPid } | ConvertTo-Json -Compress
+} catch {
+  [pscustomobject]@{ ok = $false; message = [string]$_.Exception.Message } | ConvertTo-Json -Compress
+}
+`;
+}
+
+function normalizeProcessName(raw) {
+  return safeTrim(raw, 120).replace(/\.exe$/i, "");
+}
+
+function isProtectedProcess(pid, name) {
+  if (pid <= 4 || pid === process.pid) return true;
+  return PROCESS_PROTECTED_NAMES.has(normalizeProcessName(name).toLowerCase());
+}
+
+function processPriorityKey(raw) {
+  const text = safeTrim(raw, 32);
+  return text ? text[0].toLowerCase() + text.slice(1) : "";
+}
+
+// CPU percent comes from the delta of TotalProcessorTime between two listings, so the first listing reports 0.
+const processListState = { sample: null };
+
+async function listProcesses() {
+  const cores = os.cpus().length || 1;
+  if (process.platform !== "win32") return { available: false, platform: process.platform, cores, processes: [] };
+  const parsed = await runPowerShellJson(processesPowerShellScript({ op: "list" }), [], 20000);
+  const now = Date.now();
+  const previous = processListState.sample;
+  const elapsedSec = previous ? (now - previous.ts) / 1000 : 0;
+  const cpuByPid = new Map();
+  const processes = [];
+  for (const raw of Array.isArray(parsed?.processes) ? parsed.processes : []) {
+    const pid = Number(raw?.Pid);
+    if (!Number.isInteger(pid) || pid < 0) continue;
+    const name = safeTrim(raw.Name, 120);
+    const cpuSeconds = Number(raw.CpuSeconds) || 0;
+    cpuByPid.set(pid, cpuSeconds);
+    let cpuPercent = 0;
+    if (elapsedSec > 0 && previous.cpuByPid.has(pid)) {
+      const used = (cpuSeconds - previous.cpuByPid.get(pid)) / (elapsedSec * cores);
+      cpuPercent = Math.max(0, Math.min(100, used * 100));
+    }
+    processes.push({
+      pid,
+      name,
+      cpuPercent: Math.round(cpuPercent * 10) / 10,
+      memoryBytes: Number(raw.WorkingSet) || 0,
+      priority: processPriorityKey(raw.Priority),
+      title: safeTrim(raw.Title, 240),
+      path: safeTrim(raw.Path, 400),
+      protected: isProtectedProcess(pid, name)
+    });
+  }
+  processListState.sample = { ts: now, cpuByPid };
+  processes.sort((a, b) => (b.cpuPercent - a.cpuPercent) || (b.memoryBytes - a.memoryBytes));
+  return { available: true, platform: process.platform, cores, processes };
+}
+
+// Kill and restart need a second request carrying a one-time confirm token bound to pid, name and operation.
+const processConfirmState = new Map();
+
+function purgeExpiredProcessConfirms(now = Date.now()) {
+  for (const [key, entry] of processConfirmState) {
+    if (entry.expiresAt <= now) processConfirmState.delete(key);
+  }
+}
+
+function issueProcessConfirm(op, target) {
+  purgeExpiredProcessConfirms();
+  if (processConfirmState.size >= PROCESS_CONFIRM_MAX_PENDING) {
+    processConfirmState.delete(processConfirmState.keys().next().value);
+  }
+  const token = crypto.randomBytes(12).toString("hex");
+  const entry = { op, pid: target.pid, name: target.name.toLowerCase(), expiresAt: Date.now() + PROCESS_CONFIRM_TTL_MS };
+  processConfirmState.set(token, entry);
+  return { token, expiresAt: new Date(entry.expiresAt).toISOString() };
+}
+
+function consumeProcessConfirm(rawToken, op, target) {
+  purgeExpiredProcessConfirms();
+  const token = safeTrim(rawToken, 64);
+  const entry = token ? processConfirmState.get(token) : null;
+  if (!entry || entry.op !== op || entry.pid !== target.pid || entry.name !== target.name.toLowerCase()) return false;
+  processConfirmState.delete(token);
+  return true;
+}
+
+function readProcessTarget(body, op) {
+  const src = body && typeof body === "object" ? body : {};
+  const pid = Number(src.pid);
+  if (!Number.isInteger(pid) || pid <= 0) throw Object.assign(new Error("pid ungueltig"), { status: 400 });
+  const name = normalizeProcessName(src.name);
+  if (!name || /[\\/]/.test(name)) throw Object.assign(new Error("Prozessname fehlt"), { status: 400 });
+  const target = { pid, name };
+  if (op === "priority") {
+    const priority = safeTrim(src.priority, 32);
+    if (!Object.prototype.hasOwnProperty.call(PROCESS_PRIORITIES, priority)) {
+      throw Object.assign(new Error(`priority ungueltig (erlaubt: ${Object.keys(PROCESS_PRIORITIES).join(", ")})`), { status: 400 });
+    }
+    target.priority = priority;
+  }
+  if (isProtectedProcess(pid, name)) {
+    throw Object.assign(new Error(`${name} (PID ${pid}) ist geschuetzt: ${PROCESS_OP_LABELS[op]} nicht erlaubt`), { status: 403 });
+  }
+  return target;
+}
+
+// The PowerShell side re-checks that the PID still belongs to the named process before touching it.
+async function runProcessOperation(op, target) {
+  const view = { op, ...target };
+  if (DRY_RUN) {
+    logger.info("dry-run process operation skipped", view);
+    return { ...view, dryRun: true };
+  }
+  if (process.platform !== "win32") throw new Error("Prozesssteuerung ist nur unter Windows verfuegbar.");
+
+  const parsed = await runPowerShellJson(processesPowerShellScript({
+    op,
+    pid: target.pid,
+    name: target.name,
+    priority: target.priority ? PROCESS_PRIORITIES[target.priority] : "",
+    waitMs: PROCESS_EXIT_WAIT_MS
+  }), [], 30000);
+  if (!parsed || parsed.ok !== true) {
+    const status = parsed?.notFound ? 404 : parsed?.changed ? 409 : 500;
+    throw Object.assign(new Error(parsed?.message || `${PROCESS_OP_LABELS[op]} fehlgeschlagen`), { status });
+  }
+  clearProcessStatusCache([`${target.name}.exe`]);
+  return op === "restart" ? { ...view, newPid: Number(parsed.newPid) || 0 } : view;
+}
+
+const systemMetricsState = {
+  cpuSample: null,
+  network: {
+    ts: 0,
+    rxTotalBytes: 0,
+    txTotalBytes: 0,
+    rxBytesPerSec: 0,
+    txBytesPerSec: 0,
+    source: process.platform === "win32" ? "netstat" : "unsupported"
+  }
+};
+
+function readCpuSample() {
+  const cpus = os.cpus();
+  let idle = 0;
+  let total = 0;
+  for (const cpu of cpus) {
+    const times = cpu && cpu.times ? cpu.times : {};
+    const cpuTotal = (times.user || 0) + (times.nice || 0) + (times.sys || 0) + (times.idle || 0) + (times.irq || 0);
+    total += cpuTotal;
+    idle += (times.idle || 0);
+  }
+  return { idle, total, cores: cpus.length || 1 };
+}
 
 function readCpuUsagePercent() {
   const current = readCpuSample();
@@ -2859,1059 +5331,3421 @@ function readCpuUsagePercent() {
   return Math.max(0, Math.min(100, usage));
 }
 
-function parseCounterNumber(text) {
-  const digits = String(text || "").replace(/[^\d]/g, "");
-  return digits ? Number(digits) : 0;
-}
+function parseCounterNumber(text) {
+  const digits = String(text || "").replace(/[^\d]/g, "");
+  return digits ? Number(digits) : 0;
+}
+
+function safeAddonFolderKey(value) {
+  const key = safeTrim(value, 160);
+  if (!key) throw new Error("addon key fehlt");
+  if (key.includes("\0")) throw new Error("addon key ungueltig");
+  if (/[\\/]/.test(key)) throw new Error("addon key darf keine Pfadtrenner enthalten");
+  if (key.includes("..")) throw new Error("addon key ungueltig");
+  return key;
+}
+
+function wowAddonsBaseDir() {
+  const dir = expandEnv(String(config.wow?.folders?.addons || "").trim());
+  if (!dir) throw new Error("WoW AddOns Ordner nicht konfiguriert");
+  if (!dirExists(dir)) throw new Error(`WoW AddOns Ordner nicht gefunden: ${dir}`);
+  return dir;
+}
+
+function parseAddonTitle(folderPath, folderName) {
+  const preferred = path.join(folderPath, `${folderName}.toc`);
+  const candidates = [];
+  if (fileExists(preferred)) candidates.push(preferred);
+  try {
+    const other = fs
+      .readdirSync(folderPath, { withFileTypes: true })
+      .filter((entry) => entry.isFile() && entry.name.toLowerCase().endsWith(".toc"))
+      .map((entry) => path.join(folderPath, entry.name));
+    candidates.push(...other);
+  } catch {
+    // ignore TOC scan failures
+  }
+
+  for (const tocPath of candidates) {
+    try {
+      const lines = fs.readFileSync(tocPath, "utf8").split(/\r?\n/).slice(0, 120);
+      for (const line of lines) {
+        const m = String(line || "").match(/^##\s*Title\s*:\s*(.+)$/i);
+        if (!m) continue;
+        const title = safeTrim(m[1].replace(/\|c[0-9a-fA-F]{8}/g, "").replace(/\|r/g, ""), 120);
+        if (title) return title;
+      }
+    } catch {
+      // ignore malformed toc files
+    }
+  }
+  return "";
+}
+
+function listWowAddons() {
+  const baseDir = wowAddonsBaseDir();
+  let entries = [];
+  try {
+    entries = fs.readdirSync(baseDir, { withFileTypes: true });
+  } catch {
+    entries = [];
+  }
+
+  const items = [];
+  for (const entry of entries) {
+    if (!entry || !entry.isDirectory()) continue;
+    const folderKey = safeTrim(entry.name, 160);
+    if (!folderKey || folderKey.startsWith(".")) continue;
+    const disabled = /\.disabled$/i.test(folderKey);
+    const displayName = disabled ? folderKey.replace(/\.disabled$/i, "") : folderKey;
+    const folderPath = path.join(baseDir, folderKey);
+    const title = parseAddonTitle(folderPath, displayName) || displayName;
+
+    items.push({
+      key: folderKey,
+      folder: folderKey,
+      name: displayName,
+      title,
+      enabled: !disabled
+    });
+  }
+
+  items.sort((a, b) => a.title.localeCompare(b.title, "de", { sensitivity: "base" }));
+  return { baseDir, items };
+}
+
+function detectWowAddonCapabilitiesFromList(items = []) {
+  const normalized = Array.isArray(items)
+    ? items.map((item) => ({
+        key: String(item?.key || "").toLowerCase(),
+        name: String(item?.name || "").toLowerCase(),
+        title: String(item?.title || "").toLowerCase(),
+        enabled: item?.enabled === true
+      }))
+    : [];
+  const matchAny = (patterns = []) => normalized.some((item) => {
+    const text = `${item.key} ${item.name} ${item.title}`;
+    return patterns.some((pattern) => text.includes(pattern));
+  });
+  const isTomTomInstalled = matchAny(["tomtom"]);
+  const isQuestieInstalled = matchAny(["questie"]);
+  const isStreamDeckNavigatorInstalled = matchAny(["streamdecknavigator", "stream deck navigator", "sdnavigator"]);
+  return {
+    isTomTomInstalled,
+    isQuestieInstalled,
+    isStreamDeckNavigatorInstalled
+  };
+}
+
+async function getWowNavigatorStatus(options = {}) {
+  const wowRunning = await isProcessRunning(config.wow.processName, options);
+  const base = {
+    wowRunning,
+    processName: config.wow.processName,
+    addonsAvailable: false,
+    addonsBaseDir: expandEnv(String(config.wow?.folders?.addons || "").trim()),
+    addonsError: "",
+    addonsCount: 0,
+    isTomTomInstalled: false,
+    isQuestieInstalled: false,
+    isStreamDeckNavigatorInstalled: false
+  };
+
+  try {
+    const data = listWowAddons();
+    const caps = detectWowAddonCapabilitiesFromList(data.items);
+    return {
+      ...base,
+      addonsAvailable: true,
+      addonsBaseDir: data.baseDir,
+      addonsCount: Array.isArray(data.items) ? data.items.length : 0,
+      ...caps
+    };
+  } catch (error) {
+    return {
+      ...base,
+      addonsError: safeTrim(error?.message || String(error), 220)
+    };
+  }
+}
+
+function parseCoordValue(input) {
+  const raw = String(input || "").trim().replace(",", ".");
+  const value = Number(raw);
+  if (!Number.isFinite(value)) return null;
+  if (value < 0 || value > 100) return null;
+  return Math.round(value * 10) / 10;
+}
+
+function extractFirstCoordinatePair(text) {
+  const raw = String(text || "");
+  const match = raw.match(/(\d{1,2}(?:[.,]\d+)?)\s*[,/]\s*(\d{1,2}(?:[.,]\d+)?)/);
+  if (!match) return null;
+  const x = parseCoordValue(match[1]);
+  const y = parseCoordValue(match[2]);
+  if (x == null || y == null) return null;
+  return { x, y };
+}
+
+function sanitizeQuestStep(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const title = safeTrim(raw.title || raw.name || "", 120);
+  const details = safeTrim(raw.details || raw.reason || raw.description || "", 360);
+  if (!title && !details) return null;
+  return {
+    title: title || "Empfehlung",
+    details
+  };
+}
+
+function normalizeWaypointItem(raw, fallbackZone = "") {
+  if (!raw || typeof raw !== "object") return null;
+  const zone = safeTrim(raw.zone || fallbackZone || "", 80);
+  const note = safeTrim(raw.note || raw.label || raw.title || "", 120);
+  const x = parseCoordValue(raw.x);
+  const y = parseCoordValue(raw.y);
+  if (x == null || y == null) return null;
+  const xText = x.toFixed(1);
+  const yText = y.toFixed(1);
+  const noteSuffix = note ? ` ${note}` : "";
+  const tomtomCommand = zone
+    ? `/way ${zone} ${xText} ${yText}${noteSuffix}`
+    : `/way ${xText} ${yText}${noteSuffix}`;
+  const streamDeckNavigatorCommand = `/sdnav ${xText} ${yText}${noteSuffix}`;
+  return {
+    zone,
+    x,
+    y,
+    note,
+    tomtomCommand,
+    streamDeckNavigatorCommand
+  };
+}
+
+function sanitizeWowAssistantRequest(body = {}) {
+  const question = safeTrim(body?.question || "", 800);
+  if (!question) throw new Error("frage fehlt");
+
+  const ctx = body?.context && typeof body.context === "object" ? body.context : {};
+  const levelNum = Number(ctx.level);
+  const level = Number.isFinite(levelNum) ? Math.max(1, Math.min(80, Math.trunc(levelNum))) : 0;
+
+  return {
+    question,
+    context: {
+      characterName: safeTrim(ctx.characterName || "", 64),
+      className: safeTrim(ctx.className || "", 40),
+      faction: safeTrim(ctx.faction || "", 24),
+      zone: safeTrim(ctx.zone || "", 80),
+      objective: safeTrim(ctx.objective || "", 220),
+      level,
+      expansion: safeTrim(ctx.expansion || "", 40)
+    }
+  };
+}
+
+function buildLocalWowAssistantResponse(input, navStatus) {
+  const question = input.question;
+  const zone = input.context.zone || "aktuelle Zone";
+  const level = input.context.level || 0;
+  const hasTomTom = navStatus.isTomTomInstalled === true;
+  const hasQuestie = navStatus.isQuestieInstalled === true;
+
+  const nextSteps = [];
+  if (hasQuestie) {
+    nextSteps.push({
+      title: "Questie Pins nutzen",
+      details: "Oeffne die Weltkarte und aktiviere die Questie-Filter fuer deine aktive Questkette."
+    });
+  } else {
+    nextSteps.push({
+      title: "Questie installieren",
+      details: "Questie zeigt Questziele direkt auf Karte/Minimap und spart viel Suchzeit."
+    });
+  }
+  if (hasTomTom) {
+    nextSteps.push({
+      title: "TomTom Waypoints setzen",
+      details: "Nutze die erzeugten /way Befehle fuer direkte Marker-Navigation."
+    });
+  } else {
+    nextSteps.push({
+      title: "TomTom fuer Navigation",
+      details: "Mit TomTom bekommst du Pfeil-Navigation und Distanzanzeige zu Koordinaten."
+    });
+  }
+
+  if (level > 0) {
+    nextSteps.push({
+      title: `Level-${level} Route fokusieren`,
+      details: "Priorisiere eng beieinander liegende Quests und gib lange Laufwege nur als Nebenroute frei."
+    });
+  } else {
+    nextSteps.push({
+      title: "Route in Blöcken planen",
+      details: "Gruppiere Quests nach Gebietsteilen, damit du nicht zwischen Nord/Sued pendelst."
+    });
+  }
+
+  const waypoints = [];
+  const coord = extractFirstCoordinatePair(question);
+  if (coord) {
+    const wp = normalizeWaypointItem(
+      { zone, x: coord.x, y: coord.y, note: "Ziel aus deiner Eingabe" },
+      zone
+    );
+    if (wp) waypoints.push(wp);
+  }
+
+  return {
+    provider: "local-fallback",
+    model: "",
+    answer: safeTrim(
+      `Ich habe eine sichere Komfort-Route fuer ${zone} erstellt. Fokus: kurze Laufwege, klare Questreihenfolge und optionale Waypoints ohne Automatisierung/Cheat.`,
+      1200
+    ),
+    safety: "Kein Cheat: nur Empfehlungen, Marker-Befehle und manuelle Navigation.",
+    nextSteps,
+    waypoints,
+    contextEcho: input.context
+  };
+}
+
+function normalizeAssistantModelResponse(raw, input, provider, model) {
+  const fallback = buildLocalWowAssistantResponse(input, {
+    isTomTomInstalled: false,
+    isQuestieInstalled: false,
+    isStreamDeckNavigatorInstalled: false
+  });
+  if (!raw || typeof raw !== "object") return { ...fallback, provider, model };
+
+  const nextSteps = Array.isArray(raw.nextSteps)
+    ? raw.nextSteps.map(sanitizeQuestStep).filter(Boolean).slice(0, 8)
+    : [];
+  const waypoints = Array.isArray(raw.waypoints)
+    ? raw.waypoints.map((wp) => normalizeWaypointItem(wp, input.context.zone)).filter(Boolean).slice(0, 10)
+    : [];
+
+  return {
+    provider,
+    model,
+    answer: safeTrim(raw.answer || raw.summary || fallback.answer, 1800),
+    safety: safeTrim(raw.safety || fallback.safety, 240),
+    nextSteps: nextSteps.length ? nextSteps : fallback.nextSteps,
+    waypoints,
+    contextEcho: input.context
+  };
+}
+
+async function queryOpenAiWowAssistant(input, navStatus) {
+  const apiKey = aiRuntimeState.apiKey;
+  const model = getAiAssistantModel();
+  if (!apiKey) throw new Error("AI key fehlt");
+  if (typeof fetch !== "function") throw new Error("fetch ist in dieser Node-Version nicht verfuegbar");
+
+  const systemPrompt = [
+    "Du bist ein WoW Quest Assistant fuer Classic/Anniversary.",
+    "Regeln:",
+    "- Nur Komfort-Hilfe, keine Cheats, keine Bot/Automation-Anweisungen.",
+    "- Antworte als JSON Objekt ohne Markdown.",
+    "- JSON Schema: {\"answer\":string,\"safety\":string,\"nextSteps\":[{\"title\":string,\"details\":string}],\"waypoints\":[{\"zone\":string,\"x\":number,\"y\":number,\"note\":string}]}",
+    "- waypoints nur mit x/y im Bereich 0..100."
+  ].join("\n");
+
+  const userPayload = {
+    question: input.question,
+    context: input.context,
+    wowStatus: {
+      wowRunning: navStatus.wowRunning,
+      tomtomInstalled: navStatus.isTomTomInstalled,
+      questieInstalled: navStatus.isQuestieInstalled,
+      streamDeckNavigatorInstalled: navStatus.isStreamDeckNavigatorInstalled
+    }
+  };
+
+  const response = await fetch("https://api.openai.com/v1/chat/completions", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({
+      model,
+      temperature: 0.2,
+      max_tokens: 700,
+      response_format: { type: "json_object" },
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: JSON.stringify(userPayload) }
+      ]
+    })
+  });
+
+  if (!response.ok) {
+    const text = safeTrim(await response.text().catch(() => ""), 260);
+    throw new Error(`OpenAI Fehler ${response.status}: ${text || "request failed"}`);
+  }
+
+  const data = await response.json();
+  const content = data?.choices?.[0]?.message?.content;
+  if (!content || typeof content !== "string") {
+    throw new Error("AI Antwort leer");
+  }
+  return parseJsonPayload(content);
+}
+
+async function buildWowAssistantResponse(input, navStatus) {
+  if (!hasAiAssistantKey()) {
+    return buildLocalWowAssistantResponse(input, navStatus);
+  }
+
+  try {
+    const raw = await queryOpenAiWowAssistant(input, navStatus);
+    return normalizeAssistantModelResponse(raw, input, "openai", getAiAssistantModel());
+  } catch (error) {
+    logger.warn("wow assistant fallback", { error: safeTrim(error?.message || String(error), 260) });
+    return buildLocalWowAssistantResponse(input, navStatus);
+  }
+}
+
+function sanitizeAiModel(value) {
+  const model = safeTrim(value || "", 80);
+  if (!model) return DEFAULT_AI_MODEL;
+  if (/[\r\n]/.test(model)) throw new Error("ungueltiges ai model");
+  return model;
+}
+
+function sanitizeAiApiKey(value) {
+  const key = safeTrim(value || "", 256);
+  if (!key) return "";
+  if (/[\r\n]/.test(key)) throw new Error("ungueltiger api key");
+  if (key.length < 20) throw new Error("api key zu kurz");
+  return key;
+}
+
+async function verifyOpenAiApiKey(apiKey) {
+  if (typeof fetch !== "function") throw new Error("fetch nicht verfuegbar");
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 9000);
+  try {
+    const response = await fetch("https://api.openai.com/v1/models", {
+      method: "GET",
+      headers: {
+        Authorization: `Bearer ${apiKey}`
+      },
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const text = safeTrim(await response.text().catch(() => ""), 260);
+      throw new Error(`OpenAI Verifizierung fehlgeschlagen (${response.status})${text ? `: ${text}` : ""}`);
+    }
+    const body = await response.json().catch(() => null);
+    const modelIds = Array.isArray(body?.data)
+      ? body.data.map((item) => safeTrim(item?.id || "", 80)).filter(Boolean)
+      : [];
+    return {
+      ok: true,
+      modelCount: modelIds.length
+    };
+  } catch (error) {
+    if (String(error?.name || "") === "AbortError") {
+      throw new Error("OpenAI Verifizierung Timeout");
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function toggleWowAddonState(key, shouldEnable) {
+  const baseDir = wowAddonsBaseDir();
+  const fromKey = safeAddonFolderKey(key);
+  const fromPath = path.join(baseDir, fromKey);
+  if (!dirExists(fromPath)) throw new Error(`Addon nicht gefunden: ${fromKey}`);
+
+  const isDisabled = /\.disabled$/i.test(fromKey);
+  let targetKey = fromKey;
+  if (shouldEnable && isDisabled) targetKey = fromKey.replace(/\.disabled$/i, "");
+  if (!shouldEnable && !isDisabled) targetKey = `${fromKey}.disabled`;
+  if (targetKey === fromKey) return { fromKey, toKey: targetKey, changed: false };
+
+  const toPath = path.join(baseDir, targetKey);
+  if (dirExists(toPath)) {
+    throw new Error(`Ziel existiert bereits: ${targetKey}`);
+  }
+  fs.renameSync(fromPath, toPath);
+  return { fromKey, toKey: targetKey, changed: true };
+}
+
+async function readWindowsNetworkTotals() {
+  const { stdout } = await execFileAsync("netstat", ["-e"], { windowsHide: true, timeout: 5000 });
+  const line = String(stdout || "")
+    .split(/\r?\n/)
+    .find((x) => /^\s*bytes\b/i.test(String(x || "").trim()));
+  if (!line) return null;
+  const parts = String(line).trim().split(/\s+/);
+  if (parts.length < 3) return null;
+  const rx = parseCounterNumber(parts[1]);
+  const tx = parseCounterNumber(parts[2]);
+  if (!Number.isFinite(rx) || !Number.isFinite(tx)) return null;
+  return { rxTotalBytes: rx, txTotalBytes: tx };
+}
+
+async function readNetworkMetrics() {
+  if (process.platform !== "win32") {
+    return {
+      rxTotalBytes: 0,
+      txTotalBytes: 0,
+      rxBytesPerSec: 0,
+      txBytesPerSec: 0,
+      source: "unsupported"
+    };
+  }
+
+  const now = Date.now();
+  const cached = systemMetricsState.network;
+  if (cached.ts && (now - cached.ts) < NET_METRICS_CACHE_MS) {
+    return {
+      rxTotalBytes: cached.rxTotalBytes,
+      txTotalBytes: cached.txTotalBytes,
+      rxBytesPerSec: cached.rxBytesPerSec,
+      txBytesPerSec: cached.txBytesPerSec,
+      source: cached.source
+    };
+  }
+
+  let totals = null;
+  try {
+    totals = await readWindowsNetworkTotals();
+  } catch {
+    totals = null;
+  }
+  if (!totals) {
+    return {
+      rxTotalBytes: cached.rxTotalBytes,
+      txTotalBytes: cached.txTotalBytes,
+      rxBytesPerSec: 0,
+      txBytesPerSec: 0,
+      source: "netstat-unavailable"
+    };
+  }
+
+  let rxBytesPerSec = 0;
+  let txBytesPerSec = 0;
+  if (cached.ts && totals.rxTotalBytes >= cached.rxTotalBytes && totals.txTotalBytes >= cached.txTotalBytes) {
+    const dtSec = Math.max(0.2, (now - cached.ts) / 1000);
+    rxBytesPerSec = Math.max(0, (totals.rxTotalBytes - cached.rxTotalBytes) / dtSec);
+    txBytesPerSec = Math.max(0, (totals.txTotalBytes - cached.txTotalBytes) / dtSec);
+  }
+
+  systemMetricsState.network = {
+    ts: now,
+    rxTotalBytes: totals.rxTotalBytes,
+    txTotalBytes: totals.txTotalBytes,
+    rxBytesPerSec,
+    txBytesPerSec,
+    source: "netstat"
+  };
+
+  return {
+    rxTotalBytes: totals.rxTotalBytes,
+    txTotalBytes: totals.txTotalBytes,
+    rxBytesPerSec,
+    txBytesPerSec,
+    source: "netstat"
+  };
+}
+
+async function collectSystemMetrics() {
+  const cpuUsagePercent = readCpuUsagePercent();
+  const cpu = os.cpus();
+  const totalBytes = os.totalmem();
+  const freeBytes = os.freemem();
+  const usedBytes = Math.max(0, totalBytes - freeBytes);
+  const usagePercent = totalBytes > 0 ? (usedBytes / totalBytes) * 100 : 0;
+  const network = await readNetworkMetrics();
+  const mem = process.memoryUsage();
+
+  return {
+    system: {
+      hostname: os.hostname(),
+      platform: process.platform,
+      release: os.release(),
+      arch: process.arch,
+      uptimeSec: Math.floor(os.uptime())
+    },
+    cpu: {
+      usagePercent: Math.max(0, Math.min(100, cpuUsagePercent)),
+      cores: cpu.length || 1
+    },
+    memory: {
+      totalBytes,
+      usedBytes,
+      freeBytes,
+      usagePercent: Math.max(0, Math.min(100, usagePercent))
+    },
+    network,
+    process: {
+      pid: process.pid,
+      uptimeSec: Math.floor(process.uptime()),
+      rssBytes: mem.rss || 0,
+      heapUsedBytes: mem.heapUsed || 0,
+      nodeVersion: process.version
+    }
+  };
+}
+
+const iconCache = new Map();
+async function extractIconDataUrl(filePath) {
+  const p = String(filePath || "").trim();
+  if (!p || !fileExists(p)) return "";
+  const key = p.toLowerCase();
+  if (iconCache.has(key)) return iconCache.get(key);
+
+  const pathLit = toPowerShellSingleQuoted(p);
+  const script = [
+    "$ErrorActionPreference = 'Stop'",
+    `$p = ${pathLit}`,
+    "Add-Type -AssemblyName System.Drawing",
+    "if (-not (Test-Path -LiteralPath $p)) { exit 2 }",
+    "function Convert-IconToBase64([System.Drawing.Icon]$icon) {",
+    "  if ($null -eq $icon) { return '' }",
+    "  $bmp = New-Object System.Drawing.Bitmap 64,64",
+    "  $g = [System.Drawing.Graphics]::FromImage($bmp)",
+    "  $g.Clear([System.Drawing.Color]::Transparent)",
+    "  $src = $icon.ToBitmap()",
+    "  $g.DrawImage($src, 0, 0, 64, 64)",
+    "  $g.Dispose()",
+    "  $src.Dispose()",
+    "  $ms = New-Object System.IO.MemoryStream",
+    "  $bmp.Save($ms, [System.Drawing.Imaging.ImageFormat]::Png)",
+    "  $bmp.Dispose()",
+    "  $icon.Dispose()",
+    "  $result = [Convert]::ToBase64String($ms.ToArray())",
+    "  $ms.Dispose()",
+    "  return $result",
+    "}",
+    "$icon = $null",
+    "try { $icon = [System.Drawing.Icon]::ExtractAssociatedIcon($p) } catch {}",
+    "if ($null -eq $icon -and [System.IO.Path]::GetExtension($p).ToLowerInvariant() -eq '.lnk') {",
+    "  try {",
+    "    $shell = New-Object -ComObject WScript.Shell",
+    "    $shortcut = $shell.CreateShortcut($p)",
+    "    if ($shortcut.TargetPath -and (Test-Path -LiteralPath $shortcut.TargetPath)) {",
+    "      $icon = [System.Drawing.Icon]::ExtractAssociatedIcon($shortcut.TargetPath)",
+    "    }",
+    "  } catch {}",
+    "}",
+    "$b64 = Convert-IconToBase64 $icon",
+    "if (-not $b64) { exit 3 }",
+    "$b64"
+  ].join("; ");
+
+  try {
+    const b64 = await runPowerShell(script, [], 5000);
+    if (!b64) return "";
+    const data = `data:image/png;base64,${b64}`;
+    iconCache.set(key, data);
+    return data;
+  } catch {
+    return "";
+  }
+}
+
+function showIfProcessKey(name) {
+  const image = String(name || "").trim();
+  return (path.extname(image) ? image : `${image}.exe`).toLowerCase();
+}
+
+function showIfAudioKey(name) {
+  return String(name || "").trim().toLowerCase().replace(/\.exe$/, "");
+}
+
+function collectShowIfNeeds(condition, needs) {
+  if (!condition || typeof condition !== "object") return;
+  if (condition.type === "process") needs.processes.add(showIfProcessKey(condition.name));
+  else if (condition.type === "pathExists") needs.paths.add(condition.path);
+  else if (condition.type === "audioSession") needs.audio = true;
+  else if (condition.type === "not") collectShowIfNeeds(condition.condition, needs);
+  else if (Array.isArray(condition.conditions)) condition.conditions.forEach((x) => collectShowIfNeeds(x, needs));
+}
+
+function showIfPathExists(rawPath, now) {
+  const cached = showIfFactCache.paths.get(rawPath);
+  if (cached && now - cached.ts < SHOW_IF_FACT_CACHE_MS) return cached.value;
+  const resolved = resolveTemplate(rawPath, config);
+  const value = Boolean(resolved) && (fileExists(resolved) || dirExists(resolved));
+  showIfFactCache.paths.set(rawPath, { ts: now, value });
+  if (showIfFactCache.paths.size > 256) showIfFactCache.paths.clear();
+  return value;
+}
+
+async function readShowIfAudioNames(now) {
+  const cached = showIfFactCache.audio;
+  if (cached && now - cached.ts < SHOW_IF_FACT_CACHE_MS) return cached.names;
+  const names = new Set();
+  try {
+    const snapshot = await readAudioMixerSnapshot();
+    for (const session of snapshot.sessions || []) {
+      if (session.processName) names.add(showIfAudioKey(session.processName));
+      if (session.displayName) names.add(showIfAudioKey(session.displayName));
+    }
+  } catch {
+    // treat an unreadable mixer as "no sessions"
+  }
+  showIfFactCache.audio = { ts: now, names };
+  return names;
+}
+
+// Resolves every process/path/audio fact the tiles' conditions need in one pass,
+// so visibility can be evaluated synchronously and the fact caches absorb repeated bootstraps.
+async function resolveShowIfFacts(tiles, nowTs = Date.now()) {
+  const needs = { processes: new Set(), paths: new Set(), audio: false };
+  for (const tile of tiles || []) collectShowIfNeeds(typeof tile.showIf === "object" ? tile.showIf : null, needs);
+  const date = new Date(nowTs);
+  const facts = {
+    wowRunning: false,
+    processes: new Map(),
+    paths: new Map(),
+    audioNames: new Set(),
+    minuteOfDay: date.getHours() * 60 + date.getMinutes(),
+    weekday: date.getDay()
+  };
+  const tasks = [isProcessRunning(config.wow.processName).then((value) => { facts.wowRunning = value; })];
+  for (const name of needs.processes) {
+    tasks.push(isProcessRunning(name).then((value) => { facts.processes.set(name, value); }));
+  }
+  if (needs.audio) tasks.push(readShowIfAudioNames(nowTs).then((names) => { facts.audioNames = names; }));
+  for (const target of needs.paths) facts.paths.set(target, showIfPathExists(target, nowTs));
+  await Promise.all(tasks);
+  return facts;
+}
+
+function showIfTimeToMinutes(value) {
+  const [h, m] = String(value || "0:0").split(":").map(Number);
+  return h * 60 + m;
+}
+
+function evaluateShowIf(condition, facts) {
+  if (!condition) return true;
+  const c = typeof condition === "string" ? { type: condition } : condition;
+  switch (c.type) {
+    case "wowRunning":
+      return facts.wowRunning === true;
+    case "wowNotRunning":
+      return facts.wowRunning === false;
+    case "process":
+      return (facts.processes.get(showIfProcessKey(c.name)) === true) === c.running;
+    case "time": {
+      const from = showIfTimeToMinutes(c.from);
+      const to = showIfTimeToMinutes(c.to);
+      if (from === to) return true;
+      return from < to
+        ? facts.minuteOfDay >= from && facts.minuteOfDay < to
+        : facts.minuteOfDay >= from || facts.minuteOfDay < to;
+    }
+    case "weekday":
+      return c.days.includes(facts.weekday);
+    case "pathExists":
+      return (facts.paths.get(c.path) === true) === c.exists;
+    case "audioSession":
+      return facts.audioNames.has(showIfAudioKey(c.name)) === c.present;
+    case "all":
+      return c.conditions.every((x) => evaluateShowIf(x, facts));
+    case "any":
+      return c.conditions.some((x) => evaluateShowIf(x, facts));
+    case "not":
+      return !evaluateShowIf(c.condition, facts);
+    default:
+      return true;
+  }
+}
+
+function tileIsVisible(tile, facts) {
+  if (!tile.showIf) return true;
+  return evaluateShowIf(tile.showIf, facts);
+}
+
+function defaultTileEmoji(type) {
+  const normalized = String(type || "").trim().toLowerCase();
+  if (normalized === "app") return "🖥️";
+  if (normalized === "folder") return "📁";
+  if (normalized === "url") return "🌐";
+  if (normalized === "protocol") return "🔗";
+  if (normalized === "action") return "⚡";
+  if (normalized === "macro") return "🔁";
+  if (normalized === "toggle") return "🔘";
+  if (normalized === "webhook") return "🪝";
+  if (normalized === "keys") return "⌨️";
+  if (normalized === "command") return "🖥️";
+  return "■";
+}
+
+// Stable sort: tiles with a persisted order first, the rest keep their config order.
+function sortTilesByOrder(list) {
+  return list
+    .map((tile, idx) => ({ tile, idx }))
+    .sort((a, b) => {
+      const oa = Number.isInteger(a.tile.order) ? a.tile.order : Number.MAX_SAFE_INTEGER;
+      const ob = Number.isInteger(b.tile.order) ? b.tile.order : Number.MAX_SAFE_INTEGER;
+      return oa !== ob ? oa - ob : a.idx - b.idx;
+    })
+    .map((x) => x.tile);
+}
+
+function readFaceAddons(nowTs) {
+  if (tileFaceCache.addons && nowTs - tileFaceCache.addonsTs < TILE_FACE_ADDON_CACHE_MS) return tileFaceCache.addons;
+  let addons = null;
+  try {
+    addons = listWowAddons();
+  } catch {
+    addons = null;
+  }
+  tileFaceCache.addons = addons;
+  tileFaceCache.addonsTs = nowTs;
+  return addons;
+}
+
+function tileFaceValue(face, data) {
+  let value = null;
+  let text = "";
+  if (face.source === "cpu" && data.metrics) {
+    value = Math.round(data.metrics.cpu.usagePercent);
+    text = `CPU ${value}%`;
+  } else if (face.source === "ram" && data.metrics) {
+    value = Math.round(data.metrics.memory.usagePercent);
+    text = `RAM ${value}%`;
+  } else if (face.source === "volume" && data.audio?.available) {
+    const session = data.audio.sessions.find((x) => audioSessionMatchesName(x, face.name));
+    if (session) {
+      value = Math.round(Number(session.volumePercent) || 0);
+      text = session.muted ? `${value}% (stumm)` : `${value}%`;
+    } else {
+      text = "keine Session";
+    }
+  } else if (face.source === "addonCount" && data.addons) {
+    value = data.addons.items.filter((x) => x.enabled).length;
+    text = `${value}/${data.addons.items.length} AddOns`;
+  } else if (face.source === "spotify" && data.audio?.available) {
+    const spotify = data.audio.spotify;
+    if (spotify) value = Math.round(Number(spotify.volumePercent) || 0);
+    text = !spotify ? "Spotify aus" : (spotify.muted ? "Spotify stumm" : `Spotify ${value}%`);
+  }
+  if (face.format && value !== null) text = face.format.replace(/\{value\}/g, String(value));
+  return { value, text: text || "keine Daten" };
+}
+
+// Each data source is read at most once, however many tiles are bound to it.
+async function resolveFaceValues(tiles, nowTs = Date.now()) {
+  const values = new Map();
+  const bound = (tiles || []).filter((tile) => tile.face);
+  if (!bound.length) return values;
+  const sources = new Set(bound.map((tile) => tile.face.source));
+  const [metrics, audio] = await Promise.all([
+    sources.has("cpu") || sources.has("ram") ? collectSystemMetrics().catch(() => null) : null,
+    sources.has("volume") || sources.has("spotify") ? readAudioMixerSnapshot().catch(() => null) : null
+  ]);
+  const addons = sources.has("addonCount") ? readFaceAddons(nowTs) : null;
+  for (const tile of bound) values.set(tile.id, tileFaceValue(tile.face, { metrics, audio, addons }));
+  return values;
+}
+
+function isDynamicTile(tile) {
+  return Boolean((tile.type === "toggle" && tile.toggle) || tile.face);
+}
+
+// Live parts of a client tile (toggle side and/or face value), keyed by tile id.
+// Without `faceValues` only the face source is named: bootstrap and config diffs stay stable while the
+// values themselves change every few seconds and go out on the `tiles` channel only.
+async function resolveDynamicTileFaces(tiles, nowTs = Date.now(), { faceValues = true } = {}) {
+  const faces = new Map();
+  const dynamic = (tiles || []).filter(isDynamicTile);
+  if (!dynamic.length) return faces;
+  const [states, values] = await Promise.all([
+    resolveToggleStates(dynamic),
+    faceValues ? resolveFaceValues(dynamic, nowTs) : new Map()
+  ]);
+  for (const tile of dynamic) {
+    const face = tile.type === "toggle" ? toggleTileFace(tile, states.get(tile.id) || "unknown") : { id: tile.id };
+    if (tile.face) face.faceSource = tile.face.source;
+    const value = values.get(tile.id);
+    if (value) {
+      face.faceValue = value.value;
+      face.subtitle = value.text;
+    }
+    faces.set(tile.id, face);
+  }
+  return faces;
+}
+
+function dynamicFaceKey(face) {
+  return face ? [face.toggleState || "", face.faceValue ?? "", face.subtitle || ""].join("|") : "";
+}
+
+async function buildClientTiles(options = {}) {
+  const useCache = options.useCache !== false;
+  const now = Date.now();
+  const [facts, dynamicFaces] = await Promise.all([
+    resolveShowIfFacts(config.tiles, now),
+    resolveDynamicTileFaces(config.tiles, now, { faceValues: false })
+  ]);
+  const wowRunning = facts.wowRunning;
+  const visible = config.tiles.map((tile) => tileIsVisible(tile, facts));
+  const visibilityKey = visible.map((x) => (x ? "1" : "0")).join("");
+  const dynamicKey = Array.from(dynamicFaces.values()).map(dynamicFaceKey).join(",");
+  if (
+    useCache
+    && clientTilesCache.payload
+    && clientTilesCache.revision === configRevision
+    && clientTilesCache.wowRunning === wowRunning
+    && clientTilesCache.visibilityKey === visibilityKey
+    && clientTilesCache.dynamicKey === dynamicKey
+    && (now - clientTilesCache.ts) < CLIENT_TILES_CACHE_MS
+  ) {
+    return clientTilesCache.payload;
+  }
+
+  const list = [];
+
+  for (const [idx, tile] of config.tiles.entries()) {
+    if (!visible[idx]) continue;
+
+    const out = {
+      id: tile.id,
+      profile: tile.profile,
+      page: tile.page || "main",
+      label: tile.label,
+      subtitle: tile.subtitle || "",
+      type: tile.type,
+      builtin: Boolean(tile.builtin),
+      iconMode: tile.iconMode || "emoji",
+      icon: tile.icon || defaultTileEmoji(tile.type),
+      iconData: "",
+      action: tile.type === "action" ? (tile.action || "") : ""
+    };
+    if (Number.isInteger(tile.order)) out.order = tile.order;
+    if (tile.type === "macro") out.stepCount = Array.isArray(tile.steps) ? tile.steps.length : 0;
+    if (Array.isArray(tile.params) && tile.params.length) out.params = tile.params;
+
+    if (tile.iconMode === "image" && tile.iconData) {
+      out.iconData = tile.iconData;
+    } else if (tile.iconMode === "auto" || (!tile.icon && tile.type === "app")) {
+      out.iconData = await extractIconDataUrl(resolveTileTarget(tile));
+    }
+    if (dynamicFaces.has(tile.id)) Object.assign(out, dynamicFaces.get(tile.id));
+
+    list.push(out);
+  }
+
+  const payload = { wowRunning, tiles: sortTilesByOrder(list) };
+  clientTilesCache.ts = now;
+  clientTilesCache.revision = configRevision;
+  clientTilesCache.wowRunning = wowRunning;
+  clientTilesCache.visibilityKey = visibilityKey;
+  clientTilesCache.dynamicKey = dynamicKey;
+  clientTilesCache.payload = payload;
+  return payload;
+}
+
+function sanitizeCustomTile(input, existing) {
+  const raw = input && typeof input === "object" ? input : {};
+  const id = existing
+    ? existing.id
+    : safeTrim(raw.id || `c_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`, 96);
+  const profile = safeTrim(raw.profile || existing?.profile || "", 64);
+  const page = safeTrim(raw.page || existing?.page || "main", 64);
+  const label = safeTrim(raw.label || existing?.label || "", 80);
+  const type = safeTrim(raw.type || existing?.type || "", 32);
+  if (!id || !profile || !page || !label || !type) throw new Error("Tile Daten unvollstaendig");
+  if (!TILE_TYPES.has(type)) throw new Error("Tile Typ nicht erlaubt");
+
+  const tile = {
+    id,
+    profile,
+    page,
+    label,
+    subtitle: safeTrim(raw.subtitle, 140),
+    type,
+    builtin: false,
+    iconMode: ICON_MODES.has(raw.iconMode) ? raw.iconMode : "emoji",
+    icon: safeTrim(raw.icon, 12),
+    iconData: typeof raw.iconData === "string" ? raw.iconData : ""
+  };
+
+  if (tile.iconData.length > MAX_ICON_DATA_URL_LEN) throw new Error("Icon zu gross");
+  if (typeof raw.target === "string" && raw.target.trim()) tile.target = assertSafeInput(raw.target, "target");
+  if (typeof raw.launcherKey === "string" && raw.launcherKey.trim()) tile.launcherKey = safeTrim(raw.launcherKey, 64);
+  if (typeof raw.action === "string" && raw.action.trim()) tile.action = safeTrim(raw.action, 64);
+  if (Array.isArray(raw.args)) tile.args = safeArray(raw.args, 512, 16);
+  if (typeof raw.startIn === "string" && raw.startIn.trim()) tile.startIn = assertSafeInput(raw.startIn, "startIn");
+  if (raw.showIf !== undefined && raw.showIf !== null && raw.showIf !== "") {
+    tile.showIf = normalizeShowIf(raw.showIf);
+    if (!tile.showIf) throw new Error("showIf ungueltig");
+  }
+  if (raw.face !== undefined && raw.face !== null && raw.face !== "") {
+    tile.face = normalizeTileFace(raw.face);
+    if (!tile.face) throw new Error("face ungueltig");
+  }
+  if (type === "webhook") {
+    tile.webhook = normalizeWebhook(raw.webhook);
+    if (!tile.webhook) throw new Error("Webhook Einstellungen ungueltig (Methode, Header oder Body)");
+    if (!isWebhookTargetValid(tile.target)) throw new Error("Webhook URL ungueltig (http/https)");
+  }
+  if (Array.isArray(raw.params) && raw.params.length) {
+    if (!TILE_PARAM_TILE_TYPES.has(type)) throw new Error("Parameter sind fuer diesen Tile Typ nicht moeglich");
+    if (raw.params.length > TILE_MAX_PARAMS) throw new Error(`Zu viele Parameter (max ${TILE_MAX_PARAMS})`);
+    tile.params = normalizeTileParams(raw.params);
+    if (!tile.params) throw new Error("Parameter ungueltig (Name, Typ, Optionen oder Standardwert)");
+  }
+  if (type === "action" && WINDOW_ACTION_OPS[tile.action]) {
+    const rawWindow = raw.window && typeof raw.window === "object" ? raw.window : {};
+    if (!safeTrim(rawWindow.processName, 120)) throw new Error("Fenster-Aktion braucht einen Prozess");
+    if (tile.action === "windowMoveMonitor" && rawWindow.monitor === undefined) throw new Error("Monitor fehlt (1 = Hauptmonitor)");
+    tile.window = normalizeWindowTarget(rawWindow, tile.action);
+    if (!tile.window) throw new Error(`Fenster-Ziel ungueltig (Prozessname ohne Pfad, Monitor 1..${WINDOW_MAX_MONITOR})`);
+  }
+  if (type === "action" && obsActionHasTarget(tile.action)) {
+    tile.obs = normalizeObsTarget(raw.obs, tile.action);
+    if (!tile.obs) throw new Error("OBS-Ziel ungueltig (Szene, Eingang oder Quelle fehlt; Zustand on/off/toggle)");
+  }
+  if (type === "action" && tile.action === "soundboardPlay") {
+    tile.sound = normalizeSoundTarget(raw.sound);
+    if (!tile.sound) throw new Error("Sound-Ziel ungueltig (Clip fehlt, Lautstaerke 0-100)");
+    if (!soundboardClipById(tile.sound.clipId)) throw new Error("Clip nicht gefunden");
+  }
+  if (raw.launch !== undefined && raw.launch !== null) {
+    if (type !== "app") throw new Error("Startoptionen gibt es nur fuer App-Tiles");
+    const launch = normalizeAppLaunch(raw.launch);
+    if (!launch) throw new Error("Startoptionen ungueltig (Fenster, Umgebungsvariablen oder Prozess)");
+    // Elevated starts go through the UAC broker, which does not pass the environment on.
+    if (launch.admin && Object.keys(launch.env).length) throw new Error("Admin-Start und Umgebungsvariablen lassen sich nicht kombinieren");
+    if (!isAppLaunchDefault(launch)) tile.launch = launch;
+  }
+  if (type === "command") {
+    if (!tile.target) throw new Error("Befehl fehlt");
+    tile.command = normalizeCommand(raw.command);
+  }
+  if (type === "keys") {
+    const sequence = Array.isArray(raw.keys?.sequence) ? raw.keys.sequence : [];
+    if (!sequence.length) throw new Error("Tasten-Sequenz fehlt");
+    if (sequence.length > KEYS_MAX_STEPS) throw new Error(`Tasten-Sequenz zu lang (max ${KEYS_MAX_STEPS})`);
+    tile.keys = normalizeKeys(raw.keys);
+    if (!tile.keys) throw new Error("Tasten-Sequenz ungueltig (Kombination, Text oder Wartezeit)");
+  }
+  if (type === "macro") {
+    if (!Array.isArray(raw.steps) || !raw.steps.length) throw new Error("Makro braucht mindestens einen Schritt");
+    if (raw.steps.length > MACRO_MAX_STEPS) throw new Error(`Makro hat zu viele Schritte (max ${MACRO_MAX_STEPS})`);
+    const steps = normalizeMacroSteps(raw.steps);
+    if (steps.length !== raw.steps.length) throw new Error("Makro enthaelt ungueltige Schritte");
+    tile.steps = steps;
+  }
+  if (type === "toggle") {
+    const rawToggle = raw.toggle && typeof raw.toggle === "object" ? raw.toggle : {};
+    if (!TOGGLE_STATE_SOURCES.has(rawToggle.source)) throw new Error("Toggle Quelle ungueltig");
+    for (const side of ["on", "off"]) {
+      const steps = rawToggle[side]?.steps;
+      if (steps === undefined) continue;
+      if (!Array.isArray(steps)) throw new Error(`Toggle ${side}: Schritte ungueltig`);
+      if (steps.length > MACRO_MAX_STEPS) throw new Error(`Toggle ${side}: zu viele Schritte (max ${MACRO_MAX_STEPS})`);
+      if (normalizeMacroSteps(steps).length !== steps.length) throw new Error(`Toggle ${side}: ungueltige Schritte`);
+    }
+    tile.toggle = normalizeToggle(rawToggle);
+    if (!tile.toggle) {
+      if (rawToggle.source !== "curseforge" && !safeTrim(rawToggle.name, 120)) throw new Error("Toggle Name fehlt");
+      if (rawToggle.source === "process") throw new Error("Prozess-Toggle braucht Schritte fuer an oder aus");
+      throw new Error("Toggle ungueltig");
+    }
+  }
+
+  if (existing && Number.isInteger(existing.order) && existing.profile === profile && (existing.page || "main") === page) {
+    tile.order = existing.order;
+  }
+
+  const normalized = normalizeTile(tile);
+  if (!normalized || normalized.builtin) throw new Error("ungueltige Tile Daten");
+  const profileDef = config.profiles.find((p) => p.id === normalized.profile);
+  if (!profileDef) throw new Error("Profil nicht gefunden");
+  if (!Array.isArray(profileDef.pages) || !profileDef.pages.some((p) => p.id === normalized.page)) {
+    throw new Error("Seite nicht gefunden");
+  }
+  if (normalized.launcherKey && !config.launchers?.[normalized.launcherKey]) {
+    throw new Error("Launcher nicht gefunden");
+  }
+
+  if (normalized.type === "macro" || normalized.type === "toggle") {
+    const steps = normalized.type === "macro"
+      ? normalized.steps
+      : [...normalized.toggle.on.steps, ...normalized.toggle.off.steps];
+    for (const step of steps) {
+      if (step.type !== "tile") continue;
+      if (step.tileId === normalized.id) throw new Error("Makro darf sich nicht selbst aufrufen");
+      if (!config.tiles.some((x) => x.id === step.tileId)) throw new Error(`Makro-Schritt: Tile nicht gefunden: ${step.tileId}`);
+    }
+  }
+
+  if (normalized.type === "app" && !normalized.launcherKey) {
+    const split = splitLaunchTargetInput(String(normalized.target || "").trim());
+    const requested = split.command || unquoteWrapped(String(normalized.target || "").trim());
+    if (!requested) throw new Error("Programmziel fehlt");
+    if (split.args.length) {
+      normalized.args = safeArray([...(normalized.args || []), ...split.args], 512, 16);
+    }
+    const expanded = expandEnv(requested);
+    if (hasTemplateSyntax(requested)) {
+      // Variables (`{{var.gamesDir}}\Game.exe`) stay in the target so the tile follows later changes.
+      assertTemplateResolvable(requested, normalized, "Programmziel");
+      normalized.target = requested;
+    } else if (looksLikePath(expanded)) {
+      if (fileExists(expanded) && isAppLaunchFilePath(expanded)) {
+        normalized.target = expanded;
+      } else {
+        // Keep unresolved path-like targets so users can save portable/custom app paths.
+        normalized.target = expanded;
+      }
+    } else {
+      const resolved = resolveProgramPath(expanded);
+      if (!resolved) {
+        throw new Error("Programmname nicht eindeutig. Nutze einen exakten Pfad oder waehle einen Treffer aus der Programmsuche.");
+      }
+      normalized.target = resolved;
+    }
+  }
+
+  if (normalized.launch && normalized.launch.ifRunning !== "start" && !normalized.launch.process && !normalized.launcherKey) {
+    if (path.extname(splitLaunchTargetInput(normalized.target || "").command).toLowerCase() !== ".exe") {
+      throw new Error("Prozessname fuer Fokus/Neustart fehlt (Ziel ist keine .exe)");
+    }
+  }
+
+  if (normalized.type === "folder") {
+    const requested = String(normalized.target || "").trim();
+    if (!requested) throw new Error("Ordnerziel fehlt");
+    if (!hasTemplateSyntax(requested)) {
+      const expanded = expandEnv(requested);
+      if (!dirExists(expanded)) throw new Error(`Ordner nicht gefunden: ${expanded}`);
+      normalized.target = expanded;
+    }
+  }
+
+  if (normalized.type === "app" && normalized.startIn && hasTemplateSyntax(normalized.startIn)) {
+    assertTemplateResolvable(normalized.startIn, normalized, "Startordner");
+  } else if (normalized.type === "app" && normalized.startIn) {
+    const expanded = expandEnv(normalized.startIn);
+    if (!dirExists(expanded)) throw new Error(`Startordner nicht gefunden: ${expanded}`);
+    normalized.startIn = expanded;
+  }
+
+  if (normalized.type === "command" && normalized.startIn && !hasTemplateSyntax(normalized.startIn)) {
+    const expanded = expandEnv(normalized.startIn);
+    if (!dirExists(expanded)) throw new Error(`Arbeitsordner nicht gefunden: ${expanded}`);
+    normalized.startIn = expanded;
+  }
+
+  return normalized;
+}
+
+// Schedules and rules reach profiles through their tile, tile steps and profile switch. Other steps (actions,
+// delays, audio) belong to no profile, so only tokens without a profile allow-list may run or edit those.
+function authAllowsAutomation(auth, entry) {
+  if (!auth || !Array.isArray(auth.profiles) || !auth.profiles.length) return true;
+  const steps = entry?.tileId ? [{ type: "tile", tileId: entry.tileId }] : entry?.steps || entry?.actions || [];
+  return steps.every((step) => {
+    if (step.type === "profile") return authAllowsProfile(auth, step.profile);
+    if (step.type !== "tile") return false;
+    const tile = config.tiles.find((x) => x.id === step.tileId);
+    return Boolean(tile) && authAllowsProfile(auth, tile.profile);
+  });
+}
+
+function ruleHistoryForAuth(history, auth) {
+  if (!auth || !Array.isArray(auth.profiles) || !auth.profiles.length) return history;
+  return history.filter((entry) => {
+    const rule = (config.rules || []).find((x) => x.id === entry.ruleId);
+    return Boolean(rule) && authAllowsAutomation(auth, rule);
+  });
+}
+
+function sanitizeSchedule(input, existing) {
+  const raw = input && typeof input === "object" ? input : {};
+  const id = existing
+    ? existing.id
+    : safeTrim(raw.id || `s_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`, 64);
+  const label = safeTrim(raw.label, 80);
+  if (!label) throw new Error("label fehlt");
+
+  const cron = safeTrim(raw.cron, 120);
+  if (cron) {
+    parseCronExpression(cron);
+  } else {
+    const rawTimes = (Array.isArray(raw.times) ? raw.times : String(raw.times || "").split(/[,;\s]+/))
+      .map((x) => String(x || "").trim())
+      .filter(Boolean);
+    if (!rawTimes.length) throw new Error("Uhrzeit (HH:MM) oder cron fehlt");
+    const invalid = rawTimes.find((x) => !SCHEDULE_TIME_RE.test(x));
+    if (invalid) throw new Error(`Uhrzeit ungueltig: ${safeTrim(invalid, 16)}`);
+    if (rawTimes.length > SCHEDULE_MAX_TIMES) throw new Error(`maximal ${SCHEDULE_MAX_TIMES} Uhrzeiten`);
+  }
+
+  const tileId = safeTrim(raw.tileId, 96);
+  if (tileId) {
+    if (!config.tiles.some((x) => x.id === tileId)) throw new Error(`Tile nicht gefunden: ${tileId}`);
+  } else {
+    if (!Array.isArray(raw.steps) || !raw.steps.length) throw new Error("tileId oder steps fehlt");
+    if (raw.steps.length > MACRO_MAX_STEPS) throw new Error(`Zeitplan hat zu viele Schritte (max ${MACRO_MAX_STEPS})`);
+    const steps = normalizeMacroSteps(raw.steps);
+    if (steps.length !== raw.steps.length) throw new Error("Zeitplan enthaelt ungueltige Schritte");
+    for (const step of steps) {
+      if (step.type === "tile" && !config.tiles.some((x) => x.id === step.tileId)) {
+        throw new Error(`Schritt: Tile nicht gefunden: ${step.tileId}`);
+      }
+    }
+  }
+
+  const normalized = normalizeSchedule({ ...raw, id, label, cron, tileId });
+  if (!normalized) throw new Error("ungueltiger Zeitplan");
+  return normalized;
+}
+
+const RULE_TRIGGER_LABELS = Object.freeze({
+  processStart: "Prozess gestartet",
+  processStop: "Prozess beendet",
+  wowStart: "WoW gestartet",
+  wowStop: "WoW beendet",
+  audioSession: "neue Audio-Session",
+  cpuAbove: "CPU ueber Schwelle"
+});
+
+function sanitizeRule(input, existing) {
+  const raw = input && typeof input === "object" ? input : {};
+  const id = existing
+    ? existing.id
+    : safeTrim(raw.id || `r_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`, 64);
+  const label = safeTrim(raw.label, 80);
+  if (!label) throw new Error("label fehlt");
+
+  const triggerRaw = raw.trigger && typeof raw.trigger === "object" ? raw.trigger : {};
+  const triggerType = safeTrim(triggerRaw.type, 24);
+  if (!RULE_TRIGGER_TYPES.has(triggerType)) throw new Error("trigger.type ungueltig");
+  if ((triggerType === "processStart" || triggerType === "processStop") && !safeTrim(triggerRaw.processName, 120)) {
+    throw new Error("trigger.processName fehlt");
+  }
+  if (triggerType === "cpuAbove") {
+    const threshold = Number(triggerRaw.threshold);
+    if (!Number.isFinite(threshold) || threshold < 1 || threshold > 100) throw new Error("trigger.threshold muss 1-100 sein");
+  }
+  const trigger = normalizeRuleTrigger(triggerRaw);
+  if (!trigger) throw new Error("trigger ungueltig");
+
+  if (!Array.isArray(raw.actions) || !raw.actions.length) throw new Error("actions fehlt");
+  if (raw.actions.length > MACRO_MAX_STEPS) throw new Error(`Regel hat zu viele Aktionen (max ${MACRO_MAX_STEPS})`);
+  raw.actions.forEach((action, idx) => {
+    const normalized = normalizeRuleAction(action);
+    if (!normalized) throw new Error(`Aktion ${idx + 1} ungueltig`);
+    if (normalized.type === "tile" && !config.tiles.some((x) => x.id === normalized.tileId)) {
+      throw new Error(`Aktion ${idx + 1}: Tile nicht gefunden: ${normalized.tileId}`);
+    }
+    if (normalized.type === "profile") {
+      const profile = config.profiles.find((p) => p.id === normalized.profile);
+      if (!profile) throw new Error(`Aktion ${idx + 1}: Profil nicht gefunden: ${normalized.profile}`);
+      if (normalized.page && !profile.pages.some((pg) => pg.id === normalized.page)) {
+        throw new Error(`Aktion ${idx + 1}: Seite nicht gefunden: ${normalized.page}`);
+      }
+    }
+  });
+  if (raw.actions.filter((x) => x?.type === "profile").length > 1) throw new Error("nur ein Profilwechsel pro Regel");
+
+  const rule = normalizeRule({ ...raw, id, label, trigger });
+  if (!rule) throw new Error("ungueltige Regel");
+  return rule;
+}
+
+async function browsePath(kind, title) {
+  const useKind = kind === "folder" ? "folder" : "file";
+  const prompt = String(title || (useKind === "folder" ? "Ordner waehlen" : "Datei waehlen"));
+  const promptLit = toPowerShellSingleQuoted(prompt);
+
+  if (useKind === "folder") {
+    const script = [
+      "$ErrorActionPreference = 'Stop'",
+      "if (-not [Environment]::UserInteractive) { throw 'not interactive desktop' }",
+      "Add-Type -AssemblyName System.Windows.Forms",
+      "$d = New-Object System.Windows.Forms.FolderBrowserDialog",
+      `$d.Description = ${promptLit}`,
+      "if ($d.ShowDialog() -eq [System.Windows.Forms.DialogResult]::OK) { $d.SelectedPath }"
+    ].join("; ");
+    return runPowerShell(script, [], 15000, { sta: true });
+  }
+
+  const script = [
+    "$ErrorActionPreference = 'Stop'",
+    "if (-not [Environment]::UserInteractive) { throw 'not interactive desktop' }",
+    "Add-Type -AssemblyName System.Windows.Forms",
+    "$d = New-Object System.Windows.Forms.OpenFileDialog",
+    `$d.Title = ${promptLit}`,
+    "$d.Filter = 'Programme (*.exe;*.lnk)|*.exe;*.lnk|Alle Dateien (*.*)|*.*'",
+    "if ($d.ShowDialog() -eq [System.Windows.Forms.DialogResult]::OK) { $d.FileName }"
+  ].join("; ");
+  return runPowerShell(script, [], 15000, { sta: true });
+}
+
+function normalizeBrowseFailure(error) {
+  const raw = [
+    error?.message ? String(error.message) : "",
+    error?.stderr ? String(error.stderr) : "",
+    error?.stdout ? String(error.stdout) : ""
+  ]
+    .filter(Boolean)
+    .join(" | ")
+    .replace(/\r?\n+/g, " ")
+    .trim();
 
-function safeAddonFolderKey(value) {
-  const key = safeTrim(value, 160);
-  if (!key) throw new Error("addon key fehlt");
-  if (key.includes("\0")) throw new Error("addon key ungueltig");
-  if (/[\\/]/.test(key)) throw new Error("addon key darf keine Pfadtrenner enthalten");
-  if (key.includes("..")) throw new Error("addon key ungueltig");
-  return key;
+  if (/timed out|timeout|etimedout/i.test(raw)) {
+    return "Datei-Dialog nicht verfuegbar oder wurde geschlossen. Pfad bitte manuell eintragen.";
+  }
+  if (/access is denied|zugriff verweigert/i.test(raw)) {
+    return "Datei-Dialog blockiert (Zugriff verweigert). Pfad bitte manuell eintragen.";
+  }
+  if (/not interactive desktop|single thread apartment|apartmentstate/i.test(raw)) {
+    return "Datei-Dialog nicht verfuegbar (kein interaktiver Desktop/STA). Pfad bitte manuell eintragen.";
+  }
+  if (!raw) return "Datei-Dialog nicht verfuegbar. Pfad bitte manuell eintragen.";
+  return `Datei-Dialog fehlgeschlagen. Pfad bitte manuell eintragen. (${safeTrim(raw, 220)})`;
 }
 
-function wowAddonsBaseDir() {
-  const dir = expandEnv(String(config.wow?.folders?.addons || "").trim());
-  if (!dir) throw new Error("WoW AddOns Ordner nicht konfiguriert");
-  if (!dirExists(dir)) throw new Error(`WoW AddOns Ordner nicht gefunden: ${dir}`);
-  return dir;
+function toPowerShellSingleQuoted(value) {
+  return `'${String(value || "").replace(/'/g, "''")}'`;
 }
 
-function parseAddonTitle(folderPath, folderName) {
-  const preferred = path.join(folderPath, `${folderName}.toc`);
-  const candidates = [];
-  if (fileExists(preferred)) candidates.push(preferred);
-  try {
-    const other = fs
-      .readdirSync(folderPath, { withFileTypes: true })
-      .filter((entry) => entry.isFile() && entry.name.toLowerCase().endsWith(".toc"))
-      .map((entry) => path.join(folderPath, entry.name));
-    candidates.push(...other);
-  } catch {
-    // ignore TOC scan failures
+const app = express();
+app.disable("x-powered-by");
+app.use(setSecurityHeaders);
+const jsonBodyParser = express.json({ limit: "6mb" });
+// The settings import brings its own, larger parser (clip library as base64).
+app.use((req, res, next) => (req.path === "/api/settings/import" ? next() : jsonBodyParser(req, res, next)));
+app.use(express.static(PUBLIC_DIR, {
+  etag: true,
+  maxAge: "1h",
+  setHeaders: (res, filePath) => {
+    if (String(filePath || "").toLowerCase().endsWith(".html")) {
+      res.setHeader("Cache-Control", "no-store");
+    }
   }
+}));
+app.use((req, res, next) => {
+  const requestId = makeRequestId();
+  req.requestId = requestId;
+  res.setHeader("X-Request-Id", requestId);
+  next();
+});
+app.use("/api", (req, res, next) => {
+  res.setHeader("Cache-Control", "no-store");
+  next();
+});
+app.use("/api", (req, res, next) => {
+  const startedAtNs = process.hrtime.bigint();
+  apiMetricsState.active += 1;
+  let settled = false;
+  const finalize = () => {
+    if (settled) return;
+    settled = true;
+    apiMetricsState.active = Math.max(0, apiMetricsState.active - 1);
+    const durationMs = Number(process.hrtime.bigint() - startedAtNs) / 1_000_000;
+    recordApiRequestMetrics(req, res.statusCode, durationMs);
 
-  for (const tocPath of candidates) {
-    try {
-      const lines = fs.readFileSync(tocPath, "utf8").split(/\r?\n/).slice(0, 120);
-      for (const line of lines) {
-        const m = String(line || "").match(/^##\s*Title\s*:\s*(.+)$/i);
-        if (!m) continue;
-        const title = safeTrim(m[1].replace(/\|c[0-9a-fA-F]{8}/g, "").replace(/\|r/g, ""), 120);
-        if (title) return title;
-      }
-    } catch {
-      // ignore malformed toc files
-    }
+    const p = sanitizeUrlForLog(req.originalUrl || req.url || "");
+    if (
+      p.startsWith("/api/health")
+      || p.startsWith("/api/status")
+      || p.startsWith("/api/system/metrics")
+      || p === "/api/processes"
+      || p.startsWith("/api/curseforge/status")
+      || p.startsWith("/api/obs/status")
+      || p === "/api/soundboard"
+      || p.startsWith("/api/audio/mixer")
+      || p.startsWith("/api/wow/navigator/status")
+    ) return;
+    logger.info("api request", {
+      requestId: req.requestId,
+      method: req.method,
+      path: p,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ip: req.ip || req.socket?.remoteAddress || "",
+      tokenName: req.auth?.name || ""
+    });
+  };
+  res.on("finish", finalize);
+  res.on("close", finalize);
+  next();
+});
+
+function readTokenFromRequest(req) {
+  const header = safeTrim(req.header("x-token"), 512);
+  const query = typeof req.query?.token === "string" ? safeTrim(req.query.token, 512) : "";
+  return header || query;
+}
+
+// Minimal QR encoder (byte mode, ECC level M, versions 1-10) for pairing links without an extra dependency.
+const QR_ECC_M_CODEWORDS_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const QR_ECC_M_NUM_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+function qrRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
   }
-  return "";
+  return result;
 }
 
-function listWowAddons() {
-  const baseDir = wowAddonsBaseDir();
-  let entries = [];
-  try {
-    entries = fs.readdirSync(baseDir, { withFileTypes: true });
-  } catch {
-    entries = [];
+function qrDataCapacityBytes(version) {
+  return Math.floor(qrRawDataModules(version) / 8)
+    - QR_ECC_M_CODEWORDS_PER_BLOCK[version - 1] * QR_ECC_M_NUM_BLOCKS[version - 1];
+}
+
+function qrGfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
   }
+  return z;
+}
 
-  const items = [];
-  for (const entry of entries) {
-    if (!entry || !entry.isDirectory()) continue;
-    const folderKey = safeTrim(entry.name, 160);
-    if (!folderKey || folderKey.startsWith(".")) continue;
-    const disabled = /\.disabled$/i.test(folderKey);
-    const displayName = disabled ? folderKey.replace(/\.disabled$/i, "") : folderKey;
-    const folderPath = path.join(baseDir, folderKey);
-    const title = parseAddonTitle(folderPath, displayName) || displayName;
+function qrReedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < result.length; j += 1) {
+      result[j] = qrGfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = qrGfMultiply(root, 0x02);
+  }
+  return result;
+}
 
-    items.push({
-      key: folderKey,
-      folder: folderKey,
-      name: displayName,
-      title,
-      enabled: !disabled
+function qrReedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= qrGfMultiply(coef, factor);
     });
   }
-
-  items.sort((a, b) => a.title.localeCompare(b.title, "de", { sensitivity: "base" }));
-  return { baseDir, items };
+  return result;
+}
+
+function qrAlignmentPositions(version, size) {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function qrMaskBit(mask, x, y) {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6: return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default: return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+}
+
+function qrPenaltyScore(modules) {
+  const size = modules.length;
+  let score = 0;
+  let dark = 0;
+  const finderLike = [true, false, true, true, true, false, true];
+  const lineAt = (vertical, a, b) => (vertical ? modules[b][a] : modules[a][b]);
+  for (const vertical of [false, true]) {
+    for (let a = 0; a < size; a += 1) {
+      let run = 1;
+      for (let b = 1; b <= size; b += 1) {
+        if (b < size && lineAt(vertical, a, b) === lineAt(vertical, a, b - 1)) {
+          run += 1;
+          continue;
+        }
+        if (run >= 5) score += 3 + (run - 5);
+        run = 1;
+      }
+      for (let b = 0; b + 7 <= size; b += 1) {
+        if (!finderLike.every((v, i) => lineAt(vertical, a, b + i) === v)) continue;
+        const lightBefore = b >= 4 && [1, 2, 3, 4].every((i) => !lineAt(vertical, a, b - i));
+        const lightAfter = b + 11 <= size && [7, 8, 9, 10].every((i) => !lineAt(vertical, a, b + i));
+        if (lightBefore || lightAfter) score += 40;
+      }
+    }
+  }
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (modules[y][x]) dark += 1;
+      if (x + 1 < size && y + 1 < size) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
 }
 
-function detectWowAddonCapabilitiesFromList(items = []) {
-  const normalized = Array.isArray(items)
-    ? items.map((item) => ({
-        key: String(item?.key || "").toLowerCase(),
-        name: String(item?.name || "").toLowerCase(),
-        title: String(item?.title || "").toLowerCase(),
-        enabled: item?.enabled === true
-      }))
-    : [];
-  const matchAny = (patterns = []) => normalized.some((item) => {
-    const text = `${item.key} ${item.name} ${item.title}`;
-    return patterns.some((pattern) => text.includes(pattern));
-  });
-  const isTomTomInstalled = matchAny(["tomtom"]);
-  const isQuestieInstalled = matchAny(["questie"]);
-  const isStreamDeckNavigatorInstalled = matchAny(["streamdecknavigator", "stream deck navigator", "sdnavigator"]);
-  return {
-    isTomTomInstalled,
-    isQuestieInstalled,
-    isStreamDeckNavigatorInstalled
+function qrEncodeText(text) {
+  const bytes = Buffer.from(String(text || ""), "utf8");
+  let version = 0;
+  for (let v = 1; v <= QR_ECC_M_NUM_BLOCKS.length; v += 1) {
+    const countBits = v < 10 ? 8 : 16;
+    if (4 + countBits + bytes.length * 8 <= qrDataCapacityBytes(v) * 8) {
+      version = v;
+      break;
+    }
+  }
+  if (!version) throw new Error("QR-Inhalt zu lang");
+
+  const capacityBits = qrDataCapacityBytes(version) * 8;
+  const bits = [];
+  const pushBits = (value, len) => {
+    for (let i = len - 1; i >= 0; i -= 1) bits.push((value >>> i) & 1);
   };
-}
+  pushBits(0x4, 4);
+  pushBits(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) pushBits(b, 8);
+  pushBits(0, Math.min(4, capacityBits - bits.length));
+  pushBits(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) pushBits(pad, 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+
+  const numBlocks = QR_ECC_M_NUM_BLOCKS[version - 1];
+  const ecLen = QR_ECC_M_CODEWORDS_PER_BLOCK[version - 1];
+  const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = qrReedSolomonDivisor(ecLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i += 1) {
+    const dataLen = shortBlockLen - ecLen + (i < numShortBlocks ? 0 : 1);
+    const block = data.slice(k, k + dataLen);
+    k += dataLen;
+    const ecc = qrReedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+  const codewords = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - ecLen || j >= numShortBlocks) codewords.push(block[i]);
+    });
+  }
 
-async function getWowNavigatorStatus(options = {}) {
-  const wowRunning = await isProcessRunning(config.wow.processName, options);
-  const base = {
-    wowRunning,
-    processName: config.wow.processName,
-    addonsAvailable: false,
-    addonsBaseDir: expandEnv(String(config.wow?.folders?.addons || "").trim()),
-    addonsError: "",
-    addonsCount: 0,
-    isTomTomInstalled: false,
-    isQuestieInstalled: false,
-    isStreamDeckNavigatorInstalled: false
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, isDark) => {
+    modules[y][x] = isDark;
+    isFunction[y][x] = true;
   };
 
-  try {
-    const data = listWowAddons();
-    const caps = detectWowAddonCapabilitiesFromList(data.items);
-    return {
-      ...base,
-      addonsAvailable: true,
-      addonsBaseDir: data.baseDir,
-      addonsCount: Array.isArray(data.items) ? data.items.length : 0,
-      ...caps
-    };
-  } catch (error) {
-    return {
-      ...base,
-      addonsError: safeTrim(error?.message || String(error), 220)
-    };
+  for (let i = 0; i < size; i += 1) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  const align = qrAlignmentPositions(version, size);
+  for (let i = 0; i < align.length; i += 1) {
+    for (let j = 0; j < align.length; j += 1) {
+      const corner = (i === 0 && j === 0) || (i === 0 && j === align.length - 1) || (i === align.length - 1 && j === 0);
+      if (corner) continue;
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) setFunction(align[i] + dx, align[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
   }
-}
-
-function parseCoordValue(input) {
-  const raw = String(input || "").trim().replace(",", ".");
-  const value = Number(raw);
-  if (!Number.isFinite(value)) return null;
-  if (value < 0 || value > 100) return null;
-  return Math.round(value * 10) / 10;
-}
 
-function extractFirstCoordinatePair(text) {
-  const raw = String(text || "");
-  const match = raw.match(/(\d{1,2}(?:[.,]\d+)?)\s*[,/]\s*(\d{1,2}(?:[.,]\d+)?)/);
-  if (!match) return null;
-  const x = parseCoordValue(match[1]);
-  const y = parseCoordValue(match[2]);
-  if (x == null || y == null) return null;
-  return { x, y };
-}
+  const drawFormatBits = (mask) => {
+    const value = mask; // ECC level M has format bits 00
+    let rem = value;
+    for (let i = 0; i < 10; i += 1) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const formatBits = ((value << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((formatBits >>> i) & 1) !== 0;
+    for (let i = 0; i <= 5; i += 1) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i += 1) setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i += 1) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i += 1) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true);
+  };
+  drawFormatBits(0);
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i += 1) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const versionBits = (version << 12) | rem;
+    for (let i = 0; i < 18; i += 1) {
+      const isDark = ((versionBits >>> i) & 1) !== 0;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, isDark);
+      setFunction(b, a, isDark);
+    }
+  }
 
-function sanitizeQuestStep(raw) {
-  if (!raw || typeof raw !== "object") return null;
-  const title = safeTrim(raw.title || raw.name || "", 120);
-  const details = safeTrim(raw.details || raw.reason || raw.description || "", 360);
-  if (!title && !details) return null;
-  return {
-    title: title || "Empfehlung",
-    details
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert += 1) {
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (isFunction[y][x] || bitIndex >= codewords.length * 8) continue;
+        modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+        bitIndex += 1;
+      }
+    }
+  }
+
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (!isFunction[y][x] && qrMaskBit(mask, x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
   };
+  let bestMask = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < 8; mask += 1) {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const score = qrPenaltyScore(modules);
+    if (score < bestScore) {
+      bestScore = score;
+      bestMask = mask;
+    }
+    applyMask(mask);
+  }
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+  return { version, size, modules };
 }
 
-function normalizeWaypointItem(raw, fallbackZone = "") {
-  if (!raw || typeof raw !== "object") return null;
-  const zone = safeTrim(raw.zone || fallbackZone || "", 80);
-  const note = safeTrim(raw.note || raw.label || raw.title || "", 120);
-  const x = parseCoordValue(raw.x);
-  const y = parseCoordValue(raw.y);
-  if (x == null || y == null) return null;
-  const xText = x.toFixed(1);
-  const yText = y.toFixed(1);
-  const noteSuffix = note ? ` ${note}` : "";
-  const tomtomCommand = zone
-    ? `/way ${zone} ${xText} ${yText}${noteSuffix}`
-    : `/way ${xText} ${yText}${noteSuffix}`;
-  const streamDeckNavigatorCommand = `/sdnav ${xText} ${yText}${noteSuffix}`;
-  return {
-    zone,
-    x,
-    y,
-    note,
-    tomtomCommand,
-    streamDeckNavigatorCommand
+function qrToSvg(qr, margin = 4) {
+  const dim = qr.size + margin * 2;
+  const parts = [];
+  for (let y = 0; y < qr.size; y += 1) {
+    for (let x = 0; x < qr.size; x += 1) {
+      if (qr.modules[y][x]) parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="#fff"/><path d="${parts.join("")}" fill="#000"/></svg>`;
+}
+
+// Two module rows per text line; light modules are drawn so the code scans on dark terminals.
+function qrToTerminal(qr, margin = 2) {
+  const dim = qr.size + margin * 2;
+  const light = (x, y) => {
+    const mx = x - margin;
+    const my = y - margin;
+    if (mx < 0 || my < 0 || mx >= qr.size || my >= qr.size) return true;
+    return !qr.modules[my][mx];
   };
+  const lines = [];
+  for (let y = 0; y < dim; y += 2) {
+    let line = "";
+    for (let x = 0; x < dim; x += 1) {
+      const top = light(x, y);
+      const bottom = y + 1 < dim ? light(x, y + 1) : false;
+      line += top && bottom ? "█" : top ? "▀" : bottom ? "▄" : " ";
+    }
+    lines.push(line);
+  }
+  return lines.join("\n");
 }
 
-function sanitizeWowAssistantRequest(body = {}) {
-  const question = safeTrim(body?.question || "", 800);
-  if (!question) throw new Error("frage fehlt");
+// Named tokens are stored as sha256 hashes; the master config.token stays an implicit admin.
+const MASTER_AUTH = Object.freeze({ id: "master", name: "master", kind: "master", scopes: ["admin"], profiles: [] });
+const apiTokenUsage = new Map();
 
-  const ctx = body?.context && typeof body.context === "object" ? body.context : {};
-  const levelNum = Number(ctx.level);
-  const level = Number.isFinite(levelNum) ? Math.max(1, Math.min(80, Math.trunc(levelNum))) : 0;
+function hashApiToken(token) {
+  return crypto.createHash("sha256").update(String(token || ""), "utf8").digest("hex");
+}
 
-  return {
-    question,
-    context: {
-      characterName: safeTrim(ctx.characterName || "", 64),
-      className: safeTrim(ctx.className || "", 40),
-      faction: safeTrim(ctx.faction || "", 24),
-      zone: safeTrim(ctx.zone || "", 80),
-      objective: safeTrim(ctx.objective || "", 220),
-      level,
-      expansion: safeTrim(ctx.expansion || "", 40)
-    }
-  };
+function normalizeApiTokenScopes(input) {
+  const list = Array.isArray(input) ? input : String(input || "").split(",");
+  const wanted = new Set(list.map((x) => safeTrim(x, 24).toLowerCase()));
+  return API_TOKEN_SCOPES.filter((scope) => wanted.has(scope));
 }
 
-function buildLocalWowAssistantResponse(input, navStatus) {
-  const question = input.question;
-  const zone = input.context.zone || "aktuelle Zone";
-  const level = input.context.level || 0;
-  const hasTomTom = navStatus.isTomTomInstalled === true;
-  const hasQuestie = navStatus.isQuestieInstalled === true;
+function normalizeApiTokenProfiles(input) {
+  const list = Array.isArray(input) ? input : String(input || "").split(",");
+  return uniq(list.map((x) => safeTrim(x, 64)).filter(Boolean)).slice(0, PROFILE_MAX_COUNT);
+}
 
-  const nextSteps = [];
-  if (hasQuestie) {
-    nextSteps.push({
-      title: "Questie Pins nutzen",
-      details: "Oeffne die Weltkarte und aktiviere die Questie-Filter fuer deine aktive Questkette."
-    });
-  } else {
-    nextSteps.push({
-      title: "Questie installieren",
-      details: "Questie zeigt Questziele direkt auf Karte/Minimap und spart viel Suchzeit."
-    });
-  }
-  if (hasTomTom) {
-    nextSteps.push({
-      title: "TomTom Waypoints setzen",
-      details: "Nutze die erzeugten /way Befehle fuer direkte Marker-Navigation."
-    });
-  } else {
-    nextSteps.push({
-      title: "TomTom fuer Navigation",
-      details: "Mit TomTom bekommst du Pfeil-Navigation und Distanzanzeige zu Koordinaten."
+function normalizeApiTokens(input) {
+  if (!Array.isArray(input)) return [];
+  const out = [];
+  const seen = new Set();
+  for (const entry of input) {
+    if (!entry || typeof entry !== "object") continue;
+    const id = safeTrim(entry.id, 40);
+    const tokenHash = safeTrim(entry.tokenHash, 64).toLowerCase();
+    if (!id || seen.has(id) || !/^[a-f0-9]{64}$/.test(tokenHash)) continue;
+    const scopes = normalizeApiTokenScopes(entry.scopes);
+    if (!scopes.length) continue;
+    seen.add(id);
+    out.push({
+      id,
+      name: safeTrim(entry.name || id, 64) || id,
+      kind: entry.kind === "device" ? "device" : "token",
+      tokenHash,
+      scopes,
+      profiles: normalizeApiTokenProfiles(entry.profiles),
+      createdAt: safeTrim(entry.createdAt, 40)
     });
+    if (out.length >= API_TOKEN_MAX_COUNT) break;
   }
+  return out;
+}
 
-  if (level > 0) {
-    nextSteps.push({
-      title: `Level-${level} Route fokusieren`,
-      details: "Priorisiere eng beieinander liegende Quests und gib lange Laufwege nur als Nebenroute frei."
-    });
-  } else {
-    nextSteps.push({
-      title: "Route in Blöcken planen",
-      details: "Gruppiere Quests nach Gebietsteilen, damit du nicht zwischen Nord/Sued pendelst."
-    });
-  }
+function resolveAuthToken(token) {
+  if (!token) return null;
+  if (secureEqualText(token, config.token)) return MASTER_AUTH;
+  const hash = hashApiToken(token);
+  const entry = (config.apiTokens || []).find((x) => secureEqualText(x.tokenHash, hash));
+  if (!entry) return null;
+  apiTokenUsage.set(entry.id, new Date().toISOString());
+  return { id: entry.id, name: entry.name, kind: entry.kind, scopes: entry.scopes, profiles: entry.profiles };
+}
 
-  const waypoints = [];
-  const coord = extractFirstCoordinatePair(question);
-  if (coord) {
-    const wp = normalizeWaypointItem(
-      { zone, x: coord.x, y: coord.y, note: "Ziel aus deiner Eingabe" },
-      zone
-    );
-    if (wp) waypoints.push(wp);
-  }
+function authHasScope(auth, scope) {
+  if (!scope) return true;
+  if (!auth || !Array.isArray(auth.scopes)) return false;
+  return auth.scopes.includes("admin") || auth.scopes.includes(scope);
+}
 
-  return {
-    provider: "local-fallback",
-    model: "",
-    answer: safeTrim(
-      `Ich habe eine sichere Komfort-Route fuer ${zone} erstellt. Fokus: kurze Laufwege, klare Questreihenfolge und optionale Waypoints ohne Automatisierung/Cheat.`,
-      1200
-    ),
-    safety: "Kein Cheat: nur Empfehlungen, Marker-Befehle und manuelle Navigation.",
-    nextSteps,
-    waypoints,
-    contextEcho: input.context
-  };
+function authAllowsProfile(auth, profileId) {
+  if (!auth || !Array.isArray(auth.profiles) || !auth.profiles.length) return true;
+  return auth.profiles.includes(String(profileId || ""));
 }
 
-function normalizeAssistantModelResponse(raw, input, provider, model) {
-  const fallback = buildLocalWowAssistantResponse(input, {
-    isTomTomInstalled: false,
-    isQuestieInstalled: false,
-    isStreamDeckNavigatorInstalled: false
-  });
-  if (!raw || typeof raw !== "object") return { ...fallback, provider, model };
+function authAllowsProfiles(auth, profileIds) {
+  return profileIds.every((profileId) => authAllowsProfile(auth, profileId));
+}
 
-  const nextSteps = Array.isArray(raw.nextSteps)
-    ? raw.nextSteps.map(sanitizeQuestStep).filter(Boolean).slice(0, 8)
-    : [];
-  const waypoints = Array.isArray(raw.waypoints)
-    ? raw.waypoints.map((wp) => normalizeWaypointItem(wp, input.context.zone)).filter(Boolean).slice(0, 10)
-    : [];
+function authView(auth) {
+  if (!auth) return null;
+  return { name: auth.name, kind: auth.kind, scopes: [...auth.scopes], profiles: [...auth.profiles] };
+}
 
+// Command tiles and elevated app starts run arbitrary code on the host, so only admin tokens may author them.
+function tileNeedsAdmin(tile) {
+  return Boolean(tile) && (tile.type === "command" || tile.launch?.admin === true);
+}
+
+// Run history for a token: entries of other profiles are hidden and command output needs the settings scope.
+function runAnalyticsViewForAuth(snapshot, auth) {
+  const showOutput = authHasScope(auth, "settings");
+  const allowed = (entry) => authAllowsProfile(auth, entry.profile);
   return {
-    provider,
-    model,
-    answer: safeTrim(raw.answer || raw.summary || fallback.answer, 1800),
-    safety: safeTrim(raw.safety || fallback.safety, 240),
-    nextSteps: nextSteps.length ? nextSteps : fallback.nextSteps,
-    waypoints,
-    contextEcho: input.context
+    ...snapshot,
+    topTiles: snapshot.topTiles.filter(allowed),
+    topActions: snapshot.topActions.filter(allowed),
+    recent: snapshot.recent.filter(allowed).map((entry) => {
+      if (showOutput || !entry.output) return entry;
+      const { output, ...rest } = entry;
+      return rest;
+    })
   };
 }
 
-async function queryOpenAiWowAssistant(input, navStatus) {
-  const apiKey = aiRuntimeState.apiKey;
-  const model = getAiAssistantModel();
-  if (!apiKey) throw new Error("AI key fehlt");
-  if (typeof fetch !== "function") throw new Error("fetch ist in dieser Node-Version nicht verfuegbar");
+function requiredScopeForRequest(method, rawPath) {
+  const p = String(rawPath || "").toLowerCase();
+  const isGet = String(method || "GET").toUpperCase() === "GET";
+  if (
+    p.startsWith("/api/tokens")
+    || p.startsWith("/api/pairing")
+    || p.startsWith("/api/settings/export")
+    || p.startsWith("/api/settings/import")
+    || (!isGet && p.startsWith("/api/processes/"))
+    || (!isGet && p.startsWith("/api/settings/ai"))
+  ) return "admin";
+  if (isGet) {
+    if (
+      p === "/api/settings"
+      || p.startsWith("/api/settings/")
+      || p.startsWith("/api/programs")
+      || p.startsWith("/api/logs")
+      || p.startsWith("/api/diagnostics")
+      || p === "/api/windows"
+      || p === "/api/processes"
+    ) return "settings";
+    return "";
+  }
+  if (p.startsWith("/api/audio/session/")) return "audio";
+  if (
+    p === "/api/run"
+    || p.startsWith("/api/macros/")
+    || p.startsWith("/api/schedules/run")
+    || p.startsWith("/api/rules/run")
+    || p.startsWith("/api/curseforge/")
+    || p.startsWith("/api/wow/addons/")
+    || p.startsWith("/api/audio/spotify/")
+    || p.startsWith("/api/soundboard/play")
+    || p.startsWith("/api/soundboard/stop")
+  ) return "run";
+  if (p.startsWith("/api/wow/assistant")) return "";
+  return "settings";
+}
 
-  const systemPrompt = [
-    "Du bist ein WoW Quest Assistant fuer Classic/Anniversary.",
-    "Regeln:",
-    "- Nur Komfort-Hilfe, keine Cheats, keine Bot/Automation-Anweisungen.",
-    "- Antworte als JSON Objekt ohne Markdown.",
-    "- JSON Schema: {\"answer\":string,\"safety\":string,\"nextSteps\":[{\"title\":string,\"details\":string}],\"waypoints\":[{\"zone\":string,\"x\":number,\"y\":number,\"note\":string}]}",
-    "- waypoints nur mit x/y im Bereich 0..100."
-  ].join("\n");
+function requireToken(req, res, next) {
+  const token = readTokenFromRequest(req);
+  if (!token) return res.status(401).json({ ok: false, error: "unauthorized: missing token" });
+  const auth = resolveAuthToken(token);
+  if (!auth) return res.status(401).json({ ok: false, error: "unauthorized: token mismatch" });
+  req.auth = auth;
+  const scope = requiredScopeForRequest(req.method, req.baseUrl + req.path);
+  if (!authHasScope(auth, scope)) {
+    return res.status(403).json({ ok: false, error: `forbidden: scope ${scope} fehlt` });
+  }
+  next();
+}
 
-  const userPayload = {
-    question: input.question,
-    context: input.context,
-    wowStatus: {
-      wowRunning: navStatus.wowRunning,
-      tomtomInstalled: navStatus.isTomTomInstalled,
-      questieInstalled: navStatus.isQuestieInstalled,
-      streamDeckNavigatorInstalled: navStatus.isStreamDeckNavigatorInstalled
-    }
-  };
+const rateState = new Map();
+const rateMetrics = { allowed: 0, blocked: 0, sweeps: 0 };
+let rateSweepCounter = 0;
+function rateLimitCostForPath(rawPath) {
+  const p = String(rawPath || "").toLowerCase();
+  if (p.startsWith("/api/wow/assistant") || p.startsWith("/api/pairing/redeem")) return 4;
+  if (p.startsWith("/api/icon") || p.startsWith("/api/stream/live") || p === "/api/soundboard/clips") return 3;
+  if (
+    p.startsWith("/api/system/metrics")
+    || p === "/api/processes"
+    || p.startsWith("/api/audio/mixer")
+    || p.startsWith("/api/bootstrap")
+  ) return 2;
+  return 1;
+}
 
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model,
-      temperature: 0.2,
-      max_tokens: 700,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: JSON.stringify(userPayload) }
-      ]
-    })
-  });
+function rateClientKey(req) {
+  const ip = req.ip || req.socket?.remoteAddress || "unknown";
+  const token = readTokenFromRequest(req);
+  if (!token) return ip;
+  const tokenHash = crypto.createHash("sha1").update(token).digest("hex").slice(0, 12);
+  return `${ip}|${tokenHash}`;
+}
 
-  if (!response.ok) {
-    const text = safeTrim(await response.text().catch(() => ""), 260);
-    throw new Error(`OpenAI Fehler ${response.status}: ${text || "request failed"}`);
+function rateLimit(req, res, next) {
+  const windowMs = Math.max(250, Number(config.rateLimit?.windowMs || 3000));
+  const max = Math.max(3, Number(config.rateLimit?.max || 20));
+  const now = Date.now();
+  const key = rateClientKey(req);
+  const cost = rateLimitCostForPath(req.path || req.url || "");
+  const state = rateState.get(key) || { t0: now, n: 0, hits: 0, blocked: 0 };
+  if (now - state.t0 > windowMs) {
+    state.t0 = now;
+    state.n = 0;
+  }
+  state.n += cost;
+  state.hits += 1;
+  rateState.set(key, state);
+  rateSweepCounter += 1;
+  if (rateSweepCounter >= 200 || rateState.size > 5000) {
+    rateSweepCounter = 0;
+    const cutoff = now - (windowMs * 4);
+    for (const [entryKey, value] of rateState.entries()) {
+      if (!value || value.t0 < cutoff) rateState.delete(entryKey);
+    }
+    rateMetrics.sweeps += 1;
   }
 
-  const data = await response.json();
-  const content = data?.choices?.[0]?.message?.content;
-  if (!content || typeof content !== "string") {
-    throw new Error("AI Antwort leer");
+  const resetMs = Math.max(0, (state.t0 + windowMs) - now);
+  const resetSec = Math.max(1, Math.ceil(resetMs / 1000));
+  const remaining = Math.max(0, Math.floor(max - state.n));
+  res.setHeader("X-RateLimit-Limit", String(max));
+  res.setHeader("X-RateLimit-Remaining", String(remaining));
+  res.setHeader("X-RateLimit-Reset", String(resetSec));
+
+  req.rateLimitInfo = { max, remaining, resetSec, cost };
+  if (state.n > max) {
+    state.blocked += 1;
+    rateMetrics.blocked += 1;
+    res.setHeader("Retry-After", String(resetSec));
+    return res.status(429).json({ ok: false, error: "rate limited" });
   }
-  return parseJsonPayload(content);
+  rateMetrics.allowed += 1;
+  next();
 }
 
-async function buildWowAssistantResponse(input, navStatus) {
-  if (!hasAiAssistantKey()) {
-    return buildLocalWowAssistantResponse(input, navStatus);
-  }
+const LIVE_STREAM_CHANNELS = new Set(["status", "metrics", "audio", "wow", "curseforge", "runs", "config", "rules", "tiles", "obs"]);
+const CONFIG_BROADCAST_DELAY_MS = 60;
+const WS_PATH = "/api/ws";
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const WS_MAX_MESSAGE_BYTES = 64 * 1024;
+const WS_MAX_CLIENTS = 32;
+const WS_COMMANDS_PER_SEC = 40;
+const WS_HEARTBEAT_MS = 25000;
+const WS_COMMAND_SCOPES = Object.freeze({
+  run: "run",
+  "wow.addon.toggle": "run",
+  "audio.volume": "audio",
+  "audio.mute": "audio",
+  "audio.playpause": "audio"
+});
 
-  try {
-    const raw = await queryOpenAiWowAssistant(input, navStatus);
-    return normalizeAssistantModelResponse(raw, input, "openai", getAiAssistantModel());
-  } catch (error) {
-    logger.warn("wow assistant fallback", { error: safeTrim(error?.message || String(error), 260) });
-    return buildLocalWowAssistantResponse(input, navStatus);
-  }
+function parseLiveStreamChannels(rawValue) {
+  const raw = safeTrim(rawValue || "", 200).toLowerCase();
+  if (!raw || raw === "default") return ["status", "metrics"];
+  if (raw === "all") return Array.from(LIVE_STREAM_CHANNELS.values());
+  const picked = uniq(raw.split(",").map((x) => String(x || "").trim().toLowerCase()))
+    .filter((x) => LIVE_STREAM_CHANNELS.has(x));
+  return picked.length ? picked : ["status", "metrics"];
 }
 
-function sanitizeAiModel(value) {
-  const model = safeTrim(value || "", 80);
-  if (!model) return DEFAULT_AI_MODEL;
-  if (/[\r\n]/.test(model)) throw new Error("ungueltiges ai model");
-  return model;
+function parseLiveStreamIntervalMs(rawValue) {
+  const n = Number(rawValue);
+  if (!Number.isFinite(n)) return 1500;
+  return Math.max(500, Math.min(15000, Math.trunc(n)));
 }
 
-function sanitizeAiApiKey(value) {
-  const key = safeTrim(value || "", 256);
-  if (!key) return "";
-  if (/[\r\n]/.test(key)) throw new Error("ungueltiger api key");
-  if (key.length < 20) throw new Error("api key zu kurz");
-  return key;
+function writeSseEvent(res, eventName, data) {
+  res.write(`event: ${eventName}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
 }
 
-async function verifyOpenAiApiKey(apiKey) {
-  if (typeof fetch !== "function") throw new Error("fetch nicht verfuegbar");
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), 9000);
+async function withLiveSnapshotField(payload, key, producer) {
   try {
-    const response = await fetch("https://api.openai.com/v1/models", {
-      method: "GET",
-      headers: {
-        Authorization: `Bearer ${apiKey}`
-      },
-      signal: controller.signal
-    });
-    if (!response.ok) {
-      const text = safeTrim(await response.text().catch(() => ""), 260);
-      throw new Error(`OpenAI Verifizierung fehlgeschlagen (${response.status})${text ? `: ${text}` : ""}`);
-    }
-    const body = await response.json().catch(() => null);
-    const modelIds = Array.isArray(body?.data)
-      ? body.data.map((item) => safeTrim(item?.id || "", 80)).filter(Boolean)
-      : [];
-    return {
-      ok: true,
-      modelCount: modelIds.length
-    };
+    payload[key] = await producer();
   } catch (error) {
-    if (String(error?.name || "") === "AbortError") {
-      throw new Error("OpenAI Verifizierung Timeout");
-    }
-    throw error;
-  } finally {
-    clearTimeout(timer);
+    payload[key] = { error: safeTrim(error?.message || String(error), 220) };
   }
 }
 
-function toggleWowAddonState(key, shouldEnable) {
-  const baseDir = wowAddonsBaseDir();
-  const fromKey = safeAddonFolderKey(key);
-  const fromPath = path.join(baseDir, fromKey);
-  if (!dirExists(fromPath)) throw new Error(`Addon nicht gefunden: ${fromKey}`);
-
-  const isDisabled = /\.disabled$/i.test(fromKey);
-  let targetKey = fromKey;
-  if (shouldEnable && isDisabled) targetKey = fromKey.replace(/\.disabled$/i, "");
-  if (!shouldEnable && !isDisabled) targetKey = `${fromKey}.disabled`;
-  if (targetKey === fromKey) return { fromKey, toKey: targetKey, changed: false };
-
-  const toPath = path.join(baseDir, targetKey);
-  if (dirExists(toPath)) {
-    throw new Error(`Ziel existiert bereits: ${targetKey}`);
+async function buildLiveSnapshot(channels = [], auth = null) {
+  const picked = new Set(Array.isArray(channels) ? channels : []);
+  const payload = {
+    ts: Date.now(),
+    serverVersion: APP_VERSION
+  };
+  const tasks = [];
+  if (picked.has("status")) {
+    tasks.push(withLiveSnapshotField(payload, "status", async () => ({
+      wowRunning: await isProcessRunning(config.wow.processName),
+      processName: config.wow.processName
+    })));
   }
-  fs.renameSync(fromPath, toPath);
-  return { fromKey, toKey: targetKey, changed: true };
-}
-
-async function readWindowsNetworkTotals() {
-  const { stdout } = await execFileAsync("netstat", ["-e"], { windowsHide: true, timeout: 5000 });
-  const line = String(stdout || "")
-    .split(/\r?\n/)
-    .find((x) => /^\s*bytes\b/i.test(String(x || "").trim()));
-  if (!line) return null;
-  const parts = String(line).trim().split(/\s+/);
-  if (parts.length < 3) return null;
-  const rx = parseCounterNumber(parts[1]);
-  const tx = parseCounterNumber(parts[2]);
-  if (!Number.isFinite(rx) || !Number.isFinite(tx)) return null;
-  return { rxTotalBytes: rx, txTotalBytes: tx };
-}
-
-async function readNetworkMetrics() {
-  if (process.platform !== "win32") {
-    return {
-      rxTotalBytes: 0,
-      txTotalBytes: 0,
-      rxBytesPerSec: 0,
-      txBytesPerSec: 0,
-      source: "unsupported"
-    };
+  if (picked.has("metrics")) {
+    tasks.push(withLiveSnapshotField(payload, "metrics", async () => collectSystemMetrics()));
   }
-
-  const now = Date.now();
-  const cached = systemMetricsState.network;
-  if (cached.ts && (now - cached.ts) < NET_METRICS_CACHE_MS) {
-    return {
-      rxTotalBytes: cached.rxTotalBytes,
-      txTotalBytes: cached.txTotalBytes,
-      rxBytesPerSec: cached.rxBytesPerSec,
-      txBytesPerSec: cached.txBytesPerSec,
-      source: cached.source
-    };
+  if (picked.has("audio")) {
+    tasks.push(withLiveSnapshotField(payload, "audio", async () => readAudioMixerSnapshot()));
+  }
+  if (picked.has("wow")) {
+    tasks.push(withLiveSnapshotField(payload, "wow", async () => ({
+      ...(await getWowNavigatorStatus()),
+      aiLive: hasAiAssistantKey()
+    })));
+  }
+  if (picked.has("curseforge")) {
+    tasks.push(withLiveSnapshotField(payload, "curseforge", async () => getCurseForgeStatus()));
+  }
+  if (picked.has("runs")) {
+    tasks.push(withLiveSnapshotField(payload, "runs", async () => runAnalyticsViewForAuth(getRunAnalyticsSnapshot(10), auth)));
+  }
+  if (picked.has("obs")) {
+    tasks.push(withLiveSnapshotField(payload, "obs", async () => getObsStatus()));
   }
+  if (picked.has("config")) {
+    payload.config = { revision: configRevision };
+  }
+  if (picked.has("rules")) {
+    payload.rules = { history: ruleHistoryForAuth(ruleEngineState.history, auth).slice(0, 10) };
+  }
+  if (picked.has("tiles")) {
+    tasks.push(withLiveSnapshotField(payload, "tiles", async () => {
+      const tiles = config.tiles.filter((tile) => isDynamicTile(tile) && authAllowsProfile(auth, tile.profile));
+      return { faces: Array.from((await resolveDynamicTileFaces(tiles)).values()) };
+    }));
+  }
+  await Promise.all(tasks);
+  return payload;
+}
 
-  let totals = null;
+function closeLiveStreamClient(client, reason = "closed") {
+  if (!client || client.closed) return;
+  client.closed = true;
+  if (client.timer) clearTimeout(client.timer);
+  if (client.keepAliveTimer) clearInterval(client.keepAliveTimer);
+  liveStreamState.clients.delete(client);
   try {
-    totals = await readWindowsNetworkTotals();
+    if (client.res && !client.res.writableEnded) {
+      writeSseEvent(client.res, "end", { reason, ts: Date.now() });
+      client.res.end();
+    }
   } catch {
-    totals = null;
+    // ignore socket close races
   }
-  if (!totals) {
-    return {
-      rxTotalBytes: cached.rxTotalBytes,
-      txTotalBytes: cached.txTotalBytes,
-      rxBytesPerSec: 0,
-      txBytesPerSec: 0,
-      source: "netstat-unavailable"
-    };
+}
+
+// Pushes a one-off event to SSE and WebSocket clients subscribed to `channel`.
+// `data` may be a function of the client auth returning the payload, or null to skip that client.
+function broadcastLiveEvent(channel, eventName, data, allow = null) {
+  const payloadFor = (auth) => (typeof data === "function" ? data(auth) : data);
+  for (const client of Array.from(liveStreamState.clients)) {
+    if (client.closed || !client.channels.includes(channel)) continue;
+    if (allow && !allow(client.auth)) continue;
+    const payload = payloadFor(client.auth);
+    if (!payload) continue;
+    try {
+      writeSseEvent(client.res, eventName, payload);
+    } catch {
+      closeLiveStreamClient(client, "write-failed");
+    }
   }
+  for (const client of Array.from(wsControlState.clients)) {
+    if (client.closed || !client.channels.includes(channel)) continue;
+    if (allow && !allow(client.auth)) continue;
+    const payload = payloadFor(client.auth);
+    if (payload) wsSendJson(client, { type: eventName, ...payload });
+  }
+}
 
-  let rxBytesPerSec = 0;
-  let txBytesPerSec = 0;
-  if (cached.ts && totals.rxTotalBytes >= cached.rxTotalBytes && totals.txTotalBytes >= cached.txTotalBytes) {
-    const dtSec = Math.max(0.2, (now - cached.ts) / 1000);
-    rxBytesPerSec = Math.max(0, (totals.rxTotalBytes - cached.rxTotalBytes) / dtSec);
-    txBytesPerSec = Math.max(0, (totals.txTotalBytes - cached.txTotalBytes) / dtSec);
+function closeAllLiveStreams(reason = "shutdown") {
+  for (const client of Array.from(liveStreamState.clients)) {
+    closeLiveStreamClient(client, reason);
   }
+  if (configSyncState.timer) clearTimeout(configSyncState.timer);
+  configSyncState.timer = null;
+}
 
-  systemMetricsState.network = {
-    ts: now,
-    rxTotalBytes: totals.rxTotalBytes,
-    txTotalBytes: totals.txTotalBytes,
-    rxBytesPerSec,
-    txBytesPerSec,
-    source: "netstat"
-  };
+function hasLiveChannelSubscribers(channel) {
+  for (const client of liveStreamState.clients) {
+    if (client.channels.includes(channel)) return true;
+  }
+  for (const client of wsControlState.clients) {
+    if (client.channels.includes(channel)) return true;
+  }
+  return false;
+}
 
-  return {
-    rxTotalBytes: totals.rxTotalBytes,
-    txTotalBytes: totals.txTotalBytes,
-    rxBytesPerSec,
-    txBytesPerSec,
-    source: "netstat"
-  };
+function hasConfigSubscribers() {
+  return hasLiveChannelSubscribers("config");
 }
 
-async function collectSystemMetrics() {
-  const cpuUsagePercent = readCpuUsagePercent();
-  const cpu = os.cpus();
-  const totalBytes = os.totalmem();
-  const freeBytes = os.freemem();
-  const usedBytes = Math.max(0, totalBytes - freeBytes);
-  const usagePercent = totalBytes > 0 ? (usedBytes / totalBytes) * 100 : 0;
-  const network = await readNetworkMetrics();
-  const mem = process.memoryUsage();
+// Toggle states and face values are only polled while someone listens on the `tiles` channel.
+function scheduleTileStatePoll(delayMs = TILE_STATE_POLL_MS) {
+  if (shuttingDown || !hasLiveChannelSubscribers("tiles")) return;
+  if (tileStateState.timer) {
+    if (tileStateState.dueAt <= Date.now() + delayMs) return;
+    clearTimeout(tileStateState.timer);
+  }
+  tileStateState.dueAt = Date.now() + delayMs;
+  tileStateState.timer = setTimeout(() => {
+    tileStateState.timer = null;
+    pollTileStates();
+  }, delayMs);
+  if (typeof tileStateState.timer?.unref === "function") tileStateState.timer.unref();
+}
 
-  return {
-    system: {
-      hostname: os.hostname(),
-      platform: process.platform,
-      release: os.release(),
-      arch: process.arch,
-      uptimeSec: Math.floor(os.uptime())
-    },
-    cpu: {
-      usagePercent: Math.max(0, Math.min(100, cpuUsagePercent)),
-      cores: cpu.length || 1
-    },
-    memory: {
-      totalBytes,
-      usedBytes,
-      freeBytes,
-      usagePercent: Math.max(0, Math.min(100, usagePercent))
-    },
-    network,
-    process: {
-      pid: process.pid,
-      uptimeSec: Math.floor(process.uptime()),
-      rssBytes: mem.rss || 0,
-      heapUsedBytes: mem.heapUsed || 0,
-      nodeVersion: process.version
+function stopTileStatePoll() {
+  if (tileStateState.timer) clearTimeout(tileStateState.timer);
+  tileStateState.timer = null;
+}
+
+async function pollTileStates() {
+  if (tileStateState.polling) return;
+  if (!hasLiveChannelSubscribers("tiles")) {
+    tileStateState.states = new Map();
+    return;
+  }
+  tileStateState.polling = true;
+  try {
+    const dynamic = config.tiles.filter(isDynamicTile);
+    const faces = await resolveDynamicTileFaces(dynamic);
+    const states = new Map(Array.from(faces, ([id, face]) => [id, dynamicFaceKey(face)]));
+    const changed = dynamic.filter((tile) => tileStateState.states.get(tile.id) !== states.get(tile.id));
+    tileStateState.states = states;
+    if (changed.length) {
+      const ts = Date.now();
+      broadcastLiveEvent("tiles", "tileState", (auth) => {
+        const tiles = changed
+          .filter((tile) => authAllowsProfile(auth, tile.profile))
+          .map((tile) => faces.get(tile.id));
+        return tiles.length ? { tiles, ts } : null;
+      });
+      logger.debug("tile states changed", { tiles: changed.map((tile) => `${tile.id}=${states.get(tile.id)}`) });
     }
+  } catch (error) {
+    logger.warn("tile state poll failed", { error: String(error?.message || error) });
+  } finally {
+    tileStateState.polling = false;
+    scheduleTileStatePoll();
+  }
+}
+
+async function captureConfigSyncView() {
+  const revision = configRevision;
+  const payload = await buildClientTiles();
+  const tiles = new Map();
+  for (const tile of payload.tiles) tiles.set(tile.id, { json: JSON.stringify(tile), tile });
+  return {
+    revision,
+    tiles,
+    order: payload.tiles.map((t) => t.id),
+    profilesJson: JSON.stringify(config.profiles)
   };
 }
 
-const iconCache = new Map();
-async function extractIconDataUrl(filePath) {
-  const p = String(filePath || "").trim();
-  if (!p || !fileExists(p)) return "";
-  const key = p.toLowerCase();
-  if (iconCache.has(key)) return iconCache.get(key);
+function storeConfigSyncView(view) {
+  configSyncState.revision = view.revision;
+  configSyncState.tiles = view.tiles;
+  configSyncState.order = view.order;
+  configSyncState.profilesJson = view.profilesJson;
+}
 
-  const pathLit = toPowerShellSingleQuoted(p);
-  const script = [
-    "$ErrorActionPreference = 'Stop'",
-    `$p = ${pathLit}`,
-    "Add-Type -AssemblyName System.Drawing",
-    "if (-not (Test-Path -LiteralPath $p)) { exit 2 }",
-    "function Convert-IconToBase64([System.Drawing.Icon]$icon) {",
-    "  if ($null -eq $icon) { return '' }",
-    "  $bmp = New-Object System.Drawing.Bitmap 64,64",
-    "  $g = [System.Drawing.Graphics]::FromImage($bmp)",
-    "  $g.Clear([System.Drawing.Color]::Transparent)",
-    "  $src = $icon.ToBitmap()",
-    "  $g.DrawImage($src, 0, 0, 64, 64)",
-    "  $g.Dispose()",
-    "  $src.Dispose()",
-    "  $ms = New-Object System.IO.MemoryStream",
-    "  $bmp.Save($ms, [System.Drawing.Imaging.ImageFormat]::Png)",
-    "  $bmp.Dispose()",
-    "  $icon.Dispose()",
-    "  $result = [Convert]::ToBase64String($ms.ToArray())",
-    "  $ms.Dispose()",
-    "  return $result",
-    "}",
-    "$icon = $null",
-    "try { $icon = [System.Drawing.Icon]::ExtractAssociatedIcon($p) } catch {}",
-    "if ($null -eq $icon -and [System.IO.Path]::GetExtension($p).ToLowerInvariant() -eq '.lnk') {",
-    "  try {",
-    "    $shell = New-Object -ComObject WScript.Shell",
-    "    $shortcut = $shell.CreateShortcut($p)",
-    "    if ($shortcut.TargetPath -and (Test-Path -LiteralPath $shortcut.TargetPath)) {",
-    "      $icon = [System.Drawing.Icon]::ExtractAssociatedIcon($shortcut.TargetPath)",
-    "    }",
-    "  } catch {}",
-    "}",
-    "$b64 = Convert-IconToBase64 $icon",
-    "if (-not $b64) { exit 3 }",
-    "$b64"
-  ].join("; ");
+// Baseline for diffs; built lazily so idle servers never render tiles for nobody.
+async function ensureConfigSyncBaseline() {
+  if (configSyncState.tiles && configSyncState.revision === configRevision) return;
+  if (configSyncState.pending) return;
+  storeConfigSyncView(await captureConfigSyncView());
+}
+
+function scheduleConfigBroadcast() {
+  if (!hasConfigSubscribers()) {
+    configSyncState.tiles = null;
+    return;
+  }
+  if (configSyncState.timer) return;
+  configSyncState.timer = setTimeout(() => {
+    configSyncState.timer = null;
+    broadcastConfigChange().catch((error) => {
+      logger.warn("config broadcast failed", { error: String(error?.message || error) });
+    });
+  }, CONFIG_BROADCAST_DELAY_MS);
+  if (typeof configSyncState.timer?.unref === "function") configSyncState.timer.unref();
+}
+
+// Profile-restricted tokens only see their tiles; tiles moved out of reach arrive as removals.
+function configEventForAuth(event, auth) {
+  if (!auth || !auth.profiles.length || event.full) return event;
+  const out = { ...event };
+  if (Array.isArray(event.changed)) {
+    out.changed = event.changed.filter((t) => authAllowsProfile(auth, t.profile));
+    out.removed = [
+      ...event.removed,
+      ...event.changed.filter((t) => !authAllowsProfile(auth, t.profile)).map((t) => t.id)
+    ];
+  }
+  if (Array.isArray(event.order)) {
+    const allowed = new Set(configSyncState.tiles ? Array.from(configSyncState.tiles.values())
+      .filter((x) => authAllowsProfile(auth, x.tile.profile))
+      .map((x) => x.tile.id) : []);
+    out.order = event.order.filter((id) => allowed.has(id));
+  }
+  if (Array.isArray(event.profiles)) out.profiles = event.profiles.filter((p) => authAllowsProfile(auth, p.id));
+  return out;
+}
+
+async function broadcastConfigChange() {
+  if (configSyncState.pending) {
+    await configSyncState.pending;
+    if (configSyncState.revision !== configRevision) scheduleConfigBroadcast();
+    return;
+  }
+  const work = (async () => {
+    const prev = configSyncState.tiles ? { ...configSyncState } : null;
+    const next = await captureConfigSyncView();
+    if (prev && next.revision <= prev.revision) return;
+
+    const event = {
+      revision: next.revision,
+      baseRevision: prev ? prev.revision : 0,
+      ts: Date.now()
+    };
+    if (prev) {
+      event.changed = [];
+      event.removed = [];
+      for (const [id, entry] of next.tiles) {
+        if (prev.tiles.get(id)?.json !== entry.json) event.changed.push(entry.tile);
+      }
+      for (const id of prev.tiles.keys()) {
+        if (!next.tiles.has(id)) event.removed.push(id);
+      }
+      if (prev.order.join("\n") !== next.order.join("\n")) event.order = next.order;
+      if (prev.profilesJson !== next.profilesJson) event.profiles = config.profiles;
+    } else {
+      event.full = true;
+    }
+    storeConfigSyncView(next);
+
+    for (const client of Array.from(liveStreamState.clients)) {
+      if (client.closed || !client.channels.includes("config")) continue;
+      try {
+        writeSseEvent(client.res, "config", configEventForAuth(event, client.auth));
+      } catch {
+        closeLiveStreamClient(client, "write-failed");
+      }
+    }
+    for (const client of Array.from(wsControlState.clients)) {
+      if (client.closed || !client.channels.includes("config")) continue;
+      wsSendJson(client, { type: "config", ...configEventForAuth(event, client.auth) });
+    }
+  })();
+  configSyncState.pending = work;
+  try {
+    await work;
+  } finally {
+    configSyncState.pending = null;
+  }
+  if (configSyncState.revision !== configRevision) scheduleConfigBroadcast();
+}
+
+// Minimal RFC 6455 framing (text frames only) so the control channel and the OBS client need no extra dependency.
+// Frames sent by a client (the OBS connection) must be masked.
+function wsEncodeFrame(opcode, payload = Buffer.alloc(0), masked = false) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.alloc(2);
+    header[1] = len;
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  header[0] = 0x80 | opcode;
+  if (!masked) return Buffer.concat([header, payload]);
+  header[1] |= 0x80;
+  const mask = crypto.randomBytes(4);
+  const body = Buffer.from(payload);
+  for (let i = 0; i < body.length; i += 1) body[i] ^= mask[i % 4];
+  return Buffer.concat([header, mask, body]);
+}
 
+function wsSendJson(client, data) {
+  if (!client || client.closed) return;
   try {
-    const b64 = await runPowerShell(script, [], 5000);
-    if (!b64) return "";
-    const data = `data:image/png;base64,${b64}`;
-    iconCache.set(key, data);
-    return data;
+    client.socket.write(wsEncodeFrame(0x1, Buffer.from(JSON.stringify(data), "utf8")));
   } catch {
-    return "";
+    closeWsClient(client, 1011, "write-failed");
   }
 }
 
-function tileIsVisible(tile, wowRunning) {
-  if (!tile.showIf) return true;
-  if (tile.showIf === "wowRunning") return wowRunning === true;
-  if (tile.showIf === "wowNotRunning") return wowRunning === false;
-  return true;
+function closeWsClient(client, code = 1000, reason = "closed") {
+  if (!client || client.closed) return;
+  client.closed = true;
+  if (client.timer) clearTimeout(client.timer);
+  if (client.heartbeatTimer) clearInterval(client.heartbeatTimer);
+  wsControlState.clients.delete(client);
+  try {
+    const body = Buffer.alloc(2);
+    body.writeUInt16BE(code, 0);
+    client.socket.end(wsEncodeFrame(0x8, Buffer.concat([body, Buffer.from(safeTrim(reason, 100), "utf8")])));
+  } catch {
+    client.socket.destroy();
+  }
+  logger.info("ws client closed", { wsClient: client.id, code, reason });
+}
+
+function closeAllWsClients(reason = "shutdown") {
+  for (const client of Array.from(wsControlState.clients)) closeWsClient(client, 1001, reason);
+}
+
+// Returns complete frames from client.buffer; client frames must be masked, server frames must not.
+function wsReadFrames(client, expectMasked = true) {
+  const frames = [];
+  while (client.buffer.length >= 2) {
+    const b0 = client.buffer[0];
+    const b1 = client.buffer[1];
+    const masked = (b1 & 0x80) !== 0;
+    let len = b1 & 0x7f;
+    let offset = 2;
+    if (len === 126) {
+      if (client.buffer.length < 4) break;
+      len = client.buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (len === 127) {
+      if (client.buffer.length < 10) break;
+      const big = client.buffer.readBigUInt64BE(2);
+      if (big > BigInt(WS_MAX_MESSAGE_BYTES)) throw Object.assign(new Error("message too big"), { wsCode: 1009 });
+      len = Number(big);
+      offset = 10;
+    }
+    if (masked !== expectMasked) throw Object.assign(new Error(masked ? "masked server frame" : "unmasked client frame"), { wsCode: 1002 });
+    if (len > WS_MAX_MESSAGE_BYTES) throw Object.assign(new Error("message too big"), { wsCode: 1009 });
+    const maskBytes = masked ? 4 : 0;
+    if (client.buffer.length < offset + maskBytes + len) break;
+    const payload = Buffer.from(client.buffer.subarray(offset + maskBytes, offset + maskBytes + len));
+    if (masked) {
+      const mask = client.buffer.subarray(offset, offset + 4);
+      for (let i = 0; i < payload.length; i += 1) payload[i] ^= mask[i % 4];
+    }
+    client.buffer = client.buffer.subarray(offset + maskBytes + len);
+    frames.push({ fin: (b0 & 0x80) !== 0, opcode: b0 & 0x0f, payload });
+  }
+  return frames;
 }
 
-function defaultTileEmoji(type) {
-  const normalized = String(type || "").trim().toLowerCase();
-  if (normalized === "app") return "🖥️";
-  if (normalized === "folder") return "📁";
-  if (normalized === "url") return "🌐";
-  if (normalized === "protocol") return "🔗";
-  if (normalized === "action") return "⚡";
-  return "■";
+function handleWsFrame(client, frame) {
+  if (frame.opcode === 0x8) {
+    closeWsClient(client, 1000, "client-closed");
+    return;
+  }
+  if (frame.opcode === 0x9) {
+    client.socket.write(wsEncodeFrame(0xa, frame.payload));
+    return;
+  }
+  if (frame.opcode === 0xa) {
+    client.lastPongAt = Date.now();
+    return;
+  }
+  if (frame.opcode === 0x2) {
+    closeWsClient(client, 1003, "binary frames not supported");
+    return;
+  }
+  if (frame.opcode === 0x1 || frame.opcode === 0x0) {
+    client.fragments.push(frame.payload);
+    const total = client.fragments.reduce((sum, x) => sum + x.length, 0);
+    if (total > WS_MAX_MESSAGE_BYTES) {
+      closeWsClient(client, 1009, "message too big");
+      return;
+    }
+    if (!frame.fin) return;
+    const text = Buffer.concat(client.fragments).toString("utf8");
+    client.fragments = [];
+    handleWsMessage(client, text);
+  }
 }
 
-async function buildClientTiles(options = {}) {
-  const useCache = options.useCache !== false;
-  const wowRunning = await isProcessRunning(config.wow.processName);
+function wsCommandAllowed(client) {
   const now = Date.now();
-  if (
-    useCache
-    && clientTilesCache.payload
-    && clientTilesCache.revision === configRevision
-    && clientTilesCache.wowRunning === wowRunning
-    && (now - clientTilesCache.ts) < CLIENT_TILES_CACHE_MS
-  ) {
-    return clientTilesCache.payload;
+  if (now - client.rate.windowStart >= 1000) {
+    client.rate.windowStart = now;
+    client.rate.count = 0;
   }
+  client.rate.count += 1;
+  return client.rate.count <= WS_COMMANDS_PER_SEC;
+}
 
-  const list = [];
+function scheduleWsSnapshots(client) {
+  if (client.timer) clearTimeout(client.timer);
+  client.timer = null;
+  const liveChannels = client.channels.filter((x) => x !== "config");
+  if (client.closed || !liveChannels.length) return;
+  client.timer = setTimeout(async () => {
+    if (client.closed) return;
+    try {
+      const snapshot = await buildLiveSnapshot(client.channels, client.auth);
+      wsSendJson(client, { type: "snapshot", ...snapshot });
+    } catch (error) {
+      wsSendJson(client, { type: "error", error: safeTrim(error?.message || String(error), 220), ts: Date.now() });
+    } finally {
+      scheduleWsSnapshots(client);
+    }
+  }, client.intervalMs);
+  if (typeof client.timer?.unref === "function") client.timer.unref();
+}
 
-  for (const tile of config.tiles) {
-    if (!tileIsVisible(tile, wowRunning)) continue;
+// Slider drags send many volume commands; only the newest value per session is applied.
+function runCoalescedVolume(client, params) {
+  const target = sanitizeAudioSessionTarget(params || {});
+  const volumePercent = sanitizeVolumePercent(params?.volumePercent);
+  const key = target.sessionKey ? `key:${target.sessionKey}` : `pid:${target.pid}`;
+  const slot = client.volumeSlots.get(key) || { running: false, next: null };
+  client.volumeSlots.set(key, slot);
 
-    const out = {
-      id: tile.id,
-      profile: tile.profile,
-      page: tile.page || "main",
-      label: tile.label,
-      subtitle: tile.subtitle || "",
-      type: tile.type,
-      builtin: Boolean(tile.builtin),
-      iconMode: tile.iconMode || "emoji",
-      icon: tile.icon || defaultTileEmoji(tile.type),
-      iconData: "",
-      action: tile.type === "action" ? (tile.action || "") : ""
+  return new Promise((resolve, reject) => {
+    if (slot.next) slot.next.resolve({ coalesced: true, volumePercent: slot.next.volumePercent });
+    slot.next = { volumePercent, resolve, reject };
+    if (slot.running) return;
+
+    const drain = async () => {
+      slot.running = true;
+      while (slot.next) {
+        const job = slot.next;
+        slot.next = null;
+        try {
+          const result = await setAudioSessionVolume(target.pid, job.volumePercent, target.sessionKey);
+          job.resolve({ ...target, volumePercent: job.volumePercent, result });
+        } catch (error) {
+          job.reject(error);
+        }
+      }
+      slot.running = false;
+      client.volumeSlots.delete(key);
     };
+    drain();
+  });
+}
 
-    if (tile.iconMode === "image" && tile.iconData) {
-      out.iconData = tile.iconData;
-    } else if (tile.iconMode === "auto" || (!tile.icon && tile.type === "app")) {
-      out.iconData = await extractIconDataUrl(resolveTileTarget(tile));
+async function executeWsCommand(client, cmd, params, requestId) {
+  const scope = WS_COMMAND_SCOPES[cmd] || "";
+  if (!authHasScope(client.auth, scope)) {
+    throw Object.assign(new Error(`forbidden: scope ${scope} fehlt`), { status: 403 });
+  }
+  switch (cmd) {
+    case "ping":
+      return { pong: true };
+    case "subscribe": {
+      client.channels = parseLiveStreamChannels(Array.isArray(params.channels) ? params.channels.join(",") : params.channels);
+      client.intervalMs = parseLiveStreamIntervalMs(params.intervalMs);
+      if (client.channels.includes("config")) await ensureConfigSyncBaseline();
+      if (client.channels.includes("tiles")) scheduleTileStatePoll();
+      scheduleWsSnapshots(client);
+      const snapshot = await buildLiveSnapshot(client.channels, client.auth);
+      return { channels: client.channels, intervalMs: client.intervalMs, snapshot };
     }
-
-    list.push(out);
+    case "unsubscribe":
+      client.channels = [];
+      scheduleWsSnapshots(client);
+      return { channels: [] };
+    case "run": {
+      const result = await executeRunRequest(params, { requestId, auth: client.auth });
+      if (!result.body.ok) throw Object.assign(new Error(result.body.error), { status: result.status });
+      const tileResult = tileRunResult(result.body);
+      if (tileResult) return tileResult;
+      return result.body.macroRun ? { macroRun: result.body.macroRun } : {};
+    }
+    case "audio.volume":
+      return runCoalescedVolume(client, params);
+    case "audio.mute": {
+      const { pid, sessionKey } = sanitizeAudioSessionTarget(params);
+      const muted = params.muted === true || String(params.muted || "").toLowerCase() === "true";
+      return { pid, sessionKey, muted, result: await setAudioSessionMute(pid, muted, sessionKey) };
+    }
+    case "audio.playpause": {
+      const rawPid = Number(params.pid || 0);
+      const pid = Number.isFinite(rawPid) && rawPid > 0 ? Math.trunc(rawPid) : 0;
+      return { pid, result: await sendAudioSessionPlayPause(pid) };
+    }
+    case "audio.mixer":
+      return readAudioMixerSnapshot({ useCache: params.useCache !== false });
+    case "wow.addon.toggle": {
+      const result = toggleWowAddonState(safeAddonFolderKey(params.key), params.enabled !== false);
+      return { changed: result.changed, fromKey: result.fromKey, toKey: result.toKey };
+    }
+    default:
+      throw Object.assign(new Error(`unbekannter Befehl: ${cmd || "-"}`), { status: 400 });
   }
-
-  const payload = { wowRunning, tiles: list };
-  clientTilesCache.ts = now;
-  clientTilesCache.revision = configRevision;
-  clientTilesCache.wowRunning = wowRunning;
-  clientTilesCache.payload = payload;
-  return payload;
 }
 
-function sanitizeCustomTile(input, existing) {
-  const raw = input && typeof input === "object" ? input : {};
-  const id = existing
-    ? existing.id
-    : safeTrim(raw.id || `c_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`, 96);
-  const profile = safeTrim(raw.profile || existing?.profile || "", 64);
-  const page = safeTrim(raw.page || existing?.page || "main", 64);
-  const label = safeTrim(raw.label || existing?.label || "", 80);
-  const type = safeTrim(raw.type || existing?.type || "", 32);
-  if (!id || !profile || !page || !label || !type) throw new Error("Tile Daten unvollstaendig");
-  if (!TILE_TYPES.has(type)) throw new Error("Tile Typ nicht erlaubt");
+async function handleWsMessage(client, text) {
+  let msg = null;
+  try {
+    msg = JSON.parse(text);
+  } catch {
+    wsSendJson(client, { type: "result", id: null, ok: false, status: 400, error: "ungueltiges JSON" });
+    return;
+  }
+  const id = typeof msg?.id === "string" || Number.isFinite(msg?.id) ? msg.id : null;
+  const cmd = safeTrim(msg?.cmd, 40);
+  const params = msg?.params && typeof msg.params === "object" ? msg.params : {};
+  const requestId = `ws${client.id}-${makeRequestId()}`;
 
-  const tile = {
-    id,
-    profile,
-    page,
-    label,
-    subtitle: safeTrim(raw.subtitle, 140),
-    type,
-    builtin: false,
-    iconMode: ICON_MODES.has(raw.iconMode) ? raw.iconMode : "emoji",
-    icon: safeTrim(raw.icon, 12),
-    iconData: typeof raw.iconData === "string" ? raw.iconData : ""
-  };
+  if (!wsCommandAllowed(client)) {
+    apiMetricsState.rateLimited += 1;
+    wsSendJson(client, { type: "result", id, ok: false, status: 429, error: "rate limit exceeded" });
+    return;
+  }
 
-  if (tile.iconData.length > MAX_ICON_DATA_URL_LEN) throw new Error("Icon zu gross");
-  if (typeof raw.target === "string" && raw.target.trim()) tile.target = assertSafeInput(raw.target, "target");
-  if (typeof raw.launcherKey === "string" && raw.launcherKey.trim()) tile.launcherKey = safeTrim(raw.launcherKey, 64);
-  if (typeof raw.action === "string" && raw.action.trim()) tile.action = safeTrim(raw.action, 64);
-  if (Array.isArray(raw.args)) tile.args = safeArray(raw.args, 512, 16);
-  if (typeof raw.startIn === "string" && raw.startIn.trim()) tile.startIn = assertSafeInput(raw.startIn, "startIn");
+  try {
+    const data = await executeWsCommand(client, cmd, params, requestId);
+    wsSendJson(client, { type: "result", id, ok: true, data });
+  } catch (error) {
+    const status = Number(error?.status) || 400;
+    wsSendJson(client, { type: "result", id, ok: false, status, error: String(error?.message || error) });
+  }
+}
 
-  const normalized = normalizeTile(tile);
-  if (!normalized || normalized.builtin) throw new Error("ungueltige Tile Daten");
-  const profileDef = config.profiles.find((p) => p.id === normalized.profile);
-  if (!profileDef) throw new Error("Profil nicht gefunden");
-  if (!Array.isArray(profileDef.pages) || !profileDef.pages.some((p) => p.id === normalized.page)) {
-    throw new Error("Seite nicht gefunden");
+function rejectWsUpgrade(socket, status, text) {
+  try {
+    socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  } catch {
+    socket.destroy();
   }
-  if (normalized.launcherKey && !config.launchers?.[normalized.launcherKey]) {
-    throw new Error("Launcher nicht gefunden");
+}
+
+function handleWsUpgrade(req, socket, head) {
+  let url = null;
+  try {
+    url = new URL(req.url || "/", "http://localhost");
+  } catch {
+    url = null;
+  }
+  if (!url || url.pathname !== WS_PATH) {
+    rejectWsUpgrade(socket, 404, "Not Found");
+    return;
+  }
+  const token = safeTrim(req.headers["x-token"], 512) || safeTrim(url.searchParams.get("token"), 512);
+  const auth = resolveAuthToken(token);
+  if (!auth) {
+    rejectWsUpgrade(socket, 401, "Unauthorized");
+    return;
+  }
+  const key = safeTrim(req.headers["sec-websocket-key"], 64);
+  if (String(req.headers.upgrade || "").toLowerCase() !== "websocket" || !key || req.headers["sec-websocket-version"] !== "13") {
+    rejectWsUpgrade(socket, 400, "Bad Request");
+    return;
+  }
+  if (wsControlState.clients.size >= WS_MAX_CLIENTS) {
+    rejectWsUpgrade(socket, 503, "Service Unavailable");
+    return;
   }
 
-  if (normalized.type === "app" && !normalized.launcherKey) {
-    const split = splitLaunchTargetInput(String(normalized.target || "").trim());
-    const requested = split.command || unquoteWrapped(String(normalized.target || "").trim());
-    if (!requested) throw new Error("Programmziel fehlt");
-    if (hasTemplateSyntax(requested)) throw new Error("Template-Pfade sind fuer App-Tiles nicht erlaubt");
-    if (split.args.length) {
-      normalized.args = safeArray([...(normalized.args || []), ...split.args], 512, 16);
-    }
-    const expanded = expandEnv(requested);
-    if (looksLikePath(expanded)) {
-      if (fileExists(expanded) && isAppLaunchFilePath(expanded)) {
-        normalized.target = expanded;
-      } else {
-        // Keep unresolved path-like targets so users can save portable/custom app paths.
-        normalized.target = expanded;
-      }
-    } else {
-      const resolved = resolveProgramPath(expanded);
-      if (!resolved) {
-        throw new Error("Programmname nicht eindeutig. Nutze einen exakten Pfad oder waehle einen Treffer aus der Programmsuche.");
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "",
+    ""
+  ].join("\r\n"));
+  socket.setNoDelay(true);
+
+  const client = {
+    id: wsControlState.nextId++,
+    socket,
+    auth,
+    buffer: head && head.length ? Buffer.from(head) : Buffer.alloc(0),
+    fragments: [],
+    channels: [],
+    intervalMs: 1500,
+    timer: null,
+    heartbeatTimer: null,
+    lastPongAt: Date.now(),
+    rate: { windowStart: Date.now(), count: 0 },
+    volumeSlots: new Map(),
+    closed: false
+  };
+  wsControlState.clients.add(client);
+  logger.info("ws client connected", { wsClient: client.id, ip: req.socket?.remoteAddress || "", tokenName: auth.name });
+
+  const onData = (chunk) => {
+    if (client.closed) return;
+    client.buffer = client.buffer.length ? Buffer.concat([client.buffer, chunk]) : chunk;
+    try {
+      for (const frame of wsReadFrames(client)) {
+        handleWsFrame(client, frame);
+        if (client.closed) break;
       }
-      normalized.target = resolved;
+    } catch (error) {
+      closeWsClient(client, error?.wsCode || 1002, String(error?.message || error));
     }
-  }
+  };
+  socket.on("data", onData);
+  socket.on("close", () => closeWsClient(client, 1006, "socket-closed"));
+  socket.on("error", () => closeWsClient(client, 1006, "socket-error"));
 
-  if (normalized.type === "folder") {
-    const requested = String(normalized.target || "").trim();
-    if (!requested) throw new Error("Ordnerziel fehlt");
-    if (!hasTemplateSyntax(requested)) {
-      const expanded = expandEnv(requested);
-      if (!dirExists(expanded)) throw new Error(`Ordner nicht gefunden: ${expanded}`);
-      normalized.target = expanded;
+  client.heartbeatTimer = setInterval(() => {
+    if (Date.now() - client.lastPongAt > WS_HEARTBEAT_MS * 2) {
+      closeWsClient(client, 1001, "heartbeat-timeout");
+      return;
     }
-  }
+    try {
+      socket.write(wsEncodeFrame(0x9));
+    } catch {
+      closeWsClient(client, 1011, "write-failed");
+    }
+  }, WS_HEARTBEAT_MS);
+  if (typeof client.heartbeatTimer?.unref === "function") client.heartbeatTimer.unref();
 
-  if (normalized.type === "app" && normalized.startIn) {
-    if (hasTemplateSyntax(normalized.startIn)) throw new Error("Template-Startordner sind nicht erlaubt");
-    const expanded = expandEnv(normalized.startIn);
-    if (!dirExists(expanded)) throw new Error(`Startordner nicht gefunden: ${expanded}`);
-    normalized.startIn = expanded;
-  }
+  wsSendJson(client, {
+    type: "hello",
+    clientId: client.id,
+    serverVersion: APP_VERSION,
+    configRevision,
+    commands: ["ping", "subscribe", "unsubscribe", "run", "audio.volume", "audio.mute", "audio.playpause", "audio.mixer", "wow.addon.toggle"],
+    ts: Date.now()
+  });
+  if (client.buffer.length) onData(Buffer.alloc(0));
+}
 
-  return normalized;
+function normalizeObsSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const host = safeTrim(src.host, 253);
+  const port = Number(src.port);
+  return {
+    host: OBS_HOST_RE.test(host) ? host : "127.0.0.1",
+    port: Number.isInteger(port) && port > 0 && port < 65536 ? port : OBS_DEFAULT_PORT,
+    password: typeof src.password === "string" ? safeTrim(src.password, 256) : ""
+  };
 }
 
-async function browsePath(kind, title) {
-  const useKind = kind === "folder" ? "folder" : "file";
-  const prompt = String(title || (useKind === "folder" ? "Ordner waehlen" : "Datei waehlen"));
-  const promptLit = toPowerShellSingleQuoted(prompt);
+function obsActionHasTarget(action) {
+  return action === "obsScene" || action === "obsInputMute" || action === "obsSourceVisibility";
+}
+
+// OBS actions name their scene, input or source; `state` on|off|toggle means muted/visible for on.
+function normalizeObsTarget(raw, action) {
+  if (!OBS_ACTION_REQUESTS[action]) return null;
+  const src = raw && typeof raw === "object" ? raw : {};
+  const scene = safeTrim(src.scene, OBS_NAME_MAX_CHARS);
+  const state = safeTrim(src.state, 8) || "toggle";
+  if (action === "obsScene") return scene ? { scene } : null;
+  if (action === "obsInputMute") {
+    const input = safeTrim(src.input, OBS_NAME_MAX_CHARS);
+    return input && OBS_SWITCH_STATES.has(state) ? { input, state } : null;
+  }
+  if (action === "obsSourceVisibility") {
+    const source = safeTrim(src.source, OBS_NAME_MAX_CHARS);
+    return scene && source && OBS_SWITCH_STATES.has(state) ? { scene, source, state } : null;
+  }
+  return {};
+}
+
+function describeObsResult(view) {
+  if (view.dryRun) return "dry-run";
+  if (view.action === "obsScene") return `Szene ${view.scene}`;
+  if (view.action === "obsInputMute") return `${view.input} ${view.muted ? "stumm" : "hoerbar"}`;
+  if (view.action === "obsSourceVisibility") return `${view.source} ${view.visible ? "sichtbar" : "ausgeblendet"}`;
+  const what = view.action.startsWith("obsStream") ? "Stream" : "Aufnahme";
+  return `${what} ${view.active ? "laeuft" : "gestoppt"}`;
+}
+
+// obs-websocket v5 client: connects lazily on the first status read or action and waits OBS_RETRY_MS after a failure.
+const obsState = {
+  socket: null,
+  connecting: null,
+  identified: false,
+  buffer: Buffer.alloc(0),
+  fragments: [],
+  pending: new Map(),
+  nextRequestId: 1,
+  version: "",
+  lastError: "",
+  retryAt: 0,
+  streamSample: null
+};
 
-  if (useKind === "folder") {
-    const script = [
-      "$ErrorActionPreference = 'Stop'",
-      "if (-not [Environment]::UserInteractive) { throw 'not interactive desktop' }",
-      "Add-Type -AssemblyName System.Windows.Forms",
-      "$d = New-Object System.Windows.Forms.FolderBrowserDialog",
-      `$d.Description = ${promptLit}`,
-      "if ($d.ShowDialog() -eq [System.Windows.Forms.DialogResult]::OK) { $d.SelectedPath }"
-    ].join("; ");
-    return runPowerShell(script, [], 15000, { sta: true });
-  }
+function obsError(message) {
+  return Object.assign(new Error(message), { status: 502 });
+}
 
-  const script = [
-    "$ErrorActionPreference = 'Stop'",
-    "if (-not [Environment]::UserInteractive) { throw 'not interactive desktop' }",
-    "Add-Type -AssemblyName System.Windows.Forms",
-    "$d = New-Object System.Windows.Forms.OpenFileDialog",
-    `$d.Title = ${promptLit}`,
-    "$d.Filter = 'Programme (*.exe;*.lnk)|*.exe;*.lnk|Alle Dateien (*.*)|*.*'",
-    "if ($d.ShowDialog() -eq [System.Windows.Forms.DialogResult]::OK) { $d.FileName }"
-  ].join("; ");
-  return runPowerShell(script, [], 15000, { sta: true });
+function obsAuthString(password, salt, challenge) {
+  const secret = crypto.createHash("sha256").update(password + salt).digest("base64");
+  return crypto.createHash("sha256").update(secret + challenge).digest("base64");
 }
 
-function normalizeBrowseFailure(error) {
-  const raw = [
-    error?.message ? String(error.message) : "",
-    error?.stderr ? String(error.stderr) : "",
-    error?.stdout ? String(error.stdout) : ""
-  ]
-    .filter(Boolean)
-    .join(" | ")
-    .replace(/\r?\n+/g, " ")
-    .trim();
+function obsSend(op, d) {
+  if (!obsState.socket) throw obsError("OBS nicht verbunden");
+  obsState.socket.write(wsEncodeFrame(0x1, Buffer.from(JSON.stringify({ op, d }), "utf8"), true));
+}
 
-  if (/timed out|timeout|etimedout/i.test(raw)) {
-    return "Datei-Dialog nicht verfuegbar oder wurde geschlossen. Pfad bitte manuell eintragen.";
+function disconnectObs(reason = "closed") {
+  const { socket, identified } = obsState;
+  obsState.socket = null;
+  obsState.identified = false;
+  obsState.buffer = Buffer.alloc(0);
+  obsState.fragments = [];
+  obsState.streamSample = null;
+  for (const entry of obsState.pending.values()) {
+    clearTimeout(entry.timer);
+    entry.reject(obsError(`OBS Verbindung getrennt (${reason})`));
   }
-  if (/access is denied|zugriff verweigert/i.test(raw)) {
-    return "Datei-Dialog blockiert (Zugriff verweigert). Pfad bitte manuell eintragen.";
+  obsState.pending.clear();
+  if (!socket) return;
+  try {
+    socket.end(wsEncodeFrame(0x8, Buffer.alloc(0), true));
+  } catch {
+    socket.destroy();
   }
-  if (/not interactive desktop|single thread apartment|apartmentstate/i.test(raw)) {
-    return "Datei-Dialog nicht verfuegbar (kein interaktiver Desktop/STA). Pfad bitte manuell eintragen.";
+  if (identified) {
+    logger.info("obs disconnected", { reason });
+    broadcastLiveEvent("obs", "obs", { event: "ConnectionClosed", data: { reason }, ts: Date.now() });
   }
-  if (!raw) return "Datei-Dialog nicht verfuegbar. Pfad bitte manuell eintragen.";
-  return `Datei-Dialog fehlgeschlagen. Pfad bitte manuell eintragen. (${safeTrim(raw, 220)})`;
 }
 
-function toPowerShellSingleQuoted(value) {
-  return `'${String(value || "").replace(/'/g, "''")}'`;
+function handleObsMessage(message) {
+  const d = message?.d && typeof message.d === "object" ? message.d : {};
+  if (message?.op === 5) {
+    if (OBS_LIVE_EVENTS.has(d.eventType)) broadcastLiveEvent("obs", "obs", { event: d.eventType, data: d.eventData || {}, ts: Date.now() });
+    return;
+  }
+  if (message?.op === 7) {
+    const entry = obsState.pending.get(String(d.requestId));
+    if (!entry) return;
+    obsState.pending.delete(String(d.requestId));
+    clearTimeout(entry.timer);
+    const status = d.requestStatus || {};
+    if (status.result === true) entry.resolve(d.responseData || {});
+    else entry.reject(obsError(`OBS ${entry.requestType}: ${safeTrim(status.comment, 200) || `Fehlercode ${status.code}`}`));
+  }
 }
 
-const app = express();
-app.disable("x-powered-by");
-app.use(setSecurityHeaders);
-app.use(express.json({ limit: "6mb" }));
-app.use(express.static(PUBLIC_DIR, {
-  etag: true,
-  maxAge: "1h",
-  setHeaders: (res, filePath) => {
-    if (String(filePath || "").toLowerCase().endsWith(".html")) {
-      res.setHeader("Cache-Control", "no-store");
-    }
-  }
-}));
-app.use((req, res, next) => {
-  const requestId = makeRequestId();
-  req.requestId = requestId;
-  res.setHeader("X-Request-Id", requestId);
-  next();
-});
-app.use("/api", (req, res, next) => {
-  res.setHeader("Cache-Control", "no-store");
-  next();
-});
-app.use("/api", (req, res, next) => {
-  const startedAtNs = process.hrtime.bigint();
-  apiMetricsState.active += 1;
-  let settled = false;
-  const finalize = () => {
-    if (settled) return;
-    settled = true;
-    apiMetricsState.active = Math.max(0, apiMetricsState.active - 1);
-    const durationMs = Number(process.hrtime.bigint() - startedAtNs) / 1_000_000;
-    recordApiRequestMetrics(req, res.statusCode, durationMs);
+function connectObs() {
+  const { host, port, password } = config.obs;
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let socket = null;
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (!error) {
+        resolve();
+        return;
+      }
+      if (socket && obsState.socket === socket) disconnectObs("connect-failed");
+      else if (socket) socket.destroy();
+      reject(error);
+    };
+    const req = http.request({
+      host,
+      port,
+      path: "/",
+      headers: {
+        Connection: "Upgrade",
+        Upgrade: "websocket",
+        "Sec-WebSocket-Version": "13",
+        "Sec-WebSocket-Key": crypto.randomBytes(16).toString("base64"),
+        "Sec-WebSocket-Protocol": "obswebsocket.json"
+      }
+    });
+    const timer = setTimeout(() => {
+      req.destroy();
+      finish(obsError(`OBS antwortet nicht (${host}:${port})`));
+    }, OBS_CONNECT_TIMEOUT_MS);
+
+    const onFrame = (frame) => {
+      if (frame.opcode === 0x8) {
+        const code = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1005;
+        finish(obsError(code === 4009 ? "OBS Passwort falsch" : `OBS hat die Verbindung beendet (Code ${code})`));
+        if (obsState.socket === socket) disconnectObs(`close ${code}`);
+        return;
+      }
+      if (frame.opcode === 0x9) {
+        socket.write(wsEncodeFrame(0xa, frame.payload, true));
+        return;
+      }
+      if (frame.opcode !== 0x1 && frame.opcode !== 0x0) return;
+      obsState.fragments.push(frame.payload);
+      if (!frame.fin) return;
+      let message = null;
+      try {
+        message = JSON.parse(Buffer.concat(obsState.fragments).toString("utf8"));
+      } catch {
+        message = null;
+      }
+      obsState.fragments = [];
+      if (message?.op === 0) {
+        const hello = message.d || {};
+        obsState.version = safeTrim(hello.obsWebSocketVersion, 32);
+        const identify = { rpcVersion: OBS_RPC_VERSION, eventSubscriptions: OBS_EVENT_SUBSCRIPTIONS };
+        if (hello.authentication) {
+          if (!password) {
+            finish(obsError("OBS verlangt ein Passwort (Einstellungen -> OBS)"));
+            return;
+          }
+          identify.authentication = obsAuthString(password, String(hello.authentication.salt || ""), String(hello.authentication.challenge || ""));
+        }
+        obsSend(1, identify);
+        return;
+      }
+      if (message?.op === 2) {
+        obsState.identified = true;
+        finish();
+        return;
+      }
+      handleObsMessage(message);
+    };
 
-    const p = sanitizeUrlForLog(req.originalUrl || req.url || "");
-    if (
-      p.startsWith("/api/health")
-      || p.startsWith("/api/status")
-      || p.startsWith("/api/system/metrics")
-      || p.startsWith("/api/curseforge/status")
-      || p.startsWith("/api/audio/mixer")
-      || p.startsWith("/api/wow/navigator/status")
-    ) return;
-    logger.info("api request", {
-      requestId: req.requestId,
-      method: req.method,
-      path: p,
-      status: res.statusCode,
-      durationMs: Math.round(durationMs * 10) / 10,
-      ip: req.ip || req.socket?.remoteAddress || ""
+    req.on("error", (error) => finish(obsError(`OBS nicht erreichbar (${host}:${port}): ${error?.code || error?.message || error}`)));
+    req.on("response", (res) => {
+      res.resume();
+      finish(obsError(`OBS WebSocket Handshake fehlgeschlagen (HTTP ${res.statusCode})`));
     });
-  };
-  res.on("finish", finalize);
-  res.on("close", finalize);
-  next();
-});
+    req.on("upgrade", (res, upgraded, head) => {
+      socket = upgraded;
+      if (settled) {
+        socket.destroy();
+        return;
+      }
+      obsState.socket = socket;
+      obsState.buffer = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+      obsState.fragments = [];
+      socket.setNoDelay(true);
+      const drain = () => {
+        try {
+          for (const frame of wsReadFrames(obsState, false)) {
+            onFrame(frame);
+            if (obsState.socket !== socket) break;
+          }
+        } catch (error) {
+          finish(obsError(`OBS Protokollfehler: ${error?.message || error}`));
+          if (obsState.socket === socket) disconnectObs("protocol-error");
+        }
+      };
+      socket.on("data", (chunk) => {
+        if (obsState.socket !== socket) return;
+        obsState.buffer = obsState.buffer.length ? Buffer.concat([obsState.buffer, chunk]) : chunk;
+        drain();
+      });
+      socket.on("close", () => {
+        finish(obsError("OBS hat die Verbindung geschlossen"));
+        if (obsState.socket === socket) disconnectObs("socket-closed");
+      });
+      socket.on("error", () => {
+        if (obsState.socket === socket) disconnectObs("socket-error");
+      });
+      // The Hello message may already arrive together with the 101 response.
+      if (obsState.buffer.length) drain();
+    });
+    req.end();
+  });
+}
 
-function readTokenFromRequest(req) {
-  const header = safeTrim(req.header("x-token"), 512);
-  const query = typeof req.query?.token === "string" ? safeTrim(req.query.token, 512) : "";
-  return header || query;
+// `force` skips the retry pause, e.g. for a tapped tile; status polling respects it.
+async function ensureObsConnected(force = false) {
+  if (obsState.identified) return;
+  if (!obsState.connecting) {
+    if (!force && Date.now() < obsState.retryAt) throw obsError(obsState.lastError || "OBS nicht verbunden");
+    const { host, port } = config.obs;
+    obsState.connecting = connectObs()
+      .then(() => {
+        obsState.lastError = "";
+        obsState.retryAt = 0;
+        logger.info("obs connected", { host, port, version: obsState.version });
+      })
+      .catch((error) => {
+        const message = String(error?.message || error);
+        if (message !== obsState.lastError) logger.warn("obs connect failed", { host, port, error: message });
+        obsState.lastError = message;
+        obsState.retryAt = Date.now() + OBS_RETRY_MS;
+        throw error;
+      })
+      .finally(() => {
+        obsState.connecting = null;
+      });
+  }
+  return obsState.connecting;
 }
 
-function requireToken(req, res, next) {
-  const token = readTokenFromRequest(req);
-  if (!token) return res.status(401).json({ ok: false, error: "unauthorized: missing token" });
-  if (!secureEqualText(token, config.token)) return res.status(401).json({ ok: false, error: "unauthorized: token mismatch" });
-  next();
+async function obsRequest(requestType, requestData = null) {
+  await ensureObsConnected(true);
+  const requestId = String(obsState.nextRequestId++);
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      obsState.pending.delete(requestId);
+      reject(obsError(`OBS ${requestType}: keine Antwort`));
+    }, OBS_REQUEST_TIMEOUT_MS);
+    obsState.pending.set(requestId, { requestType, resolve, reject, timer });
+    try {
+      obsSend(6, { requestType, requestId, ...(requestData ? { requestData } : {}) });
+    } catch (error) {
+      clearTimeout(timer);
+      obsState.pending.delete(requestId);
+      reject(error);
+    }
+  });
 }
 
-const rateState = new Map();
-const rateMetrics = { allowed: 0, blocked: 0, sweeps: 0 };
-let rateSweepCounter = 0;
-function rateLimitCostForPath(rawPath) {
-  const p = String(rawPath || "").toLowerCase();
-  if (p.startsWith("/api/wow/assistant")) return 4;
-  if (p.startsWith("/api/icon") || p.startsWith("/api/stream/live")) return 3;
-  if (
-    p.startsWith("/api/system/metrics")
-    || p.startsWith("/api/audio/mixer")
-    || p.startsWith("/api/bootstrap")
-  ) return 2;
-  return 1;
+function obsSettingsView() {
+  return {
+    host: config.obs.host,
+    port: config.obs.port,
+    hasPassword: Boolean(config.obs.password),
+    connected: obsState.identified,
+    version: obsState.version,
+    lastError: obsState.lastError
+  };
 }
 
-function rateClientKey(req) {
-  const ip = req.ip || req.socket?.remoteAddress || "unknown";
-  const token = readTokenFromRequest(req);
-  if (!token) return ip;
-  const tokenHash = crypto.createHash("sha1").update(token).digest("hex").slice(0, 12);
-  return `${ip}|${tokenHash}`;
+// Bitrate comes from the outputBytes delta between two status reads while streaming.
+async function getObsStatus() {
+  const view = { host: config.obs.host, port: config.obs.port, connected: false };
+  try {
+    await ensureObsConnected();
+    const [scene, stream, record] = await Promise.all([
+      obsRequest("GetCurrentProgramScene"),
+      obsRequest("GetStreamStatus"),
+      obsRequest("GetRecordStatus")
+    ]);
+    const now = Date.now();
+    const bytes = Number(stream.outputBytes) || 0;
+    const previous = obsState.streamSample;
+    const kbps = stream.outputActive && previous && now > previous.ts && bytes >= previous.bytes
+      ? Math.round(((bytes - previous.bytes) * 8) / (now - previous.ts))
+      : 0;
+    obsState.streamSample = stream.outputActive ? { ts: now, bytes } : null;
+    return {
+      ...view,
+      connected: true,
+      version: obsState.version,
+      currentScene: safeTrim(scene.currentProgramSceneName || scene.sceneName, OBS_NAME_MAX_CHARS),
+      streaming: {
+        active: stream.outputActive === true,
+        reconnecting: stream.outputReconnecting === true,
+        timecode: safeTrim(stream.outputTimecode, 32),
+        durationMs: Number(stream.outputDuration) || 0,
+        bytes,
+        kbps,
+        skippedFrames: Number(stream.outputSkippedFrames) || 0,
+        totalFrames: Number(stream.outputTotalFrames) || 0
+      },
+      recording: {
+        active: record.outputActive === true,
+        paused: record.outputPaused === true,
+        timecode: safeTrim(record.outputTimecode, 32),
+        durationMs: Number(record.outputDuration) || 0,
+        bytes: Number(record.outputBytes) || 0
+      }
+    };
+  } catch (error) {
+    return { ...view, error: String(error?.message || error) };
+  }
 }
 
-function rateLimit(req, res, next) {
-  const windowMs = Math.max(250, Number(config.rateLimit?.windowMs || 3000));
-  const max = Math.max(3, Number(config.rateLimit?.max || 20));
-  const now = Date.now();
-  const key = rateClientKey(req);
-  const cost = rateLimitCostForPath(req.path || req.url || "");
-  const state = rateState.get(key) || { t0: now, n: 0, hits: 0, blocked: 0 };
-  if (now - state.t0 > windowMs) {
-    state.t0 = now;
-    state.n = 0;
+// OBS lists scenes bottom-up; reversed they match the order in the OBS scene dock.
+async function listObsScenes(sceneName = "") {
+  const data = await obsRequest("GetSceneList");
+  const scenes = (Array.isArray(data.scenes) ? data.scenes : [])
+    .map((x) => safeTrim(x?.sceneName, OBS_NAME_MAX_CHARS))
+    .filter(Boolean)
+    .reverse();
+  const out = { currentScene: safeTrim(data.currentProgramSceneName, OBS_NAME_MAX_CHARS), scenes };
+  if (sceneName) {
+    const items = await obsRequest("GetSceneItemList", { sceneName });
+    out.sources = (Array.isArray(items.sceneItems) ? items.sceneItems : []).map((x) => ({
+      id: Number(x?.sceneItemId) || 0,
+      name: safeTrim(x?.sourceName, OBS_NAME_MAX_CHARS),
+      visible: x?.sceneItemEnabled === true
+    })).reverse();
   }
-  state.n += cost;
-  state.hits += 1;
-  rateState.set(key, state);
-  rateSweepCounter += 1;
-  if (rateSweepCounter >= 200 || rateState.size > 5000) {
-    rateSweepCounter = 0;
-    const cutoff = now - (windowMs * 4);
-    for (const [entryKey, value] of rateState.entries()) {
-      if (!value || value.t0 < cutoff) rateState.delete(entryKey);
+  return out;
+}
+
+// Only inputs answering GetInputMute carry audio; video-only inputs reject it and are left out.
+async function listObsAudioInputs() {
+  const data = await obsRequest("GetInputList");
+  const inputs = Array.isArray(data.inputs) ? data.inputs : [];
+  const checked = await Promise.allSettled(inputs.map((x) => obsRequest("GetInputMute", { inputName: x.inputName })));
+  const out = [];
+  checked.forEach((result, idx) => {
+    if (result.status !== "fulfilled") return;
+    out.push({
+      name: safeTrim(inputs[idx].inputName, OBS_NAME_MAX_CHARS),
+      kind: safeTrim(inputs[idx].unversionedInputKind || inputs[idx].inputKind, 80),
+      muted: result.value.inputMuted === true
+    });
+  });
+  return out;
+}
+
+async function runObsAction(action, payload = {}) {
+  const requestType = OBS_ACTION_REQUESTS[action];
+  if (!requestType) throw new Error(`Unbekannte Action: ${action}`);
+  const target = normalizeObsTarget(payload, action);
+  if (!target) throw Object.assign(new Error("OBS-Ziel fehlt (Szene, Eingang oder Quelle)"), { status: 400 });
+  const view = { action, ...target };
+
+  if (DRY_RUN) {
+    logger.info("dry-run obs action skipped", view);
+    return { ...view, dryRun: true };
+  }
+
+  if (action === "obsScene") {
+    await obsRequest(requestType, { sceneName: target.scene });
+  } else if (action === "obsInputMute") {
+    if (target.state === "toggle") {
+      view.muted = (await obsRequest("ToggleInputMute", { inputName: target.input })).inputMuted === true;
+    } else {
+      view.muted = target.state === "on";
+      await obsRequest(requestType, { inputName: target.input, inputMuted: view.muted });
     }
-    rateMetrics.sweeps += 1;
+  } else if (action === "obsSourceVisibility") {
+    const { sceneItemId } = await obsRequest("GetSceneItemId", { sceneName: target.scene, sourceName: target.source });
+    view.visible = target.state === "on";
+    if (target.state === "toggle") {
+      view.visible = (await obsRequest("GetSceneItemEnabled", { sceneName: target.scene, sceneItemId })).sceneItemEnabled !== true;
+    }
+    await obsRequest(requestType, { sceneName: target.scene, sceneItemId, sceneItemEnabled: view.visible });
+  } else {
+    const data = await obsRequest(requestType);
+    view.active = typeof data.outputActive === "boolean" ? data.outputActive : requestType.startsWith("Start");
   }
+  logger.info("obs action done", view);
+  return view;
+}
+
+function soundboardClipExt(mime) {
+  return SOUNDBOARD_CLIP_TYPES[String(mime || "").toLowerCase()] || "";
+}
+
+// Non-destructive edit, applied at playback: endMs 0 plays to the end of the file, gainDb comes from the
+// editor's normalization (normalizeDb is the chosen target, kept so the editor can show it again).
+// MediaPlayer volume cannot exceed 1.0, so normalization only attenuates; boosts stored by older
+// versions (up to +24 dB) are clamped to 0 dB instead of dropping the whole edit.
+function normalizeSoundboardClipEdit(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const num = (value, min, max) => {
+    const n = value === undefined || value === null || value === "" ? 0 : Number(value);
+    return Number.isFinite(n) && n >= min && n <= max ? n : NaN;
+  };
+  const edit = {
+    startMs: Math.round(num(raw.startMs, 0, SOUNDBOARD_MAX_DURATION_MS)),
+    endMs: Math.round(num(raw.endMs, 0, SOUNDBOARD_MAX_DURATION_MS)),
+    fadeInMs: Math.round(num(raw.fadeInMs, 0, SOUNDBOARD_MAX_FADE_MS)),
+    fadeOutMs: Math.round(num(raw.fadeOutMs, 0, SOUNDBOARD_MAX_FADE_MS)),
+    normalizeDb: raw.normalizeDb === undefined || raw.normalizeDb === null ? null : Math.round(num(raw.normalizeDb, -40, 0) * 10) / 10,
+    gainDb: Math.min(SOUNDBOARD_MAX_GAIN_DB, Math.round(num(raw.gainDb, SOUNDBOARD_MIN_GAIN_DB, 24) * 10) / 10)
+  };
+  if (Object.values(edit).some((x) => Number.isNaN(x))) return null;
+  if (edit.endMs && edit.endMs <= edit.startMs) return null;
+  return edit;
+}
 
-  const resetMs = Math.max(0, (state.t0 + windowMs) - now);
-  const resetSec = Math.max(1, Math.ceil(resetMs / 1000));
-  const remaining = Math.max(0, Math.floor(max - state.n));
-  res.setHeader("X-RateLimit-Limit", String(max));
-  res.setHeader("X-RateLimit-Remaining", String(remaining));
-  res.setHeader("X-RateLimit-Reset", String(resetSec));
+function soundboardClipEditIsNeutral(edit) {
+  return !edit.startMs && !edit.endMs && !edit.fadeInMs && !edit.fadeOutMs && edit.normalizeDb === null && !edit.gainDb;
+}
 
-  req.rateLimitInfo = { max, remaining, resetSec, cost };
-  if (state.n > max) {
-    state.blocked += 1;
-    rateMetrics.blocked += 1;
-    res.setHeader("Retry-After", String(resetSec));
-    return res.status(429).json({ ok: false, error: "rate limited" });
+// The file name is derived from id + mime, so an imported config cannot point outside SOUNDBOARD_DIR.
+function normalizeSoundboardClip(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const id = safeTrim(raw.id, 40);
+  const mime = safeTrim(raw.mime, 40).toLowerCase();
+  if (!SOUNDBOARD_CLIP_ID_RE.test(id) || !soundboardClipExt(mime)) return null;
+  const size = Number(raw.size);
+  const durationMs = Number(raw.durationMs);
+  const createdAt = Number(raw.createdAt);
+  const clip = {
+    id,
+    name: safeTrim(raw.name, SOUNDBOARD_NAME_MAX_CHARS) || id,
+    mime,
+    size: Number.isFinite(size) && size > 0 ? Math.trunc(size) : 0,
+    durationMs: Number.isFinite(durationMs) && durationMs > 0 ? Math.min(SOUNDBOARD_MAX_DURATION_MS, Math.round(durationMs)) : 0,
+    createdAt: Number.isFinite(createdAt) && createdAt > 0 ? Math.trunc(createdAt) : 0
+  };
+  const edit = normalizeSoundboardClipEdit(raw.edit);
+  if (edit && !soundboardClipEditIsNeutral(edit)) clip.edit = edit;
+  return clip;
+}
+
+function defaultSoundboardPad(index) {
+  return { label: `Pad ${index + 1}`, clipId: "", volume: 100, loop: false, solo: true };
+}
+
+function defaultSoundboardBank() {
+  return {
+    id: "a",
+    label: "Bank A",
+    pads: Array.from({ length: SOUNDBOARD_PADS_PER_BANK }, (_, i) => defaultSoundboardPad(i))
+  };
+}
+
+// Pads pointing at a clip that is no longer in the library fall back to empty.
+function normalizeSoundboardPad(raw, index, clipIds) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const pad = defaultSoundboardPad(index);
+  const label = safeTrim(src.label, SOUNDBOARD_PAD_LABEL_MAX_CHARS);
+  if (label) pad.label = label;
+  const clipId = safeTrim(src.clipId, 40);
+  if (clipIds.has(clipId)) pad.clipId = clipId;
+  const volume = Number(src.volume);
+  if (src.volume !== undefined && Number.isFinite(volume) && volume >= 0 && volume <= 100) pad.volume = Math.round(volume);
+  pad.loop = src.loop === true;
+  pad.solo = src.solo !== false;
+  return pad;
+}
+
+function normalizeSoundboardBanks(raw, clipIds) {
+  const banks = [];
+  const seen = new Set();
+  for (const item of Array.isArray(raw) ? raw : []) {
+    if (!item || typeof item !== "object" || banks.length >= SOUNDBOARD_MAX_BANKS) continue;
+    const id = safeTrim(item.id, 16).toLowerCase();
+    if (!SOUNDBOARD_BANK_ID_RE.test(id) || seen.has(id)) continue;
+    seen.add(id);
+    const pads = Array.isArray(item.pads) ? item.pads : [];
+    banks.push({
+      id,
+      label: safeTrim(item.label, SOUNDBOARD_BANK_LABEL_MAX_CHARS) || `Bank ${id.toUpperCase()}`,
+      pads: Array.from({ length: SOUNDBOARD_PADS_PER_BANK }, (_, i) => normalizeSoundboardPad(pads[i], i, clipIds))
+    });
   }
-  rateMetrics.allowed += 1;
-  next();
+  return banks.length ? banks : [defaultSoundboardBank()];
+}
+
+function normalizeSoundboardSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const clips = [];
+  const seen = new Set();
+  for (const item of Array.isArray(src.clips) ? src.clips : []) {
+    const clip = normalizeSoundboardClip(item);
+    if (!clip || seen.has(clip.id) || clips.length >= SOUNDBOARD_MAX_CLIPS) continue;
+    seen.add(clip.id);
+    clips.push(clip);
+  }
+  return {
+    device: typeof src.device === "string" ? safeTrim(src.device, SOUNDBOARD_DEVICE_MAX_CHARS) : "",
+    clips,
+    banks: normalizeSoundboardBanks(src.banks, seen)
+  };
 }
 
-const LIVE_STREAM_CHANNELS = new Set(["status", "metrics", "audio", "wow", "curseforge", "runs"]);
+// Sound targets pick a clip of the server library; volume is 0..100 like the pad sliders.
+function normalizeSoundTarget(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const clipId = safeTrim(src.clipId, 40);
+  if (!SOUNDBOARD_CLIP_ID_RE.test(clipId)) return null;
+  const volume = src.volume === undefined || src.volume === null || src.volume === "" ? 100 : Number(src.volume);
+  if (!Number.isFinite(volume) || volume < 0 || volume > 100) return null;
+  const target = { clipId, volume: Math.round(volume) };
+  if (src.loop === true) target.loop = true;
+  if (src.solo === true) target.solo = true;
+  return target;
+}
 
-function parseLiveStreamChannels(rawValue) {
-  const raw = safeTrim(rawValue || "", 200).toLowerCase();
-  if (!raw || raw === "default") return ["status", "metrics"];
-  if (raw === "all") return Array.from(LIVE_STREAM_CHANNELS.values());
-  const picked = uniq(raw.split(",").map((x) => String(x || "").trim().toLowerCase()))
-    .filter((x) => LIVE_STREAM_CHANNELS.has(x));
-  return picked.length ? picked : ["status", "metrics"];
+function soundboardClipById(id) {
+  return config.soundboard.clips.find((x) => x.id === id) || null;
 }
 
-function parseLiveStreamIntervalMs(rawValue) {
-  const n = Number(rawValue);
-  if (!Number.isFinite(n)) return 1500;
-  return Math.max(500, Math.min(15000, Math.trunc(n)));
+function soundboardClipPath(clip) {
+  return path.join(SOUNDBOARD_DIR, `${clip.id}${soundboardClipExt(clip.mime)}`);
 }
 
-function writeSseEvent(res, eventName, data) {
-  res.write(`event: ${eventName}\n`);
-  res.write(`data: ${JSON.stringify(data)}\n\n`);
+function soundboardLibraryBytes(clips = config.soundboard.clips) {
+  return clips.reduce((sum, clip) => sum + (clip.size || 0), 0);
 }
 
-async function withLiveSnapshotField(payload, key, producer) {
+function removeSoundboardClipFile(clip) {
   try {
-    payload[key] = await producer();
-  } catch (error) {
-    payload[key] = { error: safeTrim(error?.message || String(error), 220) };
+    fs.unlinkSync(soundboardClipPath(clip));
+  } catch {
+    // best effort
   }
 }
 
-async function buildLiveSnapshot(channels = []) {
-  const picked = new Set(Array.isArray(channels) ? channels : []);
-  const payload = {
-    ts: Date.now(),
-    serverVersion: APP_VERSION
-  };
-  const tasks = [];
-  if (picked.has("status")) {
-    tasks.push(withLiveSnapshotField(payload, "status", async () => ({
-      wowRunning: await isProcessRunning(config.wow.processName),
-      processName: config.wow.processName
-    })));
+function tilesUsingSoundClip(id) {
+  const needle = `"clipId":"${id}"`;
+  return config.tiles.filter((tile) => JSON.stringify(tile).includes(needle)).map((tile) => tile.id);
+}
+
+// Exports carry each clip as a data URL so a config file moves the whole library between machines.
+function exportSoundboardClips(clips) {
+  return clips.map((clip) => {
+    try {
+      return { ...clip, data: `data:${clip.mime};base64,${fs.readFileSync(soundboardClipPath(clip)).toString("base64")}` };
+    } catch {
+      return { ...clip };
+    }
+  });
+}
+
+// Decodes and checks every imported clip before anything touches the disk. Clips with `data` bring their file
+// (size is taken from the decoded bytes), clips without keep an existing library file or are dropped.
+function prepareSoundboardClipImport(rawClips) {
+  const clips = [];
+  const files = [];
+  const seen = new Set();
+  for (const raw of Array.isArray(rawClips) ? rawClips : []) {
+    const clip = normalizeSoundboardClip(raw);
+    if (!clip || seen.has(clip.id)) continue;
+    if (typeof raw.data === "string" && raw.data) {
+      const upload = parseSoundboardUpload({ data: raw.data });
+      if (upload.mime !== clip.mime) throw Object.assign(new Error(`Clip ${clip.id}: mime passt nicht zu data`), { status: 400 });
+      clip.size = upload.buffer.length;
+      files.push({ clip, buffer: upload.buffer });
+    } else if (fileExists(soundboardClipPath(clip))) {
+      clip.size = fs.statSync(soundboardClipPath(clip)).size;
+    } else {
+      continue;
+    }
+    seen.add(clip.id);
+    clips.push(clip);
   }
-  if (picked.has("metrics")) {
-    tasks.push(withLiveSnapshotField(payload, "metrics", async () => collectSystemMetrics()));
+  if (clips.length > SOUNDBOARD_MAX_CLIPS) {
+    throw Object.assign(new Error(`Zu viele Clips (max ${SOUNDBOARD_MAX_CLIPS})`), { status: 400 });
   }
-  if (picked.has("audio")) {
-    tasks.push(withLiveSnapshotField(payload, "audio", async () => readAudioMixerSnapshot()));
+  if (soundboardLibraryBytes(clips) > SOUNDBOARD_LIBRARY_MAX_BYTES) {
+    throw Object.assign(new Error(`Bibliothek voll (max ${Math.round(SOUNDBOARD_LIBRARY_MAX_BYTES / (1024 * 1024))} MB)`), { status: 413 });
   }
-  if (picked.has("wow")) {
-    tasks.push(withLiveSnapshotField(payload, "wow", async () => ({
-      ...(await getWowNavigatorStatus()),
-      aiLive: hasAiAssistantKey()
-    })));
+  return { clips, files };
+}
+
+// Imported files go to temp files next to their target and only replace the library files once the config is saved.
+function stageSoundboardClipFiles(files) {
+  const staged = [];
+  try {
+    if (files.length && !dirExists(SOUNDBOARD_DIR)) fs.mkdirSync(SOUNDBOARD_DIR, { recursive: true });
+    for (const { clip, buffer } of files) {
+      const filePath = soundboardClipPath(clip);
+      const tempPath = `${filePath}.${process.pid}.import`;
+      fs.writeFileSync(tempPath, buffer);
+      staged.push({ tempPath, filePath });
+    }
+  } catch (error) {
+    discardStagedSoundboardFiles(staged);
+    throw Object.assign(new Error(`Clip speichern fehlgeschlagen: ${error?.message || error}`), { status: 500 });
   }
-  if (picked.has("curseforge")) {
-    tasks.push(withLiveSnapshotField(payload, "curseforge", async () => getCurseForgeStatus()));
+  return staged;
+}
+
+function discardStagedSoundboardFiles(staged) {
+  for (const { tempPath } of staged) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch {
+      // best effort
+    }
   }
-  if (picked.has("runs")) {
-    tasks.push(withLiveSnapshotField(payload, "runs", async () => getRunAnalyticsSnapshot(10)));
+}
+
+function commitStagedSoundboardFiles(staged) {
+  for (const { tempPath, filePath } of staged) {
+    try {
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      logger.warn("soundboard clip import rename failed", { file: filePath, error: String(error?.message || error) });
+      discardStagedSoundboardFiles([{ tempPath }]);
+    }
   }
-  await Promise.all(tasks);
-  return payload;
 }
 
-function closeLiveStreamClient(client, reason = "closed") {
-  if (!client || client.closed) return;
-  client.closed = true;
-  if (client.timer) clearTimeout(client.timer);
-  if (client.keepAliveTimer) clearInterval(client.keepAliveTimer);
-  liveStreamState.clients.delete(client);
-  try {
-    if (client.res && !client.res.writableEnded) {
-      writeSseEvent(client.res, "end", { reason, ts: Date.now() });
-      client.res.end();
+function describeSoundResult(view) {
+  if (view.dryRun) return `${view.name} (dry-run)`;
+  return `${view.name}${view.loop ? " (Loop)" : ""}`;
+}
+
+function parseSoundboardUpload(body) {
+  const match = String(body?.data || "").match(/^data:([a-z0-9.+/-]+);base64,([A-Za-z0-9+/=\r\n]+)$/i);
+  if (!match) throw Object.assign(new Error("data ungueltig (data:audio/...;base64,...)"), { status: 400 });
+  const mime = match[1].toLowerCase();
+  if (!soundboardClipExt(mime)) {
+    throw Object.assign(new Error("Audioformat nicht unterstuetzt (mp3, wav, m4a, aac, flac, wma)"), { status: 415 });
+  }
+  const buffer = Buffer.from(match[2], "base64");
+  if (!buffer.length) throw Object.assign(new Error("Clip ist leer"), { status: 400 });
+  if (buffer.length > SOUNDBOARD_CLIP_MAX_BYTES) {
+    throw Object.assign(new Error(`Clip zu gross (max ${Math.round(SOUNDBOARD_CLIP_MAX_BYTES / (1024 * 1024))} MB)`), { status: 413 });
+  }
+  return { name: safeTrim(body?.name, SOUNDBOARD_NAME_MAX_CHARS), mime, buffer };
+}
+
+// One PowerShell process per playback: WinRT MediaPlayer can target a specific render device (e.g. a virtual cable).
+function soundboardPowerShellScript(payload) {
+  const payloadB64 = Buffer.from(JSON.stringify(payload), "utf8").toString("base64");
+  return `
+$ErrorActionPreference = 'Stop'
+$payload = [System.Text.Encoding]::UTF8.GetString([System.Convert]::FromBase64String('${payloadB64}')) | ConvertFrom-Json
+Add-Type -AssemblyName System.Runtime.WindowsRuntime
+$null = [Windows.Devices.Enumeration.DeviceInformation, Windows.Devices.Enumeration, ContentType = WindowsRuntime]
+$null = [Windows.Media.Devices.MediaDevice, Windows.Media.Devices, ContentType = WindowsRuntime]
+$asTaskGeneric = ([System.WindowsRuntimeSystemExtensions].GetMethods() | Where-Object {
+  $_.Name -eq 'AsTask' -and $_.GetParameters().Count -eq 1 -and $_.GetParameters()[0].ParameterType.Name -eq 'IAsyncOperation\`1'
+})[0]
+function Await($operation, [Type]$resultType) {
+  $task = $asTaskGeneric.MakeGenericMethod($resultType).Invoke($null, @($operation))
+  $task.Wait(-1) | Out-Null
+  $task.Result
+}
+
+if ($payload.op -eq 'devices') {
+  $selector = [Windows.Media.Devices.MediaDevice]::GetAudioRenderSelector()
+  $found = Await ([Windows.Devices.Enumeration.DeviceInformation]::FindAllAsync($selector)) ([Windows.Devices.Enumeration.DeviceInformationCollection])
+  $defaultId = [Windows.Media.Devices.MediaDevice]::GetDefaultAudioRenderId([Windows.Media.Devices.AudioDeviceRole]::Default)
+  $devices = @($found | ForEach-Object { [pscustomobject]@{ id = $_.Id; name = $_.Name; default = ($_.Id -eq $defaultId) } })
+  [pscustomobject]@{ ok = $true; devices = $devices } | ConvertTo-Json -Compress -Depth 3
+  exit 0
+}
+
+$null = [Windows.Media.Playback.MediaPlayer, Windows.Media.Playback, ContentType = WindowsRuntime]
+$null = [Windows.Media.Core.MediaSource, Windows.Media.Core, ContentType = WindowsRuntime]
+$player = [Windows.Media.Playback.MediaPlayer]::new()
+$player.AutoPlay = $false
+if ($payload.device) {
+  $player.AudioDevice = Await ([Windows.Devices.Enumeration.DeviceInformation]::CreateFromIdAsync([string]$payload.device)) ([Windows.Devices.Enumeration.DeviceInformation])
+}
+$volume = [double]$payload.volume
+$start = [double]$payload.startMs
+$end = [double]$payload.endMs
+$fadeIn = [double]$payload.fadeInMs
+$fadeOut = [double]$payload.fadeOutMs
+# Edited clips are shaped by polling the position: trim end, fades and loops over the trimmed part.
+$shaped = $start -gt 0 -or $end -gt 0 -or $fadeIn -gt 0 -or $fadeOut -gt 0
+$player.Volume = if ($shaped) { 0 } else { $volume }
+$player.IsLoopingEnabled = [bool]$payload.loop -and -not $shaped
+$player.Source = [Windows.Media.Core.MediaSource]::CreateFromUri([Uri]::new([string]$payload.file))
+$player.Play()
+$session = $player.PlaybackSession
+$playing = [Windows.Media.Playback.MediaPlaybackState]::Playing
+$buffering = [Windows.Media.Playback.MediaPlaybackState]::Buffering
+$deadline = [DateTime]::UtcNow.AddSeconds(10)
+while ($session.PlaybackState -ne $playing) {
+  if ([DateTime]::UtcNow -gt $deadline) { throw 'Clip konnte nicht gestartet werden' }
+  Start-Sleep -Milliseconds 40
+}
+if ($start -gt 0) { $session.Position = [TimeSpan]::FromMilliseconds($start) }
+[Console]::Out.WriteLine('started')
+[Console]::Out.Flush()
+while ($true) {
+  $state = $session.PlaybackState
+  $pos = $session.Position.TotalMilliseconds
+  $stop = if ($end -gt 0) { $end } else { $session.NaturalDuration.TotalMilliseconds }
+  $running = $state -eq $playing -or $state -eq $buffering
+  if (-not $shaped) {
+    if (-not $running) { break }
+    Start-Sleep -Milliseconds 100
+    continue
+  }
+  if (-not $running -or ($end -gt 0 -and $pos -ge $end)) {
+    if (-not [bool]$payload.loop) { break }
+    $session.Position = [TimeSpan]::FromMilliseconds($start)
+    if (-not $running) { $player.Play() }
+    $pos = $start
+  }
+  $factor = 1.0
+  if ($fadeIn -gt 0) { $factor = [Math]::Min($factor, ($pos - $start) / $fadeIn) }
+  if ($fadeOut -gt 0 -and $stop -gt 0) { $factor = [Math]::Min($factor, ($stop - $pos) / $fadeOut) }
+  $player.Volume = $volume * [Math]::Max(0.0, [Math]::Min(1.0, $factor))
+  Start-Sleep -Milliseconds 20
+}
+$player.Dispose()
+`;
+}
+
+async function listSoundboardDevices() {
+  if (process.platform !== "win32") return { available: false, platform: process.platform, devices: [] };
+  const data = await runPowerShellJson(soundboardPowerShellScript({ op: "devices" }), [], 15000);
+  const devices = (Array.isArray(data?.devices) ? data.devices : [data?.devices].filter(Boolean)).map((x) => ({
+    id: safeTrim(x?.id, SOUNDBOARD_DEVICE_MAX_CHARS),
+    name: safeTrim(x?.name, 160),
+    default: x?.default === true
+  })).filter((x) => x.id);
+  return { available: true, platform: process.platform, devices };
+}
+
+// Playbacks are tracked by id so single clips and "stop all" can end their player process.
+const soundboardState = {
+  playing: new Map(),
+  nextId: 1
+};
+
+function soundboardPlaybackView(entry) {
+  return {
+    id: entry.id,
+    clipId: entry.clipId,
+    name: entry.name,
+    volume: entry.volume,
+    loop: entry.loop,
+    source: entry.source,
+    startedAt: entry.startedAt
+  };
+}
+
+function stopSoundboardPlayback(id = "") {
+  const stopped = [];
+  for (const entry of Array.from(soundboardState.playing.values())) {
+    if (id && entry.id !== id) continue;
+    soundboardState.playing.delete(entry.id);
+    try {
+      entry.child.kill();
+    } catch {
+      // already gone
     }
-  } catch {
-    // ignore socket close races
+    stopped.push(entry.id);
   }
+  if (stopped.length) logger.info("soundboard playback stopped", { stopped });
+  return stopped;
 }
 
-function closeAllLiveStreams(reason = "shutdown") {
-  for (const client of Array.from(liveStreamState.clients)) {
-    closeLiveStreamClient(client, reason);
+async function playSoundboardClip(rawTarget, source = "api") {
+  const target = normalizeSoundTarget(rawTarget);
+  if (!target) throw Object.assign(new Error("clipId fehlt oder volume ungueltig (0-100)"), { status: 400 });
+  const clip = soundboardClipById(target.clipId);
+  if (!clip) throw Object.assign(new Error("Clip nicht gefunden"), { status: 404 });
+  const filePath = soundboardClipPath(clip);
+  if (!fileExists(filePath)) throw Object.assign(new Error("Clip-Datei fehlt"), { status: 404 });
+
+  if (target.solo) stopSoundboardPlayback();
+  const view = { clipId: clip.id, name: clip.name, volume: target.volume, loop: target.loop === true, device: config.soundboard.device };
+  if (DRY_RUN) {
+    logger.info("dry-run soundboard playback skipped", { ...view, source });
+    return { ...view, dryRun: true };
   }
+  if (process.platform !== "win32") {
+    throw Object.assign(new Error("Wiedergabe auf dem PC nur unter Windows verfuegbar"), { status: 501 });
+  }
+  if (soundboardState.playing.size >= SOUNDBOARD_MAX_PLAYING) {
+    throw Object.assign(new Error(`Zu viele Clips gleichzeitig (max ${SOUNDBOARD_MAX_PLAYING})`), { status: 409 });
+  }
+
+  const edit = clip.edit || {};
+  const script = soundboardPowerShellScript({
+    op: "play",
+    file: filePath,
+    device: config.soundboard.device,
+    volume: (target.volume / 100) * 10 ** ((edit.gainDb || 0) / 20),
+    loop: target.loop === true,
+    startMs: edit.startMs || 0,
+    endMs: edit.endMs || 0,
+    fadeInMs: edit.fadeInMs || 0,
+    fadeOutMs: edit.fadeOutMs || 0
+  });
+  const child = spawn("powershell.exe", ["-NoProfile", "-ExecutionPolicy", "Bypass", "-Command", script], {
+    windowsHide: true,
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  const entry = { id: `s${soundboardState.nextId++}`, child, clipId: clip.id, name: clip.name, volume: target.volume, loop: target.loop === true, source, startedAt: Date.now() };
+  soundboardState.playing.set(entry.id, entry);
+
+  await new Promise((resolve, reject) => {
+    let out = "";
+    let errOut = "";
+    const timer = setTimeout(() => {
+      stopSoundboardPlayback(entry.id);
+      reject(Object.assign(new Error("Clip konnte nicht gestartet werden (Timeout)"), { status: 504 }));
+    }, SOUNDBOARD_START_TIMEOUT_MS);
+    child.stdout.on("data", (chunk) => {
+      if (out.length < 256) out += String(chunk);
+      if (out.includes("started")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on("data", (chunk) => {
+      if (errOut.length < 2000) errOut += String(chunk);
+    });
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      soundboardState.playing.delete(entry.id);
+      reject(error);
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      soundboardState.playing.delete(entry.id);
+      if (code) logger.warn("soundboard playback failed", { id: entry.id, clipId: clip.id, code, error: safeTrim(errOut, 400) });
+      reject(new Error(safeTrim(errOut, 400) || "Wiedergabe beendet"));
+    });
+  });
+
+  logger.info("soundboard playback started", { ...soundboardPlaybackView(entry), device: view.device });
+  return { ...view, ...soundboardPlaybackView(entry) };
 }
 
 app.get("/api/health", requireToken, rateLimit, (req, res) => {
@@ -4116,6 +8950,8 @@ app.get("/api/actions", requireToken, rateLimit, (req, res) => {
       "curseforge",
       "curseforgeManager",
       "performanceOverlay",
+      "processManager",
+      "obsPanel",
       "wowStart",
       "openWorkspace",
       "vscode",
@@ -4123,11 +8959,287 @@ app.get("/api/actions", requireToken, rateLimit, (req, res) => {
       "wowTBC",
       "openWowAddons",
       "openWowLogs",
-      "openWowWtf"
+      "openWowWtf",
+      ...Object.keys(WINDOW_ACTION_OPS),
+      ...Object.keys(OBS_ACTION_REQUESTS),
+      "soundboardPlay",
+      "soundboardStopAll"
     ]
   });
 });
 
+app.get("/api/windows", requireToken, rateLimit, async (req, res) => {
+  const processName = safeTrim(req.query?.process, 120).replace(/\.exe$/i, "");
+  if (/[\\/]/.test(processName)) return res.status(400).json({ ok: false, error: "ungueltiger process" });
+  try {
+    const listing = await listWindows(processName);
+    return res.json({ ok: true, ...listing, ts: Date.now() });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.get("/api/processes", requireToken, rateLimit, async (req, res) => {
+  try {
+    const listing = await listProcesses();
+    return res.json({
+      ok: true,
+      ...listing,
+      priorities: Object.keys(PROCESS_PRIORITIES),
+      protectedNames: Array.from(PROCESS_PROTECTED_NAMES),
+      ts: Date.now()
+    });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+async function handleProcessOperation(req, res, op) {
+  try {
+    const target = readProcessTarget(req.body, op);
+    if (PROCESS_CONFIRM_OPS.has(op) && !consumeProcessConfirm(req.body?.confirm, op, target)) {
+      const confirm = issueProcessConfirm(op, target);
+      return res.status(409).json({
+        ok: false,
+        error: `${PROCESS_OP_LABELS[op]} von ${target.name} (PID ${target.pid}) bestaetigen`,
+        confirmRequired: true,
+        confirm: confirm.token,
+        expiresAt: confirm.expiresAt
+      });
+    }
+    const result = await runProcessOperation(op, target);
+    logger.info("process operation", { requestId: req.requestId, tokenName: req.auth?.name || "", ...result });
+    return res.json({ ok: true, process: result });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    if (status >= 500) logger.warn("process operation failed", { requestId: req.requestId, op, error: String(error?.message || error) });
+    return res.status(status).json({ ok: false, error: String(error?.message || error) });
+  }
+}
+
+app.post("/api/processes/kill", requireToken, rateLimit, (req, res) => handleProcessOperation(req, res, "kill"));
+app.post("/api/processes/restart", requireToken, rateLimit, (req, res) => handleProcessOperation(req, res, "restart"));
+app.post("/api/processes/priority", requireToken, rateLimit, (req, res) => handleProcessOperation(req, res, "priority"));
+
+app.get("/api/obs/status", requireToken, rateLimit, async (req, res) => {
+  const status = await getObsStatus();
+  return res.json({ ok: true, ...status, ts: Date.now() });
+});
+
+app.get("/api/obs/scenes", requireToken, rateLimit, async (req, res) => {
+  try {
+    const listing = await listObsScenes(safeTrim(req.query?.scene, OBS_NAME_MAX_CHARS));
+    return res.json({ ok: true, ...listing, ts: Date.now() });
+  } catch (error) {
+    return res.status(Number(error?.status) || 500).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.get("/api/obs/inputs", requireToken, rateLimit, async (req, res) => {
+  try {
+    const inputs = await listObsAudioInputs();
+    return res.json({ ok: true, inputs, ts: Date.now() });
+  } catch (error) {
+    return res.status(Number(error?.status) || 500).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.get("/api/soundboard", requireToken, rateLimit, (req, res) => {
+  return res.json({
+    ok: true,
+    device: config.soundboard.device,
+    clips: config.soundboard.clips,
+    banks: config.soundboard.banks,
+    playing: Array.from(soundboardState.playing.values()).map(soundboardPlaybackView),
+    ts: Date.now()
+  });
+});
+
+app.get("/api/soundboard/devices", requireToken, rateLimit, async (req, res) => {
+  try {
+    const listing = await listSoundboardDevices();
+    return res.json({ ok: true, ...listing, device: config.soundboard.device, ts: Date.now() });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+// Empty device = Windows default output.
+app.post("/api/soundboard/device", requireToken, rateLimit, (req, res) => {
+  const raw = req.body?.device;
+  if (typeof raw !== "string" || raw.length > SOUNDBOARD_DEVICE_MAX_CHARS) {
+    return res.status(400).json({ ok: false, error: "device ungueltig" });
+  }
+  config.soundboard = { ...config.soundboard, device: raw.trim() };
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  logger.info("soundboard device updated", { requestId: req.requestId, tokenName: req.auth?.name || "", device: config.soundboard.device });
+  return res.json({ ok: true, device: config.soundboard.device });
+});
+
+app.post("/api/soundboard/clips", requireToken, rateLimit, (req, res) => {
+  let upload = null;
+  try {
+    upload = parseSoundboardUpload(req.body);
+  } catch (error) {
+    return res.status(Number(error?.status) || 400).json({ ok: false, error: String(error?.message || error) });
+  }
+  if (config.soundboard.clips.length >= SOUNDBOARD_MAX_CLIPS) {
+    return res.status(409).json({ ok: false, error: `Zu viele Clips (max ${SOUNDBOARD_MAX_CLIPS})` });
+  }
+  if (soundboardLibraryBytes() + upload.buffer.length > SOUNDBOARD_LIBRARY_MAX_BYTES) {
+    return res.status(413).json({ ok: false, error: `Bibliothek voll (max ${Math.round(SOUNDBOARD_LIBRARY_MAX_BYTES / (1024 * 1024))} MB)` });
+  }
+
+  const id = `clip_${crypto.randomBytes(6).toString("hex")}`;
+  const clip = normalizeSoundboardClip({
+    id,
+    name: upload.name || id,
+    mime: upload.mime,
+    size: upload.buffer.length,
+    durationMs: req.body?.durationMs,
+    createdAt: Date.now()
+  });
+  const filePath = soundboardClipPath(clip);
+  try {
+    if (!dirExists(SOUNDBOARD_DIR)) fs.mkdirSync(SOUNDBOARD_DIR, { recursive: true });
+    fs.writeFileSync(filePath, upload.buffer);
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: `Clip speichern fehlgeschlagen: ${error?.message || error}` });
+  }
+  config.soundboard = { ...config.soundboard, clips: [...config.soundboard.clips, clip] };
+  if (!persistConfigSafe()) {
+    config.soundboard = { ...config.soundboard, clips: config.soundboard.clips.filter((x) => x.id !== id) };
+    try {
+      fs.unlinkSync(filePath);
+    } catch {
+      // best effort
+    }
+    return res.status(500).json({ ok: false, error: "config write failed" });
+  }
+  bumpConfigRevision();
+  logger.info("soundboard clip uploaded", { requestId: req.requestId, tokenName: req.auth?.name || "", id, name: clip.name, size: clip.size });
+  return res.json({ ok: true, clip });
+});
+
+app.get("/api/soundboard/clips", requireToken, rateLimit, (req, res) => {
+  return res.json({
+    ok: true,
+    clips: config.soundboard.clips,
+    totalBytes: soundboardLibraryBytes(),
+    maxBytes: SOUNDBOARD_LIBRARY_MAX_BYTES,
+    maxClips: SOUNDBOARD_MAX_CLIPS
+  });
+});
+
+app.get("/api/soundboard/clips/:id/file", requireToken, rateLimit, (req, res) => {
+  const clip = soundboardClipById(safeTrim(req.params.id, 40));
+  if (!clip) return res.status(404).json({ ok: false, error: "Clip nicht gefunden" });
+  const filePath = soundboardClipPath(clip);
+  if (!fileExists(filePath)) return res.status(404).json({ ok: false, error: "Clip-Datei fehlt" });
+  res.setHeader("Cache-Control", "private, max-age=3600");
+  return res.type(clip.mime).sendFile(filePath);
+});
+
+app.post("/api/soundboard/clips/update", requireToken, rateLimit, (req, res) => {
+  const id = safeTrim(req.body?.id, 40);
+  const clip = soundboardClipById(id);
+  if (!clip) return res.status(404).json({ ok: false, error: "Clip nicht gefunden" });
+  const next = { ...clip };
+  if (req.body?.name !== undefined) {
+    const name = safeTrim(req.body.name, SOUNDBOARD_NAME_MAX_CHARS);
+    if (!name) return res.status(400).json({ ok: false, error: "name fehlt" });
+    next.name = name;
+  }
+  if (req.body?.durationMs !== undefined) next.durationMs = req.body.durationMs;
+  if (req.body?.edit !== undefined) {
+    const edit = req.body.edit === null ? null : normalizeSoundboardClipEdit(req.body.edit);
+    if (req.body.edit !== null && !edit) {
+      return res.status(400).json({
+        ok: false,
+        error: `edit ungueltig (Start/Ende in ms mit Ende > Start, Fades max ${SOUNDBOARD_MAX_FADE_MS} ms, Gain ${SOUNDBOARD_MIN_GAIN_DB}..${SOUNDBOARD_MAX_GAIN_DB} dB)`
+      });
+    }
+    if (edit && next.durationMs && edit.endMs > next.durationMs) {
+      return res.status(400).json({ ok: false, error: "edit ungueltig (Ende nach Clip-Ende)" });
+    }
+    delete next.edit;
+    if (edit) next.edit = edit;
+  }
+  const updated = normalizeSoundboardClip(next);
+  config.soundboard = { ...config.soundboard, clips: config.soundboard.clips.map((x) => (x.id === id ? updated : x)) };
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  logger.info("soundboard clip updated", { requestId: req.requestId, tokenName: req.auth?.name || "", id, name: updated.name, edited: Boolean(updated.edit) });
+  return res.json({ ok: true, clip: updated });
+});
+
+// Like variables: tiles still pointing at the clip block the delete unless `force` is set.
+app.post("/api/soundboard/clips/delete", requireToken, rateLimit, (req, res) => {
+  const id = safeTrim(req.body?.id, 40);
+  const clip = soundboardClipById(id);
+  if (!clip) return res.status(404).json({ ok: false, error: "Clip nicht gefunden" });
+  const usedBy = tilesUsingSoundClip(id);
+  if (usedBy.length && req.body?.force !== true) {
+    return res.status(409).json({ ok: false, error: `Clip wird verwendet von: ${usedBy.join(", ")}`, usedBy });
+  }
+  const clips = config.soundboard.clips.filter((x) => x.id !== id);
+  const clipIds = new Set(clips.map((x) => x.id));
+  config.soundboard = { ...config.soundboard, clips, banks: normalizeSoundboardBanks(config.soundboard.banks, clipIds) };
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  for (const playback of soundboardState.playing.values()) {
+    if (playback.clipId === id) stopSoundboardPlayback(playback.id);
+  }
+  removeSoundboardClipFile(clip);
+  logger.info("soundboard clip deleted", { requestId: req.requestId, tokenName: req.auth?.name || "", id, usedBy: usedBy.length });
+  return res.json({ ok: true, id, usedBy });
+});
+
+// Replaces all banks at once; pads may only reference clips of the library.
+app.post("/api/soundboard/banks", requireToken, rateLimit, (req, res) => {
+  const raw = req.body?.banks;
+  if (!Array.isArray(raw) || !raw.length || raw.length > SOUNDBOARD_MAX_BANKS) {
+    return res.status(400).json({ ok: false, error: `banks ungueltig (1-${SOUNDBOARD_MAX_BANKS} Baenke)` });
+  }
+  const clipIds = new Set(config.soundboard.clips.map((x) => x.id));
+  const ids = new Set();
+  for (const bank of raw) {
+    const id = safeTrim(bank?.id, 16).toLowerCase();
+    if (!SOUNDBOARD_BANK_ID_RE.test(id) || ids.has(id)) {
+      return res.status(400).json({ ok: false, error: `Bank-ID ungueltig oder doppelt: ${id || "(leer)"}` });
+    }
+    ids.add(id);
+    if (bank.pads !== undefined && (!Array.isArray(bank.pads) || bank.pads.length > SOUNDBOARD_PADS_PER_BANK)) {
+      return res.status(400).json({ ok: false, error: `pads ungueltig (max ${SOUNDBOARD_PADS_PER_BANK} pro Bank)` });
+    }
+    const missing = (bank.pads || []).map((pad) => safeTrim(pad?.clipId, 40)).find((clipId) => clipId && !clipIds.has(clipId));
+    if (missing) return res.status(400).json({ ok: false, error: `Clip nicht gefunden: ${missing}` });
+  }
+  config.soundboard = { ...config.soundboard, banks: normalizeSoundboardBanks(raw, clipIds) };
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  logger.info("soundboard banks updated", { requestId: req.requestId, tokenName: req.auth?.name || "", banks: config.soundboard.banks.length });
+  return res.json({ ok: true, banks: config.soundboard.banks });
+});
+
+app.post("/api/soundboard/play", requireToken, rateLimit, async (req, res) => {
+  try {
+    const playback = await playSoundboardClip(req.body, req.auth?.name ? `api:${req.auth.name}` : "api");
+    return res.json({ ok: true, playback });
+  } catch (error) {
+    return res.status(Number(error?.status) || 500).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+// Without `id` every running clip stops.
+app.post("/api/soundboard/stop", requireToken, rateLimit, (req, res) => {
+  const id = safeTrim(req.body?.id, 24);
+  const stopped = stopSoundboardPlayback(id);
+  if (id && !stopped.length) return res.status(404).json({ ok: false, error: "Wiedergabe nicht gefunden" });
+  return res.json({ ok: true, stopped });
+});
+
 app.get("/api/bootstrap", requireToken, rateLimit, async (req, res) => {
   try {
     const payload = await buildClientTiles();
@@ -4136,8 +9248,10 @@ app.get("/api/bootstrap", requireToken, rateLimit, async (req, res) => {
       appName: APP_NAME,
       host: config.host,
       port: config.port,
-      profiles: config.profiles,
-      tiles: payload.tiles,
+      profiles: config.profiles.filter((p) => authAllowsProfile(req.auth, p.id)),
+      tiles: payload.tiles.filter((t) => authAllowsProfile(req.auth, t.profile)),
+      auth: authView(req.auth),
+      configRevision,
       wowRunning: payload.wowRunning,
       serverVersion: APP_VERSION,
       serverBuild: APP_BUILD,
@@ -4165,6 +9279,7 @@ app.get("/api/settings", requireToken, rateLimit, (req, res) => {
       folders: { ...config.wow.folders }
     },
     ai: getAiSettingsView(),
+    variables: { ...(config.variables || {}) },
     serverVersion: APP_VERSION,
     serverBuild: APP_BUILD,
     features: getApiFeatures(),
@@ -4178,6 +9293,40 @@ app.get("/api/settings", requireToken, rateLimit, (req, res) => {
   });
 });
 
+app.get("/api/settings/obs", requireToken, rateLimit, (req, res) => {
+  res.json({ ok: true, obs: obsSettingsView(), ts: Date.now() });
+});
+
+// The password is write-only: omit it to keep the stored one, send "" to clear it.
+app.post("/api/settings/obs", requireToken, rateLimit, async (req, res) => {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const next = { ...config.obs };
+  if (body.host !== undefined) {
+    const host = safeTrim(body.host, 253);
+    if (!OBS_HOST_RE.test(host)) return res.status(400).json({ ok: false, error: "host ungueltig" });
+    next.host = host;
+  }
+  if (body.port !== undefined) {
+    const port = Number(body.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) return res.status(400).json({ ok: false, error: "port ungueltig (1-65535)" });
+    next.port = port;
+  }
+  if (body.password !== undefined) {
+    if (typeof body.password !== "string") return res.status(400).json({ ok: false, error: "password ungueltig" });
+    next.password = safeTrim(body.password, 256);
+  }
+
+  config.obs = next;
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  disconnectObs("settings-changed");
+  obsState.lastError = "";
+  obsState.retryAt = 0;
+  logger.info("obs settings updated", { requestId: req.requestId, tokenName: req.auth?.name || "", host: next.host, port: next.port, hasPassword: Boolean(next.password) });
+  const status = await getObsStatus();
+  return res.json({ ok: true, obs: obsSettingsView(), status });
+});
+
 app.get("/api/settings/ai", requireToken, rateLimit, (req, res) => {
   return res.json({
     ok: true,
@@ -4271,6 +9420,72 @@ app.post("/api/settings/wow-folder", requireToken, rateLimit, (req, res) => {
   res.json({ ok: true, key, path: newPath });
 });
 
+function tilesUsingVariable(name) {
+  const pattern = new RegExp(`\\{\\{\\s*var\\.${name}\\s*\\}\\}`);
+  return config.tiles.filter((tile) => pattern.test(JSON.stringify(tile))).map((tile) => tile.id);
+}
+
+// Values feed straight into command lines and elevated launches, so only admin tokens may change them there.
+function variableNeedsAdmin(name) {
+  return tilesUsingVariable(name).some((id) => tileNeedsAdmin(config.tiles.find((tile) => tile.id === id)));
+}
+
+app.get("/api/settings/variables", requireToken, rateLimit, (req, res) => {
+  const variables = config.variables || {};
+  res.json({
+    ok: true,
+    variables: Object.keys(variables).sort().map((name) => ({ name, value: variables[name], usedBy: tilesUsingVariable(name) })),
+    builtins: TEMPLATE_BUILTINS,
+    max: VARIABLE_MAX_COUNT
+  });
+});
+
+app.post("/api/settings/variables", requireToken, rateLimit, (req, res) => {
+  const name = safeTrim(req.body?.name, 64);
+  let value = "";
+  try {
+    value = assertSafeInput(req.body?.value, "value", VARIABLE_MAX_VALUE_CHARS);
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: String(error?.message || error) });
+  }
+  if (!VARIABLE_NAME_RE.test(name)) {
+    return res.status(400).json({ ok: false, error: "name ungueltig (Buchstabe, dann Buchstaben/Ziffern/_; max 32)" });
+  }
+  if (variableNeedsAdmin(name) && !authHasScope(req.auth, "admin")) {
+    return res.status(403).json({ ok: false, error: "forbidden: scope admin fehlt (Variable in Befehls-Tiles oder Admin-Start)" });
+  }
+  if (!config.variables || typeof config.variables !== "object") config.variables = {};
+  const created = !Object.prototype.hasOwnProperty.call(config.variables, name);
+  if (created && Object.keys(config.variables).length >= VARIABLE_MAX_COUNT) {
+    return res.status(400).json({ ok: false, error: `maximal ${VARIABLE_MAX_COUNT} Variablen` });
+  }
+  config.variables[name] = value;
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  logger.info("variable saved", { requestId: req.requestId, name, created });
+  res.json({ ok: true, name, value, usedBy: tilesUsingVariable(name) });
+});
+
+app.post("/api/settings/variables/delete", requireToken, rateLimit, (req, res) => {
+  const name = safeTrim(req.body?.name, 64);
+  if (!name) return res.status(400).json({ ok: false, error: "name fehlt" });
+  if (!Object.prototype.hasOwnProperty.call(config.variables || {}, name)) {
+    return res.status(404).json({ ok: false, error: "Variable nicht gefunden" });
+  }
+  if (variableNeedsAdmin(name) && !authHasScope(req.auth, "admin")) {
+    return res.status(403).json({ ok: false, error: "forbidden: scope admin fehlt (Variable in Befehls-Tiles oder Admin-Start)" });
+  }
+  const usedBy = tilesUsingVariable(name);
+  if (usedBy.length && req.body?.force !== true) {
+    return res.status(409).json({ ok: false, error: `Variable wird verwendet von: ${usedBy.join(", ")}`, usedBy });
+  }
+  delete config.variables[name];
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  logger.info("variable deleted", { requestId: req.requestId, name, usedBy: usedBy.length });
+  res.json({ ok: true, name, usedBy });
+});
+
 app.post("/api/settings/wow-process", requireToken, rateLimit, (req, res) => {
   const processName = safeTrim(req.body?.processName, 120);
   if (!processName) return res.status(400).json({ ok: false, error: "processName fehlt" });
@@ -4317,6 +9532,7 @@ app.post("/api/settings/logging", requireToken, rateLimit, (req, res) => {
 app.get("/api/settings/export", requireToken, rateLimit, (req, res) => {
   try {
     const exported = mergeWithDefaults(cloneConfigData(config));
+    exported.soundboard = { ...exported.soundboard, clips: exportSoundboardClips(exported.soundboard.clips) };
     return res.json({
       ok: true,
       exportedAt: new Date().toISOString(),
@@ -4327,7 +9543,7 @@ app.get("/api/settings/export", requireToken, rateLimit, (req, res) => {
   }
 });
 
-app.post("/api/settings/import", requireToken, rateLimit, (req, res) => {
+app.post("/api/settings/import", requireToken, rateLimit, express.json({ limit: SETTINGS_IMPORT_MAX_BODY }), (req, res) => {
   try {
     const body = req.body && typeof req.body === "object" ? req.body : {};
     const incoming = body.config;
@@ -4338,13 +9554,35 @@ app.post("/api/settings/import", requireToken, rateLimit, (req, res) => {
     const keepCurrentToken = body.keepCurrentToken !== false;
     const previous = config;
     const imported = mergeWithDefaults(cloneConfigData(incoming));
-    if (keepCurrentToken) imported.token = previous.token;
+    const clipImport = prepareSoundboardClipImport(incoming.soundboard?.clips);
+    imported.soundboard = {
+      ...imported.soundboard,
+      clips: clipImport.clips,
+      banks: normalizeSoundboardBanks(imported.soundboard.banks, new Set(clipImport.clips.map((clip) => clip.id)))
+    };
+    if (keepCurrentToken) {
+      imported.token = previous.token;
+      imported.apiTokens = normalizeApiTokens(previous.apiTokens);
+    }
 
+    const staged = stageSoundboardClipFiles(clipImport.files);
     config = imported;
     invalidateProgramIndexCache();
     applyLoggingConfig(config);
-    if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+    if (!persistConfigSafe()) {
+      config = previous;
+      invalidateProgramIndexCache();
+      applyLoggingConfig(config);
+      discardStagedSoundboardFiles(staged);
+      return res.status(500).json({ ok: false, error: "config write failed" });
+    }
+    commitStagedSoundboardFiles(staged);
     bumpConfigRevision();
+    if (JSON.stringify(previous.obs) !== JSON.stringify(config.obs)) disconnectObs("settings-imported");
+    const keptClipFiles = new Set(config.soundboard.clips.map(soundboardClipPath));
+    for (const clip of previous.soundboard.clips) {
+      if (!keptClipFiles.has(soundboardClipPath(clip))) removeSoundboardClipFile(clip);
+    }
 
     const restartRequired = previous.host !== config.host || previous.port !== config.port;
     return res.json({
@@ -4355,11 +9593,12 @@ app.post("/api/settings/import", requireToken, rateLimit, (req, res) => {
       summary: {
         profiles: Array.isArray(config.profiles) ? config.profiles.length : 0,
         tiles: Array.isArray(config.tiles) ? config.tiles.length : 0,
-        launchers: config.launchers && typeof config.launchers === "object" ? Object.keys(config.launchers).length : 0
+        launchers: config.launchers && typeof config.launchers === "object" ? Object.keys(config.launchers).length : 0,
+        soundClips: config.soundboard.clips.length
       }
     });
   } catch (error) {
-    return res.status(400).json({ ok: false, error: String(error?.message || error) });
+    return res.status(Number(error?.status) || 400).json({ ok: false, error: String(error?.message || error) });
   }
 });
 
@@ -4456,8 +9695,10 @@ app.get("/api/diagnostics", requireToken, rateLimit, (req, res) => {
 app.get("/api/run/history", requireToken, rateLimit, (req, res) => {
   try {
     const limit = Math.max(1, Math.min(200, Number(req.query?.limit) || 40));
-    const snapshot = getRunAnalyticsSnapshot(limit);
-    return res.json({ ok: true, ...snapshot, ts: Date.now() });
+    const tileId = safeTrim(req.query?.tileId || "", 96);
+    const snapshot = getRunAnalyticsSnapshot(tileId ? 200 : limit);
+    if (tileId) snapshot.recent = snapshot.recent.filter((entry) => entry.tileId === tileId).slice(0, limit);
+    return res.json({ ok: true, ...runAnalyticsViewForAuth(snapshot, req.auth), ts: Date.now() });
   } catch (error) {
     return res.status(500).json({ ok: false, error: String(error?.message || error) });
   }
@@ -4468,8 +9709,9 @@ app.get("/api/tiles/recommendations", requireToken, rateLimit, async (req, res)
     const limit = Math.max(1, Math.min(50, Number(req.query?.limit) || 10));
     const profile = safeTrim(req.query?.profile || "", 64);
     const page = safeTrim(req.query?.page || "", 64);
-    const wowRunning = await isProcessRunning(config.wow.processName);
-    const items = getTileRecommendations({ limit, profile, page, wowRunning });
+    const facts = await resolveShowIfFacts(config.tiles);
+    const wowRunning = facts.wowRunning;
+    const items = getTileRecommendations({ limit, profile, page, facts, auth: req.auth });
     return res.json({
       ok: true,
       profile: profile || "",
@@ -4497,6 +9739,7 @@ app.get("/api/stream/live", requireToken, rateLimit, async (req, res) => {
   const client = {
     id: liveStreamState.nextId++,
     requestId: req.requestId,
+    auth: req.auth,
     channels,
     intervalMs,
     res,
@@ -4517,7 +9760,7 @@ app.get("/api/stream/live", requireToken, rateLimit, async (req, res) => {
       }
       client.inFlight = true;
       try {
-        const snapshot = await buildLiveSnapshot(client.channels);
+        const snapshot = await buildLiveSnapshot(client.channels, client.auth);
         if (!client.closed) writeSseEvent(client.res, "snapshot", snapshot);
       } catch (error) {
         if (!client.closed) {
@@ -4544,6 +9787,15 @@ app.get("/api/stream/live", requireToken, rateLimit, async (req, res) => {
   req.on("close", () => closeLiveStreamClient(client, "client-disconnected"));
   req.on("aborted", () => closeLiveStreamClient(client, "client-aborted"));
 
+  if (channels.includes("config")) {
+    try {
+      await ensureConfigSyncBaseline();
+    } catch (error) {
+      logger.warn("config sync baseline failed", { requestId: req.requestId, error: String(error?.message || error) });
+    }
+  }
+  if (channels.includes("tiles")) scheduleTileStatePoll();
+
   writeSseEvent(res, "hello", {
     requestId: req.requestId,
     channels,
@@ -4551,105 +9803,588 @@ app.get("/api/stream/live", requireToken, rateLimit, async (req, res) => {
     connectedClients: liveStreamState.clients.size,
     ts: Date.now()
   });
-  try {
-    const initial = await buildLiveSnapshot(channels);
-    if (!client.closed) writeSseEvent(res, "snapshot", initial);
-  } catch (error) {
-    if (!client.closed) {
-      writeSseEvent(res, "error", { message: safeTrim(error?.message || String(error), 220), ts: Date.now() });
+  try {
+    const initial = await buildLiveSnapshot(channels, req.auth);
+    if (!client.closed) writeSseEvent(res, "snapshot", initial);
+  } catch (error) {
+    if (!client.closed) {
+      writeSseEvent(res, "error", { message: safeTrim(error?.message || String(error), 220), ts: Date.now() });
+    }
+  }
+  scheduleTick();
+});
+
+app.post("/api/icon", requireToken, rateLimit, async (req, res) => {
+  let targetPath = "";
+  try {
+    targetPath = assertSafeInput(req.body?.path, "path");
+  } catch (error) {
+    return res.status(400).json({ ok: false, error: String(error?.message || error) });
+  }
+  if (!targetPath) return res.status(400).json({ ok: false, error: "path fehlt" });
+  const iconData = await extractIconDataUrl(targetPath);
+  if (!iconData) return res.status(404).json({ ok: false, error: "kein icon" });
+  res.json({ ok: true, iconData });
+});
+
+app.get("/api/tiles/:id", requireToken, rateLimit, (req, res) => {
+  const id = safeTrim(req.params?.id || "", 96);
+  if (!id) return res.status(400).json({ ok: false, error: "id fehlt" });
+  const tile = config.tiles.find((x) => x.id === id);
+  if (!tile || !authAllowsProfile(req.auth, tile.profile)) return res.status(404).json({ ok: false, error: "tile nicht gefunden" });
+  return res.json({
+    ok: true,
+    tile: {
+      ...tile,
+      args: Array.isArray(tile.args) ? tile.args : [],
+      target: typeof tile.target === "string" ? tile.target : "",
+      launcherKey: typeof tile.launcherKey === "string" ? tile.launcherKey : "",
+      action: typeof tile.action === "string" ? tile.action : "",
+      startIn: typeof tile.startIn === "string" ? tile.startIn : "",
+      steps: Array.isArray(tile.steps) ? tile.steps : [],
+      iconData: typeof tile.iconData === "string" ? tile.iconData : ""
+    }
+  });
+});
+
+app.post("/api/tiles/upsert", requireToken, rateLimit, (req, res) => {
+  try {
+    const incoming = req.body?.tile;
+    if (!incoming || typeof incoming !== "object") {
+      return res.status(400).json({ ok: false, error: "tile fehlt" });
+    }
+
+    const id = String(incoming.id || "").trim();
+    const existing = id ? config.tiles.find((x) => x.id === id) : null;
+    if (existing && existing.builtin) {
+      return res.status(400).json({ ok: false, error: "builtin tiles koennen nicht ueberschrieben werden" });
+    }
+
+    const safe = sanitizeCustomTile(incoming, existing);
+    if (!authAllowsProfiles(req.auth, [safe.profile, ...(existing ? [existing.profile] : [])])) {
+      return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+    }
+    if ((tileNeedsAdmin(safe) || tileNeedsAdmin(existing)) && !authHasScope(req.auth, "admin")) {
+      return res.status(403).json({ ok: false, error: "forbidden: scope admin fehlt (Befehls-Tiles und Admin-Start)" });
+    }
+    const idx = config.tiles.findIndex((x) => x.id === safe.id);
+    if (idx >= 0) config.tiles[idx] = safe;
+    else config.tiles.push(safe);
+    if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+    bumpConfigRevision();
+    res.json({ ok: true, tile: safe });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.post("/api/tiles/reorder", requireToken, rateLimit, (req, res) => {
+  const profile = safeTrim(req.body?.profile, 64);
+  const page = safeTrim(req.body?.page || "main", 64);
+  if (!profile) return res.status(400).json({ ok: false, error: "profile fehlt" });
+  if (!Array.isArray(req.body?.order)) return res.status(400).json({ ok: false, error: "order fehlt" });
+  if (!authAllowsProfile(req.auth, profile)) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+  const profileDef = config.profiles.find((p) => p.id === profile);
+  if (!profileDef || !profileDef.pages.some((x) => x.id === page)) {
+    return res.status(404).json({ ok: false, error: "Seite nicht gefunden" });
+  }
+
+  const onPage = sortTilesByOrder(config.tiles.filter((t) => t.profile === profile && (t.page || "main") === page));
+  const byId = new Map(onPage.map((t) => [t.id, t]));
+  const ids = uniq(safeArray(req.body.order, 96, 500));
+  const foreign = ids.find((id) => !byId.has(id));
+  if (foreign) return res.status(400).json({ ok: false, error: `Tile nicht auf dieser Seite: ${foreign}` });
+
+  const ordered = [...ids.map((id) => byId.get(id)), ...onPage.filter((t) => !ids.includes(t.id))];
+  ordered.forEach((tile, idx) => {
+    tile.order = idx;
+  });
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  res.json({ ok: true, profile, page, order: ordered.map((t) => t.id) });
+});
+
+// Macro and toggle tiles whose `tile` steps would point at nothing once the tile is gone.
+// Macro and toggle tiles, schedules and rules that still run the tile; ids keep their `s_` / `r_` prefixes.
+function tileReferences(id) {
+  const usesTile = (steps) => Array.isArray(steps) && steps.some((step) => step.type === "tile" && step.tileId === id);
+  return [
+    ...config.tiles
+      .filter((tile) => usesTile(tile.type === "macro" ? tile.steps : tile.type === "toggle" ? [...(tile.toggle?.on?.steps || []), ...(tile.toggle?.off?.steps || [])] : []))
+      .map((tile) => tile.id),
+    ...(config.schedules || []).filter((schedule) => schedule.tileId === id || usesTile(schedule.steps)).map((schedule) => schedule.id),
+    ...(config.rules || []).filter((rule) => usesTile(rule.actions)).map((rule) => rule.id)
+  ];
+}
+
+app.post("/api/tiles/delete", requireToken, rateLimit, (req, res) => {
+  const id = String(req.body?.id || "").trim();
+  if (!id) return res.status(400).json({ ok: false, error: "id fehlt" });
+  const tile = config.tiles.find((x) => x.id === id);
+  if (!tile) return res.status(404).json({ ok: false, error: "tile nicht gefunden" });
+  if (!authAllowsProfile(req.auth, tile.profile)) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+  if (tile.builtin) return res.status(400).json({ ok: false, error: "builtin tile kann nicht geloescht werden" });
+  const usedBy = tileReferences(id);
+  if (usedBy.length && req.body?.force !== true) {
+    return res.status(409).json({ ok: false, error: `Tile wird verwendet von: ${usedBy.join(", ")}`, usedBy });
+  }
+  config.tiles = config.tiles.filter((x) => x.id !== id);
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  logger.info("tile deleted", { requestId: req.requestId, tokenName: req.auth?.name || "", id, usedBy: usedBy.length });
+  res.json({ ok: true, usedBy });
+});
+
+app.get("/api/profiles", requireToken, rateLimit, (req, res) => {
+  const profiles = buildProfilesView().filter((p) => authAllowsProfile(req.auth, p.id));
+  res.json({ ok: true, profiles, ts: Date.now() });
+});
+
+app.post("/api/profiles/upsert", requireToken, rateLimit, (req, res) => {
+  const label = safeTrim(req.body?.label, 40);
+  const id = safeTrim(req.body?.id, 32);
+  if (!label) return res.status(400).json({ ok: false, error: "label fehlt" });
+
+  let profile = id ? config.profiles.find((p) => p.id === id) : null;
+  const created = !profile;
+  if (profile) {
+    if (!authAllowsProfile(req.auth, profile.id)) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+    profile.label = label;
+  } else {
+    if (config.profiles.length >= PROFILE_MAX_COUNT) {
+      return res.status(400).json({ ok: false, error: `zu viele Profile (max ${PROFILE_MAX_COUNT})` });
+    }
+    const newId = id || makeProfileEntryId(label, new Set(config.profiles.map((p) => p.id)));
+    if (!PROFILE_ID_RE.test(newId)) return res.status(400).json({ ok: false, error: "Profil-ID ungueltig" });
+    if (!authAllowsProfile(req.auth, newId)) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+    profile = { id: newId, label, pages: [{ id: "main", label: "Main" }] };
+    config.profiles.push(profile);
+  }
+
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  logger.info(created ? "profile created" : "profile renamed", { requestId: req.requestId, profile: profile.id, label });
+  res.json({ ok: true, profile: buildProfilesView().find((p) => p.id === profile.id), created });
+});
+
+app.post("/api/profiles/delete", requireToken, rateLimit, (req, res) => {
+  try {
+    const id = safeTrim(req.body?.id, 64);
+    if (!id) return res.status(400).json({ ok: false, error: "id fehlt" });
+    const profile = config.profiles.find((p) => p.id === id);
+    if (!profile) return res.status(404).json({ ok: false, error: "Profil nicht gefunden" });
+    if (isBuiltinProfile(id)) return res.status(400).json({ ok: false, error: "builtin Profil kann nicht geloescht werden" });
+
+    const tileCount = config.tiles.filter((t) => t.profile === id).length;
+    const target = resolveTileMoveTarget(req.body?.moveTo, { profile: id });
+    if (!authAllowsProfiles(req.auth, [id, ...(target ? [target.profile] : [])])) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+    if (tileCount && !target) {
+      return res.status(409).json({ ok: false, error: "Profil enthaelt noch Tiles (moveTo angeben)", tileCount });
+    }
+
+    const moved = target ? moveTilesOff((t) => t.profile === id, target) : 0;
+    config.profiles = config.profiles.filter((p) => p.id !== id);
+    if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+    bumpConfigRevision();
+    logger.info("profile deleted", { requestId: req.requestId, profile: id, movedTiles: moved });
+    res.json({ ok: true, moved });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.post("/api/profiles/reorder", requireToken, rateLimit, (req, res) => {
+  try {
+    if (!Array.isArray(req.body?.order)) return res.status(400).json({ ok: false, error: "order fehlt" });
+    // The order covers every profile, so only tokens without a profile restriction may change it.
+    if (!authAllowsProfiles(req.auth, config.profiles.map((p) => p.id))) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+    config.profiles = reorderById(config.profiles, req.body.order);
+    if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+    bumpConfigRevision();
+    res.json({ ok: true, profiles: buildProfilesView() });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.post("/api/profiles/pages/upsert", requireToken, rateLimit, (req, res) => {
+  const profile = config.profiles.find((p) => p.id === safeTrim(req.body?.profile, 64));
+  if (!profile) return res.status(404).json({ ok: false, error: "Profil nicht gefunden" });
+  if (!authAllowsProfile(req.auth, profile.id)) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+  const label = safeTrim(req.body?.label, 40);
+  const id = safeTrim(req.body?.id, 32);
+  if (!label) return res.status(400).json({ ok: false, error: "label fehlt" });
+
+  let page = id ? profile.pages.find((x) => x.id === id) : null;
+  const created = !page;
+  if (page) {
+    page.label = label;
+  } else {
+    if (profile.pages.length >= PROFILE_MAX_PAGES) {
+      return res.status(400).json({ ok: false, error: `zu viele Seiten (max ${PROFILE_MAX_PAGES})` });
+    }
+    const newId = id || makeProfileEntryId(label, new Set(profile.pages.map((x) => x.id)));
+    if (!PROFILE_ID_RE.test(newId)) return res.status(400).json({ ok: false, error: "Seiten-ID ungueltig" });
+    page = { id: newId, label };
+    profile.pages.push(page);
+  }
+
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  logger.info(created ? "page created" : "page renamed", { requestId: req.requestId, profile: profile.id, page: page.id, label });
+  res.json({ ok: true, profile: buildProfilesView().find((p) => p.id === profile.id), page: { id: page.id, label: page.label }, created });
+});
+
+app.post("/api/profiles/pages/delete", requireToken, rateLimit, (req, res) => {
+  try {
+    const profile = config.profiles.find((p) => p.id === safeTrim(req.body?.profile, 64));
+    if (!profile) return res.status(404).json({ ok: false, error: "Profil nicht gefunden" });
+    const id = safeTrim(req.body?.id, 64);
+    if (!id) return res.status(400).json({ ok: false, error: "id fehlt" });
+    if (!profile.pages.some((x) => x.id === id)) return res.status(404).json({ ok: false, error: "Seite nicht gefunden" });
+    if (isBuiltinPage(profile.id, id)) return res.status(400).json({ ok: false, error: "builtin Seite kann nicht geloescht werden" });
+    if (profile.pages.length <= 1) return res.status(400).json({ ok: false, error: "letzte Seite kann nicht geloescht werden" });
+
+    const onPage = (t) => t.profile === profile.id && (t.page || "main") === id;
+    const tileCount = config.tiles.filter(onPage).length;
+    const target = resolveTileMoveTarget(req.body?.moveTo, { profile: profile.id, page: id });
+    if (!authAllowsProfiles(req.auth, [profile.id, ...(target ? [target.profile] : [])])) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+    if (tileCount && !target) {
+      return res.status(409).json({ ok: false, error: "Seite enthaelt noch Tiles (moveTo angeben)", tileCount });
+    }
+
+    const moved = target ? moveTilesOff(onPage, target) : 0;
+    profile.pages = profile.pages.filter((x) => x.id !== id);
+    if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+    bumpConfigRevision();
+    logger.info("page deleted", { requestId: req.requestId, profile: profile.id, page: id, movedTiles: moved });
+    res.json({ ok: true, moved });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.post("/api/profiles/pages/reorder", requireToken, rateLimit, (req, res) => {
+  try {
+    const profile = config.profiles.find((p) => p.id === safeTrim(req.body?.profile, 64));
+    if (!profile) return res.status(404).json({ ok: false, error: "Profil nicht gefunden" });
+    if (!authAllowsProfile(req.auth, profile.id)) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+    if (!Array.isArray(req.body?.order)) return res.status(400).json({ ok: false, error: "order fehlt" });
+    profile.pages = reorderById(profile.pages, req.body.order);
+    if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+    bumpConfigRevision();
+    res.json({ ok: true, profile: buildProfilesView().find((p) => p.id === profile.id) });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+function apiTokenView(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    kind: entry.kind,
+    scopes: [...entry.scopes],
+    profiles: [...entry.profiles],
+    createdAt: entry.createdAt || "",
+    lastUsedAt: apiTokenUsage.get(entry.id) || ""
+  };
+}
+
+function validateApiTokenGrant(options = {}) {
+  const scopes = normalizeApiTokenScopes(options.scopes);
+  if (!scopes.length) throw new Error(`scopes ungueltig (erlaubt: ${API_TOKEN_SCOPES.join(", ")})`);
+  const profiles = normalizeApiTokenProfiles(options.profiles);
+  const unknown = profiles.filter((id) => !config.profiles.some((p) => p.id === id));
+  if (unknown.length) throw new Error(`Profil nicht gefunden: ${unknown.join(", ")}`);
+  return { scopes, profiles };
+}
+
+function createApiToken(options = {}) {
+  const name = safeTrim(options.name, 64);
+  if (!name) throw new Error("name fehlt");
+  const { scopes, profiles } = validateApiTokenGrant(options);
+  if (!Array.isArray(config.apiTokens)) config.apiTokens = [];
+  if (config.apiTokens.length >= API_TOKEN_MAX_COUNT) throw new Error(`maximal ${API_TOKEN_MAX_COUNT} Tokens`);
+
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const entry = {
+    id: `t${crypto.randomBytes(5).toString("hex")}`,
+    name,
+    kind: options.kind === "device" ? "device" : "token",
+    tokenHash: hashApiToken(token),
+    scopes,
+    profiles,
+    createdAt: new Date().toISOString()
+  };
+  config.apiTokens.push(entry);
+  return { entry, token };
+}
+
+function disconnectAuthClients(tokenId) {
+  for (const client of Array.from(liveStreamState.clients)) {
+    if (client.auth?.id === tokenId) closeLiveStreamClient(client, "token-revoked");
+  }
+  for (const client of Array.from(wsControlState.clients)) {
+    if (client.auth?.id === tokenId) closeWsClient(client, 1008, "token revoked");
+  }
+}
+
+app.get("/api/tokens", requireToken, rateLimit, (req, res) => {
+  res.json({
+    ok: true,
+    scopes: API_TOKEN_SCOPES,
+    tokens: (config.apiTokens || []).map(apiTokenView),
+    ts: Date.now()
+  });
+});
+
+app.post("/api/tokens/create", requireToken, rateLimit, (req, res) => {
+  try {
+    const { entry, token } = createApiToken({
+      name: req.body?.name,
+      scopes: req.body?.scopes,
+      profiles: req.body?.profiles
+    });
+    if (!persistConfigSafe()) {
+      config.apiTokens = config.apiTokens.filter((x) => x.id !== entry.id);
+      return res.status(500).json({ ok: false, error: "config write failed" });
+    }
+    logger.info("api token created", {
+      requestId: req.requestId,
+      tokenName: req.auth?.name || "",
+      id: entry.id,
+      name: entry.name,
+      scopes: entry.scopes,
+      profiles: entry.profiles
+    });
+    res.json({ ok: true, token, entry: apiTokenView(entry) });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.post("/api/tokens/revoke", requireToken, rateLimit, (req, res) => {
+  const id = safeTrim(req.body?.id, 40);
+  if (!id) return res.status(400).json({ ok: false, error: "id fehlt" });
+  const entry = (config.apiTokens || []).find((x) => x.id === id);
+  if (!entry) return res.status(404).json({ ok: false, error: "Token nicht gefunden" });
+  config.apiTokens = config.apiTokens.filter((x) => x.id !== id);
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  apiTokenUsage.delete(id);
+  disconnectAuthClients(id);
+  logger.info("api token revoked", { requestId: req.requestId, tokenName: req.auth?.name || "", id, name: entry.name });
+  res.json({ ok: true, id });
+});
+
+// Pairing codes are one-time and short-lived; only their hash is kept in memory.
+const pairingState = { pending: new Map(), failedAttempts: 0 };
+
+function normalizePairingCode(raw) {
+  return String(raw || "").toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 16);
+}
+
+function formatPairingCode(code) {
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+function purgeExpiredPairings(now = Date.now()) {
+  for (const [key, entry] of pairingState.pending) {
+    if (entry.expiresAt <= now) pairingState.pending.delete(key);
+  }
+}
+
+function pairingView(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    scopes: [...entry.scopes],
+    profiles: [...entry.profiles],
+    createdAt: new Date(entry.createdAt).toISOString(),
+    expiresAt: new Date(entry.expiresAt).toISOString()
+  };
+}
+
+function lanBaseUrls() {
+  const urls = [];
+  for (const list of Object.values(os.networkInterfaces())) {
+    for (const addr of list || []) {
+      if ((addr.family !== "IPv4" && addr.family !== 4) || addr.internal) continue;
+      urls.push(`http://${addr.address}:${config.port}`);
+    }
+  }
+  return urls;
+}
+
+function resolvePairingBaseUrl(raw) {
+  const candidate = safeTrim(raw, 200).replace(/\/+$/, "");
+  if (/^https?:\/\/[^\s/?#]+$/i.test(candidate) && !/^https?:\/\/(localhost|127\.|\[::1\])/i.test(candidate)) return candidate;
+  const host = String(config.host || "");
+  if (host && host !== "0.0.0.0" && host !== "::") return `http://${host}:${config.port}`;
+  return lanBaseUrls()[0] || `http://127.0.0.1:${config.port}`;
+}
+
+function printPairingToConsole(entry, code, pairUrl, qr) {
+  const until = new Date(entry.expiresAt).toLocaleTimeString();
+  process.stdout.write([
+    "",
+    `Geraet koppeln: Code ${formatPairingCode(code)} (gueltig bis ${until})`,
+    qrToTerminal(qr),
+    pairUrl,
+    ""
+  ].join("\n") + "\n");
+}
+
+function startPairing(options = {}) {
+  purgeExpiredPairings();
+  if (pairingState.pending.size >= PAIRING_MAX_PENDING) throw new Error(`maximal ${PAIRING_MAX_PENDING} offene Kopplungen`);
+  const grant = validateApiTokenGrant({
+    scopes: options.scopes === undefined ? PAIRING_DEFAULT_SCOPES : options.scopes,
+    profiles: options.profiles
+  });
+  const bytes = crypto.randomBytes(PAIRING_CODE_LENGTH);
+  let code = "";
+  for (let i = 0; i < PAIRING_CODE_LENGTH; i += 1) code += PAIRING_CODE_CHARS[bytes[i] % PAIRING_CODE_CHARS.length];
+  const now = Date.now();
+  const entry = {
+    id: `p${crypto.randomBytes(4).toString("hex")}`,
+    name: safeTrim(options.name, 64),
+    ...grant,
+    createdAt: now,
+    expiresAt: now + PAIRING_CODE_TTL_MS
+  };
+  pairingState.pending.set(hashApiToken(code), entry);
+  pairingState.failedAttempts = 0;
+
+  const pairUrl = `${resolvePairingBaseUrl(options.baseUrl)}/StreamDeck.html?pair=${code}`;
+  const qr = qrEncodeText(pairUrl);
+  if (options.print !== false) printPairingToConsole(entry, code, pairUrl, qr);
+  return { entry, code, pairUrl, qr };
+}
+
+function redeemPairing(rawCode, deviceName) {
+  purgeExpiredPairings();
+  const code = normalizePairingCode(rawCode);
+  const key = hashApiToken(code);
+  const entry = code.length === PAIRING_CODE_LENGTH ? pairingState.pending.get(key) : null;
+  if (!entry) {
+    pairingState.failedAttempts += 1;
+    if (pairingState.failedAttempts >= PAIRING_MAX_FAILED_ATTEMPTS && pairingState.pending.size) {
+      logger.warn("pairing codes invalidated after failed attempts", {
+        failedAttempts: pairingState.failedAttempts,
+        pending: pairingState.pending.size
+      });
+      pairingState.pending.clear();
     }
+    return null;
   }
-  scheduleTick();
+  const name = entry.name || safeTrim(deviceName, 64) || `Geraet ${new Date().toISOString().slice(0, 10)}`;
+  const created = createApiToken({ name, kind: "device", scopes: entry.scopes, profiles: entry.profiles });
+  pairingState.pending.delete(key);
+  return created;
+}
+
+app.get("/api/pairing", requireToken, rateLimit, (req, res) => {
+  purgeExpiredPairings();
+  res.json({
+    ok: true,
+    ttlMs: PAIRING_CODE_TTL_MS,
+    pending: Array.from(pairingState.pending.values()).map(pairingView),
+    ts: Date.now()
+  });
 });
 
-app.post("/api/icon", requireToken, rateLimit, async (req, res) => {
-  let targetPath = "";
+app.post("/api/pairing/start", requireToken, rateLimit, (req, res) => {
   try {
-    targetPath = assertSafeInput(req.body?.path, "path");
+    const { entry, code, pairUrl, qr } = startPairing({
+      name: req.body?.name,
+      scopes: req.body?.scopes,
+      profiles: req.body?.profiles,
+      baseUrl: req.body?.baseUrl
+    });
+    logger.info("pairing started", {
+      requestId: req.requestId,
+      tokenName: req.auth?.name || "",
+      id: entry.id,
+      name: entry.name,
+      scopes: entry.scopes,
+      profiles: entry.profiles
+    });
+    res.json({
+      ok: true,
+      code: formatPairingCode(code),
+      pairUrl,
+      qrSvg: qrToSvg(qr),
+      pairing: pairingView(entry)
+    });
   } catch (error) {
-    return res.status(400).json({ ok: false, error: String(error?.message || error) });
+    res.status(400).json({ ok: false, error: String(error?.message || error) });
   }
-  if (!targetPath) return res.status(400).json({ ok: false, error: "path fehlt" });
-  const iconData = await extractIconDataUrl(targetPath);
-  if (!iconData) return res.status(404).json({ ok: false, error: "kein icon" });
-  res.json({ ok: true, iconData });
 });
 
-app.get("/api/tiles/:id", requireToken, rateLimit, (req, res) => {
-  const id = safeTrim(req.params?.id || "", 96);
+app.post("/api/pairing/cancel", requireToken, rateLimit, (req, res) => {
+  const id = safeTrim(req.body?.id, 40);
   if (!id) return res.status(400).json({ ok: false, error: "id fehlt" });
-  const tile = config.tiles.find((x) => x.id === id);
-  if (!tile) return res.status(404).json({ ok: false, error: "tile nicht gefunden" });
-  return res.json({
-    ok: true,
-    tile: {
-      ...tile,
-      args: Array.isArray(tile.args) ? tile.args : [],
-      target: typeof tile.target === "string" ? tile.target : "",
-      launcherKey: typeof tile.launcherKey === "string" ? tile.launcherKey : "",
-      action: typeof tile.action === "string" ? tile.action : "",
-      startIn: typeof tile.startIn === "string" ? tile.startIn : "",
-      iconData: typeof tile.iconData === "string" ? tile.iconData : ""
-    }
-  });
+  for (const [key, entry] of pairingState.pending) {
+    if (entry.id !== id) continue;
+    pairingState.pending.delete(key);
+    return res.json({ ok: true, id });
+  }
+  return res.status(404).json({ ok: false, error: "Kopplung nicht gefunden" });
 });
 
-app.post("/api/tiles/upsert", requireToken, rateLimit, (req, res) => {
+// Public on purpose: the new device has no token yet. The one-time code is the credential.
+app.post("/api/pairing/redeem", rateLimit, (req, res) => {
   try {
-    const incoming = req.body?.tile;
-    if (!incoming || typeof incoming !== "object") {
-      return res.status(400).json({ ok: false, error: "tile fehlt" });
+    const created = redeemPairing(req.body?.code, req.body?.deviceName);
+    if (!created) {
+      logger.warn("pairing redeem failed", { requestId: req.requestId, ip: req.ip || req.socket?.remoteAddress || "" });
+      return res.status(400).json({ ok: false, error: "Kopplungscode ungueltig oder abgelaufen" });
     }
-
-    const id = String(incoming.id || "").trim();
-    const existing = id ? config.tiles.find((x) => x.id === id) : null;
-    if (existing && existing.builtin) {
-      return res.status(400).json({ ok: false, error: "builtin tiles koennen nicht ueberschrieben werden" });
+    if (!persistConfigSafe()) {
+      config.apiTokens = config.apiTokens.filter((x) => x.id !== created.entry.id);
+      return res.status(500).json({ ok: false, error: "config write failed" });
     }
-
-    const safe = sanitizeCustomTile(incoming, existing);
-    const idx = config.tiles.findIndex((x) => x.id === safe.id);
-    if (idx >= 0) config.tiles[idx] = safe;
-    else config.tiles.push(safe);
-    if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
-    bumpConfigRevision();
-    res.json({ ok: true, tile: safe });
+    logger.info("device paired", {
+      requestId: req.requestId,
+      id: created.entry.id,
+      name: created.entry.name,
+      ip: req.ip || req.socket?.remoteAddress || ""
+    });
+    res.json({ ok: true, token: created.token, device: apiTokenView(created.entry) });
   } catch (error) {
     res.status(400).json({ ok: false, error: String(error?.message || error) });
   }
 });
 
-app.post("/api/tiles/delete", requireToken, rateLimit, (req, res) => {
-  const id = String(req.body?.id || "").trim();
-  if (!id) return res.status(400).json({ ok: false, error: "id fehlt" });
-  const tile = config.tiles.find((x) => x.id === id);
-  if (!tile) return res.status(404).json({ ok: false, error: "tile nicht gefunden" });
-  if (tile.builtin) return res.status(400).json({ ok: false, error: "builtin tile kann nicht geloescht werden" });
-  config.tiles = config.tiles.filter((x) => x.id !== id);
-  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
-  bumpConfigRevision();
-  res.json({ ok: true });
-});
-
-app.post("/api/run", requireToken, rateLimit, (req, res) => {
+// Shared by POST /api/run and the WebSocket control channel.
+async function executeRunRequest(body, context = {}) {
+  const requestId = context.requestId || "";
+  const auth = context.auth || null;
+  const tokenName = auth ? auth.name : "";
   let runMeta = null;
   try {
-    const tileId = String(req.body?.tileId || "").trim();
-    const action = String(req.body?.action || "").trim();
-    const payload = req.body && typeof req.body === "object" ? req.body : {};
+    const tileId = String(body?.tileId || "").trim();
+    const action = String(body?.action || "").trim();
+    const payload = body && typeof body === "object" ? body : {};
 
     if (tileId) {
       const tile = config.tiles.find((x) => x.id === tileId);
       if (!tile) {
         recordRunEvent({
-          requestId: req.requestId,
+          requestId,
+          tokenName,
           source: "tile",
           tileId,
           label: tileId,
           ok: false,
           error: "tile nicht gefunden"
         });
-        return res.status(404).json({ ok: false, error: "tile nicht gefunden" });
+        return { status: 404, body: { ok: false, error: "tile nicht gefunden" } };
+      }
+      if (!authAllowsProfile(auth, tile.profile)) {
+        logger.warn("run denied", { requestId, tokenName, tileId: tile.id, profile: tile.profile });
+        return { status: 403, body: { ok: false, error: "forbidden: Profil nicht erlaubt" } };
       }
       runMeta = {
         source: "tile",
@@ -4658,14 +10393,26 @@ app.post("/api/run", requireToken, rateLimit, (req, res) => {
         label: safeTrim(tile.label || tile.id, 120),
         profile: safeTrim(tile.profile || "", 64),
         page: safeTrim(tile.page || "", 64),
-        type: safeTrim(tile.type || "", 32)
+        type: safeTrim(tile.type || "", 32),
+        tokenName
       };
-      runTile(tile, payload);
-      recordRunEvent({ ...runMeta, requestId: req.requestId, ok: true });
-      return res.json({ ok: true });
+      if (tile.type === "macro" && findActiveMacroRun(tile.id)) {
+        return { status: 409, body: { ok: false, error: "Makro laeuft bereits" } };
+      }
+      if (tile.type === "toggle" && findActiveMacroRun(`toggle:${tile.id}`)) {
+        return { status: 409, body: { ok: false, error: "Toggle laeuft bereits" } };
+      }
+      const ran = await runTile(tile, payload, { requestId, tokenName, auth });
+      recordRunEvent({ ...runMeta, requestId, ok: true, output: commandHistoryOutput(ran?.command) });
+      const tileResult = tileRunResult(ran);
+      if (tileResult) return { status: 200, body: { ok: true, ...tileResult } };
+      return { status: 200, body: ran ? { ok: true, macroRun: ran } : { ok: true } };
     }
 
     if (action) {
+      if (auth && auth.profiles.length) {
+        return { status: 403, body: { ok: false, error: "forbidden: nur Tiles erlaubter Profile" } };
+      }
       runMeta = {
         source: "action",
         tileId: "",
@@ -4673,31 +10420,559 @@ app.post("/api/run", requireToken, rateLimit, (req, res) => {
         label: safeTrim(action, 120),
         profile: "",
         page: "",
-        type: "action"
+        type: "action",
+        tokenName
       };
-      runLegacyAction(action, payload);
-      recordRunEvent({ ...runMeta, requestId: req.requestId, ok: true });
-      return res.json({ ok: true });
+      await runLegacyAction(action, payload);
+      recordRunEvent({ ...runMeta, requestId, ok: true });
+      return { status: 200, body: { ok: true } };
     }
 
-    return res.status(400).json({ ok: false, error: "tileId oder action fehlt" });
+    return { status: 400, body: { ok: false, error: "tileId oder action fehlt" } };
   } catch (error) {
     if (runMeta) {
       recordRunEvent({
         ...runMeta,
-        requestId: req.requestId,
+        requestId,
         ok: false,
-        error: safeTrim(String(error?.message || error), 240)
+        error: safeTrim(String(error?.message || error), 240),
+        output: commandHistoryOutput(error?.command)
       });
     }
     logger.error("run error", {
-      requestId: req.requestId,
+      requestId,
       error: String(error?.stack || error?.message || error)
     });
-    return res.status(500).json({ ok: false, error: String(error?.message || error) });
+    const failed = { ok: false, error: String(error?.message || error) };
+    if (error?.webhook) failed.webhook = error.webhook;
+    if (error?.command) failed.command = error.command;
+    return { status: Number(error?.status) || 500, body: failed };
+  }
+}
+
+app.post("/api/run", requireToken, rateLimit, async (req, res) => {
+  const result = await executeRunRequest(req.body, { requestId: req.requestId, auth: req.auth });
+  return res.status(result.status).json(result.body);
+});
+
+app.get("/api/macros/runs", requireToken, rateLimit, (req, res) => {
+  const allowed = (run) => authAllowsProfile(req.auth, run.profile);
+  return res.json({
+    ok: true,
+    active: Array.from(macroRunState.active.values()).filter(allowed).map(macroRunView),
+    recent: macroRunState.recent.slice(0, MACRO_RECENT_RUNS_LIMIT).filter(allowed),
+    ts: Date.now()
+  });
+});
+
+app.post("/api/macros/abort", requireToken, rateLimit, (req, res) => {
+  const runId = safeTrim(req.body?.runId, 40);
+  const tileId = safeTrim(req.body?.tileId, 96);
+  if (!runId && !tileId) return res.status(400).json({ ok: false, error: "runId oder tileId fehlt" });
+  const aborted = abortMacroRuns({ runId, tileId, auth: req.auth });
+  if (!aborted.length) return res.status(404).json({ ok: false, error: "kein laufendes Makro gefunden" });
+  logger.info("macro abort requested", { requestId: req.requestId, tokenName: req.auth?.name || "", aborted });
+  return res.json({ ok: true, aborted });
+});
+
+function compileSchedule(schedule) {
+  const key = JSON.stringify([schedule.cron || "", schedule.times || [], schedule.days || []]);
+  const cached = scheduleState.compiled.get(schedule.id);
+  if (cached && cached.key === key) return cached.matcher;
+
+  let matcher = null;
+  if (schedule.cron) {
+    const cron = parseCronExpression(schedule.cron);
+    matcher = {
+      dayOk: (d) => {
+        if (!cron.months.has(d.getMonth() + 1)) return false;
+        if (cron.anyDay && cron.anyWeekday) return true;
+        const dayMatch = cron.days.has(d.getDate());
+        const weekdayMatch = cron.weekdays.has(d.getDay());
+        if (cron.anyDay) return weekdayMatch;
+        if (cron.anyWeekday) return dayMatch;
+        return dayMatch || weekdayMatch;
+      },
+      hourOk: (h) => cron.hours.has(h),
+      minuteOk: (h, m) => cron.minutes.has(m)
+    };
+  } else {
+    const slots = new Set(schedule.times || []);
+    const hours = new Set((schedule.times || []).map((t) => Number(t.slice(0, 2))));
+    const days = new Set(schedule.days || []);
+    matcher = {
+      dayOk: (d) => !days.size || days.has(d.getDay()),
+      hourOk: (h) => hours.has(h),
+      minuteOk: (h, m) => slots.has(`${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`)
+    };
+  }
+  scheduleState.compiled.set(schedule.id, { key, matcher });
+  return matcher;
+}
+
+function scheduleMatchesAt(schedule, date) {
+  const matcher = compileSchedule(schedule);
+  return matcher.dayOk(date) && matcher.hourOk(date.getHours()) && matcher.minuteOk(date.getHours(), date.getMinutes());
+}
+
+function nextScheduleRun(schedule, fromTs = Date.now()) {
+  if (!schedule.enabled) return null;
+  const matcher = compileSchedule(schedule);
+  const d = new Date(fromTs);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = fromTs + SCHEDULE_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+  while (d.getTime() <= limit) {
+    if (!matcher.dayOk(d)) {
+      d.setHours(24, 0, 0, 0);
+    } else if (!matcher.hourOk(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (matcher.minuteOk(d.getHours(), d.getMinutes())) {
+      return d;
+    } else {
+      d.setMinutes(d.getMinutes() + 1);
+    }
+  }
+  return null;
+}
+
+function scheduleView(schedule) {
+  const next = nextScheduleRun(schedule);
+  return {
+    ...schedule,
+    nextRunAt: next ? next.toISOString() : "",
+    lastRun: scheduleState.lastRun.get(schedule.id) || null
+  };
+}
+
+async function executeSchedule(schedule, context = {}) {
+  const requestId = context.requestId || makeRequestId();
+  const meta = {
+    source: "schedule",
+    scheduleId: schedule.id,
+    requestId,
+    tokenName: context.tokenName || "",
+    tileId: "",
+    action: "",
+    label: safeTrim(schedule.label, 120),
+    profile: "",
+    page: "",
+    type: schedule.tileId ? "tile" : "macro"
+  };
+  const result = {
+    at: new Date().toISOString(),
+    trigger: context.trigger === "manual" ? "manual" : "timer",
+    ok: true,
+    error: "",
+    macroRunId: ""
+  };
+  try {
+    let macroRun = null;
+    if (schedule.tileId) {
+      const tile = config.tiles.find((x) => x.id === schedule.tileId);
+      if (!tile) throw new Error(`tile nicht gefunden: ${schedule.tileId}`);
+      meta.tileId = tile.id;
+      meta.action = tile.type === "action" ? safeTrim(tile.action || "", 96) : "";
+      meta.profile = safeTrim(tile.profile || "", 64);
+      meta.page = safeTrim(tile.page || "", 64);
+      meta.type = safeTrim(tile.type || "", 32);
+      const ran = await runTile(tile, {}, { requestId, tokenName: context.tokenName || "", auth: context.auth || null });
+      meta.output = commandHistoryOutput(ran?.command);
+      if (!tileRunResult(ran)) macroRun = ran;
+    } else {
+      macroRun = startMacroRun({
+        id: `schedule:${schedule.id}`,
+        label: schedule.label,
+        profile: "",
+        page: "",
+        steps: schedule.steps
+      }, { requestId, tokenName: context.tokenName || "", auth: context.auth || null });
+    }
+    if (macroRun) result.macroRunId = macroRun.id;
+  } catch (error) {
+    result.ok = false;
+    result.error = safeTrim(String(error?.message || error), 240);
+    meta.output = commandHistoryOutput(error?.command);
+  }
+  recordRunEvent({ ...meta, ok: result.ok, error: result.error });
+  scheduleState.lastRun.set(schedule.id, result);
+  const logMeta = { requestId, scheduleId: schedule.id, trigger: result.trigger, dryRun: DRY_RUN };
+  if (result.ok) logger.info("schedule run", logMeta);
+  else logger.warn("schedule run failed", { ...logMeta, error: result.error });
+  return result;
+}
+
+function runDueSchedules(now = new Date()) {
+  const minuteKey = Math.floor(now.getTime() / 60000);
+  for (const schedule of config.schedules || []) {
+    if (!schedule.enabled || scheduleState.lastMinute.get(schedule.id) === minuteKey) continue;
+    let due = false;
+    try {
+      due = scheduleMatchesAt(schedule, now);
+    } catch (error) {
+      logger.warn("schedule check failed", { scheduleId: schedule.id, error: String(error?.message || error) });
+    }
+    if (!due) continue;
+    scheduleState.lastMinute.set(schedule.id, minuteKey);
+    executeSchedule(schedule, { trigger: "timer" }).catch((error) => {
+      logger.error("schedule run error", { scheduleId: schedule.id, error: String(error?.message || error) });
+    });
+  }
+}
+
+// Re-armed once per minute, shortly after the boundary, so every minute is checked exactly once.
+function startScheduler() {
+  if (scheduleState.timer) clearTimeout(scheduleState.timer);
+  const delay = 60000 - (Date.now() % 60000) + 250;
+  scheduleState.timer = setTimeout(() => {
+    scheduleState.timer = null;
+    try {
+      runDueSchedules();
+    } catch (error) {
+      logger.error("scheduler tick failed", { error: String(error?.stack || error?.message || error) });
+    }
+    startScheduler();
+  }, delay);
+  if (typeof scheduleState.timer.unref === "function") scheduleState.timer.unref();
+}
+
+function stopScheduler() {
+  if (scheduleState.timer) clearTimeout(scheduleState.timer);
+  scheduleState.timer = null;
+}
+
+app.get("/api/schedules", requireToken, rateLimit, (req, res) => {
+  res.json({
+    ok: true,
+    schedules: (config.schedules || []).filter((x) => authAllowsAutomation(req.auth, x)).map(scheduleView),
+    serverTime: new Date().toISOString(),
+    ts: Date.now()
+  });
+});
+
+app.post("/api/schedules/upsert", requireToken, rateLimit, (req, res) => {
+  try {
+    const incoming = req.body?.schedule;
+    if (!incoming || typeof incoming !== "object") {
+      return res.status(400).json({ ok: false, error: "schedule fehlt" });
+    }
+    if (!Array.isArray(config.schedules)) config.schedules = [];
+    const id = safeTrim(incoming.id, 64);
+    const existing = id ? config.schedules.find((x) => x.id === id) : null;
+    if (!existing && config.schedules.length >= SCHEDULE_MAX_COUNT) {
+      return res.status(400).json({ ok: false, error: `maximal ${SCHEDULE_MAX_COUNT} Zeitplaene` });
+    }
+    if (existing && !authAllowsAutomation(req.auth, existing)) {
+      return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+    }
+    const schedule = sanitizeSchedule(incoming, existing);
+    if (!authAllowsAutomation(req.auth, schedule)) {
+      return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+    }
+    if (existing) config.schedules = config.schedules.map((x) => (x.id === existing.id ? schedule : x));
+    else config.schedules.push(schedule);
+    if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+    bumpConfigRevision();
+    logger.info("schedule saved", { requestId: req.requestId, scheduleId: schedule.id, created: !existing });
+    res.json({ ok: true, schedule: scheduleView(schedule) });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.post("/api/schedules/delete", requireToken, rateLimit, (req, res) => {
+  const id = safeTrim(req.body?.id, 64);
+  if (!id) return res.status(400).json({ ok: false, error: "id fehlt" });
+  const schedule = (config.schedules || []).find((x) => x.id === id);
+  if (!schedule) return res.status(404).json({ ok: false, error: "Zeitplan nicht gefunden" });
+  if (!authAllowsAutomation(req.auth, schedule)) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+  config.schedules = config.schedules.filter((x) => x.id !== id);
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  scheduleState.compiled.delete(id);
+  scheduleState.lastMinute.delete(id);
+  scheduleState.lastRun.delete(id);
+  logger.info("schedule deleted", { requestId: req.requestId, scheduleId: id });
+  res.json({ ok: true, id });
+});
+
+app.post("/api/schedules/run", requireToken, rateLimit, async (req, res) => {
+  const id = safeTrim(req.body?.id, 64);
+  const schedule = (config.schedules || []).find((x) => x.id === id);
+  if (!schedule) return res.status(404).json({ ok: false, error: "Zeitplan nicht gefunden" });
+  if (!authAllowsAutomation(req.auth, schedule)) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+  const result = await executeSchedule(schedule, {
+    requestId: req.requestId,
+    tokenName: req.auth?.name || "",
+    auth: req.auth,
+    trigger: "manual"
+  });
+  if (!result.ok) return res.status(500).json({ ok: false, error: result.error, result });
+  res.json({ ok: true, result });
+});
+
+function ruleProcessImage(processName) {
+  const name = String(processName || "").trim();
+  return path.extname(name) ? name : `${name}.exe`;
+}
+
+function ruleAudioSessionMatches(trigger, session) {
+  if (!trigger.processName) return true;
+  const wanted = trigger.processName.toLowerCase().replace(/\.exe$/, "");
+  return String(session.processName || "").toLowerCase().replace(/\.exe$/, "") === wanted
+    || String(session.displayName || "").toLowerCase() === wanted;
+}
+
+function broadcastProfileSwitch(action, rule) {
+  const event = {
+    profile: action.profile,
+    page: action.page || "",
+    ruleId: rule.id,
+    label: rule.label,
+    ts: Date.now()
+  };
+  broadcastLiveEvent("rules", "profile", event, (auth) => authAllowsProfile(auth, action.profile));
+}
+
+function executeRule(rule, context = {}) {
+  const requestId = context.requestId || makeRequestId();
+  const entry = {
+    id: `f${ruleEngineState.nextId++}`,
+    ruleId: rule.id,
+    label: rule.label,
+    trigger: rule.trigger.type,
+    detail: safeTrim(context.detail || "", 160),
+    manual: context.manual === true,
+    at: new Date().toISOString(),
+    ok: true,
+    error: "",
+    macroRunId: "",
+    profile: ""
+  };
+  try {
+    const profileAction = rule.actions.find((x) => x.type === "profile");
+    const steps = rule.actions.filter((x) => x.type !== "profile");
+    if (profileAction) {
+      if (!config.profiles.some((p) => p.id === profileAction.profile)) {
+        throw new Error(`Profil nicht gefunden: ${profileAction.profile}`);
+      }
+      broadcastProfileSwitch(profileAction, rule);
+      entry.profile = profileAction.profile;
+    }
+    if (steps.length) {
+      const run = startMacroRun({
+        id: `rule:${rule.id}`,
+        label: rule.label,
+        profile: "",
+        page: "",
+        steps
+      }, { requestId, tokenName: context.tokenName || "", auth: context.auth || null });
+      entry.macroRunId = run.id;
+    }
+  } catch (error) {
+    entry.ok = false;
+    entry.error = safeTrim(String(error?.message || error), 240);
+  }
+  ruleEngineState.lastFiredAt.set(rule.id, Date.now());
+  pushBounded(ruleEngineState.history, entry, RULE_HISTORY_LIMIT);
+  recordRunEvent({
+    source: "rule",
+    ruleId: rule.id,
+    requestId,
+    tokenName: context.tokenName || "",
+    label: `${rule.label}: ${RULE_TRIGGER_LABELS[rule.trigger.type] || rule.trigger.type}`,
+    type: "rule",
+    ok: entry.ok,
+    error: entry.error
+  });
+  broadcastLiveEvent("rules", "rule", entry, (auth) => authAllowsAutomation(auth, rule));
+  const logMeta = { requestId, ruleId: rule.id, trigger: entry.trigger, detail: entry.detail, manual: entry.manual, dryRun: DRY_RUN };
+  if (entry.ok) logger.info("rule fired", logMeta);
+  else logger.warn("rule failed", { ...logMeta, error: entry.error });
+  return entry;
+}
+
+function fireRuleFromTrigger(rule, detail) {
+  const lastFiredAt = ruleEngineState.lastFiredAt.get(rule.id) || 0;
+  if (Date.now() - lastFiredAt < rule.cooldownSec * 1000) {
+    logger.debug("rule cooldown", { ruleId: rule.id, detail });
+    return;
+  }
+  executeRule(rule, { detail });
+}
+
+// Edge-triggered: the first poll only records a baseline, later polls fire on changes.
+async function evaluateRules() {
+  const rules = (config.rules || []).filter((x) => x.enabled);
+  const types = new Set(rules.map((x) => x.trigger.type));
+  const now = Date.now();
+
+  const processRules = rules.filter((x) => x.trigger.type === "processStart" || x.trigger.type === "processStop");
+  const processNow = new Map();
+  for (const name of uniq(processRules.map((x) => ruleProcessImage(x.trigger.processName).toLowerCase()))) {
+    processNow.set(name, await isProcessRunning(name));
+  }
+  for (const rule of processRules) {
+    const key = ruleProcessImage(rule.trigger.processName).toLowerCase();
+    const previous = ruleEngineState.processes.get(key);
+    const current = processNow.get(key);
+    if (previous === undefined || previous === current) continue;
+    if (current === (rule.trigger.type === "processStart")) fireRuleFromTrigger(rule, key);
+  }
+  ruleEngineState.processes = processNow;
+
+  if (types.has("wowStart") || types.has("wowStop")) {
+    const current = await isProcessRunning(config.wow.processName);
+    const previous = ruleEngineState.wowRunning;
+    if (previous !== null && previous !== current) {
+      for (const rule of rules) {
+        if (rule.trigger.type === (current ? "wowStart" : "wowStop")) fireRuleFromTrigger(rule, config.wow.processName);
+      }
+    }
+    ruleEngineState.wowRunning = current;
+  } else {
+    ruleEngineState.wowRunning = null;
+  }
+
+  if (types.has("audioSession")) {
+    const snapshot = await readAudioMixerSnapshot();
+    if (snapshot.available) {
+      const sessions = new Map(snapshot.sessions.map((x) => [x.sessionKey || `pid:${x.pid}`, x]));
+      if (ruleEngineState.audioKeys) {
+        for (const [key, session] of sessions) {
+          if (ruleEngineState.audioKeys.has(key)) continue;
+          for (const rule of rules) {
+            if (rule.trigger.type !== "audioSession" || !ruleAudioSessionMatches(rule.trigger, session)) continue;
+            fireRuleFromTrigger(rule, session.displayName || session.processName || key);
+          }
+        }
+      }
+      ruleEngineState.audioKeys = new Set(sessions.keys());
+    }
+  } else {
+    ruleEngineState.audioKeys = null;
+  }
+
+  if (types.has("cpuAbove")) {
+    const metrics = await collectSystemMetrics();
+    const cpu = Number(metrics.cpu?.usagePercent) || 0;
+    for (const rule of rules) {
+      if (rule.trigger.type !== "cpuAbove") continue;
+      if (cpu < rule.trigger.threshold) {
+        ruleEngineState.cpuAboveSince.delete(rule.id);
+        ruleEngineState.cpuFired.delete(rule.id);
+        continue;
+      }
+      if (!ruleEngineState.cpuAboveSince.has(rule.id)) ruleEngineState.cpuAboveSince.set(rule.id, now);
+      if (ruleEngineState.cpuFired.has(rule.id)) continue;
+      if (now - ruleEngineState.cpuAboveSince.get(rule.id) < rule.trigger.forSec * 1000) continue;
+      ruleEngineState.cpuFired.add(rule.id);
+      fireRuleFromTrigger(rule, `CPU ${Math.round(cpu)}%`);
+    }
+  }
+}
+
+function startRuleEngine() {
+  if (ruleEngineState.timer) clearTimeout(ruleEngineState.timer);
+  ruleEngineState.timer = setTimeout(async () => {
+    ruleEngineState.timer = null;
+    if (ruleEngineState.running) return;
+    ruleEngineState.running = true;
+    try {
+      await evaluateRules();
+    } catch (error) {
+      logger.warn("rule evaluation failed", { error: String(error?.message || error) });
+    } finally {
+      ruleEngineState.running = false;
+    }
+    if (!shuttingDown) startRuleEngine();
+  }, RULE_POLL_MS);
+  if (typeof ruleEngineState.timer.unref === "function") ruleEngineState.timer.unref();
+}
+
+function stopRuleEngine() {
+  if (ruleEngineState.timer) clearTimeout(ruleEngineState.timer);
+  ruleEngineState.timer = null;
+}
+
+function resetRuleTriggerState(ruleId) {
+  ruleEngineState.cpuAboveSince.delete(ruleId);
+  ruleEngineState.cpuFired.delete(ruleId);
+  ruleEngineState.lastFiredAt.delete(ruleId);
+}
+
+app.get("/api/rules", requireToken, rateLimit, (req, res) => {
+  const limit = Math.max(1, Math.min(RULE_HISTORY_LIMIT, Number(req.query?.historyLimit) || 20));
+  res.json({
+    ok: true,
+    rules: (config.rules || []).filter((x) => authAllowsAutomation(req.auth, x)),
+    triggers: Array.from(RULE_TRIGGER_TYPES).map((type) => ({ type, label: RULE_TRIGGER_LABELS[type] })),
+    history: ruleHistoryForAuth(ruleEngineState.history, req.auth).slice(0, limit),
+    ts: Date.now()
+  });
+});
+
+app.post("/api/rules/upsert", requireToken, rateLimit, (req, res) => {
+  try {
+    const incoming = req.body?.rule;
+    if (!incoming || typeof incoming !== "object") {
+      return res.status(400).json({ ok: false, error: "rule fehlt" });
+    }
+    if (!Array.isArray(config.rules)) config.rules = [];
+    const id = safeTrim(incoming.id, 64);
+    const existing = id ? config.rules.find((x) => x.id === id) : null;
+    if (!existing && config.rules.length >= RULE_MAX_COUNT) {
+      return res.status(400).json({ ok: false, error: `maximal ${RULE_MAX_COUNT} Regeln` });
+    }
+    if (existing && !authAllowsAutomation(req.auth, existing)) {
+      return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+    }
+    const rule = sanitizeRule(incoming, existing);
+    if (!authAllowsAutomation(req.auth, rule)) {
+      return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+    }
+    if (existing) config.rules = config.rules.map((x) => (x.id === existing.id ? rule : x));
+    else config.rules.push(rule);
+    if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+    bumpConfigRevision();
+    resetRuleTriggerState(rule.id);
+    logger.info("rule saved", { requestId: req.requestId, ruleId: rule.id, trigger: rule.trigger.type, created: !existing });
+    res.json({ ok: true, rule });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: String(error?.message || error) });
   }
 });
 
+app.post("/api/rules/delete", requireToken, rateLimit, (req, res) => {
+  const id = safeTrim(req.body?.id, 64);
+  if (!id) return res.status(400).json({ ok: false, error: "id fehlt" });
+  const rule = (config.rules || []).find((x) => x.id === id);
+  if (!rule) return res.status(404).json({ ok: false, error: "Regel nicht gefunden" });
+  if (!authAllowsAutomation(req.auth, rule)) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+  config.rules = config.rules.filter((x) => x.id !== id);
+  if (!persistConfigSafe()) return res.status(500).json({ ok: false, error: "config write failed" });
+  bumpConfigRevision();
+  resetRuleTriggerState(id);
+  logger.info("rule deleted", { requestId: req.requestId, ruleId: id });
+  res.json({ ok: true, id });
+});
+
+app.post("/api/rules/run", requireToken, rateLimit, (req, res) => {
+  const id = safeTrim(req.body?.id, 64);
+  const rule = (config.rules || []).find((x) => x.id === id);
+  if (!rule) return res.status(404).json({ ok: false, error: "Regel nicht gefunden" });
+  if (!authAllowsAutomation(req.auth, rule)) return res.status(403).json({ ok: false, error: "forbidden: Profil nicht erlaubt" });
+  const fired = executeRule(rule, {
+    requestId: req.requestId,
+    tokenName: req.auth?.name || "",
+    auth: req.auth,
+    detail: "manuell",
+    manual: true
+  });
+  if (!fired.ok) return res.status(500).json({ ok: false, error: fired.error, fired });
+  res.json({ ok: true, fired });
+});
+
 app.use("/api", (req, res) => {
   return res.status(404).json({ ok: false, error: "api route not found" });
 });
@@ -4707,6 +10982,9 @@ app.use((err, req, res, next) => {
   if (err && (err.type === "entity.parse.failed" || err instanceof SyntaxError)) {
     return res.status(400).json({ ok: false, error: "ungueltiger JSON-Body" });
   }
+  if (err?.type === "entity.too.large") {
+    return res.status(413).json({ ok: false, error: "Body zu gross" });
+  }
   logger.error("unhandled api error", {
     requestId: req.requestId,
     method: req?.method,
@@ -4723,7 +11001,17 @@ const server = app.listen(config.port, config.host, () => {
   logger.info(`LogDir: ${loggerState.dir}`);
   if (DISABLE_AUTODETECT) logger.warn("Launcher autodetect disabled by environment");
   if (DRY_RUN) logger.warn("Dry-run mode active: external process starts are disabled");
+  startScheduler();
+  startRuleEngine();
+  if (PAIR_ON_START) {
+    try {
+      startPairing();
+    } catch (error) {
+      logger.warn("pairing on start failed", { error: String(error?.message || error) });
+    }
+  }
 });
+server.on("upgrade", handleWsUpgrade);
 
 let shuttingDown = false;
 function shutdown(signal) {
@@ -4731,6 +11019,13 @@ function shutdown(signal) {
   shuttingDown = true;
   logger.warn("shutdown signal received", { signal });
   closeAllLiveStreams("shutdown");
+  closeAllWsClients("shutdown");
+  disconnectObs("shutdown");
+  stopSoundboardPlayback();
+  abortMacroRuns();
+  stopScheduler();
+  stopRuleEngine();
+  stopTileStatePoll();
   server.close(() => {
     logger.info("http server closed");
     process.exit(0);
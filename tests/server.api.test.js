@@ -5,6 +5,8 @@ const assert = require("node:assert/strict");
 const fs = require("node:fs");
 const os = require("node:os");
 const path = require("node:path");
+const crypto = require("node:crypto");
+const http = require("node:http");
 const { spawn } = require("node:child_process");
 
 const PROJECT_ROOT = path.resolve(__dirname, "..");
@@ -97,7 +99,180 @@ async function requestJson(baseUrl, token, route, init = {}) {
   return { status: response.status, body };
 }
 
-test("API smoke: auth, tile lifecycle, dry-run execution", { timeout: 40000 }, async () => {
+async function readSseUntil(reader, pattern, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  let text = "";
+  while (Date.now() < deadline) {
+    const chunk = await Promise.race([
+      reader.read(),
+      sleep(Math.max(1, deadline - Date.now())).then(() => ({ done: true, value: null }))
+    ]);
+    if (chunk.done) break;
+    text += Buffer.from(chunk.value || []).toString("utf8");
+    if (pattern.test(text)) return text;
+  }
+  return text;
+}
+
+function openWsClient(baseUrl, route) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${route}`, {
+      headers: {
+        Connection: "Upgrade",
+        Upgrade: "websocket",
+        "Sec-WebSocket-Version": "13",
+        "Sec-WebSocket-Key": crypto.randomBytes(16).toString("base64")
+      }
+    });
+    req.on("response", (res) => resolve({ status: res.statusCode }));
+    req.on("error", reject);
+    req.on("upgrade", (res, socket, head) => {
+      const messages = [];
+      const waiters = [];
+      let buffer = Buffer.from(head || []);
+      const drain = () => {
+        while (buffer.length >= 2) {
+          let len = buffer[1] & 0x7f;
+          let offset = 2;
+          if (len === 126) {
+            len = buffer.readUInt16BE(2);
+            offset = 4;
+          } else if (len === 127) {
+            len = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+          }
+          if (buffer.length < offset + len) break;
+          const opcode = buffer[0] & 0x0f;
+          const payload = buffer.subarray(offset, offset + len).toString("utf8");
+          buffer = buffer.subarray(offset + len);
+          if (opcode !== 0x1) continue;
+          messages.push(JSON.parse(payload));
+          for (const waiter of waiters.splice(0)) waiter();
+        }
+      };
+      socket.on("data", (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        drain();
+      });
+      drain();
+      const send = (data) => {
+        const payload = Buffer.from(JSON.stringify(data), "utf8");
+        const mask = crypto.randomBytes(4);
+        const header = payload.length < 126 ? Buffer.from([0x81, 0x80 | payload.length]) : Buffer.from([0x81, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+        const masked = Buffer.from(payload.map((byte, idx) => byte ^ mask[idx % 4]));
+        socket.write(Buffer.concat([header, mask, masked]));
+      };
+      const next = async (predicate, timeoutMs = 5000) => {
+        const deadline = Date.now() + timeoutMs;
+        while (Date.now() < deadline) {
+          const idx = messages.findIndex(predicate);
+          if (idx >= 0) return messages.splice(idx, 1)[0];
+          await Promise.race([new Promise((r) => waiters.push(r)), sleep(100)]);
+        }
+        return null;
+      };
+      resolve({ status: res.statusCode, send, next, close: () => socket.destroy() });
+    });
+    req.end();
+  });
+}
+
+// Speaks enough obs-websocket v5 (Hello/Identify with auth, requests, events) for the OBS integration tests.
+function startMockObsServer(password) {
+  const salt = crypto.randomBytes(8).toString("base64");
+  const challenge = crypto.randomBytes(8).toString("base64");
+  const secret = crypto.createHash("sha256").update(password + salt).digest("base64");
+  const expectedAuth = crypto.createHash("sha256").update(secret + challenge).digest("base64");
+  const sockets = new Set();
+  const clients = new Set();
+  const requests = [];
+  const responses = {
+    GetCurrentProgramScene: () => ({ currentProgramSceneName: "Live" }),
+    GetStreamStatus: () => ({ outputActive: true, outputReconnecting: false, outputTimecode: "00:01:00.000", outputDuration: 60000, outputBytes: 750000 }),
+    GetRecordStatus: () => ({ outputActive: false, outputPaused: false, outputTimecode: "00:00:00.000", outputDuration: 0, outputBytes: 0 }),
+    GetSceneList: () => ({ currentProgramSceneName: "Live", scenes: [{ sceneName: "Pause", sceneIndex: 0 }, { sceneName: "Live", sceneIndex: 1 }] }),
+    GetSceneItemList: () => ({ sceneItems: [{ sceneItemId: 1, sourceName: "Kamera", sceneItemEnabled: true }] }),
+    GetInputList: () => ({ inputs: [{ inputName: "Mic", inputKind: "wasapi_input_capture" }, { inputName: "Kamera", inputKind: "dshow_input" }] }),
+    GetInputMute: (data) => (data?.inputName === "Mic" ? { inputMuted: false } : null)
+  };
+
+  const server = http.createServer((req, res) => {
+    res.statusCode = 426;
+    res.end();
+  });
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+  server.on("upgrade", (req, socket) => {
+    const accept = crypto.createHash("sha1").update(`${req.headers["sec-websocket-key"]}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest("base64");
+    socket.write(["HTTP/1.1 101 Switching Protocols", "Upgrade: websocket", "Connection: Upgrade", `Sec-WebSocket-Accept: ${accept}`, "", ""].join("\r\n"));
+    const send = (op, d) => {
+      const payload = Buffer.from(JSON.stringify({ op, d }), "utf8");
+      const header = payload.length < 126 ? Buffer.from([0x81, payload.length]) : Buffer.from([0x81, 126, payload.length >> 8, payload.length & 0xff]);
+      socket.write(Buffer.concat([header, payload]));
+    };
+    const handle = (message) => {
+      if (message.op === 1) {
+        if (message.d?.authentication !== expectedAuth) {
+          socket.end(Buffer.from([0x88, 2, 4009 >> 8, 4009 & 0xff]));
+          return;
+        }
+        clients.add(send);
+        socket.on("close", () => clients.delete(send));
+        send(2, { negotiatedRpcVersion: 1 });
+        return;
+      }
+      if (message.op !== 6) return;
+      const { requestType, requestId, requestData } = message.d || {};
+      requests.push(requestType);
+      const data = responses[requestType] ? responses[requestType](requestData) : null;
+      send(7, {
+        requestType,
+        requestId,
+        requestStatus: data ? { result: true, code: 100 } : { result: false, code: 604, comment: "nicht unterstuetzt" },
+        ...(data ? { responseData: data } : {})
+      });
+    };
+    let buffer = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 6) {
+        let len = buffer[1] & 0x7f;
+        let offset = 2;
+        if (len === 126) {
+          len = buffer.readUInt16BE(2);
+          offset = 4;
+        }
+        if (buffer.length < offset + 4 + len) break;
+        const opcode = buffer[0] & 0x0f;
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + len)).map((byte, idx) => byte ^ mask[idx % 4]);
+        buffer = buffer.subarray(offset + 4 + len);
+        if (opcode === 0x8) socket.end();
+        if (opcode === 0x1) handle(JSON.parse(Buffer.from(payload).toString("utf8")));
+      }
+    });
+    socket.on("error", () => {});
+    send(0, { obsWebSocketVersion: "5.5.0", rpcVersion: 1, authentication: { salt, challenge } });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({
+      port: server.address().port,
+      requests,
+      emit: (eventType, eventData) => {
+        for (const send of clients) send(5, { eventType, eventIntent: 4, eventData });
+      },
+      close: () => new Promise((done) => {
+        for (const socket of sockets) socket.destroy();
+        server.close(() => done());
+      })
+    }));
+  });
+}
+
+async function startTestServer() {
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "streamdeck-remote-test-"));
   const configPath = path.join(tmpDir, "config.json");
   const port = 19000 + Math.floor(Math.random() * 400);
@@ -146,14 +321,44 @@ test("API smoke: auth, tile lifecycle, dry-run execution", { timeout: 40000 }, a
       ...process.env,
       STREAMDECK_CONFIG_PATH: configPath,
       STREAMDECK_DRY_RUN: "1",
-      STREAMDECK_DISABLE_AUTODETECT: "1"
+      STREAMDECK_DISABLE_AUTODETECT: "1",
+      CI_SECRET_TOKEN: "leak"
     }
   });
 
   try {
     await waitForServerStart(child, port);
-    const baseUrl = `http://127.0.0.1:${port}`;
+  } catch (error) {
+    await stopProcess(child);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    throw error;
+  }
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    token,
+    tmpDir,
+    child,
+    fuzzyProgramPath,
+    stop: async () => {
+      await stopProcess(child);
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  };
+}
 
+async function createActionTile(baseUrl, token, label = "CI Tile") {
+  const created = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+    method: "POST",
+    body: { tile: { profile: "work", page: "main", label, type: "action", action: "powershell" } }
+  });
+  assert.equal(created.status, 200);
+  return created.body.tile.id;
+}
+
+test("API smoke: auth, tile lifecycle, dry-run execution", { timeout: 40000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token } = server;
+  try {
     const unauthorized = await fetch(`${baseUrl}/api/health`);
     assert.equal(unauthorized.status, 401);
 
@@ -171,6 +376,12 @@ test("API smoke: auth, tile lifecycle, dry-run execution", { timeout: 40000 }, a
     assert.equal(health.body?.features?.questAssistantLive, false);
     assert.equal(health.body?.features?.curseforgeControl, true);
     assert.equal(health.body?.features?.audioMixer, true);
+    assert.equal(health.body?.features?.macroTiles, true);
+    assert.equal(health.body?.features?.profileManagement, true);
+    assert.equal(health.body?.features?.schedules, true);
+    assert.equal(health.body?.features?.rules, true);
+    assert.equal(health.body?.features?.obsControl, true);
+    assert.equal(health.body?.features?.soundboardPlayback, true);
 
     const metrics = await requestJson(baseUrl, token, "/api/system/metrics");
     assert.equal(metrics.status, 200);
@@ -415,8 +626,1397 @@ test("API smoke: auth, tile lifecycle, dry-run execution", { timeout: 40000 }, a
     assert.equal(api404.body?.ok, false);
     assert.equal(api404.body?.error, "api route not found");
   } finally {
-    await stopProcess(child);
-    fs.rmSync(tmpDir, { recursive: true, force: true });
+    await server.stop();
   }
 });
 
+test("Macro tiles: run, abort and history", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token } = server;
+  try {
+    const tileId = await createActionTile(baseUrl, token);
+
+    const selfMacro = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", label: "CI Macro Empty", type: "macro", steps: [] } }
+    });
+    assert.equal(selfMacro.status, 400);
+
+    const createMacro = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: {
+          profile: "work",
+          page: "main",
+          label: "CI Macro",
+          type: "macro",
+          steps: [
+            { type: "tile", tileId },
+            { type: "volume", processName: "Spotify", volumePercent: 20 },
+            { type: "delay", ms: 4000 },
+            { type: "action", action: "terminal" }
+          ]
+        }
+      }
+    });
+    assert.equal(createMacro.status, 200);
+    const macroTileId = createMacro.body?.tile?.id;
+    assert.ok(typeof macroTileId === "string" && macroTileId.length > 0);
+
+    const macroDetails = await requestJson(baseUrl, token, `/api/tiles/${encodeURIComponent(macroTileId)}`);
+    assert.equal(macroDetails.status, 200);
+    assert.equal(macroDetails.body?.tile?.steps?.length, 4);
+
+    const runMacro = await requestJson(baseUrl, token, "/api/run", {
+      method: "POST",
+      body: { tileId: macroTileId }
+    });
+    assert.equal(runMacro.status, 200);
+    const macroRunId = runMacro.body?.macroRun?.id;
+    assert.ok(typeof macroRunId === "string" && macroRunId.length > 0);
+    assert.equal(runMacro.body?.macroRun?.stepCount, 4);
+
+    const runMacroTwice = await requestJson(baseUrl, token, "/api/run", {
+      method: "POST",
+      body: { tileId: macroTileId }
+    });
+    assert.equal(runMacroTwice.status, 409);
+
+    await sleep(400);
+    const macroRuns = await requestJson(baseUrl, token, "/api/macros/runs");
+    assert.equal(macroRuns.status, 200);
+    assert.ok(macroRuns.body?.active?.some((run) => run.id === macroRunId));
+
+    const abortMacro = await requestJson(baseUrl, token, "/api/macros/abort", {
+      method: "POST",
+      body: { runId: macroRunId }
+    });
+    assert.equal(abortMacro.status, 200);
+    assert.deepEqual(abortMacro.body?.aborted, [macroRunId]);
+
+    await sleep(200);
+    const macroRunsAfter = await requestJson(baseUrl, token, "/api/macros/runs");
+    const abortedRun = macroRunsAfter.body?.recent?.find((run) => run.id === macroRunId);
+    assert.equal(abortedRun?.status, "aborted");
+    assert.equal(abortedRun?.results?.length, 3);
+
+    const macroHistory = await requestJson(baseUrl, token, "/api/run/history?limit=20");
+    assert.ok(macroHistory.body?.recent?.some((entry) => entry.source === "macro" && entry.macroRunId === macroRunId));
+
+    const deleteUsedTile = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: tileId } });
+    assert.equal(deleteUsedTile.status, 409);
+    assert.deepEqual(deleteUsedTile.body?.usedBy, [macroTileId]);
+    const forceDeleteTile = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: tileId, force: true } });
+    assert.equal(forceDeleteTile.status, 200);
+    assert.deepEqual(forceDeleteTile.body?.usedBy, [macroTileId]);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("Schedules: times, cron and manual runs", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token } = server;
+  try {
+    const tileId = await createActionTile(baseUrl, token);
+
+    const badCron = await requestJson(baseUrl, token, "/api/schedules/upsert", {
+      method: "POST",
+      body: { schedule: { label: "CI Cron", cron: "61 * * * *", tileId } }
+    });
+    assert.equal(badCron.status, 400);
+    const badTime = await requestJson(baseUrl, token, "/api/schedules/upsert", {
+      method: "POST",
+      body: { schedule: { label: "CI Zeit", times: ["25:00"], tileId } }
+    });
+    assert.equal(badTime.status, 400);
+    const createSchedule = await requestJson(baseUrl, token, "/api/schedules/upsert", {
+      method: "POST",
+      body: { schedule: { label: "CI Zeitplan", times: ["18:00", "7:05"], days: [1, 2, 3, 4, 5], tileId } }
+    });
+    assert.equal(createSchedule.status, 200);
+    const scheduleId = createSchedule.body?.schedule?.id;
+    assert.ok(scheduleId);
+    assert.deepEqual(createSchedule.body?.schedule?.times, ["07:05", "18:00"]);
+    assert.ok(createSchedule.body?.schedule?.nextRunAt);
+    const createCronSchedule = await requestJson(baseUrl, token, "/api/schedules/upsert", {
+      method: "POST",
+      body: { schedule: { label: "CI Cron", cron: "*/15 9-17 * * 1-5", steps: [{ type: "delay", ms: 10 }] } }
+    });
+    assert.equal(createCronSchedule.status, 200);
+    const cronNext = new Date(createCronSchedule.body?.schedule?.nextRunAt);
+    assert.equal(cronNext.getMinutes() % 15, 0);
+    assert.ok(cronNext.getHours() >= 9 && cronNext.getHours() <= 17);
+
+    const runSchedule = await requestJson(baseUrl, token, "/api/schedules/run", {
+      method: "POST",
+      body: { id: scheduleId }
+    });
+    assert.equal(runSchedule.status, 200);
+    assert.equal(runSchedule.body?.result?.trigger, "manual");
+    const schedules = await requestJson(baseUrl, token, "/api/schedules");
+    assert.equal(schedules.status, 200);
+    assert.equal(schedules.body?.schedules?.length, 2);
+    assert.equal(schedules.body?.schedules?.find((x) => x.id === scheduleId)?.lastRun?.ok, true);
+    const scheduleHistory = await requestJson(baseUrl, token, "/api/run/history?limit=20");
+    assert.ok(scheduleHistory.body?.recent?.some((entry) => entry.source === "schedule" && entry.scheduleId === scheduleId));
+    const wowRunToken = await requestJson(baseUrl, token, "/api/tokens/create", { method: "POST", body: { name: "CI WoW Run", scopes: ["run"], profiles: ["wow"] } });
+    const wowToken = wowRunToken.body.token;
+    const foreignScheduleRun = await requestJson(baseUrl, wowToken, "/api/schedules/run", { method: "POST", body: { id: scheduleId } });
+    assert.equal(foreignScheduleRun.status, 403);
+    const stepScheduleRun = await requestJson(baseUrl, wowToken, "/api/schedules/run", { method: "POST", body: { id: createCronSchedule.body.schedule.id } });
+    assert.equal(stepScheduleRun.status, 403);
+    const wowSchedule = await requestJson(baseUrl, token, "/api/schedules/upsert", {
+      method: "POST",
+      body: { schedule: { label: "CI WoW", times: ["12:00"], tileId: "wowNavigator" } }
+    });
+    const wowScheduleRun = await requestJson(baseUrl, wowToken, "/api/schedules/run", { method: "POST", body: { id: wowSchedule.body.schedule.id } });
+    assert.equal(wowScheduleRun.status, 200);
+    const wowEditorToken = await requestJson(baseUrl, token, "/api/tokens/create", { method: "POST", body: { name: "CI WoW Editor", scopes: ["settings"], profiles: ["wow"] } });
+    const wowEditor = wowEditorToken.body.token;
+    const wowSchedules = await requestJson(baseUrl, wowEditor, "/api/schedules");
+    assert.deepEqual(wowSchedules.body?.schedules?.map((x) => x.id), [wowSchedule.body.schedule.id]);
+    const foreignScheduleSave = await requestJson(baseUrl, wowEditor, "/api/schedules/upsert", {
+      method: "POST",
+      body: { schedule: { label: "CI Fremd", times: ["12:00"], tileId } }
+    });
+    assert.equal(foreignScheduleSave.status, 403);
+    const foreignScheduleDelete = await requestJson(baseUrl, wowEditor, "/api/schedules/delete", { method: "POST", body: { id: scheduleId } });
+    assert.equal(foreignScheduleDelete.status, 403);
+    const revisionBefore = await requestJson(baseUrl, token, "/api/bootstrap");
+    const wowScheduleSave = await requestJson(baseUrl, wowEditor, "/api/schedules/upsert", {
+      method: "POST",
+      body: { schedule: { ...wowSchedule.body.schedule, times: ["13:00"] } }
+    });
+    assert.equal(wowScheduleSave.status, 200);
+    const revisionAfter = await requestJson(baseUrl, token, "/api/bootstrap");
+    assert.ok(revisionAfter.body.configRevision > revisionBefore.body.configRevision);
+    const deleteScheduledTile = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: tileId } });
+    assert.equal(deleteScheduledTile.status, 409);
+    assert.deepEqual(deleteScheduledTile.body?.usedBy, [scheduleId]);
+    const deleteSchedule = await requestJson(baseUrl, token, "/api/schedules/delete", {
+      method: "POST",
+      body: { id: createCronSchedule.body.schedule.id }
+    });
+    assert.equal(deleteSchedule.status, 200);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("Rules: process trigger, live events and history", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token } = server;
+  try {
+    const tileId = await createActionTile(baseUrl, token);
+
+    const badRule = await requestJson(baseUrl, token, "/api/rules/upsert", {
+      method: "POST",
+      body: { rule: { label: "CI Regel", trigger: { type: "processStart" }, actions: [{ type: "tile", tileId }] } }
+    });
+    assert.equal(badRule.status, 400);
+    const createRule = await requestJson(baseUrl, token, "/api/rules/upsert", {
+      method: "POST",
+      body: {
+        rule: {
+          label: "CI Regel",
+          trigger: { type: "processStart", processName: "obs64.exe" },
+          actions: [{ type: "profile", profile: "work" }, { type: "tile", tileId }]
+        }
+      }
+    });
+    assert.equal(createRule.status, 200);
+    const ruleId = createRule.body?.rule?.id;
+    assert.ok(ruleId);
+    assert.equal(createRule.body?.rule?.cooldownSec, 30);
+
+    const rulesStream = await fetch(`${baseUrl}/api/stream/live?channels=rules&intervalMs=15000`, {
+      headers: { "X-Token": token }
+    });
+    assert.equal(rulesStream.status, 200);
+    const rulesReader = rulesStream.body.getReader();
+    await readSseUntil(rulesReader, /event:\s*hello/);
+    const runRule = await requestJson(baseUrl, token, "/api/rules/run", {
+      method: "POST",
+      body: { id: ruleId }
+    });
+    assert.equal(runRule.status, 200);
+    assert.equal(runRule.body?.fired?.profile, "work");
+    const rulesEventText = await readSseUntil(rulesReader, /event:\s*profile\ndata: .*"work"/);
+    await rulesReader.cancel();
+    assert.match(rulesEventText, /event:\s*profile\ndata: .*"ruleId":"/);
+    const rules = await requestJson(baseUrl, token, "/api/rules");
+    assert.equal(rules.status, 200);
+    assert.equal(rules.body?.rules?.length, 1);
+    assert.equal(rules.body?.history?.[0]?.ruleId, ruleId);
+    assert.equal(rules.body?.history?.[0]?.manual, true);
+    const ruleHistory = await requestJson(baseUrl, token, "/api/run/history?limit=20");
+    assert.ok(ruleHistory.body?.recent?.some((entry) => entry.source === "rule" && entry.ruleId === ruleId));
+    const wowRunToken = await requestJson(baseUrl, token, "/api/tokens/create", { method: "POST", body: { name: "CI WoW Run", scopes: ["run"], profiles: ["wow"] } });
+    const wowToken = wowRunToken.body.token;
+    const foreignRuleRun = await requestJson(baseUrl, wowToken, "/api/rules/run", { method: "POST", body: { id: ruleId } });
+    assert.equal(foreignRuleRun.status, 403);
+    const wowRule = await requestJson(baseUrl, token, "/api/rules/upsert", {
+      method: "POST",
+      body: {
+        rule: {
+          label: "CI WoW Regel",
+          trigger: { type: "wowStart" },
+          actions: [{ type: "profile", profile: "wow" }, { type: "tile", tileId: "wowNavigator" }]
+        }
+      }
+    });
+    const wowRuleRun = await requestJson(baseUrl, wowToken, "/api/rules/run", { method: "POST", body: { id: wowRule.body.rule.id } });
+    assert.equal(wowRuleRun.status, 200);
+    const wowEditorToken = await requestJson(baseUrl, token, "/api/tokens/create", { method: "POST", body: { name: "CI WoW Editor", scopes: ["settings"], profiles: ["wow"] } });
+    const wowEditor = wowEditorToken.body.token;
+    const wowRules = await requestJson(baseUrl, wowEditor, "/api/rules");
+    assert.deepEqual(wowRules.body?.rules?.map((x) => x.id), [wowRule.body.rule.id]);
+    assert.ok(wowRules.body?.history?.length);
+    assert.ok(wowRules.body.history.every((entry) => entry.ruleId === wowRule.body.rule.id));
+    const foreignRuleSave = await requestJson(baseUrl, wowEditor, "/api/rules/upsert", {
+      method: "POST",
+      body: { rule: { label: "CI Fremd", trigger: { type: "wowStart" }, actions: [{ type: "tile", tileId }] } }
+    });
+    assert.equal(foreignRuleSave.status, 403);
+    const foreignRuleDelete = await requestJson(baseUrl, wowEditor, "/api/rules/delete", { method: "POST", body: { id: ruleId } });
+    assert.equal(foreignRuleDelete.status, 403);
+    const deleteRuleTile = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: tileId } });
+    assert.equal(deleteRuleTile.status, 409);
+    assert.deepEqual(deleteRuleTile.body?.usedBy, [ruleId]);
+    const revisionBefore = await requestJson(baseUrl, token, "/api/bootstrap");
+    const wowRuleDelete = await requestJson(baseUrl, wowEditor, "/api/rules/delete", { method: "POST", body: { id: wowRule.body.rule.id } });
+    assert.equal(wowRuleDelete.status, 200);
+    const revisionAfter = await requestJson(baseUrl, token, "/api/bootstrap");
+    assert.ok(revisionAfter.body.configRevision > revisionBefore.body.configRevision);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("Conditional tiles: showIf filters bootstrap", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token, tmpDir } = server;
+  try {
+    const badShowIf = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", label: "CI Bedingt", type: "url", target: "https://example.com", showIf: { type: "bogus" } } }
+    });
+    assert.equal(badShowIf.status, 400);
+    const shownTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: {
+          profile: "work",
+          page: "main",
+          label: "CI Sichtbar",
+          type: "url",
+          target: "https://example.com",
+          showIf: {
+            type: "all",
+            conditions: [
+              { type: "pathExists", path: tmpDir },
+              { type: "process", name: "ci-not-running.exe", running: false },
+              { type: "any", conditions: [{ type: "time", from: "00:00", to: "00:00" }, "wowRunning"] }
+            ]
+          }
+        }
+      }
+    });
+    assert.equal(shownTile.status, 200);
+    const hiddenTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: {
+          profile: "work",
+          page: "main",
+          label: "CI Versteckt",
+          type: "url",
+          target: "https://example.com",
+          showIf: { type: "not", condition: { type: "pathExists", path: tmpDir } }
+        }
+      }
+    });
+    assert.equal(hiddenTile.status, 200);
+    const conditionBootstrap = await requestJson(baseUrl, token, "/api/bootstrap");
+    const conditionIds = new Set(conditionBootstrap.body?.tiles?.map((t) => t.id));
+    assert.ok(conditionIds.has(shownTile.body.tile.id));
+    assert.ok(!conditionIds.has(hiddenTile.body.tile.id));
+    const hiddenDetails = await requestJson(baseUrl, token, `/api/tiles/${encodeURIComponent(hiddenTile.body.tile.id)}`);
+    assert.deepEqual(hiddenDetails.body?.tile?.showIf, { type: "not", condition: { type: "pathExists", path: tmpDir, exists: true } });
+    for (const id of [shownTile.body.tile.id, hiddenTile.body.tile.id]) {
+      const removed = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id } });
+      assert.equal(removed.status, 200);
+    }
+  } finally {
+    await server.stop();
+  }
+});
+
+test("Toggle and live face tiles", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token } = server;
+  try {
+    const tileId = await createActionTile(baseUrl, token);
+
+    const badToggle = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", label: "CI Toggle", type: "toggle", toggle: { source: "process", name: "ci-toggle.exe" } } }
+    });
+    assert.equal(badToggle.status, 400);
+    const toggleTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: {
+          profile: "work",
+          page: "main",
+          label: "CI Toggle",
+          type: "toggle",
+          toggle: {
+            source: "process",
+            name: "ci-toggle.exe",
+            on: { label: "CI An", icon: "🟢", steps: [{ type: "delay", ms: 1 }] },
+            off: { label: "CI Aus", icon: "⚪", steps: [{ type: "tile", tileId }] }
+          }
+        }
+      }
+    });
+    assert.equal(toggleTile.status, 200);
+    const toggleId = toggleTile.body?.tile?.id;
+    const toggleBootstrap = await requestJson(baseUrl, token, "/api/bootstrap");
+    const toggleFace = toggleBootstrap.body?.tiles?.find((t) => t.id === toggleId);
+    assert.equal(toggleFace?.toggleState, "off");
+    assert.equal(toggleFace?.label, "CI Aus");
+    assert.equal(toggleFace?.icon, "⚪");
+
+    const badFace = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", label: "CI Lautstaerke", type: "url", target: "https://example.com", face: { source: "volume" } } }
+    });
+    assert.equal(badFace.status, 400);
+    const faceTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: {
+          profile: "work",
+          page: "main",
+          label: "CI CPU",
+          type: "url",
+          target: "https://example.com",
+          face: { source: "cpu", format: "Last {value}%" }
+        }
+      }
+    });
+    assert.equal(faceTile.status, 200);
+    const faceId = faceTile.body?.tile?.id;
+    const ramTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", label: "CI RAM", type: "url", target: "https://example.com", face: { source: "ram" } } }
+    });
+    assert.equal(ramTile.status, 200);
+    const faceBootstrap = await requestJson(baseUrl, token, "/api/bootstrap");
+    const ramFace = faceBootstrap.body?.tiles?.find((t) => t.id === ramTile.body.tile.id);
+    assert.equal(ramFace?.faceSource, "ram");
+    assert.equal(ramFace?.faceValue, undefined);
+    assert.equal(ramFace?.subtitle, "");
+    const removeRam = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: ramTile.body.tile.id } });
+    assert.equal(removeRam.status, 200);
+
+    const tilesStream = await fetch(`${baseUrl}/api/stream/live?channels=tiles&intervalMs=15000`, {
+      headers: { "X-Token": token }
+    });
+    assert.equal(tilesStream.status, 200);
+    const tilesReader = tilesStream.body.getReader();
+    const tilesText = await readSseUntil(tilesReader, /event:\s*tileState\ndata: .*"CI Aus"/, 8000);
+    await tilesReader.cancel();
+    assert.match(tilesText, /event:\s*snapshot\ndata: .*"faces":\[\{"id":"[^"]+","toggleSource":"process","toggleState":"off"/);
+    assert.match(tilesText, /"faceSource":"cpu","faceValue":\d+,"subtitle":"Last \d+%"/);
+    assert.match(tilesText, /event:\s*tileState\ndata: .*"toggleState":"off"/);
+    const runToggle = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: toggleId } });
+    assert.equal(runToggle.status, 200);
+    assert.equal(runToggle.body?.macroRun?.tileId, `toggle:${toggleId}`);
+    for (const id of [toggleId, faceId]) {
+      const removed = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id } });
+      assert.equal(removed.status, 200);
+    }
+  } finally {
+    await server.stop();
+  }
+});
+
+test("Webhook and key sequence tiles", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token } = server;
+  try {
+    for (const bad of [
+      { target: "ftp://example.com/hook", webhook: {} },
+      { target: "https://example.com/hook", webhook: { method: "TRACE" } },
+      { target: "https://example.com/hook", webhook: { method: "GET", body: { a: 1 } } },
+      { target: "https://example.com/hook", webhook: { headers: { "Bad Header": "x" } } }
+    ]) {
+      const badWebhook = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+        method: "POST",
+        body: { tile: { profile: "work", page: "main", label: "CI Webhook", type: "webhook", ...bad } }
+      });
+      assert.equal(badWebhook.status, 400);
+    }
+    const webhookTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: {
+          profile: "work",
+          page: "main",
+          label: "CI Webhook",
+          type: "webhook",
+          target: "https://example.com/hook?p={{wow.processName}}",
+          webhook: { headers: { "X-CI": "1" }, body: { process: "{{wow.processName}}", n: 1 }, timeoutMs: 90000 }
+        }
+      }
+    });
+    assert.equal(webhookTile.status, 200);
+    assert.equal(webhookTile.body?.tile?.webhook?.method, "POST");
+    assert.equal(webhookTile.body?.tile?.webhook?.timeoutMs, 30000);
+    const runWebhook = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: webhookTile.body.tile.id } });
+    assert.equal(runWebhook.status, 200);
+    assert.equal(runWebhook.body?.webhook?.dryRun, true);
+    assert.equal(runWebhook.body?.webhook?.method, "POST");
+    assert.doesNotMatch(runWebhook.body?.webhook?.url || "", /\{\{/);
+    const removeWebhook = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: webhookTile.body.tile.id } });
+    assert.equal(removeWebhook.status, 200);
+
+    for (const keys of [
+      { sequence: [] },
+      { sequence: [{ combo: "Ctrl+Hyper" }] },
+      { sequence: [{ combo: "Ctrl+A+B" }] },
+      { sequence: [{ delayMs: 100 }] }
+    ]) {
+      const badKeys = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+        method: "POST",
+        body: { tile: { profile: "work", page: "main", label: "CI Keys", type: "keys", keys } }
+      });
+      assert.equal(badKeys.status, 400);
+    }
+    const keysTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: {
+          profile: "work",
+          page: "main",
+          label: "CI Keys",
+          type: "keys",
+          keys: { process: "obs64.exe", sequence: ["shift+control+f13", { combo: "esc", holdMs: 9000 }, { delayMs: 50 }, { text: "gg {{wow.processName}}" }] }
+        }
+      }
+    });
+    assert.equal(keysTile.status, 200);
+    assert.equal(keysTile.body?.tile?.keys?.process, "obs64");
+    assert.equal(keysTile.body?.tile?.keys?.sequence?.[0]?.combo, "Ctrl+Shift+F13");
+    assert.equal(keysTile.body?.tile?.keys?.sequence?.[1]?.holdMs, 5000);
+    const runKeys = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: keysTile.body.tile.id } });
+    assert.equal(runKeys.status, 200);
+    assert.equal(runKeys.body?.keys?.dryRun, true);
+    assert.deepEqual(runKeys.body?.keys?.steps, ["Ctrl+Shift+F13", "Esc (5000 ms)", "Warten 50 ms", "Text (27 Zeichen)"]);
+    const removeKeys = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: keysTile.body.tile.id } });
+    assert.equal(removeKeys.status, 200);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("Command tiles: parameters and variables", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token, tmpDir } = server;
+  try {
+    const badCommand = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", label: "CI Command", type: "command", startIn: path.join(tmpDir, "missing"), target: "git" } }
+    });
+    assert.equal(badCommand.status, 400);
+    const noCommand = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", label: "CI Command", type: "command" } }
+    });
+    assert.equal(noCommand.status, 400);
+    const commandTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: {
+          profile: "work",
+          page: "main",
+          label: "CI Command",
+          type: "command",
+          target: "git",
+          args: ["status", "--short"],
+          startIn: tmpDir,
+          command: { timeoutMs: 999999 }
+        }
+      }
+    });
+    assert.equal(commandTile.status, 200);
+    assert.equal(commandTile.body?.tile?.command?.timeoutMs, 300000);
+    const runCommand = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: commandTile.body.tile.id } });
+    assert.equal(runCommand.status, 200);
+    assert.equal(runCommand.body?.command?.dryRun, true);
+    assert.deepEqual(runCommand.body?.command?.args, ["status", "--short"]);
+    assert.equal(runCommand.body?.command?.cwd, tmpDir);
+    const commandHistory = await requestJson(baseUrl, token, `/api/run/history?tileId=${commandTile.body.tile.id}`);
+    assert.equal(commandHistory.status, 200);
+    assert.equal(commandHistory.body?.recent?.length, 1);
+    assert.equal(commandHistory.body?.recent?.[0]?.type, "command");
+    const editorToken = await requestJson(baseUrl, token, "/api/tokens/create", { method: "POST", body: { name: "CI Editor", scopes: ["settings"] } });
+    const editorCommand = await requestJson(baseUrl, editorToken.body.token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { id: commandTile.body.tile.id, profile: "work", page: "main", label: "CI Command", type: "url", target: "https://example.com" } }
+    });
+    assert.equal(editorCommand.status, 403);
+    assert.match(editorCommand.body?.error || "", /scope admin/);
+    const editorAdminLaunch = await requestJson(baseUrl, editorToken.body.token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", label: "CI Admin", type: "app", target: "C:\\Tools\\tool.exe", launch: { admin: true } } }
+    });
+    assert.equal(editorAdminLaunch.status, 403);
+    const wowToken = await requestJson(baseUrl, token, "/api/tokens/create", { method: "POST", body: { name: "CI WoW", scopes: ["run"], profiles: ["wow"] } });
+    const wowHistory = await requestJson(baseUrl, wowToken.body.token, "/api/run/history?limit=50");
+    assert.equal(wowHistory.status, 200);
+    assert.equal(wowHistory.body?.recent?.some((entry) => entry.tileId === commandTile.body.tile.id), false);
+    assert.equal(wowHistory.body?.topTiles?.some((entry) => entry.profile === "work"), false);
+    const removeCommand = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: commandTile.body.tile.id } });
+    assert.equal(removeCommand.status, 200);
+
+    for (const [type, params] of [
+      ["macro", [{ name: "q" }]],
+      ["command", [{ name: "1q" }]],
+      ["command", [{ name: "q", type: "choice" }]],
+      ["command", [{ name: "q" }, { name: "q" }]],
+      ["command", [{ name: "n", type: "number", min: 5, max: 1 }]]
+    ]) {
+      const badParams = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+        method: "POST",
+        body: { tile: { profile: "work", page: "main", label: "CI Params", type, target: "git", steps: [{ type: "delay", ms: 10 }], params } }
+      });
+      assert.equal(badParams.status, 400);
+    }
+    const paramTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: {
+          profile: "work",
+          page: "main",
+          label: "CI Params",
+          type: "command",
+          target: "git",
+          args: ["log", "-n", "{{param.depth}}", "--grep={{param.project}}"],
+          startIn: "{{param.dir}}",
+          params: [
+            { name: "project", label: "Projekt", type: "choice", options: ["alpha", "beta"] },
+            { name: "depth", type: "number", min: 1, max: 5, default: 1 },
+            { name: "dir", type: "path", pathKind: "folder", default: tmpDir }
+          ]
+        }
+      }
+    });
+    assert.equal(paramTile.status, 200);
+    assert.equal(paramTile.body?.tile?.params?.length, 3);
+    const paramBootstrap = await requestJson(baseUrl, token, "/api/bootstrap");
+    const paramClientTile = (paramBootstrap.body?.tiles || []).find((x) => x.id === paramTile.body.tile.id);
+    assert.deepEqual(paramClientTile?.params?.[0]?.options, ["alpha", "beta"]);
+    const missingParam = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: paramTile.body.tile.id } });
+    assert.equal(missingParam.status, 400);
+    assert.match(missingParam.body?.error || "", /Projekt fehlt/);
+    for (const params of [{ project: "gamma" }, { project: "beta", depth: 9 }, { project: "beta", dir: path.join(tmpDir, "missing") }]) {
+      const badRun = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: paramTile.body.tile.id, params } });
+      assert.equal(badRun.status, 400);
+    }
+    const paramRun = await requestJson(baseUrl, token, "/api/run", {
+      method: "POST",
+      body: { tileId: paramTile.body.tile.id, params: { project: "beta", depth: 3 } }
+    });
+    assert.equal(paramRun.status, 200);
+    assert.deepEqual(paramRun.body?.command?.args, ["log", "-n", "3", "--grep=beta"]);
+    assert.equal(paramRun.body?.command?.cwd, tmpDir);
+    const removeParams = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: paramTile.body.tile.id } });
+    assert.equal(removeParams.status, 200);
+    const searchTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: {
+          profile: "work",
+          page: "main",
+          label: "CI Suche",
+          type: "url",
+          target: "https://example.com/search?q={{param.q}}",
+          params: [{ name: "q", label: "Suchbegriff" }]
+        }
+      }
+    });
+    assert.equal(searchTile.status, 200);
+    assert.equal(searchTile.body?.tile?.target, "https://example.com/search?q={{param.q}}");
+    const searchRun = await requestJson(baseUrl, token, "/api/run", {
+      method: "POST",
+      body: { tileId: searchTile.body.tile.id, params: { q: "mythic+ & raid" } }
+    });
+    assert.equal(searchRun.status, 200);
+    const removeSearch = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: searchTile.body.tile.id } });
+    assert.equal(removeSearch.status, 200);
+    const literalTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", label: "CI Literal", type: "command", target: "git", args: ["{{param.q}}", "q={{param.q}}"], params: [{ name: "q" }] } }
+    });
+    assert.equal(literalTile.status, 200);
+    const literalRun = await requestJson(baseUrl, token, "/api/run", {
+      method: "POST",
+      body: { tileId: literalTile.body.tile.id, params: { q: "%STREAMDECK_DRY_RUN%" } }
+    });
+    assert.equal(literalRun.status, 200);
+    assert.deepEqual(literalRun.body?.command?.args, ["%STREAMDECK_DRY_RUN%", "q=%STREAMDECK_DRY_RUN%"]);
+    const removeLiteral = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: literalTile.body.tile.id } });
+    assert.equal(removeLiteral.status, 200);
+
+    const badVariable = await requestJson(baseUrl, token, "/api/settings/variables", { method: "POST", body: { name: "1dir", value: "x" } });
+    assert.equal(badVariable.status, 400);
+    const setVariable = await requestJson(baseUrl, token, "/api/settings/variables", { method: "POST", body: { name: "ciDir", value: tmpDir } });
+    assert.equal(setVariable.status, 200);
+    const unresolvedVariable = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", label: "CI Var", type: "app", target: "{{var.ciMissing}}\\tool.exe" } }
+    });
+    assert.equal(unresolvedVariable.status, 400);
+    assert.match(String(unresolvedVariable.body?.error || ""), /var\.ciMissing/);
+    const varTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: {
+          profile: "work",
+          page: "main",
+          label: "CI Variablen",
+          type: "command",
+          target: "git",
+          args: ["{{var.ciDir}}", "{{date}}", "{{env.STREAMDECK_DRY_RUN}}", "{{env.CI_SECRET_TOKEN}}"],
+          startIn: "{{var.ciDir}}"
+        }
+      }
+    });
+    assert.equal(varTile.status, 200);
+    const varRun = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: varTile.body.tile.id } });
+    assert.equal(varRun.status, 200);
+    assert.equal(varRun.body?.command?.cwd, tmpDir);
+    assert.equal(varRun.body?.command?.args?.[0], tmpDir);
+    assert.match(String(varRun.body?.command?.args?.[1] || ""), /^\d{4}-\d{2}-\d{2}$/);
+    assert.equal(varRun.body?.command?.args?.[2], "1");
+    assert.equal(varRun.body?.command?.args?.includes("leak"), false);
+    const variables = await requestJson(baseUrl, token, "/api/settings/variables");
+    assert.deepEqual(variables.body?.variables?.find((x) => x.name === "ciDir")?.usedBy, [varTile.body.tile.id]);
+    const usedVariable = await requestJson(baseUrl, token, "/api/settings/variables/delete", { method: "POST", body: { name: "ciDir" } });
+    assert.equal(usedVariable.status, 409);
+    const settingsToken = await requestJson(baseUrl, token, "/api/tokens/create", { method: "POST", body: { name: "CI Variablen", scopes: ["settings"] } });
+    const guardedVariable = await requestJson(baseUrl, settingsToken.body.token, "/api/settings/variables", { method: "POST", body: { name: "ciDir", value: "C:\\Windows" } });
+    assert.equal(guardedVariable.status, 403);
+    const guardedDelete = await requestJson(baseUrl, settingsToken.body.token, "/api/settings/variables/delete", { method: "POST", body: { name: "ciDir", force: true } });
+    assert.equal(guardedDelete.status, 403);
+    const removeVarTile = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: varTile.body.tile.id } });
+    assert.equal(removeVarTile.status, 200);
+    const deleteVariable = await requestJson(baseUrl, token, "/api/settings/variables/delete", { method: "POST", body: { name: "ciDir" } });
+    assert.equal(deleteVariable.status, 200);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("App launch options", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token, tmpDir, fuzzyProgramPath } = server;
+  try {
+    for (const [type, target, launch] of [
+      ["app", fuzzyProgramPath, { admin: true, env: { CI_FLAG: "1" } }],
+      ["app", fuzzyProgramPath, { window: "fullscreen" }],
+      ["app", path.join(tmpDir, "Tool.lnk"), { ifRunning: "focus" }],
+      ["url", "https://example.com", { window: "minimized" }]
+    ]) {
+      const badLaunch = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+        method: "POST",
+        body: { tile: { profile: "work", page: "main", label: "CI Launch", type, target, launch } }
+      });
+      assert.equal(badLaunch.status, 400);
+    }
+    const launchTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: {
+          profile: "work",
+          page: "main",
+          label: "CI Launch",
+          type: "app",
+          target: fuzzyProgramPath,
+          args: ["--profile", "CI Test"],
+          launch: { window: "minimized", ifRunning: "restart", env: { CI_FLAG: "{{date}}" } }
+        }
+      }
+    });
+    assert.equal(launchTile.status, 200);
+    assert.deepEqual(launchTile.body?.tile?.launch, { admin: false, window: "minimized", ifRunning: "restart", env: { CI_FLAG: "{{date}}" } });
+    const launchRun = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: launchTile.body.tile.id } });
+    assert.equal(launchRun.status, 200);
+    assert.equal(launchRun.body?.launch?.dryRun, true);
+    assert.equal(launchRun.body?.launch?.action, "start");
+    assert.equal(launchRun.body?.launch?.process, "CurseForge");
+    assert.deepEqual(launchRun.body?.launch?.args, ["--profile", "CI Test"]);
+    assert.deepEqual(launchRun.body?.launch?.env, ["CI_FLAG"]);
+    const removeLaunch = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: launchTile.body.tile.id } });
+    assert.equal(removeLaunch.status, 200);
+
+    const batchPath = path.join(tmpDir, "tool.bat");
+    fs.writeFileSync(batchPath, "@echo off\r\n", "utf8");
+    const batchTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", label: "CI Batch", type: "app", target: batchPath, args: ["{{param.q}}"], params: [{ name: "q" }] } }
+    });
+    assert.equal(batchTile.status, 200);
+    const batchInjected = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: batchTile.body.tile.id, params: { q: "x & calc" } } });
+    assert.equal(batchInjected.status, 400);
+    const batchRun = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: batchTile.body.tile.id, params: { q: "report.txt" } } });
+    assert.equal(batchRun.status, 200);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("Window tiles and window list", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token } = server;
+  try {
+    const windows = await requestJson(baseUrl, token, "/api/windows");
+    assert.equal(windows.status, 200);
+    assert.ok(Array.isArray(windows.body?.windows));
+    assert.ok(Array.isArray(windows.body?.monitors));
+    const runToken = await requestJson(baseUrl, token, "/api/tokens/create", { method: "POST", body: { name: "CI Run", scopes: ["run"] } });
+    const runWindows = await requestJson(baseUrl, runToken.body.token, "/api/windows");
+    assert.equal(runWindows.status, 403);
+    const actionList = await requestJson(baseUrl, token, "/api/actions");
+    assert.ok(actionList.body?.actions?.includes("windowMoveMonitor"));
+    for (const window of [undefined, { processName: "C:\\obs64.exe" }, { processName: "obs64" }]) {
+      const badWindowTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+        method: "POST",
+        body: { tile: { profile: "work", page: "main", label: "CI Fenster", type: "action", action: "windowMoveMonitor", window } }
+      });
+      assert.equal(badWindowTile.status, 400);
+    }
+    const windowTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: {
+        tile: { profile: "work", page: "main", label: "CI Fenster", type: "action", action: "windowMoveMonitor", window: { processName: "obs64.exe", monitor: 2 } }
+      }
+    });
+    assert.equal(windowTile.status, 200);
+    assert.deepEqual(windowTile.body?.tile?.window, { processName: "obs64", monitor: 2 });
+    const windowRun = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: windowTile.body.tile.id } });
+    assert.equal(windowRun.status, 200);
+    assert.deepEqual(windowRun.body?.window, { action: "windowMoveMonitor", processName: "obs64", monitor: 2, windows: 0, dryRun: true });
+    const legacyWindow = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { action: "windowFocus" } });
+    assert.equal(legacyWindow.status, 400);
+    const removeWindow = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: windowTile.body.tile.id } });
+    assert.equal(removeWindow.status, 200);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("Process manager: list, priority and confirmed kill", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token, child } = server;
+  try {
+    const processes = await requestJson(baseUrl, token, "/api/processes");
+    assert.equal(processes.status, 200);
+    assert.ok(Array.isArray(processes.body?.processes));
+    assert.ok(processes.body?.protectedNames?.includes("lsass"));
+    const runToken = await requestJson(baseUrl, token, "/api/tokens/create", { method: "POST", body: { name: "CI Run", scopes: ["run"] } });
+    const runProcesses = await requestJson(baseUrl, runToken.body.token, "/api/processes");
+    assert.equal(runProcesses.status, 403);
+    const protectedKill = await requestJson(baseUrl, token, "/api/processes/kill", { method: "POST", body: { pid: 812, name: "lsass.exe" } });
+    assert.equal(protectedKill.status, 403);
+    const selfKill = await requestJson(baseUrl, token, "/api/processes/kill", { method: "POST", body: { pid: child.pid, name: "node" } });
+    assert.equal(selfKill.status, 403);
+    const badPriority = await requestJson(baseUrl, token, "/api/processes/priority", { method: "POST", body: { pid: 4242, name: "obs64", priority: "realtime" } });
+    assert.equal(badPriority.status, 400);
+    const priority = await requestJson(baseUrl, token, "/api/processes/priority", { method: "POST", body: { pid: 4242, name: "obs64", priority: "high" } });
+    assert.equal(priority.status, 200);
+    assert.deepEqual(priority.body?.process, { op: "priority", pid: 4242, name: "obs64", priority: "high", dryRun: true });
+    const killAsk = await requestJson(baseUrl, token, "/api/processes/kill", { method: "POST", body: { pid: 4242, name: "obs64.exe" } });
+    assert.equal(killAsk.status, 409);
+    assert.equal(killAsk.body?.confirmRequired, true);
+    const killWrongPid = await requestJson(baseUrl, token, "/api/processes/kill", { method: "POST", body: { pid: 4243, name: "obs64", confirm: killAsk.body.confirm } });
+    assert.equal(killWrongPid.status, 409);
+    const restartWithKillConfirm = await requestJson(baseUrl, token, "/api/processes/restart", { method: "POST", body: { pid: 4242, name: "obs64", confirm: killAsk.body.confirm } });
+    assert.equal(restartWithKillConfirm.status, 409);
+    const kill = await requestJson(baseUrl, token, "/api/processes/kill", { method: "POST", body: { pid: 4242, name: "obs64", confirm: killAsk.body.confirm } });
+    assert.equal(kill.status, 200);
+    assert.deepEqual(kill.body?.process, { op: "kill", pid: 4242, name: "obs64", dryRun: true });
+    const killReplay = await requestJson(baseUrl, token, "/api/processes/kill", { method: "POST", body: { pid: 4242, name: "obs64", confirm: killAsk.body.confirm } });
+    assert.equal(killReplay.status, 409);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("OBS control via obs-websocket", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token } = server;
+  let mockObs = null;
+  try {
+    mockObs = await startMockObsServer("geheim");
+    const badObsPort = await requestJson(baseUrl, token, "/api/settings/obs", { method: "POST", body: { port: 70000 } });
+    assert.equal(badObsPort.status, 400);
+    const obsWrongPassword = await requestJson(baseUrl, token, "/api/settings/obs", {
+      method: "POST",
+      body: { host: "127.0.0.1", port: mockObs.port, password: "falsch" }
+    });
+    assert.equal(obsWrongPassword.status, 200);
+    assert.equal(obsWrongPassword.body?.status?.connected, false);
+    assert.match(obsWrongPassword.body?.status?.error || "", /Passwort falsch/);
+    const obsSettings = await requestJson(baseUrl, token, "/api/settings/obs", { method: "POST", body: { password: "geheim" } });
+    assert.equal(obsSettings.status, 200);
+    assert.deepEqual(obsSettings.body?.obs, { host: "127.0.0.1", port: mockObs.port, hasPassword: true, connected: true, version: "5.5.0", lastError: "" });
+    assert.equal(obsSettings.body?.status?.currentScene, "Live");
+    assert.equal(obsSettings.body?.status?.streaming?.active, true);
+    assert.equal(obsSettings.body?.status?.recording?.active, false);
+    const obsScenes = await requestJson(baseUrl, token, "/api/obs/scenes?scene=Live");
+    assert.equal(obsScenes.status, 200);
+    assert.deepEqual(obsScenes.body?.scenes, ["Live", "Pause"]);
+    assert.deepEqual(obsScenes.body?.sources, [{ id: 1, name: "Kamera", visible: true }]);
+    const obsInputs = await requestJson(baseUrl, token, "/api/obs/inputs");
+    assert.deepEqual(obsInputs.body?.inputs, [{ name: "Mic", kind: "wasapi_input_capture", muted: false }]);
+    const badObsTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "streaming", page: "main", label: "CI OBS", type: "action", action: "obsSourceVisibility", obs: { scene: "Live" } } }
+    });
+    assert.equal(badObsTile.status, 400);
+    const obsTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "streaming", page: "main", label: "CI OBS", type: "action", action: "obsSourceVisibility", obs: { scene: "Live", source: "Kamera", state: "off" } } }
+    });
+    assert.equal(obsTile.status, 200);
+    assert.deepEqual(obsTile.body?.tile?.obs, { scene: "Live", source: "Kamera", state: "off" });
+    const obsRun = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: obsTile.body.tile.id } });
+    assert.equal(obsRun.status, 200);
+    assert.deepEqual(obsRun.body?.obs, { action: "obsSourceVisibility", scene: "Live", source: "Kamera", state: "off", dryRun: true });
+    assert.equal(mockObs.requests.includes("SetSceneItemEnabled"), false);
+    const legacyObs = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { action: "obsScene" } });
+    assert.equal(legacyObs.status, 400);
+    const removeObs = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: obsTile.body.tile.id } });
+    assert.equal(removeObs.status, 200);
+    const obsStream = await fetch(`${baseUrl}/api/stream/live?channels=obs&intervalMs=15000`, { headers: { "X-Token": token } });
+    assert.equal(obsStream.status, 200);
+    const obsReader = obsStream.body.getReader();
+    assert.match(await readSseUntil(obsReader, /"currentScene":"Live"/), /"connected":true/);
+    mockObs.emit("CurrentProgramSceneChanged", { sceneName: "Pause" });
+    assert.match(await readSseUntil(obsReader, /CurrentProgramSceneChanged/), /"sceneName":"Pause"/);
+    mockObs.emit("InputCreated", { inputName: "Mic 2" });
+    assert.match(await readSseUntil(obsReader, /InputCreated/), /"inputName":"Mic 2"/);
+    await obsReader.cancel();
+    const actionList = await requestJson(baseUrl, token, "/api/actions");
+    assert.ok(actionList.body?.actions?.includes("obsPanel"));
+    const obsPanelRun = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { action: "obsPanel" } });
+    assert.equal(obsPanelRun.status, 200);
+    const obsPage = await fetch(`${baseUrl}/OBS.html`);
+    assert.equal(obsPage.status, 200);
+    assert.match(await obsPage.text(), /postOverlayMessage\("back-main"\)/);
+  } finally {
+    await server.stop();
+    if (mockObs) await mockObs.close();
+  }
+});
+
+test("Soundboard: clips, banks, edits and export/import", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token, tmpDir } = server;
+  try {
+    const badClip = await requestJson(baseUrl, token, "/api/soundboard/clips", {
+      method: "POST",
+      body: { name: "CI", data: `data:text/plain;base64,${Buffer.from("hi").toString("base64")}` }
+    });
+    assert.equal(badClip.status, 415);
+    const clipUpload = await requestJson(baseUrl, token, "/api/soundboard/clips", {
+      method: "POST",
+      body: { name: "CI Jingle", data: `data:audio/wav;base64,${Buffer.from("RIFF0000WAVEfmt ").toString("base64")}` }
+    });
+    assert.equal(clipUpload.status, 200);
+    const clipId = clipUpload.body?.clip?.id;
+    assert.match(clipId || "", /^clip_[a-f0-9]{12}$/);
+    assert.equal(fs.readFileSync(path.join(tmpDir, "soundboard", `${clipId}.wav`), "utf8"), "RIFF0000WAVEfmt ");
+    const soundboard = await requestJson(baseUrl, token, "/api/soundboard");
+    assert.deepEqual(soundboard.body?.clips?.map((x) => [x.id, x.name, x.size]), [[clipId, "CI Jingle", 16]]);
+    assert.deepEqual(soundboard.body?.playing, []);
+    const soundDevices = await requestJson(baseUrl, token, "/api/soundboard/devices");
+    assert.equal(soundDevices.status, 200);
+    assert.ok(Array.isArray(soundDevices.body?.devices));
+    const badVolume = await requestJson(baseUrl, token, "/api/soundboard/play", { method: "POST", body: { clipId, volume: 150 } });
+    assert.equal(badVolume.status, 400);
+    const unknownClipTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "streaming", page: "main", label: "CI Sound", type: "action", action: "soundboardPlay", sound: { clipId: "clip_000000000000" } } }
+    });
+    assert.equal(unknownClipTile.status, 400);
+    const soundTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "streaming", page: "main", label: "CI Sound", type: "action", action: "soundboardPlay", sound: { clipId, volume: 40, loop: true } } }
+    });
+    assert.equal(soundTile.status, 200);
+    assert.deepEqual(soundTile.body?.tile?.sound, { clipId, volume: 40, loop: true });
+    const soundRun = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: soundTile.body.tile.id } });
+    assert.equal(soundRun.status, 200);
+    assert.deepEqual(soundRun.body?.sound, { clipId, name: "CI Jingle", volume: 40, loop: true, device: "", dryRun: true });
+    const soundStopMissing = await requestJson(baseUrl, token, "/api/soundboard/stop", { method: "POST", body: { id: "s99" } });
+    assert.equal(soundStopMissing.status, 404);
+    const soundStopAll = await requestJson(baseUrl, token, "/api/soundboard/stop", { method: "POST", body: {} });
+    assert.deepEqual(soundStopAll.body?.stopped, []);
+    const clipFile = await fetch(`${baseUrl}/api/soundboard/clips/${clipId}/file`, { headers: { "X-Token": token } });
+    assert.equal(clipFile.status, 200);
+    assert.match(clipFile.headers.get("content-type") || "", /^audio\/wav/);
+    assert.equal(await clipFile.text(), "RIFF0000WAVEfmt ");
+    const clipRename = await requestJson(baseUrl, token, "/api/soundboard/clips/update", {
+      method: "POST",
+      body: { id: clipId, name: "CI Jingle 2", durationMs: 1234.4 }
+    });
+    assert.equal(clipRename.status, 200);
+    assert.equal(clipRename.body?.clip?.durationMs, 1234);
+    const badEdit = await requestJson(baseUrl, token, "/api/soundboard/clips/update", {
+      method: "POST",
+      body: { id: clipId, edit: { startMs: 500, endMs: 400 } }
+    });
+    assert.equal(badEdit.status, 400);
+    const editPastEnd = await requestJson(baseUrl, token, "/api/soundboard/clips/update", {
+      method: "POST",
+      body: { id: clipId, edit: { endMs: 2000 } }
+    });
+    assert.equal(editPastEnd.status, 400);
+    const clipEdit = await requestJson(baseUrl, token, "/api/soundboard/clips/update", {
+      method: "POST",
+      body: { id: clipId, edit: { startMs: 120, endMs: 1100, fadeInMs: 50, fadeOutMs: 200, normalizeDb: -16, gainDb: -3.14 } }
+    });
+    assert.equal(clipEdit.status, 200);
+    assert.deepEqual(clipEdit.body?.clip?.edit, { startMs: 120, endMs: 1100, fadeInMs: 50, fadeOutMs: 200, normalizeDb: -16, gainDb: -3.1 });
+    const clipEditBoost = await requestJson(baseUrl, token, "/api/soundboard/clips/update", {
+      method: "POST",
+      body: { id: clipId, edit: { startMs: 120, gainDb: 4.5 } }
+    });
+    assert.equal(clipEditBoost.status, 200);
+    assert.equal(clipEditBoost.body?.clip?.edit?.gainDb, 0);
+    const clipEditReset = await requestJson(baseUrl, token, "/api/soundboard/clips/update", { method: "POST", body: { id: clipId, edit: null } });
+    assert.equal(clipEditReset.body?.clip?.edit, undefined);
+    const clipEditAgain = await requestJson(baseUrl, token, "/api/soundboard/clips/update", {
+      method: "POST",
+      body: { id: clipId, edit: { startMs: 120, gainDb: -6 } }
+    });
+    assert.equal(clipEditAgain.body?.clip?.edit?.gainDb, -6);
+    const clipList = await requestJson(baseUrl, token, "/api/soundboard/clips");
+    assert.deepEqual(clipList.body?.clips?.map((x) => x.name), ["CI Jingle 2"]);
+    assert.equal(clipList.body?.totalBytes, 16);
+    const badBanks = await requestJson(baseUrl, token, "/api/soundboard/banks", {
+      method: "POST",
+      body: { banks: [{ id: "a", label: "Intro", pads: [{ clipId: "clip_000000000000" }] }] }
+    });
+    assert.equal(badBanks.status, 400);
+    const saveBanks = await requestJson(baseUrl, token, "/api/soundboard/banks", {
+      method: "POST",
+      body: { banks: [{ id: "a", label: "Intro", pads: [{ label: "Jingle", clipId, volume: 70 }] }, { id: "b", label: "Outro" }] }
+    });
+    assert.equal(saveBanks.status, 200);
+    assert.deepEqual(saveBanks.body?.banks?.map((b) => [b.id, b.label, b.pads.length]), [["a", "Intro", 8], ["b", "Outro", 8]]);
+    assert.deepEqual(saveBanks.body?.banks?.[0]?.pads?.[0], { label: "Jingle", clipId, volume: 70, loop: false, solo: true });
+    const clipInUse = await requestJson(baseUrl, token, "/api/soundboard/clips/delete", { method: "POST", body: { id: clipId } });
+    assert.equal(clipInUse.status, 409);
+    assert.deepEqual(clipInUse.body?.usedBy, [soundTile.body.tile.id]);
+    const soundExport = await requestJson(baseUrl, token, "/api/settings/export");
+    const exportedClip = soundExport.body?.config?.soundboard?.clips?.find((x) => x.id === clipId);
+    assert.equal(exportedClip?.data, `data:audio/wav;base64,${Buffer.from("RIFF0000WAVEfmt ").toString("base64")}`);
+    const clipForceDelete = await requestJson(baseUrl, token, "/api/soundboard/clips/delete", { method: "POST", body: { id: clipId, force: true } });
+    assert.equal(clipForceDelete.status, 200);
+    assert.equal(fs.existsSync(path.join(tmpDir, "soundboard", `${clipId}.wav`)), false);
+    const afterDelete = await requestJson(baseUrl, token, "/api/soundboard");
+    assert.deepEqual(afterDelete.body?.clips, []);
+    assert.equal(afterDelete.body?.banks?.[0]?.pads?.[0]?.clipId, "");
+    const importWithClips = (clips) => requestJson(baseUrl, token, "/api/settings/import", {
+      method: "POST",
+      body: { keepCurrentToken: true, config: { ...soundExport.body.config, soundboard: { ...soundExport.body.config.soundboard, clips } } }
+    });
+    const mimeMismatch = await importWithClips([{ ...exportedClip, id: "clip_00000000000a" }, { ...exportedClip, mime: "audio/mpeg" }]);
+    assert.equal(mimeMismatch.status, 400);
+    assert.deepEqual(fs.readdirSync(path.join(tmpDir, "soundboard")), []);
+    const tooManyClips = await importWithClips(Array.from({ length: 201 }, (_, i) => ({ ...exportedClip, id: `clip_${String(i).padStart(12, "0")}` })));
+    assert.equal(tooManyClips.status, 400);
+    assert.deepEqual(fs.readdirSync(path.join(tmpDir, "soundboard")), []);
+    const soundImport = await importWithClips([{ ...exportedClip, size: 999999 }]);
+    assert.equal(soundImport.status, 200);
+    assert.equal(soundImport.body?.summary?.soundClips, 1);
+    assert.deepEqual(fs.readdirSync(path.join(tmpDir, "soundboard")), [`${clipId}.wav`]);
+    assert.equal(fs.readFileSync(path.join(tmpDir, "soundboard", `${clipId}.wav`), "utf8"), "RIFF0000WAVEfmt ");
+    const afterImport = await requestJson(baseUrl, token, "/api/soundboard");
+    assert.equal(afterImport.body?.clips?.[0]?.size, 16);
+    assert.equal(afterImport.body?.banks?.[0]?.pads?.[0]?.clipId, clipId);
+    assert.equal(afterImport.body?.clips?.[0]?.data, undefined);
+    assert.deepEqual(afterImport.body?.clips?.[0]?.edit, { startMs: 120, endMs: 0, fadeInMs: 0, fadeOutMs: 0, normalizeDb: null, gainDb: -6 });
+    const removeSound = await requestJson(baseUrl, token, "/api/tiles/delete", { method: "POST", body: { id: soundTile.body.tile.id } });
+    assert.equal(removeSound.status, 200);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("Profiles, pages and tile order", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token } = server;
+  try {
+    const tileId = await createActionTile(baseUrl, token);
+
+    const createProfile = await requestJson(baseUrl, token, "/api/profiles/upsert", {
+      method: "POST",
+      body: { label: "CI Profil" }
+    });
+    assert.equal(createProfile.status, 200);
+    assert.equal(createProfile.body?.created, true);
+    const ciProfileId = createProfile.body?.profile?.id;
+    assert.equal(ciProfileId, "ci-profil");
+
+    const createPage = await requestJson(baseUrl, token, "/api/profiles/pages/upsert", {
+      method: "POST",
+      body: { profile: ciProfileId, id: "extra", label: "Extra" }
+    });
+    assert.equal(createPage.status, 200);
+    assert.deepEqual(createPage.body?.profile?.pages?.map((x) => x.id), ["main", "extra"]);
+
+    const reorderPages = await requestJson(baseUrl, token, "/api/profiles/pages/reorder", {
+      method: "POST",
+      body: { profile: ciProfileId, order: ["extra"] }
+    });
+    assert.equal(reorderPages.status, 200);
+    assert.deepEqual(reorderPages.body?.profile?.pages?.map((x) => x.id), ["extra", "main"]);
+
+    const reorderProfiles = await requestJson(baseUrl, token, "/api/profiles/reorder", {
+      method: "POST",
+      body: { order: [ciProfileId] }
+    });
+    assert.equal(reorderProfiles.status, 200);
+    assert.equal(reorderProfiles.body?.profiles?.[0]?.id, ciProfileId);
+
+    const moveTileToPage = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { id: tileId, profile: ciProfileId, page: "extra", type: "action", action: "powershell", label: "CI Tile Edited" } }
+    });
+    assert.equal(moveTileToPage.status, 200);
+
+    const deletePageBlocked = await requestJson(baseUrl, token, "/api/profiles/pages/delete", {
+      method: "POST",
+      body: { profile: ciProfileId, id: "extra" }
+    });
+    assert.equal(deletePageBlocked.status, 409);
+    assert.equal(deletePageBlocked.body?.tileCount, 1);
+
+    const pageExport = await requestJson(baseUrl, token, "/api/settings/export");
+    const importPage = (tiles) => requestJson(baseUrl, token, "/api/settings/import", {
+      method: "POST",
+      body: { keepCurrentToken: true, config: { ...pageExport.body.config, tiles } }
+    });
+    // The builtin tile comes last, so a move that checked tile by tile would already have moved the CI tile.
+    const builtinTile = pageExport.body.config.tiles.find((t) => t.id === "terminal");
+    const withBuiltinOnPage = [...pageExport.body.config.tiles.filter((t) => t !== builtinTile), { ...builtinTile, profile: ciProfileId, page: "extra" }];
+    assert.equal((await importPage(withBuiltinOnPage)).status, 200);
+    const deletePageWithBuiltin = await requestJson(baseUrl, token, "/api/profiles/pages/delete", {
+      method: "POST",
+      body: { profile: ciProfileId, id: "extra", moveTo: { profile: ciProfileId, page: "main" } }
+    });
+    assert.equal(deletePageWithBuiltin.status, 400);
+    const unmovedTile = await requestJson(baseUrl, token, `/api/tiles/${encodeURIComponent(tileId)}`);
+    assert.equal(unmovedTile.body?.tile?.page, "extra");
+    assert.equal((await importPage(pageExport.body.config.tiles)).status, 200);
+
+    const deletePage = await requestJson(baseUrl, token, "/api/profiles/pages/delete", {
+      method: "POST",
+      body: { profile: ciProfileId, id: "extra", moveTo: { profile: ciProfileId, page: "main" } }
+    });
+    assert.equal(deletePage.status, 200);
+    assert.equal(deletePage.body?.moved, 1);
+
+    const deleteBuiltinProfile = await requestJson(baseUrl, token, "/api/profiles/delete", {
+      method: "POST",
+      body: { id: "work" }
+    });
+    assert.equal(deleteBuiltinProfile.status, 400);
+
+    const deleteProfile = await requestJson(baseUrl, token, "/api/profiles/delete", {
+      method: "POST",
+      body: { id: ciProfileId, moveTo: { profile: "work", page: "main" } }
+    });
+    assert.equal(deleteProfile.status, 200);
+    assert.equal(deleteProfile.body?.moved, 1);
+
+    const profilesAfter = await requestJson(baseUrl, token, "/api/profiles");
+    assert.equal(profilesAfter.status, 200);
+    assert.ok(!profilesAfter.body?.profiles?.some((p) => p.id === ciProfileId));
+    const movedTile = await requestJson(baseUrl, token, `/api/tiles/${encodeURIComponent(tileId)}`);
+    assert.equal(movedTile.body?.tile?.profile, "work");
+    assert.equal(movedTile.body?.tile?.page, "main");
+
+    const reorderTiles = await requestJson(baseUrl, token, "/api/tiles/reorder", {
+      method: "POST",
+      body: { profile: "work", page: "main", order: [tileId, "terminal"] }
+    });
+    assert.equal(reorderTiles.status, 200);
+    assert.deepEqual(reorderTiles.body?.order?.slice(0, 2), [tileId, "terminal"]);
+
+    const reorderForeign = await requestJson(baseUrl, token, "/api/tiles/reorder", {
+      method: "POST",
+      body: { profile: "work", page: "main", order: ["vscode"] }
+    });
+    assert.equal(reorderForeign.status, 400);
+
+    const orderedBootstrap = await requestJson(baseUrl, token, "/api/bootstrap");
+    const workMainIds = orderedBootstrap.body?.tiles
+      ?.filter((t) => t.profile === "work" && t.page === "main")
+      .map((t) => t.id);
+    assert.deepEqual(workMainIds?.slice(0, 2), [tileId, "terminal"]);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("Live API: websocket commands and config events", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token } = server;
+  try {
+    const tileId = await createActionTile(baseUrl, token);
+
+    const wsDenied = await openWsClient(baseUrl, "/api/ws?token=wrong");
+    assert.equal(wsDenied.status, 401);
+
+    const ws = await openWsClient(baseUrl, `/api/ws?token=${encodeURIComponent(token)}`);
+    assert.equal(ws.status, 101);
+    const wsHello = await ws.next((m) => m.type === "hello");
+    assert.ok(wsHello?.commands?.includes("run"));
+    ws.send({ id: "p1", cmd: "ping" });
+    const wsPong = await ws.next((m) => m.type === "result" && m.id === "p1");
+    assert.equal(wsPong?.ok, true);
+    assert.equal(wsPong?.data?.pong, true);
+    ws.send({ id: 7, cmd: "run", params: { tileId } });
+    const wsRun = await ws.next((m) => m.type === "result" && m.id === 7);
+    assert.equal(wsRun?.ok, true);
+    ws.send({ id: "x", cmd: "nope" });
+    const wsUnknown = await ws.next((m) => m.type === "result" && m.id === "x");
+    assert.equal(wsUnknown?.ok, false);
+    assert.equal(wsUnknown?.status, 400);
+    ws.send({ id: "s1", cmd: "subscribe", params: { channels: ["config", "status"], intervalMs: 500 } });
+    const wsSub = await ws.next((m) => m.type === "result" && m.id === "s1");
+    assert.deepEqual(wsSub?.data?.channels, ["config", "status"]);
+    assert.equal(typeof wsSub?.data?.snapshot?.config?.revision, "number");
+    const wsSnapshot = await ws.next((m) => m.type === "snapshot");
+    assert.equal(typeof wsSnapshot?.status?.wowRunning, "boolean");
+
+    const configStream = await fetch(`${baseUrl}/api/stream/live?channels=config&intervalMs=15000`, {
+      headers: { "X-Token": token }
+    });
+    assert.equal(configStream.status, 200);
+    const configReader = configStream.body.getReader();
+    const configHello = await readSseUntil(configReader, /event:\s*snapshot[\s\S]*"revision":\d+/);
+    assert.match(configHello, /"config":\{"revision":\d+\}/);
+
+    const deleteTile = await requestJson(baseUrl, token, "/api/tiles/delete", {
+      method: "POST",
+      body: { id: tileId }
+    });
+    assert.equal(deleteTile.status, 200);
+    assert.equal(deleteTile.body?.ok, true);
+
+    const configEventText = await readSseUntil(configReader, /event:\s*config\ndata: .*\n\n/);
+    await configReader.cancel();
+    const configEventLine = configEventText.split("\n").find((line, idx, lines) => lines[idx - 1] === "event: config");
+    assert.ok(configEventLine, "expected config event after tile delete");
+    const configEvent = JSON.parse(configEventLine.slice("data: ".length));
+    assert.ok(configEvent.revision > configEvent.baseRevision);
+    assert.deepEqual(configEvent.removed, [tileId]);
+    assert.deepEqual(configEvent.changed, []);
+    const wsConfig = await ws.next((m) => m.type === "config");
+    assert.deepEqual(wsConfig?.removed, [tileId]);
+    ws.close();
+  } finally {
+    await server.stop();
+  }
+});
+
+test("Access tokens and device pairing", { timeout: 20000 }, async () => {
+  const server = await startTestServer();
+  const { baseUrl, token } = server;
+  try {
+    const createToken = await requestJson(baseUrl, token, "/api/tokens/create", {
+      method: "POST",
+      body: { name: "Kids Tablet", scopes: ["run"], profiles: ["wow"] }
+    });
+    assert.equal(createToken.status, 200);
+    assert.equal(createToken.body?.ok, true);
+    assert.match(createToken.body?.token || "", /^sdt_/);
+    assert.deepEqual(createToken.body?.entry?.scopes, ["run"]);
+    const kidToken = createToken.body.token;
+
+    const badScopes = await requestJson(baseUrl, token, "/api/tokens/create", {
+      method: "POST",
+      body: { name: "Nope", scopes: ["root"] }
+    });
+    assert.equal(badScopes.status, 400);
+
+    const kidBootstrap = await requestJson(baseUrl, kidToken, "/api/bootstrap");
+    assert.equal(kidBootstrap.status, 200);
+    assert.deepEqual(kidBootstrap.body?.auth, { name: "Kids Tablet", kind: "token", scopes: ["run"], profiles: ["wow"] });
+    assert.deepEqual(kidBootstrap.body?.profiles?.map((p) => p.id), ["wow"]);
+    assert.ok(kidBootstrap.body?.tiles?.every((t) => t.profile === "wow"));
+
+    const kidRun = await requestJson(baseUrl, kidToken, "/api/run", {
+      method: "POST",
+      body: { tileId: "wowNavigator" }
+    });
+    assert.equal(kidRun.status, 200);
+    const kidRunOther = await requestJson(baseUrl, kidToken, "/api/run", {
+      method: "POST",
+      body: { tileId: "terminal" }
+    });
+    assert.equal(kidRunOther.status, 403);
+    const kidAction = await requestJson(baseUrl, kidToken, "/api/run", {
+      method: "POST",
+      body: { action: "browser", url: "https://example.com" }
+    });
+    assert.equal(kidAction.status, 403);
+    const kidSettings = await requestJson(baseUrl, kidToken, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "wow", page: "main", type: "url", label: "X", target: "https://example.com" } }
+    });
+    assert.equal(kidSettings.status, 403);
+    assert.match(kidSettings.body?.error || "", /scope settings/);
+    const kidExport = await requestJson(baseUrl, kidToken, "/api/settings/export");
+    assert.equal(kidExport.status, 403);
+
+    const kidWs = await openWsClient(baseUrl, `/api/ws?token=${encodeURIComponent(kidToken)}`);
+    kidWs.send({ id: "v", cmd: "audio.volume", params: { pid: 1, volumePercent: 10 } });
+    const kidWsVolume = await kidWs.next((m) => m.type === "result" && m.id === "v");
+    assert.equal(kidWsVolume?.status, 403);
+    kidWs.close();
+
+    const wowEditor = await requestJson(baseUrl, token, "/api/tokens/create", {
+      method: "POST",
+      body: { name: "CI WoW Editor", scopes: ["run", "settings"], profiles: ["wow"] }
+    });
+    const editorToken = wowEditor.body.token;
+    const foreignUpsert = await requestJson(baseUrl, editorToken, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", type: "url", label: "X", target: "https://example.com" } }
+    });
+    assert.equal(foreignUpsert.status, 403);
+    const ownTile = await requestJson(baseUrl, editorToken, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "wow", page: "main", type: "url", label: "CI WoW", target: "https://example.com" } }
+    });
+    assert.equal(ownTile.status, 200);
+    const moveOut = await requestJson(baseUrl, editorToken, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { id: ownTile.body.tile.id, profile: "work", page: "main", type: "url", label: "CI WoW", target: "https://example.com" } }
+    });
+    assert.equal(moveOut.status, 403);
+    const workTile = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", type: "url", label: "CI Work", target: "https://example.com" } }
+    });
+    const foreignDelete = await requestJson(baseUrl, editorToken, "/api/tiles/delete", { method: "POST", body: { id: workTile.body.tile.id } });
+    assert.equal(foreignDelete.status, 403);
+    const foreignReorder = await requestJson(baseUrl, editorToken, "/api/tiles/reorder", { method: "POST", body: { profile: "work", page: "main", order: [] } });
+    assert.equal(foreignReorder.status, 403);
+    const foreignPage = await requestJson(baseUrl, editorToken, "/api/profiles/pages/upsert", { method: "POST", body: { profile: "work", label: "X" } });
+    assert.equal(foreignPage.status, 403);
+    const foreignRename = await requestJson(baseUrl, editorToken, "/api/profiles/upsert", { method: "POST", body: { id: "work", label: "X" } });
+    assert.equal(foreignRename.status, 403);
+    const newProfile = await requestJson(baseUrl, editorToken, "/api/profiles/upsert", { method: "POST", body: { label: "CI Neu" } });
+    assert.equal(newProfile.status, 403);
+    const profileOrder = await requestJson(baseUrl, editorToken, "/api/profiles/reorder", { method: "POST", body: { order: ["wow"] } });
+    assert.equal(profileOrder.status, 403);
+    const wowPage = await requestJson(baseUrl, editorToken, "/api/profiles/pages/upsert", { method: "POST", body: { profile: "wow", id: "raid", label: "Raid" } });
+    assert.equal(wowPage.status, 200);
+    const movePageOut = await requestJson(baseUrl, editorToken, "/api/profiles/pages/delete", {
+      method: "POST",
+      body: { profile: "wow", id: "raid", moveTo: { profile: "work", page: "main" } }
+    });
+    assert.equal(movePageOut.status, 403);
+    const wowPageDelete = await requestJson(baseUrl, editorToken, "/api/profiles/pages/delete", { method: "POST", body: { profile: "wow", id: "raid" } });
+    assert.equal(wowPageDelete.status, 200);
+    const sneakyMacro = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "wow", page: "main", label: "CI Umweg", type: "macro", steps: [{ type: "tile", tileId: workTile.body.tile.id }] } }
+    });
+    const workMacro = await requestJson(baseUrl, token, "/api/tiles/upsert", {
+      method: "POST",
+      body: { tile: { profile: "work", page: "main", label: "CI Work Makro", type: "macro", steps: [{ type: "delay", ms: 1 }] } }
+    });
+    const sneakyRun = await requestJson(baseUrl, editorToken, "/api/run", { method: "POST", body: { tileId: sneakyMacro.body.tile.id } });
+    assert.equal(sneakyRun.status, 200);
+    const workRun = await requestJson(baseUrl, token, "/api/run", { method: "POST", body: { tileId: workMacro.body.tile.id } });
+    assert.equal(workRun.status, 200);
+    await sleep(200);
+    const editorMacroRuns = await requestJson(baseUrl, editorToken, "/api/macros/runs");
+    assert.deepEqual(editorMacroRuns.body?.recent?.map((run) => run.id), [sneakyRun.body.macroRun.id]);
+    assert.equal(editorMacroRuns.body?.recent?.[0]?.status, "failed");
+    assert.match(editorMacroRuns.body?.recent?.[0]?.results?.[0]?.error || "", /Profil nicht erlaubt/);
+    const masterMacroRuns = await requestJson(baseUrl, token, "/api/macros/runs");
+    assert.equal(masterMacroRuns.body?.recent?.length, 2);
+
+    const kidHistory = await requestJson(baseUrl, token, "/api/run/history?limit=10");
+    assert.equal(kidHistory.status, 200);
+    assert.ok(kidHistory.body?.recent?.some((r) => r.tileId === "wowNavigator" && r.tokenName === "Kids Tablet"));
+
+    const tokenList = await requestJson(baseUrl, token, "/api/tokens");
+    assert.equal(tokenList.status, 200);
+    const listed = tokenList.body?.tokens?.find((t) => t.id === createToken.body.entry.id);
+    assert.ok(listed?.lastUsedAt);
+    assert.equal(listed?.tokenHash, undefined);
+    const revokeToken = await requestJson(baseUrl, token, "/api/tokens/revoke", {
+      method: "POST",
+      body: { id: listed.id }
+    });
+    assert.equal(revokeToken.status, 200);
+    const kidRevoked = await requestJson(baseUrl, kidToken, "/api/bootstrap");
+    assert.equal(kidRevoked.status, 401);
+
+    const pairStart = await requestJson(baseUrl, token, "/api/pairing/start", {
+      method: "POST",
+      body: { name: "Handy", scopes: ["run"], baseUrl: "http://192.168.1.20:8787" }
+    });
+    assert.equal(pairStart.status, 200);
+    assert.match(pairStart.body?.code || "", /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    assert.equal(pairStart.body?.pairUrl, `http://192.168.1.20:8787/StreamDeck.html?pair=${pairStart.body.code.replace("-", "")}`);
+    assert.match(pairStart.body?.qrSvg || "", /^<svg[\s\S]*<\/svg>$/);
+    const pairPending = await requestJson(baseUrl, token, "/api/pairing");
+    assert.deepEqual(pairPending.body?.pending?.map((x) => x.id), [pairStart.body.pairing.id]);
+
+    const pairWrong = await requestJson(baseUrl, "", "/api/pairing/redeem", {
+      method: "POST",
+      body: { code: "AAAA-AAAA" }
+    });
+    assert.equal(pairWrong.status, 400);
+    const pairRedeem = await requestJson(baseUrl, "", "/api/pairing/redeem", {
+      method: "POST",
+      body: { code: pairStart.body.code.toLowerCase(), deviceName: "Test Browser" }
+    });
+    assert.equal(pairRedeem.status, 200);
+    assert.equal(pairRedeem.body?.device?.kind, "device");
+    assert.equal(pairRedeem.body?.device?.name, "Handy");
+    const pairAgain = await requestJson(baseUrl, "", "/api/pairing/redeem", {
+      method: "POST",
+      body: { code: pairStart.body.code }
+    });
+    assert.equal(pairAgain.status, 400);
+    const deviceBootstrap = await requestJson(baseUrl, pairRedeem.body.token, "/api/bootstrap");
+    assert.equal(deviceBootstrap.status, 200);
+    assert.equal(deviceBootstrap.body?.auth?.kind, "device");
+    const devicePairing = await requestJson(baseUrl, pairRedeem.body.token, "/api/pairing/start", { method: "POST", body: {} });
+    assert.equal(devicePairing.status, 403);
+    const revokeDevice = await requestJson(baseUrl, token, "/api/tokens/revoke", {
+      method: "POST",
+      body: { id: pairRedeem.body.device.id }
+    });
+    assert.equal(revokeDevice.status, 200);
+  } finally {
+    await server.stop();
+  }
+});